@@ -19,7 +19,7 @@ import { ValidationError, InvalidSettingsError } from '../services/memory-errors
 const compressionSettingsSchema = {
   mode: {
     type: 'string',
-    enum: ['uniform', 'tiered'],
+    enum: ['uniform', 'tiered', 'extractive'],
     required: true
   },
   compactionRatio: {
@@ -45,7 +45,9 @@ const compressionSettingsSchema = {
     items: {
       type: 'object',
       properties: {
-        endPercent: { type: 'number', min: 1, max: 100, required: true },
+        // Percent tiers give endPercent; age tiers give olderThanHours (endPercent is their fallback)
+        endPercent: { type: 'number', min: 1, max: 100 },
+        olderThanHours: { type: 'number', min: 0 },
         compactionRatio: { type: 'number', min: 2, max: 50, required: true },
         aggressiveness: { type: 'string', enum: ['minimal', 'moderate', 'aggressive'] }
       }
@@ -67,10 +69,40 @@ const compressionSettingsSchema = {
     enum: ['decay', 'preserve-all', 'ignore'],
     default: 'ignore'
   },
+  toolMode: {
+    type: 'string',
+    enum: ['drop', 'action-log'],
+    default: 'drop'
+  },
+  chunkStrategy: {
+    type: 'string',
+    enum: ['fixed', 'topic'],
+    default: 'fixed'
+  },
+  keepPercent: {
+    type: 'number',
+    min: 1,
+    max: 100
+  },
+  targetTokens: {
+    type: 'number',
+    min: 100,
+    max: 2000000
+  },
+  maxBudgetAttempts: {
+    type: 'number',
+    min: 1,
+    max: 5
+  },
   sessionDistance: {
     type: 'number',
     min: 1,
     max: 100
+  },
+  promptTemplate: {
+    type: 'string',
+    pattern: /^[a-zA-Z0-9_\-]+$/,
+    maxLength: 64
   }
 };
 
@@ -123,6 +155,11 @@ const compositionRequestSchema = {
     type: 'string',
     enum: ['opus', 'sonnet', 'haiku'],
     default: 'opus'
+  },
+  compressionMode: {
+    type: 'string',
+    enum: ['llm', 'extractive'],
+    default: 'llm'
   }
 };
 
@@ -9,6 +9,8 @@ import { calculateTokenBreakdown } from '../services/token-calculator.js';
 import { getSessionBackupDir } from '../services/backup-manager.js';
 import { sessionToMarkdown, sessionToPlainText, createSessionReport } from '../utils/markdown-export.js';
 import { sanitizeSession } from '../services/sanitizer.js';
+import { loadGlobalConfig } from '../services/memory-storage.js';
+import { resolveRedactionOptions } from '../services/secret-redactor.js';
 
 const router = express.Router();
 const PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
@@ -34,11 +36,12 @@ const upload = multer({
  *   - format: 'markdown' | 'plain' | 'report' (default: 'markdown')
  *   - full: 'true' | 'false' - whether to include full content without truncation (default: 'false')
  *   - sanitize: comma-separated list of message types to remove (tool,tool-result,thinking,assistant,you)
+ *   - redact: 'true' to replace secrets with placeholders (custom patterns from config.json apply)
  */
 router.get('/:sessionId/markdown', async (req, res, next) => {
   try {
     const { sessionId } = req.params;
-    const { projectId, format = 'markdown', full = 'false', sanitize = '' } = req.query;
+    const { projectId, format = 'markdown', full = 'false', sanitize = '', redact = 'false' } = req.query;
 
     if (!sessionId || !projectId) {
       return res.status(400).json({ error: 'Missing sessionId or projectId' });
@@ -46,7 +49,11 @@ router.get('/:sessionId/markdown', async (req, res, next) => {
 
     const sessionFilePath = path.join(PROJECTS_DIR, projectId, `${sessionId}.jsonl`);
     const sanitizeTypes = sanitize ? sanitize.split(',').filter(t => t.trim()) : [];
-    const options = { full: full === 'true', sanitizeTypes };
+    const options = {
+      full: full === 'true',
+      sanitizeTypes,
+      redact: resolveRedactionOptions(redact === 'true', await loadGlobalConfig())
+    };
     const result = await exportSessionAsMarkdown(sessionFilePath, sessionId, projectId, format, null, options);
 
     res.json(result);
@@ -63,11 +70,12 @@ router.get('/:sessionId/markdown', async (req, res, next) => {
  *   - format: 'markdown' | 'plain' | 'report' (default: 'markdown')
  *   - full: 'true' | 'false' - whether to include full content without truncation (default: 'false')
  *   - sanitize: comma-separated list of message types to remove (tool,tool-result,thinking,assistant,you)
+ *   - redact: 'true' to replace secrets with placeholders (custom patterns from config.json apply)
  */
 router.get('/:sessionId/backup/:version/markdown', async (req, res, next) => {
   try {
     const { sessionId, version } = req.params;
-    const { projectId, format = 'markdown', full = 'false', sanitize = '' } = req.query;
+    const { projectId, format = 'markdown', full = 'false', sanitize = '', redact = 'false' } = req.query;
 
     if (!sessionId || !projectId || !version) {
       return res.status(400).json({ error: 'Missing required parameters' });
@@ -76,7 +84,11 @@ router.get('/:sessionId/backup/:version/markdown', async (req, res, next) => {
     const backupDir = getSessionBackupDir(projectId, sessionId);
     const backupFilePath = path.join(backupDir, `v${version}.jsonl`);
     const sanitizeTypes = sanitize ? sanitize.split(',').filter(t => t.trim()) : [];
-    const options = { full: full === 'true', sanitizeTypes };
+    const options = {
+      full: full === 'true',
+      sanitizeTypes,
+      redact: resolveRedactionOptions(redact === 'true', await loadGlobalConfig())
+    };
     const result = await exportSessionAsMarkdown(backupFilePath, sessionId, projectId, format, version, options);
 
     res.json(result);
@@ -125,15 +137,17 @@ router.post('/convert', upload.single('file'), async (req, res, next) => {
 async function exportSessionAsMarkdown(filePath, sessionId, projectId, format, backupVersion = null, options = {}) {
   let parsed = await parseJsonlFile(filePath);
 
-  // Apply sanitization if message types are specified
+  // Apply sanitization if message types are specified or secrets should be redacted
   const sanitizeTypes = options.sanitizeTypes || [];
   let sanitizedCount = 0;
-  if (sanitizeTypes.length > 0) {
+  let redaction = null;
+  if (sanitizeTypes.length > 0 || options.redact) {
     const sanitizeResult = sanitizeSession(parsed, {
-      removeCriteria: {
+      removeCriteria: sanitizeTypes.length > 0 ? {
         messageTypes: sanitizeTypes,
         percentageRange: 100 // Apply to all messages
-      }
+      } : {},
+      redact: options.redact
     });
     // Create a new parsed object with sanitized messages
     parsed = {
@@ -141,6 +155,7 @@ async function exportSessionAsMarkdown(filePath, sessionId, projectId, format, b
       messages: sanitizeResult.messages
     };
     sanitizedCount = sanitizeResult.changes.removedMessages || 0;
+    redaction = sanitizeResult.redaction;
   }
 
   const messageOrder = getMessageOrder(parsed);
@@ -152,7 +167,7 @@ async function exportSessionAsMarkdown(filePath, sessionId, projectId, format, b
   let filename;
 
   // Add sanitize suffix to filename if sanitization was applied
-  const sanitizeSuffix = sanitizeTypes.length > 0 ? '-sanitized' : '';
+  const sanitizeSuffix = `${sanitizeTypes.length > 0 ? '-sanitized' : ''}${options.redact ? '-redacted' : ''}`;
 
   switch (format) {
     case 'plain':
@@ -179,6 +194,8 @@ async function exportSessionAsMarkdown(filePath, sessionId, projectId, format, b
     full: options.full || false,
     sanitized: sanitizeTypes.length > 0,
     sanitizeTypes,
+    redacted: Boolean(options.redact),
+    redaction,
     stats: {
       messageCount: messageOrder.length,
       fileCount: filesRead.length,
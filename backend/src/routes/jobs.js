@@ -0,0 +1,113 @@
+import express from 'express';
+import {
+  getJob,
+  listJobs,
+  getJobEvents,
+  isJobFinished,
+  cancelJob,
+  subscribeToJob
+} from '../services/job-queue.js';
+
+const router = express.Router();
+
+// Keep-alive comment interval for SSE connections (proxies drop idle streams)
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * GET /api/jobs
+ * List background jobs (newest first)
+ * Query: type, status, projectId, sessionId (all optional)
+ */
+router.get('/', (req, res) => {
+  const { type, status, projectId, sessionId } = req.query;
+  res.json({ jobs: listJobs({ type, status, projectId, sessionId }) });
+});
+
+/**
+ * GET /api/jobs/:jobId
+ * Get a job's status, progress and result
+ */
+router.get('/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: `Job not found: ${req.params.jobId}` });
+  }
+
+  res.json(job);
+});
+
+/**
+ * POST /api/jobs/:jobId/cancel
+ * Cancel a queued or running job
+ * Running jobs stop their LLM calls and release their session lock;
+ * the job's status becomes 'cancelled' once it has unwound
+ */
+router.post('/:jobId/cancel', (req, res) => {
+  try {
+    const job = cancelJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: `Job not found: ${req.params.jobId}` });
+    }
+
+    res.json(job);
+  } catch (error) {
+    if (error.code === 'JOB_FINISHED') {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId/events
+ * Stream job events over Server-Sent Events
+ * Replays recorded events first (after Last-Event-ID if reconnecting),
+ * then streams live events until the job completes, fails or is cancelled
+ */
+router.get('/:jobId/events', (req, res) => {
+  const { jobId } = req.params;
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0', 10) || 0;
+  const history = getJobEvents(jobId, lastEventId);
+
+  if (!history) {
+    return res.status(404).json({ error: `Job not found: ${jobId}` });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  history.forEach(send);
+
+  if (isJobFinished(jobId)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+  const unsubscribe = subscribeToJob(jobId, (event) => {
+    send(event);
+    if (event.type === 'completed' || event.type === 'failed' || event.type === 'cancelled') {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+export default router;
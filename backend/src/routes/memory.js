@@ -33,14 +33,18 @@ import {
   syncNewMessages,
   getSyncStatus
 } from '../services/memory-sync.js';
+import { createRedactor, resolveRedactionOptions } from '../services/secret-redactor.js';
 import {
   createCompressionVersion,
   listCompressionVersions,
   getCompressionVersion,
   getVersionContent,
+  getVersionAudit,
   deleteCompressionVersion,
   validateCompressionSettings,
+  estimateCompressionVersion,
   getPresetsInfo,
+  resolveTierPreset,
   TIER_PRESETS,
   COMPACTION_RATIOS
 } from '../services/memory-versions.js';
@@ -68,8 +72,10 @@ import {
 import {
   acquireSessionLock,
   withSessionLock,
+  isSessionLocked,
   getLockStatus,
   cleanupStaleLocks,
+  cancelSessionOperation,
   OperationType
 } from '../services/memory-lock.js';
 import {
@@ -88,12 +94,22 @@ import {
 import {
   getDeltaStatus,
   getHighestPartNumber,
-  getPartsByNumber
+  getPartsByNumber,
+  getRollups
 } from '../services/memory-delta.js';
 import {
   createDeltaCompression,
   recompressPart
 } from '../services/memory-versions-delta.js';
+import { rollupParts } from '../services/memory-versions-rollup.js';
+import { enqueueJob, listJobs, cancelJob, JobType, JobStatus } from '../services/job-queue.js';
+import { validatePromptTemplates } from '../services/memory-versions-validation.js';
+import {
+  getPromptTemplates,
+  DEFAULT_PROMPT_TEMPLATE,
+  SUMMARIZE_PLACEHOLDERS,
+  SELECT_PLACEHOLDERS
+} from '../services/prompt-templates.js';
 import {
   MemoryError,
   ValidationError,
@@ -133,6 +149,22 @@ const upload = multer({
 // Apply sanitization to all requests
 router.use(sanitizeRequestBody);
 
+// Background jobs that take the session's compression lock when they run
+const COMPRESSION_JOB_TYPES = [JobType.COMPRESSION, JobType.DELTA_COMPRESSION, JobType.ROLLUP];
+
+/**
+ * Whether a compression is running or waiting for the session
+ * A queued job only takes the lock once it starts, so queued and running jobs
+ * count too. Callers check and enqueue without awaiting in between, so two
+ * quick requests can't both get through.
+ */
+function isCompressionInProgress(projectId, sessionId) {
+  return isSessionLocked(projectId, sessionId, OperationType.COMPRESSION) ||
+    listJobs({ projectId, sessionId }).some(job =>
+      COMPRESSION_JOB_TYPES.includes(job.type) &&
+      (job.status === JobStatus.QUEUED || job.status === JobStatus.RUNNING));
+}
+
 // ============================================
 // Health & Status Endpoints
 // ============================================
@@ -203,6 +235,13 @@ router.put('/config', async (req, res, next) => {
   try {
     const updates = req.body;
 
+    if (updates.promptTemplates !== undefined) {
+      const templateErrors = validatePromptTemplates(updates.promptTemplates);
+      if (templateErrors.length > 0) {
+        throw new ValidationError('Invalid prompt templates', null, templateErrors);
+      }
+    }
+
     // Load current config and merge with updates
     const currentConfig = await loadGlobalConfig();
     const newConfig = {
@@ -406,6 +445,13 @@ router.put('/projects/:projectId/settings', async (req, res, next) => {
       });
     }
 
+    if (updates.promptTemplates !== undefined) {
+      const templateErrors = validatePromptTemplates(updates.promptTemplates, 'settings.promptTemplates');
+      if (templateErrors.length > 0) {
+        throw new ValidationError('Invalid prompt templates', null, templateErrors);
+      }
+    }
+
     const settings = await updateSettings(projectId, updates);
     res.json(settings);
   } catch (error) {
@@ -468,14 +514,16 @@ router.get('/projects/:projectId/sessions', async (req, res, next) => {
 /**
  * POST /api/memory/projects/:projectId/sessions/:sessionId
  * Register a session in the memory system
+ * Body: { originalFilePath, redact } - redact: true or redaction options to store the copy with secrets replaced
  */
 router.post('/projects/:projectId/sessions/:sessionId', async (req, res, next) => {
   try {
     const { projectId, sessionId } = req.params;
-    const { originalFilePath } = req.body;
+    const { originalFilePath, redact } = req.body;
 
     const sessionEntry = await registerSession(projectId, sessionId, {
-      originalFilePath
+      originalFilePath,
+      redact: resolveRedactionOptions(redact, await loadGlobalConfig())
     });
 
     res.status(201).json(sessionEntry);
@@ -694,13 +742,25 @@ router.get('/projects/:projectId/sessions/:sessionId/delta/status', async (req,
  * POST /api/memory/projects/:projectId/sessions/:sessionId/delta/compress
  * Create delta compression - compress only new messages since last compression
  * Body: { mode, tierPreset, model, ... } (compression settings)
- * Returns: compression record for the new part
+ * Query: background=true to run as a background job
+ * Returns: compression record for the new part (or 202 { jobId, job } in background mode)
  */
 router.post('/projects/:projectId/sessions/:sessionId/delta/compress', async (req, res, next) => {
   try {
     const { projectId, sessionId } = req.params;
     const settings = req.body;
 
+    if (req.query.background === 'true') {
+      if (isCompressionInProgress(projectId, sessionId)) {
+        throw new CompressionInProgressError(sessionId);
+      }
+
+      const job = enqueueJob(JobType.DELTA_COMPRESSION, { projectId, sessionId }, ({ reportProgress, signal }) =>
+        createDeltaCompression(projectId, sessionId, settings, { onProgress: reportProgress, signal })
+      );
+      return res.status(202).json({ jobId: job.id, job });
+    }
+
     const result = await createDeltaCompression(projectId, sessionId, settings);
     res.status(201).json(result);
   } catch (error) {
@@ -717,12 +777,19 @@ router.post('/projects/:projectId/sessions/:sessionId/delta/compress', async (re
         code: error.code
       });
     }
-    if (error.code === 'COMPRESSION_IN_PROGRESS') {
+    if (error.code === 'COMPRESSION_IN_PROGRESS' || error.code === 'COMPRESSION_CANCELLED') {
       return res.status(409).json({
         error: error.message,
         code: error.code
       });
     }
+    if (error.code === 'COMPRESSION_FAILED') {
+      return res.status(500).json({
+        error: error.message,
+        code: error.code,
+        ...(error.details && { details: error.details })
+      });
+    }
     next(error);
   }
 });
@@ -754,12 +821,77 @@ router.post('/projects/:projectId/sessions/:sessionId/parts/:partNumber/recompre
         code: error.code
       });
     }
-    if (error.code === 'VERSION_EXISTS' || error.code === 'COMPRESSION_IN_PROGRESS') {
+    if (error.code === 'VERSION_EXISTS' || error.code === 'COMPRESSION_IN_PROGRESS' ||
+        error.code === 'COMPRESSION_CANCELLED') {
+      return res.status(409).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error.code === 'COMPRESSION_FAILED') {
+      return res.status(500).json({
+        error: error.message,
+        code: error.code,
+        ...(error.details && { details: error.details })
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/memory/projects/:projectId/sessions/:sessionId/parts/rollup
+ * Summarize the chosen versions of parts fromPart..toPart into one rollup version
+ * Body: { fromPart, toPart, versions: { [partNumber]: versionId }, compactionRatio, aggressiveness, model, sessionDistance }
+ * Query: background=true to run as a background job
+ * Returns: rollup compression record with provenance (or 202 { jobId, job } in background mode)
+ */
+router.post('/projects/:projectId/sessions/:sessionId/parts/rollup', async (req, res, next) => {
+  try {
+    const { projectId, sessionId } = req.params;
+    const request = req.body;
+
+    if (req.query.background === 'true') {
+      if (isCompressionInProgress(projectId, sessionId)) {
+        throw new CompressionInProgressError(sessionId);
+      }
+
+      const job = enqueueJob(JobType.ROLLUP, { projectId, sessionId }, ({ reportProgress, signal }) =>
+        rollupParts(projectId, sessionId, request, { onProgress: reportProgress, signal })
+      );
+      return res.status(202).json({ jobId: job.id, job });
+    }
+
+    const result = await rollupParts(projectId, sessionId, request);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.code === 'SESSION_NOT_FOUND' || error.code === 'PART_NOT_FOUND' ||
+        error.code === 'VERSION_NOT_FOUND' || error.code === 'VERSION_FILE_NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error.code === 'INVALID_ROLLUP' || error.code === 'INSUFFICIENT_MESSAGES' ||
+        error.code === 'INVALID_SETTINGS') {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error.code === 'COMPRESSION_IN_PROGRESS' || error.code === 'COMPRESSION_CANCELLED') {
       return res.status(409).json({
         error: error.message,
         code: error.code
       });
     }
+    if (error.code === 'COMPRESSION_FAILED') {
+      return res.status(500).json({
+        error: error.message,
+        code: error.code,
+        ...(error.details && { details: error.details })
+      });
+    }
     next(error);
   }
 });
@@ -814,10 +946,24 @@ router.get('/projects/:projectId/sessions/:sessionId/parts', async (req, res, ne
     // Sort by part number
     parts.sort((a, b) => a.partNumber - b.partNumber);
 
+    const rollups = getRollups(session).map(r => ({
+      versionId: r.versionId,
+      file: r.file,
+      fromPart: r.rollup.fromPart,
+      toPart: r.rollup.toPart,
+      sources: r.rollup.sources,
+      outputTokens: r.outputTokens,
+      outputMessages: r.outputMessages,
+      compressionRatio: r.compressionRatio,
+      createdAt: r.createdAt,
+      settings: r.settings
+    }));
+
     res.json({
       sessionId,
       totalParts: parts.length,
-      parts
+      parts,
+      rollups
     });
   } catch (error) {
     next(error);
@@ -831,11 +977,12 @@ router.get('/projects/:projectId/sessions/:sessionId/parts', async (req, res, ne
 /**
  * POST /api/memory/projects/:projectId/sessions/batch-register
  * Register multiple sessions at once
+ * Body: { sessionIds, redact } - redact as for single registration
  */
 router.post('/projects/:projectId/sessions/batch-register', async (req, res, next) => {
   try {
     const { projectId } = req.params;
-    const { sessionIds } = req.body;
+    const { sessionIds, redact } = req.body;
 
     if (!Array.isArray(sessionIds) || sessionIds.length === 0) {
       return res.status(400).json({
@@ -843,6 +990,12 @@ router.post('/projects/:projectId/sessions/batch-register', async (req, res, nex
       });
     }
 
+    // Invalid patterns fail the whole batch rather than every session
+    const redactionOptions = resolveRedactionOptions(redact, await loadGlobalConfig());
+    if (redactionOptions) {
+      createRedactor(redactionOptions);
+    }
+
     const results = {
       successful: [],
       failed: []
@@ -850,7 +1003,7 @@ router.post('/projects/:projectId/sessions/batch-register', async (req, res, nex
 
     for (const sessionId of sessionIds) {
       try {
-        const sessionEntry = await registerSession(projectId, sessionId);
+        const sessionEntry = await registerSession(projectId, sessionId, { redact: redactionOptions });
         results.successful.push({
           sessionId,
           entry: sessionEntry
@@ -931,9 +1084,40 @@ router.get('/presets', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/memory/prompt-templates
+ * List the prompt templates selectable for compression
+ * Query: projectId to include the project's own templates
+ */
+router.get('/prompt-templates', async (req, res, next) => {
+  try {
+    const { projectId } = req.query;
+    const config = await loadGlobalConfig();
+    const settings = projectId && await manifestExists(projectId) ? await getSettings(projectId) : null;
+    const templates = getPromptTemplates(config, settings);
+
+    res.json({
+      defaultTemplate: DEFAULT_PROMPT_TEMPLATE,
+      placeholders: {
+        summarize: SUMMARIZE_PLACEHOLDERS,
+        select: SELECT_PLACEHOLDERS
+      },
+      templates: Object.entries(templates).map(([name, template]) => ({
+        name,
+        source: template.source,
+        description: template.description || '',
+        overrides: ['summarize', 'select', 'aggressiveness'].filter(field => template[field] !== undefined)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/memory/projects/:projectId/sessions/:sessionId/versions
  * Create a new compression version for a session
+ * Query: background=true to run as a background job (returns 202 { jobId, job })
  */
 router.post('/projects/:projectId/sessions/:sessionId/versions', async (req, res, next) => {
   try {
@@ -956,6 +1140,21 @@ router.post('/projects/:projectId/sessions/:sessionId/versions', async (req, res
       });
     }
 
+    // Background mode: return a job id immediately, progress via /api/jobs/:jobId/events
+    if (req.query.background === 'true') {
+      if (isCompressionInProgress(projectId, sessionId)) {
+        return res.status(409).json({
+          error: `compression already in progress for session ${sessionId}`,
+          code: 'COMPRESSION_IN_PROGRESS'
+        });
+      }
+
+      const job = enqueueJob(JobType.COMPRESSION, { projectId, sessionId }, ({ reportProgress, signal }) =>
+        createCompressionVersion(projectId, sessionId, settings, { onProgress: reportProgress, signal })
+      );
+      return res.status(202).json({ jobId: job.id, job });
+    }
+
     const compressionRecord = await createCompressionVersion(projectId, sessionId, settings);
     res.status(201).json(compressionRecord);
   } catch (error) {
@@ -983,10 +1182,17 @@ router.post('/projects/:projectId/sessions/:sessionId/versions', async (req, res
         code: error.code
       });
     }
+    if (error.code === 'COMPRESSION_CANCELLED') {
+      return res.status(409).json({
+        error: error.message,
+        code: error.code
+      });
+    }
     if (error.code === 'COMPRESSION_FAILED') {
       return res.status(500).json({
         error: error.message,
-        code: error.code
+        code: error.code,
+        ...(error.details && { details: error.details })
       });
     }
     next(error);
@@ -1066,6 +1272,58 @@ router.get('/projects/:projectId/sessions/:sessionId/versions/:versionId/content
   }
 });
 
+/**
+ * GET /api/memory/projects/:projectId/sessions/:sessionId/versions/:versionId/audit
+ * List the LLM exchanges recorded for a version (no prompts or responses)
+ * Query param: kind=summarize|select
+ */
+router.get('/projects/:projectId/sessions/:sessionId/versions/:versionId/audit', async (req, res, next) => {
+  try {
+    const { projectId, sessionId, versionId } = req.params;
+    const { kind = null } = req.query;
+
+    const audit = await getVersionAudit(projectId, sessionId, versionId, { kind });
+    res.json(audit);
+  } catch (error) {
+    if (error.code === 'SESSION_NOT_FOUND' || error.code === 'VERSION_NOT_FOUND' || error.code === 'AUDIT_NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/memory/projects/:projectId/sessions/:sessionId/versions/:versionId/audit/:exchange
+ * Get one recorded LLM exchange (chunk or selection) in full: prompts,
+ * raw responses, validation problems, parsed result and timing
+ */
+router.get('/projects/:projectId/sessions/:sessionId/versions/:versionId/audit/:exchange', async (req, res, next) => {
+  try {
+    const { projectId, sessionId, versionId } = req.params;
+    const exchange = Number(req.params.exchange);
+
+    if (!Number.isInteger(exchange) || exchange < 0) {
+      return res.status(400).json({
+        error: 'Exchange must be a non-negative integer index'
+      });
+    }
+
+    const audit = await getVersionAudit(projectId, sessionId, versionId, { exchange });
+    res.json(audit);
+  } catch (error) {
+    if (['SESSION_NOT_FOUND', 'VERSION_NOT_FOUND', 'AUDIT_NOT_FOUND', 'EXCHANGE_NOT_FOUND'].includes(error.code)) {
+      return res.status(404).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  }
+});
+
 /**
  * GET /api/memory/projects/:projectId/sessions/:sessionId/versions/:versionId/download
  * Download a compression version file
@@ -1138,9 +1396,12 @@ router.delete('/projects/:projectId/sessions/:sessionId/versions/:versionId', as
 /**
  * POST /api/memory/projects/:projectId/sessions/:sessionId/versions/validate
  * Validate compression settings without creating a version (dry run)
+ * Includes a pre-flight estimate of LLM calls, tokens and cost
+ * Query: delta=true to estimate only the uncompressed messages
  */
 router.post('/projects/:projectId/sessions/:sessionId/versions/validate', async (req, res, next) => {
   try {
+    const { projectId, sessionId } = req.params;
     const settings = req.body;
 
     const validation = validateCompressionSettings(settings);
@@ -1159,14 +1420,22 @@ router.post('/projects/:projectId/sessions/:sessionId/versions/validate', async
         ...(settings.mode === 'uniform' ? {
           compactionRatio: settings.compactionRatio || 10,
           aggressiveness: settings.aggressiveness || 'moderate'
+        } : settings.mode === 'extractive' ? {
+          keepPercent: settings.keepPercent || 20
         } : {
-          tierPreset: settings.tierPreset || 'standard',
-          tiers: settings.customTiers || TIER_PRESETS[settings.tierPreset || 'standard']
+          tierPreset: resolveTierPreset(settings),
+          tiers: TIER_PRESETS[resolveTierPreset(settings)] || settings.customTiers
         }),
-        model: settings.model || 'opus',
+        model: settings.mode === 'extractive' ? null : (settings.model || 'opus'),
         skipFirstMessages: settings.skipFirstMessages || 0,
-        keepitMode: settings.keepitMode || 'ignore'
-      }
+        keepitMode: settings.keepitMode || 'ignore',
+        toolMode: settings.toolMode || 'drop',
+        chunkStrategy: settings.chunkStrategy || 'fixed',
+        targetTokens: settings.targetTokens || null
+      },
+      estimate: await estimateCompressionVersion(projectId, sessionId, settings, {
+        delta: req.query.delta === 'true'
+      })
     });
   } catch (error) {
     next(error);
@@ -1840,6 +2109,32 @@ router.post('/locks/cleanup', asyncHandler(async (req, res) => {
   res.json(result);
 }));
 
+/**
+ * POST /api/memory/projects/:projectId/sessions/:sessionId/compression/cancel
+ * Cancel the session's in-flight compression (background job or direct request)
+ * Kills the running LLM calls; the compression lock is released as the run unwinds
+ * and no version files are written
+ */
+router.post('/projects/:projectId/sessions/:sessionId/compression/cancel', asyncHandler(async (req, res) => {
+  const { projectId, sessionId } = req.params;
+
+  const jobsCancelled = listJobs({ projectId, sessionId })
+    .filter(job => COMPRESSION_JOB_TYPES.includes(job.type))
+    .filter(job => job.status === JobStatus.QUEUED || job.status === JobStatus.RUNNING)
+    .map(job => cancelJob(job.id).id);
+
+  const operationCancelled = cancelSessionOperation(projectId, sessionId, OperationType.COMPRESSION);
+
+  if (!operationCancelled && jobsCancelled.length === 0) {
+    return res.status(404).json({
+      error: `No compression in progress for session ${sessionId}`,
+      code: 'NO_ACTIVE_COMPRESSION'
+    });
+  }
+
+  res.json({ cancelled: true, sessionId, jobsCancelled });
+}));
+
 // ============================================
 // Phase 5: Export/Import Endpoints
 // ============================================
@@ -3,8 +3,13 @@ import path from 'path';
 import os from 'os';
 import fs from 'fs-extra';
 import { sanitizeSession, calculateSanitizationImpact, sessionToJsonl, findDuplicateMessages, deduplicateMessages, extractAndReplaceImages } from '../services/sanitizer.js';
-import { parseJsonlFile, getMessageOrder } from '../services/jsonl-parser.js';
+import { parseJsonlFile, getMessageOrder, buildMessageGraph } from '../services/jsonl-parser.js';
 import { createBackup } from '../services/backup-manager.js';
+import { loadGlobalConfig } from '../services/memory-storage.js';
+import { resolveRedactionOptions } from '../services/secret-redactor.js';
+import { listProfiles, getProfile, saveProfile, deleteProfile } from '../services/sanitization-profiles.js';
+import { pruneBranches } from '../services/branch-pruning.js';
+import { validateSessionFile, validateMessages, repairSession } from '../services/session-validator.js';
 
 const router = express.Router();
 const PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
@@ -61,15 +66,235 @@ async function syncSessionsIndex(sessionFilePath, projectId) {
   }
 }
 
+/**
+ * Token/message impact of a sanitization, from the original and final messages
+ */
+function summarizeImpact(originalMessages, finalMessages) {
+  const originalTokens = originalMessages.reduce((sum, m) => sum + m.tokens.total, 0);
+  const sanitizedTokens = finalMessages.reduce((sum, m) => sum + m.tokens.total, 0);
+
+  return {
+    original: { messages: originalMessages.length, tokens: originalTokens },
+    sanitized: { messages: finalMessages.length, tokens: sanitizedTokens },
+    freed: {
+      messages: originalMessages.length - finalMessages.length,
+      tokens: originalTokens - sanitizedTokens,
+      percentage: originalTokens > 0 ? ((originalTokens - sanitizedTokens) / originalTokens) * 100 : 0
+    }
+  };
+}
+
+/**
+ * Whether a request value can name one file or directory under PROJECTS_DIR
+ */
+function isSafePathSegment(value) {
+  return typeof value === 'string' && value.length > 0 && !value.includes('..') && !/[\\/\0]/.test(value);
+}
+
+/**
+ * Apply a sanitization profile to one session
+ * Backs the session up before writing; a dry run only reports the impact
+ *
+ * @returns {Promise<Object>} Per-session report
+ */
+async function applyProfileToSession(projectId, sessionId, profile, { dryRun = false, globalConfig = {} } = {}) {
+  const sessionFilePath = path.join(PROJECTS_DIR, projectId, `${sessionId}.jsonl`);
+
+  if (!await fs.pathExists(sessionFilePath)) {
+    const error = new Error(`Session file not found: ${sessionFilePath}`);
+    error.code = 'SESSION_FILE_NOT_FOUND';
+    error.status = 404;
+    throw error;
+  }
+
+  const parsed = await parseJsonlFile(sessionFilePath);
+
+  // Content duplicates go first so the criteria's percentage range sees the deduplicated session
+  let source = parsed;
+  let duplicatesRemoved = 0;
+  if (profile.deduplicate) {
+    const messageOrder = getMessageOrder(parsed);
+    const deduplicated = deduplicateMessages(messageOrder, parsed.summary?.leafUuid);
+    duplicatesRemoved = messageOrder.length - deduplicated.length;
+    source = { ...parsed, messages: deduplicated };
+  }
+
+  const result = sanitizeSession(source, {
+    removeCriteria: { ...profile.criteria },
+    redact: resolveRedactionOptions(profile.redact, globalConfig)
+  });
+
+  const report = {
+    sessionId,
+    dryRun,
+    changes: { ...result.changes, duplicatesRemoved },
+    impact: summarizeImpact(parsed.messages, result.messages),
+    redaction: result.redaction && { total: result.redaction.total, byType: result.redaction.byType },
+    imagesExtracted: 0,
+    backup: null
+  };
+
+  if (dryRun) {
+    return report;
+  }
+
+  const backup = await createBackup(sessionId, projectId, parsed.messages, `Auto-backup before sanitization profile "${profile.name}"`);
+  report.backup = { version: backup.version, timestamp: backup.timestamp };
+
+  let finalMessages = result.messages;
+  if (profile.extractImages !== false) {
+    const imageExtractionResult = await extractAndReplaceImages(finalMessages, sessionId);
+    finalMessages = imageExtractionResult.messages;
+    report.imagesExtracted = imageExtractionResult.extractedCount;
+  }
+
+  const jsonlContent = sessionToJsonl({ ...parsed, messages: finalMessages }, finalMessages);
+  await fs.writeFile(sessionFilePath, jsonlContent, 'utf-8');
+  await syncSessionsIndex(sessionFilePath, projectId);
+
+  return report;
+}
+
+// ============================================
+// Sanitization Profiles
+// (registered before /:sessionId so "profiles" isn't taken for a session id)
+// ============================================
+
+/**
+ * GET /api/sanitize/profiles
+ * List saved sanitization profiles
+ */
+router.get('/profiles', async (req, res, next) => {
+  try {
+    res.json({ profiles: await listProfiles() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sanitize/profiles/:name
+ * Get one sanitization profile
+ */
+router.get('/profiles/:name', async (req, res, next) => {
+  try {
+    res.json(await getProfile(req.params.name));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/sanitize/profiles/:name
+ * Create or replace a sanitization profile
+ * Body: { description, criteria, deduplicate, extractImages, redact }
+ */
+router.put('/profiles/:name', async (req, res, next) => {
+  try {
+    res.json(await saveProfile(req.params.name, req.body || {}));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sanitize/profiles/:name
+ * Delete a sanitization profile
+ */
+router.delete('/profiles/:name', async (req, res, next) => {
+  try {
+    const profile = await deleteProfile(req.params.name);
+    res.json({ success: true, deleted: profile.name });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sanitize/profiles/:name/apply?projectId=X
+ * Apply a profile to one or more sessions of a project
+ * Each session is backed up before it is written; one failing session doesn't stop the batch
+ * Body: { sessionIds: string[], dryRun: boolean }
+ */
+router.post('/profiles/:name/apply', async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const { projectId } = req.query;
+    const { sessionIds, dryRun = false } = req.body || {};
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'Missing projectId' });
+    }
+    if (!isSafePathSegment(projectId)) {
+      return res.status(400).json({ error: 'Invalid projectId' });
+    }
+    if (!Array.isArray(sessionIds) || sessionIds.length === 0) {
+      return res.status(400).json({ error: 'Request body must include a non-empty "sessionIds" array' });
+    }
+    // Session ids become file names: reject anything that could leave the project directory
+    const invalidIds = sessionIds.filter(sessionId => !isSafePathSegment(sessionId));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        error: `Invalid session ids: ${invalidIds.map(sessionId => JSON.stringify(sessionId)).join(', ')}`
+      });
+    }
+
+    const profile = await getProfile(name);
+    const globalConfig = await loadGlobalConfig();
+
+    const results = {
+      profile: profile.name,
+      dryRun: dryRun === true,
+      successful: [],
+      failed: []
+    };
+
+    for (const sessionId of sessionIds) {
+      try {
+        results.successful.push(await applyProfileToSession(projectId, sessionId, profile, {
+          dryRun: dryRun === true,
+          globalConfig
+        }));
+      } catch (error) {
+        console.error(`[sanitize] Profile "${profile.name}" failed for ${sessionId}:`, error.message);
+        results.failed.push({
+          sessionId,
+          error: error.message,
+          code: error.code
+        });
+      }
+    }
+
+    results.totals = {
+      sessions: sessionIds.length,
+      succeeded: results.successful.length,
+      failed: results.failed.length,
+      freedMessages: results.successful.reduce((sum, r) => sum + r.impact.freed.messages, 0),
+      freedTokens: results.successful.reduce((sum, r) => sum + r.impact.freed.tokens, 0),
+      secretsRedacted: results.successful.reduce((sum, r) => sum + r.changes.secretsRedacted, 0)
+    };
+
+    console.log(`[sanitize] Profile "${profile.name}" applied to ${results.successful.length}/${sessionIds.length} sessions${results.dryRun ? ' (dry run)' : ''}`);
+
+    res.json(results);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/sanitize/:sessionId
  * Apply sanitization rules and save to file
+ * Body:
+ *   - removeMessages, removeFiles, criteria, extractImages
+ *   - redact: true or redaction options ({ detectors, customPatterns, entropyThreshold })
+ *   - dryRun: true to only return the impact and redaction findings (nothing is written)
  */
 router.post('/:sessionId', async (req, res, next) => {
   try {
     const { sessionId } = req.params;
     const { projectId } = req.query;
-    const { removeMessages, removeFiles, criteria, extractImages } = req.body;
+    const { removeMessages, removeFiles, criteria, extractImages, redact, dryRun } = req.body;
 
     if (!sessionId || !projectId) {
       return res.status(400).json({ error: 'Missing sessionId or projectId' });
@@ -81,15 +306,29 @@ router.post('/:sessionId', async (req, res, next) => {
     // Parse the session
     const parsed = await parseJsonlFile(sessionFilePath);
 
+    const sanitizeOptions = {
+      removeMessages: removeMessages || [],
+      removeFiles: removeFiles || [],
+      removeCriteria: criteria || {},
+      redact: resolveRedactionOptions(redact, await loadGlobalConfig())
+    };
+
+    if (dryRun) {
+      const impact = calculateSanitizationImpact(parsed, sanitizeOptions);
+      return res.json({
+        success: true,
+        dryRun: true,
+        changes: impact.changes,
+        impact,
+        redaction: impact.redaction
+      });
+    }
+
     // Create backup before modifying
     await createBackup(sessionId, projectId, parsed.messages, 'Auto-backup before sanitization');
 
     // Apply sanitization
-    const result = sanitizeSession(parsed, {
-      removeMessages: removeMessages || [],
-      removeFiles: removeFiles || [],
-      removeCriteria: criteria || {}
-    });
+    const result = sanitizeSession(parsed, sanitizeOptions);
 
     let finalMessages = result.messages;
     let imageExtractionResult = null;
@@ -101,6 +340,10 @@ router.post('/:sessionId', async (req, res, next) => {
       console.log(`[sanitize] Extracted ${imageExtractionResult.extractedCount} images`);
     }
 
+    if (result.redaction) {
+      console.log(`[sanitize] Redacted ${result.redaction.total} secrets`);
+    }
+
     // Save the sanitized session back to disk (preserving summary and file-history-snapshots)
     // Messages are kept in topological order (parents before children).
     // The leafUuid is preserved by sessionToJsonl from the original parsed.summary.
@@ -108,16 +351,19 @@ router.post('/:sessionId', async (req, res, next) => {
     await fs.writeFile(sessionFilePath, jsonlContent, 'utf-8');
     await syncSessionsIndex(sessionFilePath, projectId);
 
+    const validation = await validateSessionFile(sessionFilePath);
+    if (!validation.valid) {
+      console.warn(`[sanitize] ${sessionId} has ${validation.errors} integrity errors after sanitization:`, validation.byCode);
+    }
+
     res.json({
       success: true,
       changes: result.changes,
       messageCount: finalMessages.length,
       imagesExtracted: imageExtractionResult?.extractedCount || 0,
-      impact: calculateSanitizationImpact(parsed, {
-        removeMessages: removeMessages || [],
-        removeFiles: removeFiles || [],
-        removeCriteria: criteria || {}
-      })
+      impact: calculateSanitizationImpact(parsed, sanitizeOptions),
+      redaction: result.redaction,
+      validation
     });
   } catch (error) {
     next(error);
@@ -132,26 +378,35 @@ router.post('/:sessionId/apply', async (req, res, next) => {
   try {
     const { sessionId } = req.params;
     const { projectId } = req.query;
-    const { removeMessages, removeFiles, criteria, messages } = req.body;
+    const { removeMessages, removeFiles, criteria, messages, redact } = req.body;
 
     if (!sessionId || !projectId) {
       return res.status(400).json({ error: 'Missing sessionId or projectId' });
     }
 
+    // Parent chains can run through the session's progress records, which the request doesn't carry
+    const sessionFilePath = path.join(PROJECTS_DIR, projectId, `${sessionId}.jsonl`);
+    const progressRecords = await fs.pathExists(sessionFilePath)
+      ? (await parseJsonlFile(sessionFilePath)).progressRecords
+      : [];
+
     // Apply sanitization
     const result = sanitizeSession(
-      { messages: messages || [] },
+      { messages: messages || [], messageGraph: buildMessageGraph(messages || []), progressRecords },
       {
         removeMessages: removeMessages || [],
         removeFiles: removeFiles || [],
-        removeCriteria: criteria || {}
+        removeCriteria: criteria || {},
+        redact: resolveRedactionOptions(redact, await loadGlobalConfig())
       }
     );
 
     res.json({
       success: true,
       sanitizedMessages: result.messages,
-      changes: result.changes
+      changes: result.changes,
+      redaction: result.redaction,
+      validation: validateMessages(result.messages, { progressRecords })
     });
   } catch (error) {
     next(error);
@@ -241,6 +496,137 @@ router.post('/:sessionId/deduplicate', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/sanitize/:sessionId/prune-branches
+ * Remove abandoned conversation branches (records off the active leaf-to-root path)
+ * Body: { depth } - only prune branches forking within the first `depth` messages of the active path
+ */
+router.post('/:sessionId/prune-branches', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { projectId } = req.query;
+    const { depth } = req.body || {};
+
+    if (!sessionId || !projectId) {
+      return res.status(400).json({ error: 'Missing sessionId or projectId' });
+    }
+
+    // Construct full file path
+    const sessionFilePath = path.join(PROJECTS_DIR, projectId, `${sessionId}.jsonl`);
+
+    const parsed = await parseJsonlFile(sessionFilePath);
+    const messageOrder = getMessageOrder(parsed);
+    const { messages, progressRecords, analysis } = pruneBranches(parsed, messageOrder, { depth });
+    const { prunedUuids, ...report } = analysis;
+
+    if (prunedUuids.size === 0) {
+      return res.json({
+        success: true,
+        message: 'No abandoned branches to prune',
+        ...report,
+        originalCount: messageOrder.length,
+        newCount: messageOrder.length
+      });
+    }
+
+    // Create backup before modifying
+    await createBackup(sessionId, projectId, parsed.messages, 'Auto-backup before pruning branches');
+
+    // Progress records of pruned branches go too; sessionToJsonl writes whatever parsed carries
+    const prunedParsed = { ...parsed, messages, progressRecords };
+    const jsonlContent = sessionToJsonl(prunedParsed, messages);
+    await fs.writeFile(sessionFilePath, jsonlContent, 'utf-8');
+    await syncSessionsIndex(sessionFilePath, projectId);
+
+    console.log(`[prune-branches] Pruned ${report.totals.prunedBranches} branches (${report.totals.prunedMessages} messages) from ${sessionId}`);
+
+    res.json({
+      success: true,
+      message: `Pruned ${report.totals.prunedBranches} abandoned branches`,
+      ...report,
+      originalCount: messageOrder.length,
+      newCount: messages.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sanitize/:sessionId/repair
+ * Fix the structural problems the validator can repair safely (see session-validator.js)
+ * Body: { dryRun } - only report the repairs (nothing is written)
+ */
+router.post('/:sessionId/repair', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { projectId } = req.query;
+    const { dryRun } = req.body || {};
+
+    if (!sessionId || !projectId) {
+      return res.status(400).json({ error: 'Missing sessionId or projectId' });
+    }
+
+    // Construct full file path
+    const sessionFilePath = path.join(PROJECTS_DIR, projectId, `${sessionId}.jsonl`);
+
+    const before = await validateSessionFile(sessionFilePath);
+    const parsed = await parseJsonlFile(sessionFilePath);
+    const { messages, progressRecords, summary, repairs, validation } = repairSession(parsed);
+
+    // The parser already dropped these while reading; writing the file back removes them
+    for (const p of before.problems) {
+      if (p.code === 'DUPLICATE_UUID') {
+        repairs.unshift({ code: p.code, uuid: p.uuid, action: `Dropped the copy on line ${p.line}, kept line ${p.firstLine}` });
+      } else if (p.code === 'INVALID_JSON') {
+        repairs.unshift({ code: p.code, uuid: null, action: `Dropped line ${p.line}` });
+      }
+    }
+
+    // Re-parenting can surface new problems: never write a file with more errors than before
+    const worsened = validation.errors > before.errors;
+
+    if (dryRun || repairs.length === 0) {
+      return res.json({
+        success: true,
+        dryRun: Boolean(dryRun),
+        repairs,
+        before,
+        after: dryRun ? validation : before,
+        ...(dryRun && { refused: worsened })
+      });
+    }
+
+    if (worsened) {
+      const error = new Error(`Repair would raise the error count from ${before.errors} to ${validation.errors}; nothing was written`);
+      error.code = 'REPAIR_WORSENED';
+      error.status = 409;
+      throw error;
+    }
+
+    // Create backup before modifying
+    const backup = await createBackup(sessionId, projectId, parsed.messages, 'Auto-backup before integrity repair');
+
+    const repairedParsed = { ...parsed, summary, messages, progressRecords };
+    await fs.writeFile(sessionFilePath, sessionToJsonl(repairedParsed, messages), 'utf-8');
+    await syncSessionsIndex(sessionFilePath, projectId);
+
+    const after = await validateSessionFile(sessionFilePath);
+    console.log(`[repair] Applied ${repairs.length} repairs to ${sessionId}; ${after.errors} errors remain`);
+
+    res.json({
+      success: true,
+      dryRun: false,
+      repairs,
+      before,
+      after,
+      backup: { version: backup.version, timestamp: backup.timestamp }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/sanitize/:sessionId/extract-images
  * Extract embedded base64 images from session, save to disk, and replace with file references
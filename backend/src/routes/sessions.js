@@ -5,7 +5,13 @@ import { parseJsonlFile, getMessageOrder } from '../services/jsonl-parser.js';
 import { trackFilesInSession } from '../services/file-tracker.js';
 import { analyzeSubagents } from '../services/subagent-analyzer.js';
 import { calculateTokenBreakdown } from '../services/token-calculator.js';
-import { findDuplicateMessages } from '../services/sanitizer.js';
+import { findDuplicateMessages, sanitizeSession, hasAskUserQuestion } from '../services/sanitizer.js';
+import { loadGlobalConfig } from '../services/memory-storage.js';
+import { resolveRedactionOptions } from '../services/secret-redactor.js';
+import { compileMessageQuery, createQueryContext, selectMessages, expandToolPairs } from '../services/message-query.js';
+import { planReadDiffs, summarizeReadDiffs } from '../services/read-diff.js';
+import { analyzeBranches } from '../services/branch-pruning.js';
+import { validateSessionFile } from '../services/session-validator.js';
 
 const router = express.Router();
 const PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
@@ -47,6 +53,123 @@ router.get('/:sessionId/duplicates', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/sessions/:sessionId/query?projectId=X&q=...
+ * Find the messages matching a message query (see message-query.js)
+ * NOTE: This route must come BEFORE /:sessionId to avoid being caught by the generic route
+ */
+router.get('/:sessionId/query', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { projectId, q } = req.query;
+
+    if (!sessionId || !projectId) {
+      return res.status(400).json({ error: 'Missing sessionId or projectId' });
+    }
+
+    // Construct full file path
+    const sessionFilePath = path.join(PROJECTS_DIR, projectId, `${sessionId}.jsonl`);
+
+    const parsed = await parseJsonlFile(sessionFilePath);
+    const messageOrder = getMessageOrder(parsed);
+    const matches = selectMessages(messageOrder, q);
+
+    res.json({
+      query: q,
+      count: matches.length,
+      totalMessages: messageOrder.length,
+      tokens: matches.reduce((sum, m) => sum + m.tokens.total, 0),
+      uuids: matches.map(m => m.uuid)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sessions/:sessionId/read-diffs?projectId=X
+ * Tokens saved per file by rewriting repeated reads as diffs (criteria.diffRepeatedReads)
+ * NOTE: This route must come BEFORE /:sessionId to avoid being caught by the generic route
+ */
+router.get('/:sessionId/read-diffs', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { projectId } = req.query;
+
+    if (!sessionId || !projectId) {
+      return res.status(400).json({ error: 'Missing sessionId or projectId' });
+    }
+
+    // Construct full file path
+    const sessionFilePath = path.join(PROJECTS_DIR, projectId, `${sessionId}.jsonl`);
+
+    const parsed = await parseJsonlFile(sessionFilePath);
+    const plan = planReadDiffs(getMessageOrder(parsed), true);
+
+    res.json({
+      count: plan.length,
+      ...summarizeReadDiffs(plan)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sessions/:sessionId/branches?projectId=X&depth=N
+ * Branch points of the session and the abandoned branches pruning would remove
+ * NOTE: This route must come BEFORE /:sessionId to avoid being caught by the generic route
+ */
+router.get('/:sessionId/branches', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { projectId, depth } = req.query;
+
+    if (!sessionId || !projectId) {
+      return res.status(400).json({ error: 'Missing sessionId or projectId' });
+    }
+
+    // Construct full file path
+    const sessionFilePath = path.join(PROJECTS_DIR, projectId, `${sessionId}.jsonl`);
+
+    const parsed = await parseJsonlFile(sessionFilePath);
+    const { prunedUuids, ...analysis } = analyzeBranches(parsed, {
+      depth: depth === undefined || depth === '' ? undefined : Number(depth)
+    });
+
+    res.json({
+      ...analysis,
+      prunedUuids: Array.from(prunedUuids),
+      totalMessages: parsed.messages.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sessions/:sessionId/validate?projectId=X
+ * Structural problems that can stop Claude Code from resuming the session (see session-validator.js)
+ * NOTE: This route must come BEFORE /:sessionId to avoid being caught by the generic route
+ */
+router.get('/:sessionId/validate', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { projectId } = req.query;
+
+    if (!sessionId || !projectId) {
+      return res.status(400).json({ error: 'Missing sessionId or projectId' });
+    }
+
+    // Construct full file path
+    const sessionFilePath = path.join(PROJECTS_DIR, projectId, `${sessionId}.jsonl`);
+
+    res.json(await validateSessionFile(sessionFilePath));
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/sessions/:sessionId
  * Get parsed session with full analysis (files, tokens, subagents)
@@ -108,18 +231,36 @@ router.post('/:sessionId/preview', async (req, res, next) => {
   try {
     const { sessionId } = req.params;
     const { projectId } = req.query;
-    const { removeMessages, removeFiles, criteria } = req.body;
+    const { removeMessages, removeFiles, criteria, redact } = req.body;
 
     if (!sessionId || !projectId) {
       return res.status(400).json({ error: 'Missing sessionId or projectId' });
     }
 
+    // Compile first so an invalid query fails before the session is parsed
+    const queryPredicate = criteria?.query ? compileMessageQuery(criteria.query) : null;
+
     // Construct full file path
     const sessionFilePath = path.join(PROJECTS_DIR, projectId, `${sessionId}.jsonl`);
 
     const parsed = await parseJsonlFile(sessionFilePath);
     const messageOrder = getMessageOrder(parsed);
 
+    // Secrets, truncations, stale reads and read diffs are only reported for the messages the sanitization keeps
+    const redactionOptions = resolveRedactionOptions(redact, await loadGlobalConfig());
+    const simulated = redactionOptions || criteria?.truncateToolResults || criteria?.removeStaleReads || criteria?.diffRepeatedReads
+      ? sanitizeSession(parsed, {
+        removeMessages: removeMessages || [],
+        removeFiles: removeFiles || [],
+        removeCriteria: criteria || {},
+        redact: redactionOptions
+      })
+      : null;
+    const redaction = simulated?.redaction || null;
+    const truncation = simulated?.truncation || null;
+    const staleReads = simulated?.staleReads || null;
+    const readDiffs = simulated?.readDiffs || null;
+
     // Calculate original totals
     const originalMessages = messageOrder.length;
     const originalTokens = messageOrder.reduce((sum, m) => sum + m.tokens.total, 0);
@@ -155,7 +296,7 @@ router.post('/:sessionId/preview', async (req, res, next) => {
     let verboseTruncated = 0;
     let errorsCleaned = 0;
 
-    // Count messages affected by criteria (message types, percentage range)
+    // Count messages affected by criteria (message types, query, percentage range)
     if (criteria) {
       // Determine the scope: manual selection or percentage range
       let affectedMessages = messageOrder;
@@ -194,15 +335,27 @@ router.post('/:sessionId/preview', async (req, res, next) => {
       // Check if any actual criteria are set (not just scope)
       const hasCriteria =
         (criteria.messageTypes && criteria.messageTypes.length > 0) ||
+        queryPredicate ||
         criteria.removeErrors ||
         criteria.removeVerbose ||
         criteria.removeDuplicateFileReads;
 
       if (hasCriteria) {
-        // Apply message type filter if specified (these REMOVE messages)
-        if (criteria.messageTypes && criteria.messageTypes.length > 0) {
-          const typesSet = new Set(criteria.messageTypes);
-          const filtered = affectedMessages.filter(msg => matchesMessageType(msg, typesSet));
+        // Apply message type and query filters if specified (these REMOVE messages)
+        if ((criteria.messageTypes && criteria.messageTypes.length > 0) || queryPredicate) {
+          const typesSet = new Set(criteria.messageTypes || []);
+          const queryContext = queryPredicate ? createQueryContext(messageOrder) : null;
+          // Query matches take the other half of their tool pairs along, as the sanitizer does
+          const keepAskUserQuestion = criteria.preserveAskUserQuestion !== false ? hasAskUserQuestion : null;
+          const queryMatches = queryPredicate
+            ? expandToolPairs(new Set(affectedMessages
+              .filter(msg => queryPredicate(msg, queryContext) && !(keepAskUserQuestion && keepAskUserQuestion(msg)))
+              .map(msg => msg.uuid)), messageOrder, keepAskUserQuestion)
+            : new Set();
+          const affectedSet = new Set(affectedMessages);
+          const filtered = messageOrder.filter(msg =>
+            queryMatches.has(msg.uuid) || (affectedSet.has(msg) && matchesMessageType(msg, typesSet))
+          );
           removedMessages = filtered.length;
           removedTokens = filtered.reduce((sum, m) => sum + m.tokens.total, 0);
         }
@@ -253,8 +406,20 @@ router.post('/:sessionId/preview', async (req, res, next) => {
       // Content modifications (not removals)
       modified: {
         verboseTruncated,
-        errorsCleaned
-      }
+        errorsCleaned,
+        secretsRedacted: redaction?.total || 0,
+        toolResultsTruncated: truncation?.count || 0,
+        bytesTruncated: truncation?.removedBytes || 0,
+        staleReadsReplaced: staleReads?.count || 0,
+        // Estimated from the result text; tool results carry no usage data
+        staleReadTokensSaved: staleReads?.tokensSaved || 0,
+        readsDiffed: readDiffs?.count || 0,
+        readDiffTokensSaved: readDiffs?.totalTokensSaved || 0
+      },
+      redaction,
+      truncation,
+      staleReads,
+      readDiffs
     });
   } catch (error) {
     next(error);
@@ -2,10 +2,19 @@ import express from 'express';
 import path from 'path';
 import os from 'os';
 import fs from 'fs-extra';
-import { summarizeMessages, summarizeAndIntegrate, summarizeWithTiers, summarizeAndIntegrateWithTiers, TIER_PRESETS, DEFAULT_TIERS, COMPACTION_RATIOS, KEEP_RATIOS } from '../services/summarizer.js';
+import { summarizeMessages, summarizeAndIntegrate, summarizeWithTiers, summarizeAndIntegrateWithTiers, TIER_PRESETS, DEFAULT_TIERS, COMPACTION_RATIOS, KEEP_RATIOS, getTargetCount } from '../services/summarizer.js';
 import { parseJsonlFile, getMessageOrder } from '../services/jsonl-parser.js';
 import { sessionToJsonl, extractAndReplaceImages, findDuplicateMessages, deduplicateMessages } from '../services/sanitizer.js';
 import { createBackup } from '../services/backup-manager.js';
+import { loadGlobalConfig } from '../services/memory-storage.js';
+import { manifestExists, getSettings } from '../services/memory-manifest.js';
+import { resolveProviderConfig, isCancelledError, throwIfCancelled, VALID_PROVIDER_TYPES } from '../services/llm-providers.js';
+import { enqueueJob, JobType } from '../services/job-queue.js';
+import { openCheckpointRun, getCheckpointReport, clearCheckpointRun } from '../services/chunk-checkpoints.js';
+import { getPromptTemplates, resolvePromptTemplate } from '../services/prompt-templates.js';
+import { estimateSummarization, resolveModelPricing } from '../services/summarization-estimate.js';
+import { TOOL_MODES, DEFAULT_TOOL_MODE } from '../services/action-log.js';
+import { CHUNK_STRATEGIES, DEFAULT_CHUNK_STRATEGY } from '../services/chunking.js';
 
 const router = express.Router();
 const PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
@@ -28,7 +37,15 @@ router.post('/:sessionId/preview', async (req, res, next) => {
       // Tiered compaction options
       useTiers = false,
       tierPreset = null,  // 'gentle', 'standard', 'aggressive', or null for custom
-      tiers = null        // Custom tiers array
+      tiers = null,       // Custom tiers array
+      // Options that shape the LLM calls (used for the cost estimate)
+      model = 'opus',
+      skipFirstMessages = 0,
+      preserveLinks = true,
+      preserveAskUserQuestion = true,
+      promptTemplate = null,
+      toolMode = DEFAULT_TOOL_MODE,
+      chunkStrategy = DEFAULT_CHUNK_STRATEGY
     } = req.body;
 
     if (!sessionId || !projectId) {
@@ -74,6 +91,24 @@ router.post('/:sessionId/preview', async (req, res, next) => {
     // Count non-conversation messages (tools, thinking, etc.)
     const nonConversationMessages = targetUuids.length - conversationMessages.length;
 
+    // Pre-flight estimate of LLM calls, tokens and cost (mirrors the apply path)
+    const globalConfig = await loadGlobalConfig();
+    const estimate = estimateSummarization(messageOrder.filter(m => uuidSet.has(m.uuid)), {
+      mode: useTiers ? 'tiered' : 'uniform',
+      compactionRatio,
+      aggressiveness,
+      tiers: tiers || DEFAULT_TIERS,
+      tierPreset,
+      model,
+      skipFirstMessages,
+      preserveLinks,
+      preserveAskUserQuestion,
+      promptTemplate: resolvePromptTemplate(promptTemplate, getPromptTemplates(globalConfig)),
+      toolMode,
+      chunkStrategy,
+      pricing: resolveModelPricing(globalConfig.llm)
+    });
+
     // Estimate token reduction (rough: ~4 chars per token)
     const originalChars = conversationMessages.reduce((sum, m) => {
       const content = m.content;
@@ -96,6 +131,7 @@ router.post('/:sessionId/preview', async (req, res, next) => {
       const tieredResult = await summarizeWithTiers(conversationMessages, {
         tiers: effectiveTiers,
         tierPreset,
+        chunkStrategy,
         dryRun: true
       });
 
@@ -119,11 +155,14 @@ router.post('/:sessionId/preview', async (req, res, next) => {
         estimatedResultCharacters: Math.round(estimatedResultChars),
         messagesInRange: targetUuids.length,
         conversationMessagesInRange: conversationMessages.length,
-        nonConversationMessages  // Tools, thinking, etc. that will be removed
+        nonConversationMessages,  // Tools, thinking, etc. that will be removed
+        chunkStrategy,
+        chunks: estimate.tiers.flatMap(t => t.chunks),  // Planned chunk boundaries
+        estimate
       });
     } else {
       // Use uniform compaction
-      const targetCount = Math.max(2, Math.ceil(conversationMessages.length / compactionRatio));
+      const targetCount = getTargetCount(conversationMessages.length, compactionRatio);
       const estimatedResultChars = originalChars / compactionRatio;
 
       res.json({
@@ -138,7 +177,10 @@ router.post('/:sessionId/preview', async (req, res, next) => {
         estimatedResultCharacters: Math.round(estimatedResultChars),
         messagesInRange: targetUuids.length,
         conversationMessagesInRange: conversationMessages.length,
-        nonConversationMessages  // Tools, thinking, etc. that will be removed
+        nonConversationMessages,  // Tools, thinking, etc. that will be removed
+        chunkStrategy,
+        chunks: estimate.tiers.flatMap(t => t.chunks),  // Planned chunk boundaries
+        estimate
       });
     }
   } catch (error) {
@@ -147,116 +189,144 @@ router.post('/:sessionId/preview', async (req, res, next) => {
 });
 
 /**
- * POST /api/summarize/:sessionId/apply
- * Apply summarization and save changes
- * Supports both uniform and tiered compaction
- * Can modify original file or export to new file
+ * Run summarization for the apply endpoint
+ * Returns the response payload; bad requests throw errors with status 400
+ * @param {Object} options - { onProgress, signal } progress callback and cancel signal for background jobs
  */
-router.post('/:sessionId/apply', async (req, res, next) => {
-  try {
-    const { sessionId } = req.params;
-    const { projectId } = req.query;
-    const {
-      messageUuids,
-      percentageRange,
-      // Uniform compaction options
-      compactionRatio = 10,
-      aggressiveness = 'moderate',
-      model = 'opus',
-      // Tiered compaction options
-      useTiers = false,
-      tierPreset = null,
-      tiers = null,
-      // Auto-cleanup option
-      removeNonConversation = true,  // Remove tools/thinking from range
-      // Skip first N messages option
-      skipFirstMessages = 0,  // Keep first N messages as-is (for pasted context)
-      // Export options
-      outputMode = 'modify',  // 'modify' | 'export-jsonl' | 'export-markdown'
-      exportFilename = null,   // Optional custom filename for export
-      // Image extraction option (fixes Claude Code duplication bug)
-      extractImages = true,
-      // Link preservation option
-      preserveLinks = true,  // Ask LLM to preserve URLs and file paths
-      // AskUserQuestion preservation
-      preserveAskUserQuestion = true  // Preserve user interaction questions
-    } = req.body;
-
-    console.log(`[Summarize API] Apply request received:`);
-    console.log(`  - sessionId: ${sessionId}`);
-    console.log(`  - projectId: ${projectId}`);
-    console.log(`  - messageUuids: ${messageUuids?.length || 0} selected`);
-    console.log(`  - percentageRange: ${percentageRange}`);
-    console.log(`  - useTiers: ${useTiers}, tierPreset: ${tierPreset}`);
-    console.log(`  - compactionRatio: ${compactionRatio}, aggressiveness: ${aggressiveness}`);
-    console.log(`  - model: ${model}, outputMode: ${outputMode}`);
-    console.log(`  - skipFirstMessages: ${skipFirstMessages}`);
+async function applySummarization(sessionId, projectId, body, options = {}) {
+  const { onProgress = null, signal = null } = options;
+
+  const {
+    messageUuids,
+    percentageRange,
+    // Uniform compaction options
+    compactionRatio = 10,
+    aggressiveness = 'moderate',
+    model = 'opus',
+    provider = null,  // LLM provider override ('cli' | 'http' | 'fake'), defaults to the project's memory setting, then global config
+    // Tiered compaction options
+    useTiers = false,
+    tierPreset = null,
+    tiers = null,
+    // Auto-cleanup option
+    removeNonConversation = true,  // Remove tools/thinking from range
+    // Skip first N messages option
+    skipFirstMessages = 0,  // Keep first N messages as-is (for pasted context)
+    // Export options
+    outputMode = 'modify',  // 'modify' | 'export-jsonl' | 'export-markdown'
+    exportFilename = null,   // Optional custom filename for export
+    // Image extraction option (fixes Claude Code duplication bug)
+    extractImages = true,
+    // Link preservation option
+    preserveLinks = true,  // Ask LLM to preserve URLs and file paths
+    // AskUserQuestion preservation
+    preserveAskUserQuestion = true,  // Preserve user interaction questions
+    // Prompt template from the memory config (see prompt-templates.js)
+    promptTemplate = null,
+    // 'action-log' keeps tool calls as structured entries (see action-log.js)
+    toolMode = DEFAULT_TOOL_MODE,
+    // 'topic' splits long ranges at task/time/file boundaries (see chunking.js)
+    chunkStrategy = DEFAULT_CHUNK_STRATEGY
+  } = body;
+
+  console.log(`[Summarize API] Apply request received:`);
+  console.log(`  - sessionId: ${sessionId}`);
+  console.log(`  - projectId: ${projectId}`);
+  console.log(`  - messageUuids: ${messageUuids?.length || 0} selected`);
+  console.log(`  - percentageRange: ${percentageRange}`);
+  console.log(`  - useTiers: ${useTiers}, tierPreset: ${tierPreset}`);
+  console.log(`  - compactionRatio: ${compactionRatio}, aggressiveness: ${aggressiveness}`);
+  console.log(`  - model: ${model}, outputMode: ${outputMode}`);
+  console.log(`  - skipFirstMessages: ${skipFirstMessages}, toolMode: ${toolMode}, chunkStrategy: ${chunkStrategy}`);
+
+  if (!sessionId || !projectId) {
+    throw createBadRequest('Missing sessionId or projectId');
+  }
 
-    if (!sessionId || !projectId) {
-      return res.status(400).json({ error: 'Missing sessionId or projectId' });
-    }
+  if (!TOOL_MODES.includes(toolMode)) {
+    throw createBadRequest(`Invalid toolMode: ${toolMode}. Must be one of: ${TOOL_MODES.join(', ')}`);
+  }
 
-    // Construct full file path
-    const sessionFilePath = path.join(PROJECTS_DIR, projectId, `${sessionId}.jsonl`);
+  if (!CHUNK_STRATEGIES.includes(chunkStrategy)) {
+    throw createBadRequest(`Invalid chunkStrategy: ${chunkStrategy}. Must be one of: ${CHUNK_STRATEGIES.join(', ')}`);
+  }
 
-    // Parse the session
-    const parsed = await parseJsonlFile(sessionFilePath);
-    const messageOrder = getMessageOrder(parsed);
+  if (provider && !VALID_PROVIDER_TYPES.includes(provider)) {
+    throw createBadRequest(`Invalid provider: ${provider}. Must be one of: ${VALID_PROVIDER_TYPES.join(', ')}`);
+  }
 
-    // Determine which messages to summarize
-    let targetUuids;
+  const globalConfig = await loadGlobalConfig();
+  // Same precedence as compressions (see resolveManifestProvider), with the request on top;
+  // a project without a memory manifest has no setting, and none is created for it
+  const projectSettings = await manifestExists(projectId) ? await getSettings(projectId) : null;
+  const providerConfig = resolveProviderConfig(globalConfig.llm, provider || projectSettings?.llmProvider || null);
+  console.log(`  - provider: ${providerConfig.type}`);
+  const template = resolvePromptTemplate(promptTemplate, getPromptTemplates(globalConfig));
+  console.log(`  - promptTemplate: ${template.name}`);
+
+  // Construct full file path
+  const sessionFilePath = path.join(PROJECTS_DIR, projectId, `${sessionId}.jsonl`);
+
+  // Parse the session
+  const parsed = await parseJsonlFile(sessionFilePath);
+  const messageOrder = getMessageOrder(parsed);
+
+  // Determine which messages to summarize
+  let targetUuids;
+
+  if (messageUuids && messageUuids.length > 0) {
+    targetUuids = messageUuids;
+  } else if (percentageRange && percentageRange > 0) {
+    const cutoffIndex = Math.floor(messageOrder.length * (percentageRange / 100));
+    targetUuids = messageOrder.slice(0, cutoffIndex).map(m => m.uuid);
+  } else {
+    throw createBadRequest('Must provide either messageUuids or percentageRange');
+  }
 
-    if (messageUuids && messageUuids.length > 0) {
-      targetUuids = messageUuids;
-    } else if (percentageRange && percentageRange > 0) {
-      const cutoffIndex = Math.floor(messageOrder.length * (percentageRange / 100));
-      targetUuids = messageOrder.slice(0, cutoffIndex).map(m => m.uuid);
-    } else {
-      return res.status(400).json({
-        error: 'Must provide either messageUuids or percentageRange'
-      });
-    }
+  // Only create backup if modifying original file
+  if (outputMode === 'modify') {
+    await createBackup(sessionId, projectId, parsed.messages, 'Auto-backup before summarization');
+  }
 
-    // Only create backup if modifying original file
-    if (outputMode === 'modify') {
-      await createBackup(sessionId, projectId, parsed.messages, 'Auto-backup before summarization');
-    }
+  // ===== PRE-PROCESSING: Clean up data BEFORE sending to LLM =====
+  let cleanedMessages = [...messageOrder];
+  let imageExtractionResult = null;
+  let duplicatesRemoved = 0;
+
+  // Step 1: Deduplicate messages (reduces tokens sent to LLM)
+  const leafUuid = parsed.summary?.leafUuid;
+  const duplicateInfo = findDuplicateMessages(cleanedMessages, leafUuid);
+  if (duplicateInfo.totalDuplicates > 0) {
+    cleanedMessages = deduplicateMessages(cleanedMessages, leafUuid);
+    duplicatesRemoved = duplicateInfo.totalDuplicates;
+    console.log(`[Summarize API] Pre-processing: Removed ${duplicatesRemoved} duplicates`);
+  }
 
-    // ===== PRE-PROCESSING: Clean up data BEFORE sending to LLM =====
-    let cleanedMessages = [...messageOrder];
-    let imageExtractionResult = null;
-    let duplicatesRemoved = 0;
-
-    // Step 1: Deduplicate messages (reduces tokens sent to LLM)
-    const leafUuid = parsed.summary?.leafUuid;
-    const duplicateInfo = findDuplicateMessages(cleanedMessages, leafUuid);
-    if (duplicateInfo.totalDuplicates > 0) {
-      cleanedMessages = deduplicateMessages(cleanedMessages, leafUuid);
-      duplicatesRemoved = duplicateInfo.totalDuplicates;
-      console.log(`[Summarize API] Pre-processing: Removed ${duplicatesRemoved} duplicates`);
-    }
+  // Step 2: Extract images (replaces base64 blobs with file paths - huge token savings!)
+  if (extractImages !== false) {
+    imageExtractionResult = await extractAndReplaceImages(cleanedMessages, sessionId);
+    cleanedMessages = imageExtractionResult.messages;
+    console.log(`[Summarize API] Pre-processing: Extracted ${imageExtractionResult.extractedCount} images`);
+  }
 
-    // Step 2: Extract images (replaces base64 blobs with file paths - huge token savings!)
-    if (extractImages !== false) {
-      imageExtractionResult = await extractAndReplaceImages(cleanedMessages, sessionId);
-      cleanedMessages = imageExtractionResult.messages;
-      console.log(`[Summarize API] Pre-processing: Extracted ${imageExtractionResult.extractedCount} images`);
-    }
+  // Update parsed with cleaned messages for summarization
+  const cleanedParsed = { ...parsed, messages: cleanedMessages };
 
-    // Update parsed with cleaned messages for summarization
-    const cleanedParsed = { ...parsed, messages: cleanedMessages };
+  // Recalculate target UUIDs based on cleaned messages (some may have been removed)
+  const cleanedUuids = new Set(cleanedMessages.map(m => m.uuid));
+  const cleanedTargetUuids = targetUuids.filter(uuid => cleanedUuids.has(uuid));
 
-    // Recalculate target UUIDs based on cleaned messages (some may have been removed)
-    const cleanedUuids = new Set(cleanedMessages.map(m => m.uuid));
-    const cleanedTargetUuids = targetUuids.filter(uuid => cleanedUuids.has(uuid));
+  console.log(`[Summarize API] After pre-processing: ${cleanedMessages.length} messages, ${cleanedTargetUuids.length} targets`);
 
-    console.log(`[Summarize API] After pre-processing: ${cleanedMessages.length} messages, ${cleanedTargetUuids.length} targets`);
+  // ===== LLM SUMMARIZATION =====
+  let result;
 
-    // ===== LLM SUMMARIZATION =====
-    let result;
+  console.log(`[Summarize API] Starting summarization with ${cleanedTargetUuids.length} target messages...`);
 
-    console.log(`[Summarize API] Starting summarization with ${cleanedTargetUuids.length} target messages...`);
+  // Chunks that succeeded in an earlier failed attempt are reused from checkpoints
+  const checkpoint = await openCheckpointRun(`${projectId}/${sessionId}`);
 
+  try {
     if (useTiers) {
       // Use tiered compaction
       const effectiveTiers = tierPreset && TIER_PRESETS[tierPreset]
@@ -271,10 +341,17 @@ router.post('/:sessionId/apply', async (req, res, next) => {
         tiers: effectiveTiers,
         tierPreset,
         model,
+        provider: providerConfig,
         removeNonConversation,
         skipFirstMessages,
         preserveLinks,
-        preserveAskUserQuestion
+        preserveAskUserQuestion,
+        promptTemplate: template,
+        toolMode,
+        chunkStrategy,
+        signal,
+        checkpoint,
+        onProgress
       });
     } else {
       // Use uniform compaction
@@ -283,170 +360,308 @@ router.post('/:sessionId/apply', async (req, res, next) => {
         compactionRatio,
         aggressiveness,
         model,
+        provider: providerConfig,
         removeNonConversation,
         skipFirstMessages,
         preserveLinks,
-        preserveAskUserQuestion
+        preserveAskUserQuestion,
+        promptTemplate: template,
+        toolMode,
+        chunkStrategy,
+        signal,
+        checkpoint,
+        onProgress
       });
     }
 
-    console.log(`[Summarize API] Summarization complete:`, result.changes);
+    // Don't touch the session file if the run was cancelled during the last LLM call
+    throwIfCancelled(signal);
+  } catch (error) {
+    // Tell the caller which chunks are saved for the retry
+    error.checkpoints = getCheckpointReport(checkpoint);
+    throw error;
+  }
 
-    const finalMessages = result.messages;
-    const updatedParsed = { ...parsed, messages: finalMessages };
+  const checkpoints = getCheckpointReport(checkpoint);
 
-    // Handle different output modes
-    if (outputMode === 'modify') {
-      // Save the summarized session back to disk (original behavior)
-      // Sort messages by timestamp to ensure chronological order
-      const sortedMessages = [...finalMessages].sort((a, b) =>
-        new Date(a.timestamp) - new Date(b.timestamp)
-      );
-      const jsonlContent = sessionToJsonl(updatedParsed, sortedMessages);
-      await fs.writeFile(sessionFilePath, jsonlContent, 'utf-8');
+  console.log(`[Summarize API] Summarization complete:`, result.changes);
 
-      res.json({
-        success: true,
-        outputMode: 'modify',
-        changes: result.changes,
-        summaries: result.summaries,
-        tierResults: result.tierResults || null,
-        newMessageCount: finalMessages.length,
-        preProcessing: {
-          duplicatesRemoved,
-          imagesExtracted: imageExtractionResult?.extractedCount || 0
-        }
-      });
+  const finalMessages = result.messages;
+  const updatedParsed = { ...parsed, messages: finalMessages };
 
-    } else if (outputMode === 'export-jsonl') {
-      // Export as JSONL file (don't modify original)
-      // Sort messages by timestamp to ensure chronological order
-      const sortedMessages = [...finalMessages].sort((a, b) =>
-        new Date(a.timestamp) - new Date(b.timestamp)
-      );
-      const jsonlContent = sessionToJsonl(updatedParsed, sortedMessages);
-      const filename = exportFilename || `${sessionId}-summarized.jsonl`;
+  // Handle different output modes
+  if (outputMode === 'modify') {
+    // Save the summarized session back to disk (original behavior)
+    // Sort messages by timestamp to ensure chronological order
+    const sortedMessages = [...finalMessages].sort((a, b) =>
+      new Date(a.timestamp) - new Date(b.timestamp)
+    );
+    const jsonlContent = sessionToJsonl(updatedParsed, sortedMessages);
+    await fs.writeFile(sessionFilePath, jsonlContent, 'utf-8');
+    await clearCheckpointRun(checkpoint);
+
+    return {
+      success: true,
+      outputMode: 'modify',
+      changes: result.changes,
+      summaries: result.summaries,
+      tierResults: result.tierResults || null,
+      outputStats: result.outputStats || null,
+      checkpoints,
+      newMessageCount: finalMessages.length,
+      preProcessing: {
+        duplicatesRemoved,
+        imagesExtracted: imageExtractionResult?.extractedCount || 0
+      }
+    };
 
-      res.json({
-        success: true,
-        outputMode: 'export-jsonl',
-        changes: result.changes,
-        summaries: result.summaries,
-        tierResults: result.tierResults || null,
-        newMessageCount: finalMessages.length,
-        preProcessing: {
-          duplicatesRemoved,
-          imagesExtracted: imageExtractionResult?.extractedCount || 0
-        },
-        export: {
-          filename,
-          content: jsonlContent,
-          contentType: 'application/jsonl',
-          size: jsonlContent.length
+  } else if (outputMode === 'export-jsonl') {
+    // Export as JSONL file (don't modify original)
+    // Sort messages by timestamp to ensure chronological order
+    const sortedMessages = [...finalMessages].sort((a, b) =>
+      new Date(a.timestamp) - new Date(b.timestamp)
+    );
+    const jsonlContent = sessionToJsonl(updatedParsed, sortedMessages);
+    const filename = exportFilename || `${sessionId}-summarized.jsonl`;
+    await clearCheckpointRun(checkpoint);
+
+    return {
+      success: true,
+      outputMode: 'export-jsonl',
+      changes: result.changes,
+      summaries: result.summaries,
+      tierResults: result.tierResults || null,
+      outputStats: result.outputStats || null,
+      checkpoints,
+      newMessageCount: finalMessages.length,
+      preProcessing: {
+        duplicatesRemoved,
+        imagesExtracted: imageExtractionResult?.extractedCount || 0
+      },
+      export: {
+        filename,
+        content: jsonlContent,
+        contentType: 'application/jsonl',
+        size: jsonlContent.length
+      }
+    };
+
+  } else if (outputMode === 'export-markdown') {
+    // Export as Markdown (don't modify original)
+    const { sessionToMarkdown } = await import('../utils/markdown-export.js');
+
+    // Rebuild message graph for updated messages (since UUIDs changed)
+    const messagesMap = new Map(result.messages.map(m => [m.uuid, m]));
+    const messageGraph = {
+      roots: [],
+      childrenOf: new Map(),
+      parentOf: new Map()
+    };
+    for (const message of result.messages) {
+      if (!message.parentUuid || !messagesMap.has(message.parentUuid)) {
+        messageGraph.roots.push(message.uuid);
+      } else {
+        if (!messageGraph.childrenOf.has(message.parentUuid)) {
+          messageGraph.childrenOf.set(message.parentUuid, []);
         }
-      });
+        messageGraph.childrenOf.get(message.parentUuid).push(message.uuid);
+        messageGraph.parentOf.set(message.uuid, message.parentUuid);
+      }
+    }
 
-    } else if (outputMode === 'export-markdown') {
-      // Export as Markdown (don't modify original)
-      const { sessionToMarkdown } = await import('../utils/markdown-export.js');
-
-      // Rebuild message graph for updated messages (since UUIDs changed)
-      const messagesMap = new Map(result.messages.map(m => [m.uuid, m]));
-      const messageGraph = {
-        roots: [],
-        childrenOf: new Map(),
-        parentOf: new Map()
-      };
-      for (const message of result.messages) {
-        if (!message.parentUuid || !messagesMap.has(message.parentUuid)) {
-          messageGraph.roots.push(message.uuid);
-        } else {
-          if (!messageGraph.childrenOf.has(message.parentUuid)) {
-            messageGraph.childrenOf.set(message.parentUuid, []);
-          }
-          messageGraph.childrenOf.get(message.parentUuid).push(message.uuid);
-          messageGraph.parentOf.set(message.uuid, message.parentUuid);
-        }
+    // Sort messages by timestamp to ensure chronological order for markdown export
+    // (result.messages may be in graph order, not timestamp order)
+    const messageOrder = [...result.messages].sort((a, b) =>
+      new Date(a.timestamp) - new Date(b.timestamp)
+    );
+
+    const finalParsed = { ...updatedParsed, messageGraph };
+    const markdown = sessionToMarkdown(finalParsed, messageOrder, { format: 'markdown', full: false });
+    const filename = exportFilename || `${sessionId}-summarized.md`;
+    await clearCheckpointRun(checkpoint);
+
+    return {
+      success: true,
+      outputMode: 'export-markdown',
+      changes: result.changes,
+      summaries: result.summaries,
+      tierResults: result.tierResults || null,
+      outputStats: result.outputStats || null,
+      checkpoints,
+      newMessageCount: finalMessages.length,
+      preProcessing: {
+        duplicatesRemoved,
+        imagesExtracted: imageExtractionResult?.extractedCount || 0
+      },
+      export: {
+        filename,
+        content: markdown,
+        contentType: 'text/markdown',
+        size: markdown.length
       }
+    };
 
-      // Sort messages by timestamp to ensure chronological order for markdown export
-      // (result.messages may be in graph order, not timestamp order)
-      const messageOrder = [...result.messages].sort((a, b) =>
-        new Date(a.timestamp) - new Date(b.timestamp)
-      );
+  } else {
+    throw createBadRequest(`Invalid outputMode: ${outputMode}`);
+  }
+}
 
-      const finalParsed = { ...updatedParsed, messageGraph };
-      const markdown = sessionToMarkdown(finalParsed, messageOrder, { format: 'markdown', full: false });
-      const filename = exportFilename || `${sessionId}-summarized.md`;
+/**
+ * Create an error that the apply endpoint reports as 400 Bad Request
+ */
+function createBadRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
 
-      res.json({
-        success: true,
-        outputMode: 'export-markdown',
-        changes: result.changes,
-        summaries: result.summaries,
-        tierResults: result.tierResults || null,
-        newMessageCount: finalMessages.length,
-        preProcessing: {
-          duplicatesRemoved,
-          imagesExtracted: imageExtractionResult?.extractedCount || 0
-        },
-        export: {
-          filename,
-          content: markdown,
-          contentType: 'text/markdown',
-          size: markdown.length
-        }
-      });
+/**
+ * Map a summarization error to an HTTP status and response body
+ * Includes the checkpoint report when the run saved chunks before failing
+ */
+function describeApplyError(error) {
+  const described = classifyApplyError(error);
+  if (error.checkpoints) {
+    described.body.checkpoints = error.checkpoints;
+  }
+  return described;
+}
 
-    } else {
-      return res.status(400).json({ error: `Invalid outputMode: ${outputMode}` });
-    }
-  } catch (error) {
-    console.error(`[Summarize API] ERROR:`, error.message);
-    console.error(`[Summarize API] Stack:`, error.stack);
+/**
+ * Pick the HTTP status and message for a summarization error
+ */
+function classifyApplyError(error) {
+  if (error.status === 400) {
+    return { status: 400, body: { error: error.message } };
+  }
+
+  if (isCancelledError(error)) {
+    return { status: 409, body: { error: 'Summarization cancelled', code: error.code } };
+  }
+
+  // The model kept returning malformed output after the repair re-prompts
+  if (error.code === 'INVALID_LLM_OUTPUT') {
+    return {
+      status: 502,
+      body: {
+        error: 'Invalid LLM response',
+        code: error.code,
+        details: error.message,
+        problems: error.problems || [],
+        hint: 'The model did not return valid summaries after repair attempts. Retry, or try a different model.'
+      }
+    };
+  }
 
-    // Check if it's a Claude CLI error
-    if (error.message.includes('Claude CLI') || error.message.includes('claude')) {
-      return res.status(503).json({
+  // Check for HTTP provider errors
+  if (error.message.includes('LLM HTTP')) {
+    return {
+      status: 502,
+      body: {
+        error: 'LLM provider error',
+        details: error.message,
+        hint: 'Check llm.http.baseUrl and that the API key environment variable is set.'
+      }
+    };
+  }
+
+  // Check if it's a Claude CLI error
+  if (error.message.includes('Claude CLI') || error.message.includes('claude')) {
+    return {
+      status: 503,
+      body: {
         error: 'Claude CLI error',
         details: error.message,
         hint: 'Ensure Claude CLI is installed and authenticated. Run: claude --version'
-      });
-    }
+      }
+    };
+  }
 
-    // Check for spawn errors
-    if (error.message.includes('spawn') || error.message.includes('ENOENT')) {
-      return res.status(503).json({
+  // Check for spawn errors
+  if (error.message.includes('spawn') || error.message.includes('ENOENT')) {
+    return {
+      status: 503,
+      body: {
         error: 'Failed to start Claude CLI',
         details: error.message,
         hint: 'Claude CLI binary not found. Install with: npm install -g @anthropic-ai/claude-code'
-      });
-    }
+      }
+    };
+  }
 
-    // Check for timeout
-    if (error.message.includes('timed out')) {
-      return res.status(504).json({
+  // Check for timeout
+  if (error.message.includes('timed out')) {
+    return {
+      status: 504,
+      body: {
         error: 'Summarization timed out',
         details: error.message,
         hint: 'The summarization took too long. Try with fewer messages or a smaller range.'
-      });
-    }
+      }
+    };
+  }
 
-    // Check for parse errors
-    if (error.message.includes('parse') || error.message.includes('JSON')) {
-      return res.status(500).json({
+  // Check for parse errors
+  if (error.message.includes('parse') || error.message.includes('JSON')) {
+    return {
+      status: 500,
+      body: {
         error: 'Failed to parse Claude response',
         details: error.message,
         hint: 'Claude returned an unexpected format. Check server logs for details.'
-      });
-    }
+      }
+    };
+  }
 
-    // Generic error
-    return res.status(500).json({
+  // Generic error
+  return {
+    status: 500,
+    body: {
       error: 'Summarization failed',
       details: error.message,
       hint: 'Check server logs for more details.'
+    }
+  };
+}
+
+/**
+ * POST /api/summarize/:sessionId/apply
+ * Apply summarization and save changes
+ * Supports both uniform and tiered compaction
+ * Can modify original file or export to new file
+ * Query: background=true runs it as a background job and returns 202 { jobId, job };
+ * progress streams from GET /api/jobs/:jobId/events
+ */
+router.post('/:sessionId/apply', async (req, res) => {
+  const { sessionId } = req.params;
+  const { projectId, background } = req.query;
+
+  if (background === 'true') {
+    if (!sessionId || !projectId) {
+      return res.status(400).json({ error: 'Missing sessionId or projectId' });
+    }
+
+    const job = enqueueJob(JobType.SUMMARIZE, { projectId, sessionId }, async ({ reportProgress, signal }) => {
+      try {
+        return await applySummarization(sessionId, projectId, req.body, { onProgress: reportProgress, signal });
+      } catch (error) {
+        const { body } = describeApplyError(error);
+        error.details = body;
+        throw error;
+      }
     });
+    return res.status(202).json({ jobId: job.id, job });
+  }
+
+  try {
+    const payload = await applySummarization(sessionId, projectId, req.body);
+    res.json(payload);
+  } catch (error) {
+    console.error(`[Summarize API] ERROR:`, error.message);
+    console.error(`[Summarize API] Stack:`, error.stack);
+
+    const { status, body } = describeApplyError(error);
+    res.status(status).json(body);
   }
 });
 
@@ -12,6 +12,7 @@ import exportRoutes from './routes/export.js';
 import summarizeRoutes from './routes/summarize.js';
 import memoryRoutes from './routes/memory.js';
 import imagesRoutes from './routes/images.js';
+import jobRoutes from './routes/jobs.js';
 
 // Error handling imports
 import { memoryErrorHandler, MemoryError } from './services/memory-errors.js';
@@ -41,6 +42,7 @@ app.use('/api/export', exportRoutes);
 app.use('/api/summarize', summarizeRoutes);
 app.use('/api/memory', memoryRoutes);
 app.use('/api/images', imagesRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Global error handling middleware
 // Handles both MemoryError instances and generic errors
@@ -0,0 +1,243 @@
+/**
+ * Action Log
+ *
+ * Turns tool_use/tool_result pairs into compact structured entries so
+ * summarization keeps the exact sequence of Read/Edit/Bash actions instead
+ * of dropping them (text-only extraction) or paraphrasing them as prose.
+ *
+ * Entry: { id, tool, inputs, outcome, exitCode, excerpt }
+ *   - inputs:   key inputs only (file path, command, pattern, ...)
+ *   - outcome:  'success' | 'error' | 'interrupted' | 'no-result'
+ *   - exitCode: from an "Exit code N" line or toolUseResult, null when not recorded
+ *   - excerpt:  size-limited, whitespace-collapsed start of the result
+ */
+
+// Valid values for the `toolMode` summarization/compression option
+// 'drop' = text only (tool calls are not shown to the LLM)
+export const TOOL_MODES = ['drop', 'action-log'];
+export const DEFAULT_TOOL_MODE = 'drop';
+
+// Heading of the action block appended to a message's text
+export const ACTION_LOG_HEADER = 'Tool actions:';
+
+const DEFAULT_MAX_EXCERPT_CHARS = 200;
+const MAX_INPUT_CHARS = 160;
+
+// Inputs worth keeping, in display order; everything else (file contents,
+// edit strings, prompts) is too large or too noisy for a log line
+const KEY_INPUTS = [
+  'file_path',
+  'notebook_path',
+  'path',
+  'pattern',
+  'glob',
+  'command',
+  'url',
+  'query',
+  'subagent_type',
+  'description',
+  'skill'
+];
+
+// ============================================
+// Entry Extraction
+// ============================================
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.substring(0, maxChars)}...` : text;
+}
+
+/**
+ * Plain text of a tool_result block's content
+ */
+function getResultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(block => {
+        if (typeof block === 'string') return block;
+        if (block?.type === 'text') return block.text || '';
+        if (block?.type === 'image') return '[image]';
+        return '';
+      })
+      .join('\n');
+  }
+  return '';
+}
+
+function pickKeyInputs(input) {
+  const inputs = {};
+  if (!input || typeof input !== 'object') return inputs;
+
+  for (const key of KEY_INPUTS) {
+    const value = input[key];
+    if (typeof value === 'string' && value.trim()) {
+      inputs[key] = truncate(value.trim().replace(/\s+/g, ' '), MAX_INPUT_CHARS);
+    }
+  }
+  return inputs;
+}
+
+/**
+ * Index tool results by tool_use_id
+ * Results normally live in the user message that follows the tool call
+ * @returns {Map<string, { block, message }>}
+ */
+function indexToolResults(messages) {
+  const results = new Map();
+  for (const message of messages) {
+    const blocks = message.toolResults?.length
+      ? message.toolResults
+      : (Array.isArray(message.content) ? message.content.filter(b => b?.type === 'tool_result') : []);
+    for (const block of blocks) {
+      if (block.tool_use_id) {
+        results.set(block.tool_use_id, { block, message });
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Build the entry for one tool call
+ * @param {Object} toolUse - tool_use block
+ * @param {Object|null} result - { block, message } from indexToolResults
+ */
+function buildEntry(toolUse, result, maxExcerptChars) {
+  const entry = {
+    id: toolUse.id,
+    tool: toolUse.name || 'unknown',
+    inputs: pickKeyInputs(toolUse.input),
+    outcome: 'no-result',
+    exitCode: null,
+    excerpt: ''
+  };
+
+  if (!result) return entry;
+
+  const text = getResultText(result.block.content);
+  // Claude Code keeps the raw tool output next to the message
+  const toolUseResult = result.message.raw?.toolUseResult;
+
+  if (toolUseResult && typeof toolUseResult === 'object' && toolUseResult.interrupted) {
+    entry.outcome = 'interrupted';
+  } else {
+    entry.outcome = result.block.is_error ? 'error' : 'success';
+  }
+
+  // Only report an exit status that was recorded; a missing one is unknown, not 0
+  const exitMatch = text.match(/^Exit code (\d+)/m);
+  const recordedExit = toolUseResult && typeof toolUseResult === 'object'
+    ? [toolUseResult.exitCode, toolUseResult.returnCode].find(Number.isInteger)
+    : undefined;
+  if (exitMatch) {
+    entry.exitCode = Number(exitMatch[1]);
+  } else if (recordedExit !== undefined) {
+    entry.exitCode = recordedExit;
+  }
+
+  entry.excerpt = truncate(text.replace(/\s+/g, ' ').trim(), maxExcerptChars);
+  return entry;
+}
+
+/**
+ * Build action log entries for every tool call in a set of messages
+ *
+ * @param {Array} messages - Messages whose tool calls should be logged
+ * @param {Object} options - { resultMessages, maxExcerptChars }
+ *   resultMessages: messages to look up results in (defaults to `messages`);
+ *   pass the whole session when `messages` is a slice of it
+ * @returns {Map<string, Array>} Message uuid -> entries, in call order
+ */
+export function buildActionLog(messages, options = {}) {
+  const {
+    resultMessages = messages,
+    maxExcerptChars = DEFAULT_MAX_EXCERPT_CHARS
+  } = options;
+
+  const results = indexToolResults(resultMessages);
+  const log = new Map();
+
+  for (const message of messages) {
+    const toolUses = message.toolUses?.length
+      ? message.toolUses
+      : (Array.isArray(message.content) ? message.content.filter(b => b?.type === 'tool_use') : []);
+    if (toolUses.length === 0) continue;
+
+    log.set(message.uuid, toolUses.map(toolUse => buildEntry(toolUse, results.get(toolUse.id), maxExcerptChars)));
+  }
+
+  return log;
+}
+
+// ============================================
+// Formatting
+// ============================================
+
+/**
+ * Format one entry as a single log line
+ * e.g. `- Bash command="npm test" -> error (exit 1): FAIL src/app.test.js`
+ */
+export function formatActionEntry(entry) {
+  const inputs = Object.entries(entry.inputs)
+    .map(([key, value]) => `${key}=${JSON.stringify(value)}`)
+    .join(' ');
+  const exit = entry.exitCode !== null ? ` (exit ${entry.exitCode})` : '';
+  const excerpt = entry.excerpt ? `: ${entry.excerpt}` : '';
+  return `- ${entry.tool}${inputs ? ` ${inputs}` : ''} -> ${entry.outcome}${exit}${excerpt}`;
+}
+
+/**
+ * Format entries as a text block (header plus one line per entry)
+ */
+export function formatActionLog(entries) {
+  if (!entries || entries.length === 0) return '';
+  return [ACTION_LOG_HEADER, ...entries.map(formatActionEntry)].join('\n');
+}
+
+// ============================================
+// Message Annotation
+// ============================================
+
+/**
+ * Append each message's action log to its content
+ *
+ * Messages with tool calls are returned as copies with an extra text block
+ * (so prompts, cache keys and text filters see the actions) and an
+ * `actionLog` array of entries; other messages are returned unchanged.
+ * Tool-only assistant messages therefore count as conversation messages.
+ *
+ * @param {Array} messages - Messages to annotate
+ * @param {Object} options - See buildActionLog
+ * @returns {Array} Annotated messages, same order
+ */
+export function withActionLog(messages, options = {}) {
+  const log = buildActionLog(messages, options);
+  if (log.size === 0) return messages;
+
+  return messages.map(message => {
+    const entries = log.get(message.uuid);
+    // Messages annotated earlier (summarizeAndIntegrateWithTiers) keep their log
+    if (!entries || message.actionLog) return message;
+
+    const content = Array.isArray(message.content)
+      ? message.content
+      : [{ type: 'text', text: String(message.content || '') }];
+
+    return {
+      ...message,
+      content: [...content, { type: 'text', text: formatActionLog(entries), isActionLog: true }],
+      actionLog: entries
+    };
+  });
+}
+
+export default {
+  TOOL_MODES,
+  DEFAULT_TOOL_MODE,
+  ACTION_LOG_HEADER,
+  buildActionLog,
+  formatActionEntry,
+  formatActionLog,
+  withActionLog
+};
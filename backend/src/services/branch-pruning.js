@@ -0,0 +1,333 @@
+/**
+ * Branch Pruning
+ *
+ * Edits and retries leave abandoned branches in a session: records whose
+ * parentUuid chain doesn't reach the current leaf. Claude Code only ever
+ * resumes along the leaf-to-root path, so everything hanging off it is dead
+ * weight in the file.
+ *
+ * The active path starts at summary.leafUuid (or the latest main-chain
+ * message when there is no summary) and follows parentUuid to the root. A
+ * compact boundary starts a new chain with no parent; the path continues
+ * through its logicalParentUuid into the conversation before the compaction.
+ *
+ * A branch is the subtree under a child that leaves the active path (or a
+ * disconnected root tree). Only branches containing user/assistant turns are
+ * pruned: side records with no turns (progress records under a tool call) and
+ * sidechain messages are kept. Any record still referenced by a kept record's
+ * parentUuid or logicalParentUuid is kept, along with its ancestors.
+ *
+ * Options:
+ *   {}           - prune every abandoned branch
+ *   { depth }    - only prune branches forking within the first `depth`
+ *                  messages of the active path; deeper branches are kept
+ */
+
+const PREVIEW_CHARS = 80;
+
+// ============================================
+// Options
+// ============================================
+
+/**
+ * Validate branch pruning options
+ *
+ * @param {Object} options - { depth }
+ * @returns {Object} { depth: number|null }
+ * @throws {Error} INVALID_BRANCH_PRUNE
+ */
+export function resolveBranchPruneOptions(options = {}) {
+  const problems = [];
+
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    problems.push('must be an options object');
+  } else {
+    const { depth, ...rest } = options;
+    if (depth !== undefined && depth !== null && (!Number.isInteger(depth) || depth < 0)) {
+      problems.push('depth must be an integer >= 0');
+    }
+    if (Object.keys(rest).length > 0) {
+      problems.push(`unknown setting(s): ${Object.keys(rest).join(', ')}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid branch pruning: ${problems.join('; ')}`);
+    error.code = 'INVALID_BRANCH_PRUNE';
+    error.status = 400;
+    throw error;
+  }
+
+  return { depth: options.depth ?? null };
+}
+
+// ============================================
+// Record graph
+// ============================================
+
+/**
+ * Messages and progress records as one graph
+ * Progress records carry a parentUuid and can sit between two messages
+ */
+function buildRecordGraph(parsed) {
+  const records = new Map();
+  for (const message of parsed.messages) {
+    records.set(message.uuid, {
+      uuid: message.uuid,
+      parentUuid: message.parentUuid || null,
+      logicalParentUuid: message.raw?.logicalParentUuid || null,
+      kind: message.type,
+      isSidechain: message.isSidechain,
+      message
+    });
+  }
+  for (const progress of parsed.progressRecords || []) {
+    if (!progress.uuid || records.has(progress.uuid)) continue;
+    records.set(progress.uuid, {
+      uuid: progress.uuid,
+      parentUuid: progress.parentUuid || null,
+      logicalParentUuid: null,
+      kind: 'progress',
+      isSidechain: progress.isSidechain || false,
+      message: null
+    });
+  }
+
+  const childrenOf = new Map();
+  const roots = [];
+  for (const record of records.values()) {
+    if (record.parentUuid && records.has(record.parentUuid)) {
+      if (!childrenOf.has(record.parentUuid)) childrenOf.set(record.parentUuid, []);
+      childrenOf.get(record.parentUuid).push(record.uuid);
+    } else {
+      roots.push(record.uuid);
+    }
+  }
+
+  return { records, childrenOf, roots };
+}
+
+/**
+ * Record a chain continues into: its parent, or across a compact boundary
+ */
+function upLink(record, records) {
+  if (record.parentUuid && records.has(record.parentUuid)) return record.parentUuid;
+  if (!record.parentUuid && record.logicalParentUuid && records.has(record.logicalParentUuid)) {
+    return record.logicalParentUuid;
+  }
+  return null;
+}
+
+/**
+ * The leaf Claude Code resumes from
+ * @returns {Object} { uuid, source: 'summary'|'latest' }
+ */
+export function findActiveLeaf(parsed) {
+  const leafUuid = parsed.summary?.leafUuid;
+  if (leafUuid && parsed.messages.some(m => m.uuid === leafUuid)) {
+    return { uuid: leafUuid, source: 'summary' };
+  }
+
+  // The file is append-only, so the last main-chain turn is the newest
+  for (let i = parsed.messages.length - 1; i >= 0; i--) {
+    const message = parsed.messages[i];
+    if (!message.isSidechain && (message.type === 'user' || message.type === 'assistant')) {
+      return { uuid: message.uuid, source: 'latest' };
+    }
+  }
+  return { uuid: null, source: null };
+}
+
+function subtree(rootUuid, childrenOf) {
+  const uuids = [];
+  const stack = [rootUuid];
+  const seen = new Set();
+  while (stack.length > 0) {
+    const uuid = stack.pop();
+    if (seen.has(uuid)) continue;
+    seen.add(uuid);
+    uuids.push(uuid);
+    stack.push(...(childrenOf.get(uuid) || []));
+  }
+  return uuids;
+}
+
+function messagePreview(message) {
+  if (!message) return '';
+  for (const block of Array.isArray(message.content) ? message.content : []) {
+    let text = null;
+    if (block?.type === 'text') text = block.text;
+    else if (block?.type === 'tool_use') text = `[${block.name}]`;
+    else if (block?.type === 'tool_result') text = '[tool result]';
+    if (text) {
+      const line = text.replace(/\s+/g, ' ').trim();
+      return line.length > PREVIEW_CHARS ? `${line.slice(0, PREVIEW_CHARS)}...` : line;
+    }
+  }
+  return '';
+}
+
+// ============================================
+// Analysis
+// ============================================
+
+/**
+ * Find the branch points of a session and decide which branches to prune
+ *
+ * @param {Object} parsed - Output of parseJsonlFile
+ * @param {Object} options - { depth }
+ * @returns {Object} { leafUuid, leafSource, activePathLength, compactBoundaries, branchPoints, totals, prunedUuids }
+ *   branchPoints: [{ uuid, depth, timestamp, preview, activeChildUuid,
+ *                    branches: [{ rootUuid, action: 'prune'|'keep', messages, progressRecords,
+ *                                 tokens, firstTimestamp, lastTimestamp, preview, keptForLinks }] }]
+ *   (a branch point with uuid null holds the root trees the active path never reaches)
+ * @throws {Error} INVALID_BRANCH_PRUNE
+ */
+export function analyzeBranches(parsed, options = {}) {
+  const { depth: keepFromDepth } = resolveBranchPruneOptions(options);
+  const { records, childrenOf, roots } = buildRecordGraph(parsed);
+  const leaf = findActiveLeaf(parsed);
+
+  // Walk leaf to root, crossing compact boundaries
+  const path = [];
+  const onPath = new Set();
+  let compactBoundaries = 0;
+  for (let uuid = leaf.uuid; uuid && !onPath.has(uuid); ) {
+    const record = records.get(uuid);
+    path.push(uuid);
+    onPath.add(uuid);
+    const next = upLink(record, records);
+    if (next && next !== record.parentUuid) compactBoundaries++;
+    uuid = next;
+  }
+  path.reverse();
+  const depthOf = new Map(path.map((uuid, i) => [uuid, i]));
+
+  // Off-path subtrees, grouped by where they fork
+  const forks = [];
+  for (const uuid of path) {
+    const offPath = (childrenOf.get(uuid) || []).filter(child => !onPath.has(child));
+    if (offPath.length > 0) {
+      const activeChildUuid = (childrenOf.get(uuid) || []).find(child => onPath.has(child)) || null;
+      forks.push({ uuid, depth: depthOf.get(uuid), activeChildUuid, childUuids: offPath });
+    }
+  }
+  const detachedRoots = roots.filter(uuid => !onPath.has(uuid));
+  if (detachedRoots.length > 0) {
+    forks.unshift({ uuid: null, depth: -1, activeChildUuid: null, childUuids: detachedRoots });
+  }
+
+  const pruned = new Set();
+  const branchPoints = [];
+  for (const fork of forks) {
+    const branches = [];
+    for (const childUuid of fork.childUuids) {
+      // A detached tree reached through a logical link is on the path's lineage already
+      const uuids = subtree(childUuid, childrenOf).filter(uuid => !onPath.has(uuid));
+      const branchRecords = uuids.map(uuid => records.get(uuid));
+      const turns = branchRecords.filter(r => r.message && !r.isSidechain && (r.kind === 'user' || r.kind === 'assistant'));
+      if (turns.length === 0) continue;
+
+      const action = keepFromDepth !== null && fork.depth >= keepFromDepth ? 'keep' : 'prune';
+      const prunable = branchRecords.filter(r => !r.isSidechain);
+      if (action === 'prune') {
+        for (const record of prunable) pruned.add(record.uuid);
+      }
+
+      const timestamps = turns.map(r => r.message.timestamp).filter(Boolean).sort();
+      branches.push({
+        rootUuid: childUuid,
+        action,
+        uuids: prunable.map(r => r.uuid),
+        messages: prunable.filter(r => r.message).length,
+        progressRecords: prunable.filter(r => r.kind === 'progress').length,
+        tokens: prunable.reduce((sum, r) => sum + (r.message?.tokens?.total || 0), 0),
+        firstTimestamp: timestamps[0] || null,
+        lastTimestamp: timestamps[timestamps.length - 1] || null,
+        preview: messagePreview(turns[0].message),
+        keptForLinks: 0
+      });
+    }
+    if (branches.length === 0) continue;
+
+    const forkRecord = fork.uuid ? records.get(fork.uuid) : null;
+    branchPoints.push({
+      uuid: fork.uuid,
+      depth: fork.depth,
+      timestamp: forkRecord?.message?.timestamp || null,
+      preview: messagePreview(forkRecord?.message),
+      activeChildUuid: fork.activeChildUuid,
+      branches
+    });
+  }
+
+  // Keep whatever a kept record still points at, and that record's ancestors
+  const keptForLinks = new Set();
+  const pending = [...records.values()].filter(r => !pruned.has(r.uuid));
+  while (pending.length > 0) {
+    const record = pending.pop();
+    for (const target of [record.parentUuid, record.logicalParentUuid]) {
+      if (target && pruned.has(target)) {
+        pruned.delete(target);
+        keptForLinks.add(target);
+        pending.push(records.get(target));
+      }
+    }
+  }
+  for (const branch of branchPoints.flatMap(point => point.branches)) {
+    branch.keptForLinks = branch.uuids.filter(uuid => keptForLinks.has(uuid)).length;
+    if (branch.action === 'prune' && branch.keptForLinks === branch.uuids.length) {
+      branch.action = 'keep';
+    }
+  }
+
+  const prunedRecords = [...pruned].map(uuid => records.get(uuid));
+  const allBranches = branchPoints.flatMap(point => point.branches);
+  return {
+    leafUuid: leaf.uuid,
+    leafSource: leaf.source,
+    activePathLength: path.length,
+    compactBoundaries,
+    branchPoints: branchPoints.map(point => ({
+      ...point,
+      branches: point.branches.map(({ uuids, ...branch }) => branch)
+    })),
+    totals: {
+      branchPoints: branchPoints.length,
+      branches: allBranches.length,
+      prunedBranches: allBranches.filter(b => b.action === 'prune').length,
+      keptBranches: allBranches.filter(b => b.action === 'keep').length,
+      prunedMessages: prunedRecords.filter(r => r.message).length,
+      prunedProgressRecords: prunedRecords.filter(r => r.kind === 'progress').length,
+      prunedTokens: prunedRecords.reduce((sum, r) => sum + (r.message?.tokens?.total || 0), 0),
+      keptForLinks: keptForLinks.size
+    },
+    prunedUuids: pruned
+  };
+}
+
+/**
+ * Remove the abandoned branches of a session
+ *
+ * @param {Object} parsed - Output of parseJsonlFile
+ * @param {Array} orderedMessages - parsed.messages in conversation order (getMessageOrder)
+ * @param {Object} options - { depth }
+ * @returns {Object} { messages, progressRecords, analysis }
+ */
+export function pruneBranches(parsed, orderedMessages, options = {}) {
+  const analysis = analyzeBranches(parsed, options);
+  const { prunedUuids } = analysis;
+
+  return {
+    messages: orderedMessages.filter(m => !prunedUuids.has(m.uuid)),
+    progressRecords: (parsed.progressRecords || []).filter(p => !prunedUuids.has(p.uuid)),
+    analysis
+  };
+}
+
+export default {
+  resolveBranchPruneOptions,
+  findActiveLeaf,
+  analyzeBranches,
+  pruneBranches
+};
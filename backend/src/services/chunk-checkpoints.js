@@ -0,0 +1,200 @@
+/**
+ * Chunk Checkpoints
+ *
+ * Persists the result of every LLM step of a chunked summarization run
+ * (chunk summaries and hybrid-mode selections) under the memory cache dir,
+ * so a failed or cancelled run can be retried without paying again for
+ * the chunks that already succeeded.
+ *
+ * Layout: ~/.claude-memory/cache/checkpoints/{scope}/{key}.json
+ *   - scope: the session being summarized (one directory per session)
+ *   - key:   sha256 of the step's prompt, model and provider; the prompt
+ *            embeds the chunk content and all settings that shape it
+ *
+ * Checkpoints only exist to resume failed runs: callers clear the ones a
+ * run used once its output has been saved.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { getCacheDir } from './memory-storage.js';
+
+// Checkpoints from runs that were never retried are dropped after a week
+const CHECKPOINT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// ============================================
+// Paths and Keys
+// ============================================
+
+/**
+ * Get the root checkpoints directory
+ */
+export function getCheckpointsDir() {
+  return path.join(getCacheDir(), 'checkpoints');
+}
+
+/**
+ * Turn a scope (e.g. "projectId/sessionId") into a safe directory name
+ */
+function scopeToDirName(scope) {
+  return String(scope).replace(/[^\w.-]+/g, '_');
+}
+
+/**
+ * Name of the provider for key purposes
+ */
+function providerName(provider) {
+  if (!provider) return 'cli';
+  if (typeof provider === 'string') return provider;
+  return provider.type || 'cli';
+}
+
+/**
+ * Compute the checkpoint key for an LLM step
+ * @param {Object} parts - { kind, prompt, model, provider }
+ * @returns {string} Hex sha256 digest
+ */
+export function computeCheckpointKey({ kind, prompt, model, provider }) {
+  return createHash('sha256')
+    .update(JSON.stringify({ kind, model, provider: providerName(provider), prompt }))
+    .digest('hex');
+}
+
+// ============================================
+// Runs
+// ============================================
+
+/**
+ * Open a checkpoint run for a session
+ * The returned run is passed to the summarizer as the `checkpoint` option
+ * and records which steps were reused or generated
+ *
+ * @param {string} scope - Session scope, e.g. `${projectId}/${sessionId}`
+ * @returns {Promise<Object>} Run handle
+ */
+export async function openCheckpointRun(scope) {
+  const dir = path.join(getCheckpointsDir(), scopeToDirName(scope));
+  await fs.ensureDir(dir);
+  await pruneStaleCheckpoints(dir);
+
+  return {
+    scope,
+    dir,
+    nextIndex: 0,
+    steps: []
+  };
+}
+
+/**
+ * Run an LLM step through the checkpoint store
+ * Returns the saved result if this exact step already succeeded,
+ * otherwise runs `produce` and saves its result
+ *
+ * @param {Object|null} run - Run from openCheckpointRun (null disables checkpointing)
+ * @param {Object} step - { kind, prompt, model, provider, messages }
+ *   messages: the step's input messages (recorded as count and uuid range)
+ * @param {Function} produce - async () => result (must be JSON-serializable)
+ */
+export async function runCheckpointed(run, step, produce) {
+  if (!run) {
+    return produce();
+  }
+
+  const key = computeCheckpointKey(step);
+  const file = path.join(run.dir, `${key}.json`);
+  const messages = step.messages || [];
+  const record = {
+    // Steps of a run may execute concurrently, so indexes are taken up front
+    index: run.nextIndex++,
+    kind: step.kind,
+    key,
+    messageCount: messages.length,
+    firstUuid: messages[0]?.uuid || null,
+    lastUuid: messages[messages.length - 1]?.uuid || null
+  };
+
+  const saved = await fs.readJson(file).catch(() => null);
+  if (saved && saved.key === key && saved.result !== undefined) {
+    console.log(`[Checkpoints] Reusing ${step.kind} step ${record.index} (${key.slice(0, 12)})`);
+    run.steps.push({ ...record, status: 'reused' });
+    return saved.result;
+  }
+
+  const result = await produce();
+
+  try {
+    // Identical steps can run at once (parallel tiers, two jobs): each writes its own temp file
+    const tmpFile = `${file}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeJson(tmpFile, { key, kind: step.kind, createdAt: new Date().toISOString(), result });
+    await fs.rename(tmpFile, file);
+  } catch (error) {
+    // A missing checkpoint only costs a regeneration on retry
+    console.warn(`[Checkpoints] Failed to save step ${record.index}: ${error.message}`);
+  }
+
+  run.steps.push({ ...record, status: 'generated' });
+  return result;
+}
+
+/**
+ * Summarize which steps of a run were reused vs regenerated
+ * @returns {Object|null} { reused, generated, steps } or null without a run
+ */
+export function getCheckpointReport(run) {
+  if (!run) return null;
+
+  return {
+    reused: run.steps.filter(s => s.status === 'reused').length,
+    generated: run.steps.filter(s => s.status === 'generated').length,
+    steps: run.steps
+      .map(({ key, ...step }) => step)
+      .sort((a, b) => a.index - b.index)
+  };
+}
+
+/**
+ * Delete the checkpoints a run used (call after its output has been saved)
+ */
+export async function clearCheckpointRun(run) {
+  if (!run) return;
+
+  await Promise.all(run.steps.map(s =>
+    fs.remove(path.join(run.dir, `${s.key}.json`)).catch(() => {})
+  ));
+
+  // Drop the session directory once nothing is left in it
+  const remaining = await fs.readdir(run.dir).catch(() => null);
+  if (remaining && remaining.length === 0) {
+    await fs.remove(run.dir).catch(() => {});
+  }
+}
+
+/**
+ * Remove checkpoints older than the TTL from a session directory
+ */
+async function pruneStaleCheckpoints(dir) {
+  const now = Date.now();
+  const files = await fs.readdir(dir).catch(() => []);
+
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    try {
+      const stat = await fs.stat(filePath);
+      if (now - stat.mtimeMs > CHECKPOINT_TTL_MS) {
+        await fs.remove(filePath);
+      }
+    } catch (error) {
+      // Ignore files removed concurrently
+    }
+  }
+}
+
+export default {
+  getCheckpointsDir,
+  computeCheckpointKey,
+  openCheckpointRun,
+  runCheckpointed,
+  getCheckpointReport,
+  clearCheckpointRun
+};
@@ -0,0 +1,253 @@
+/**
+ * Chunk planning for summarization
+ *
+ * Long message ranges are summarized in chunks. The 'fixed' strategy cuts
+ * every MAX_MESSAGES_PER_CHUNK messages, which can separate a user request
+ * from its resolution. The 'topic' strategy cuts at natural boundaries
+ * instead and keeps the fixed size only as a ceiling:
+ *   - task:        a new user prompt after a finished tool cycle (tools
+ *                  used, then an assistant reply)
+ *   - time-gap:    a long pause between two messages
+ *   - file-change: a new user prompt whose turn works on other files
+ * Without a boundary before the ceiling, a chunk is cut at the ceiling
+ * ('size-limit').
+ */
+
+// Valid values for the `chunkStrategy` summarization/compression option
+export const CHUNK_STRATEGIES = ['fixed', 'topic'];
+export const DEFAULT_CHUNK_STRATEGY = 'fixed';
+
+// Maximum messages per chunk to avoid timeout (ceiling for every strategy)
+export const MAX_MESSAGES_PER_CHUNK = 30;
+
+// Topic chunks are not cut before this many messages, so boundaries
+// close together don't produce a run of tiny LLM calls
+const MIN_TOPIC_CHUNK_SIZE = 4;
+
+// Pause between two messages that starts a new chunk
+const DEFAULT_GAP_MINUTES = 30;
+
+// ============================================
+// Turn Analysis
+// ============================================
+
+function getBlocks(message) {
+  if (Array.isArray(message.content)) return message.content.filter(Boolean);
+  if (typeof message.content === 'string') return [{ type: 'text', text: message.content }];
+  return [];
+}
+
+/**
+ * A prompt typed by the user (not a tool result sent back to the model)
+ */
+function isUserPrompt(message) {
+  if (message.type !== 'user') return false;
+  const blocks = getBlocks(message);
+  if (blocks.some(b => b.type === 'tool_result')) return false;
+  return blocks.some(b => b.type === 'text' && (b.text || '').trim());
+}
+
+function getToolUses(message) {
+  return message.toolUses?.length ? message.toolUses : getBlocks(message).filter(b => b.type === 'tool_use');
+}
+
+function hasToolActivity(message) {
+  return getToolUses(message).length > 0 ||
+    message.toolResults?.length > 0 ||
+    getBlocks(message).some(b => b.type === 'tool_result');
+}
+
+/**
+ * Analyze the turns of a message range
+ * A turn starts at a user prompt and runs until the next one. Pass the
+ * unfiltered messages: tool calls and results usually sit in messages the
+ * summarizer drops before chunking.
+ *
+ * @param {Array} messages - Messages in conversation order
+ * @returns {Map<string, Object>} Prompt uuid -> { afterToolCycle, files }
+ *   afterToolCycle: tools were used since the last finished cycle and the
+ *                   assistant replied after the last tool result
+ *   files: file paths the tools of this turn worked on
+ */
+export function analyzeTurns(messages) {
+  const turns = new Map();
+  let current = null;
+  let usedTools = false;
+  let answered = false;  // The assistant replied after the last tool result
+
+  for (const message of messages) {
+    if (isUserPrompt(message)) {
+      const afterToolCycle = usedTools && answered;
+      current = { afterToolCycle, files: new Set() };
+      turns.set(message.uuid, current);
+      // A prompt sent before the reply leaves the tool cycle open
+      if (afterToolCycle) usedTools = false;
+      answered = false;
+      continue;
+    }
+
+    if (!hasToolActivity(message)) {
+      if (message.type === 'assistant') answered = true;
+      continue;
+    }
+    usedTools = true;
+    answered = false;
+
+    for (const toolUse of getToolUses(message)) {
+      const input = toolUse.input || {};
+      const file = input.file_path || input.notebook_path || input.path;
+      if (current && typeof file === 'string') {
+        current.files.add(file);
+      }
+    }
+  }
+
+  return turns;
+}
+
+// ============================================
+// Boundaries
+// ============================================
+
+/**
+ * Find the messages a topic chunk may start at
+ *
+ * @param {Array} messages - Messages to chunk (conversation order)
+ * @param {Object} options - { turns, gapMinutes }
+ *   turns: result of analyzeTurns (computed from `messages` when missing)
+ * @returns {Map<number, string>} Message index -> boundary reason
+ */
+export function findChunkBoundaries(messages, options = {}) {
+  const { gapMinutes = DEFAULT_GAP_MINUTES } = options;
+  const turns = options.turns || analyzeTurns(messages);
+  const boundaries = new Map();
+  let previousFiles = null;
+
+  messages.forEach((message, idx) => {
+    const turn = turns.get(message.uuid);
+
+    if (idx > 0) {
+      const gap = new Date(message.timestamp || 0) - new Date(messages[idx - 1].timestamp || 0);
+
+      if (turn?.afterToolCycle) {
+        boundaries.set(idx, 'task');
+      } else if (gapMinutes > 0 && gap >= gapMinutes * 60 * 1000) {
+        boundaries.set(idx, 'time-gap');
+      } else if (turn && turn.files.size > 0 && previousFiles?.size > 0 &&
+                 ![...turn.files].some(file => previousFiles.has(file))) {
+        boundaries.set(idx, 'file-change');
+      }
+    }
+
+    if (turn && turn.files.size > 0) {
+      previousFiles = turn.files;
+    }
+  });
+
+  return boundaries;
+}
+
+// ============================================
+// Chunk Planning
+// ============================================
+
+/**
+ * Split messages into summarization chunks
+ *
+ * @param {Array} messages - Messages to chunk (conversation order)
+ * @param {Object} options - { strategy, maxChunkSize, minChunkSize, gapMinutes, turns }
+ * @returns {Array<Object>} [{ messages, startIdx, endIdx, reason }]
+ *   reason: why the chunk starts where it does ('start', 'size-limit' or a boundary reason)
+ */
+export function planChunks(messages, options = {}) {
+  const {
+    strategy = DEFAULT_CHUNK_STRATEGY,
+    maxChunkSize = MAX_MESSAGES_PER_CHUNK,
+    minChunkSize = MIN_TOPIC_CHUNK_SIZE
+  } = options;
+
+  const chunks = [];
+  const pushChunk = (startIdx, endIdx, reason) => {
+    chunks.push({ messages: messages.slice(startIdx, endIdx), startIdx, endIdx, reason });
+  };
+
+  if (strategy !== 'topic') {
+    for (let i = 0; i < messages.length; i += maxChunkSize) {
+      pushChunk(i, Math.min(i + maxChunkSize, messages.length), i === 0 ? 'start' : 'size-limit');
+    }
+    return chunks;
+  }
+
+  const boundaries = findChunkBoundaries(messages, options);
+  let start = 0;
+  let startReason = 'start';
+
+  for (let idx = 1; idx <= messages.length; idx++) {
+    if (idx === messages.length) {
+      pushChunk(start, idx, startReason);
+      break;
+    }
+
+    const reason = boundaries.get(idx);
+    if (reason && idx - start >= minChunkSize) {
+      pushChunk(start, idx, startReason);
+      start = idx;
+      startReason = reason;
+      continue;
+    }
+
+    if (idx - start >= maxChunkSize) {
+      // Ceiling reached: cut at the latest boundary in this chunk if there is one
+      let cut = idx;
+      let cutReason = 'size-limit';
+      for (let b = idx - 1; b >= start + minChunkSize; b--) {
+        if (boundaries.has(b)) {
+          cut = b;
+          cutReason = boundaries.get(b);
+          break;
+        }
+      }
+      pushChunk(start, cut, startReason);
+      start = cut;
+      startReason = cutReason;
+    }
+  }
+
+  // Fold a short tail into the previous chunk when it fits under the ceiling
+  const last = chunks[chunks.length - 1];
+  const previous = chunks[chunks.length - 2];
+  if (previous && last.messages.length < minChunkSize &&
+      previous.messages.length + last.messages.length <= maxChunkSize) {
+    chunks.splice(chunks.length - 2, 2, {
+      messages: messages.slice(previous.startIdx, last.endIdx),
+      startIdx: previous.startIdx,
+      endIdx: last.endIdx,
+      reason: previous.reason
+    });
+  }
+
+  return chunks;
+}
+
+/**
+ * Describe planned chunks for previews (no message bodies)
+ * @returns {Array<Object>} [{ messages, reason, startUuid, startTimestamp }]
+ */
+export function describeChunks(chunks) {
+  return chunks.map(chunk => ({
+    messages: chunk.messages.length,
+    reason: chunk.reason,
+    startUuid: chunk.messages[0]?.uuid || null,
+    startTimestamp: chunk.messages[0]?.timestamp || null
+  }));
+}
+
+export default {
+  CHUNK_STRATEGIES,
+  DEFAULT_CHUNK_STRATEGY,
+  MAX_MESSAGES_PER_CHUNK,
+  analyzeTurns,
+  findChunkBoundaries,
+  planChunks,
+  describeChunks
+};
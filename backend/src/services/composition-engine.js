@@ -18,6 +18,7 @@ import {
   getVersionContent
 } from './memory-versions.js';
 import { extractTextContent } from './summarizer.js';
+import { MIN_TARGET_TOKENS } from './memory-versions-config.js';
 import { readJsonlAsArray, readJsonlContent } from '../utils/streaming-jsonl.js';
 import {
   getPartsByNumber,
@@ -57,6 +58,7 @@ export {
  * @param {number} criteria.maxTokens - Maximum token budget
  * @param {number} criteria.preferredRatio - Preferred compression ratio
  * @param {boolean} criteria.preserveKeepits - Whether to prioritize keepit preservation
+ * @param {boolean} criteria.preserveFacts - Whether to prioritize fact retention (version.retention.score)
  * @returns {number} Score from 0 to 1
  */
 export function scoreVersion(version, criteria) {
@@ -93,6 +95,12 @@ export function scoreVersion(version, criteria) {
     }
   }
 
+  // Fact retention priority (versions measured before retention scoring are not penalized)
+  if (criteria.preserveFacts && typeof version.retention?.score === 'number') {
+    // Score range: 0.5 (no facts retained) to 1.0 (all facts retained)
+    score *= 0.5 + (version.retention.score * 0.5);
+  }
+
   // Recency bonus - prefer newer versions slightly
   if (version.createdAt && criteria.preferRecent) {
     const ageMs = Date.now() - new Date(version.createdAt).getTime();
@@ -294,7 +302,10 @@ export async function composeContext(projectId, request) {
     allocationStrategy = 'equal',
     outputFormat = 'both', // 'md', 'jsonl', or 'both'
     model = 'opus',
-    description = ''
+    description = '',
+    preserveFacts = false,  // Prefer versions with higher fact retention when auto-selecting
+    preferRollups = true,   // Use part rollups in place of the parts they cover
+    compressionMode = 'llm' // 'llm' or 'extractive' (no LLM) for versions created on the fly
   } = request;
 
   // Validate required fields
@@ -398,7 +409,9 @@ export async function composeContext(projectId, request) {
       // Part-aware selection: select best version for each part
       const selectedPartVersions = selectBestVersionsForParts(session, {
         maxTokens: budget,
-        preserveKeepits: true
+        preserveKeepits: true,
+        preserveFacts,
+        preferRollups
       });
 
       tokenContribution = calculateTotalPartTokens(selectedPartVersions);
@@ -422,7 +435,8 @@ export async function composeContext(projectId, request) {
       // Auto-select best version or create new one
       const selectionResult = selectBestVersion(session, {
         maxTokens: budget,
-        preserveKeepits: true
+        preserveKeepits: true,
+        preserveFacts
       });
 
       if (selectionResult === 'original') {
@@ -434,10 +448,17 @@ export async function composeContext(projectId, request) {
         const requiredRatio = Math.ceil(session.originalTokens / budget);
         const compressionRatio = Math.max(2, Math.min(50, requiredRatio));
 
-        // Create new compression
-        selectedVersion = await createCompressionVersion(projectId, comp.sessionId, {
+        // Create new compression solved for the allocated budget; the preset
+        // only sets the shape of the tiers
+        const targetTokens = Math.max(MIN_TARGET_TOKENS, Math.floor(budget));
+        selectedVersion = await createCompressionVersion(projectId, comp.sessionId, compressionMode === 'extractive' ? {
+          mode: 'extractive',
+          targetTokens,
+          sessionDistance: i + 1
+        } : {
           mode: 'tiered',
           tierPreset: compressionRatio > 20 ? 'aggressive' : (compressionRatio > 10 ? 'standard' : 'gentle'),
+          targetTokens,
           model,
           sessionDistance: i + 1
         });
@@ -537,6 +558,7 @@ async function generateComposedOutput(projectId, name, components, manifest, for
       // Build part info for content record
       const partInfo = comp.selectedParts.map(p => ({
         partNumber: p.partNumber,
+        ...(p.partNumbers && { partNumbers: p.partNumbers }),
         versionId: p.versionId,
         outputTokens: p.outputTokens,
         isOriginal: p.isOriginal || false
@@ -630,6 +652,7 @@ async function generateComposedOutput(projectId, name, components, manifest, for
       // Include selected parts info if available
       selectedParts: c.selectedParts ? c.selectedParts.map(p => ({
         partNumber: p.partNumber,
+        ...(p.partNumbers && { partNumbers: p.partNumbers }),
         versionId: p.versionId,
         outputTokens: p.outputTokens
       })) : undefined
@@ -1041,7 +1064,9 @@ export async function previewComposition(projectId, request) {
   const {
     components,
     totalTokenBudget,
-    allocationStrategy = 'equal'
+    allocationStrategy = 'equal',
+    preserveFacts = false,
+    preferRollups = true
   } = request;
 
   const manifest = await loadManifest(projectId);
@@ -1121,7 +1146,9 @@ export async function previewComposition(projectId, request) {
       // Part-aware selection preview
       const selectedPartVersions = selectBestVersionsForParts(session, {
         maxTokens: budget,
-        preserveKeepits: true
+        preserveKeepits: true,
+        preserveFacts,
+        preferRollups
       });
 
       const totalPartTokens = calculateTotalPartTokens(selectedPartVersions);
@@ -1136,6 +1163,7 @@ export async function previewComposition(projectId, request) {
         partCount: selectedPartVersions.length,
         parts: selectedPartVersions.map(p => ({
           partNumber: p.partNumber,
+          ...(p.partNumbers && { partNumbers: p.partNumbers }),
           versionId: p.versionId,
           outputTokens: p.outputTokens,
           isOriginal: p.isOriginal || false
@@ -1146,7 +1174,8 @@ export async function previewComposition(projectId, request) {
       // Auto-select
       const selectionResult = selectBestVersion(session, {
         maxTokens: budget,
-        preserveKeepits: true
+        preserveKeepits: true,
+        preserveFacts
       });
 
       if (selectionResult === 'original') {
@@ -1200,7 +1229,8 @@ export async function previewComposition(projectId, request) {
       partInfo: partInfo.hasParts ? {
         partCount: partInfo.partCount,
         totalCompressedTokens: partInfo.totalCompressedTokens,
-        parts: partInfo.parts
+        parts: partInfo.parts,
+        rollups: partInfo.rollups
       } : null
     });
   }
@@ -14,7 +14,8 @@ import { readJsonlAsArray } from '../utils/streaming-jsonl.js';
 import {
   getPartsByNumber,
   getHighestPartNumber,
-  getPartVersions
+  getPartVersions,
+  getRollups
 } from './memory-delta.js';
 
 /**
@@ -26,6 +27,7 @@ import {
  * @param {number} criteria.maxTokens - Maximum token budget
  * @param {number} criteria.preferredRatio - Preferred compression ratio
  * @param {boolean} criteria.preserveKeepits - Prioritize keepit preservation
+ * @param {boolean} criteria.preserveFacts - Prioritize fact retention (version.retention.score)
  * @returns {number} Score from 0 to 1
  */
 export function scoreVersionForPart(version, criteria) {
@@ -62,6 +64,12 @@ export function scoreVersionForPart(version, criteria) {
     }
   }
 
+  // Fact retention priority (versions measured before retention scoring are not penalized)
+  if (criteria.preserveFacts && typeof version.retention?.score === 'number') {
+    // Score range: 0.5 (no facts retained) to 1.0 (all facts retained)
+    score *= 0.5 + (version.retention.score * 0.5);
+  }
+
   // Recency bonus - prefer newer versions slightly
   if (version.createdAt && criteria.preferRecent) {
     const ageMs = Date.now() - new Date(version.createdAt).getTime();
@@ -73,14 +81,53 @@ export function scoreVersionForPart(version, criteria) {
   return score;
 }
 
+/**
+ * Pick the rollups to use in place of their parts
+ * Widest acceptable rollups win; rollups overlapping an already picked one are skipped
+ *
+ * @param {Object} session - Session object from manifest
+ * @param {Map<number, Array>} partsByNumber - Parts from getPartsByNumber
+ * @param {Object} criteria - Selection criteria (maxTokens is the per-part budget)
+ * @returns {Array} Selected rollups with partNumber (first part) and partNumbers
+ */
+function selectRollups(session, partsByNumber, criteria) {
+  const selected = [];
+  const covered = new Set();
+
+  for (const rollup of getRollups(session)) {
+    const partNumbers = [];
+    for (let n = rollup.rollup.fromPart; n <= rollup.rollup.toPart; n++) {
+      partNumbers.push(n);
+    }
+
+    // Every part must still exist and not be covered by a wider rollup
+    if (partNumbers.some(n => !partsByNumber.has(n) || covered.has(n))) continue;
+
+    const score = scoreVersionForPart(rollup, {
+      ...criteria,
+      maxTokens: criteria.maxTokens * partNumbers.length
+    });
+    if (score < 0.3) continue;
+
+    selected.push({ ...rollup, partNumber: rollup.rollup.fromPart, partNumbers });
+    partNumbers.forEach(n => covered.add(n));
+  }
+
+  return selected;
+}
+
 /**
  * Select the best versions of all parts for a session
- * Returns an array of versions (one per part) that fit the budget
+ * Returns an array of versions (one per part) that fit the budget.
+ * Rollups are preferred over the parts they cover; such an entry stands
+ * for all of its parts (see `partNumbers`).
  *
  * @param {Object} session - Session object from manifest
  * @param {Object} criteria - Selection criteria
  * @param {number} criteria.maxTokens - Maximum token budget for entire session
  * @param {boolean} criteria.preserveKeepits - Prioritize keepit preservation
+ * @param {boolean} criteria.preserveFacts - Prioritize fact retention
+ * @param {boolean} criteria.preferRollups - Use rollups in place of their parts (default true)
  * @returns {Array} Array of selected version objects with partNumber
  */
 export function selectBestVersionsForParts(session, criteria) {
@@ -107,11 +154,19 @@ export function selectBestVersionsForParts(session, criteria) {
     ? Math.floor(criteria.maxTokens / partsByNumber.size)
     : Infinity;
 
+  const rollups = criteria.preferRollups === false
+    ? []
+    : selectRollups(session, partsByNumber, { ...criteria, maxTokens: perPartBudget });
+  const coveredParts = new Set(rollups.flatMap(r => r.partNumbers));
+  selectedVersions.push(...rollups);
+
   // Sort part numbers for ordered iteration
   const sortedPartNumbers = Array.from(partsByNumber.keys()).sort((a, b) => a - b);
 
   // Select best version for each part
   for (const partNumber of sortedPartNumbers) {
+    if (coveredParts.has(partNumber)) continue;
+
     const versions = partsByNumber.get(partNumber);
 
     // Score and select best version for this part
@@ -130,7 +185,7 @@ export function selectBestVersionsForParts(session, criteria) {
     }
   }
 
-  return selectedVersions;
+  return selectedVersions.sort((a, b) => a.partNumber - b.partNumber);
 }
 
 /**
@@ -247,6 +302,7 @@ export function getSessionPartInfo(session) {
       hasParts: false,
       partCount: 0,
       parts: [],
+      rollups: [],
       totalCompressedTokens: 0,
       totalCompressedMessages: 0
     };
@@ -288,10 +344,21 @@ export function getSessionPartInfo(session) {
     totalCompressedMessages += smallestVersion.outputMessages;
   }
 
+  const rollups = getRollups(session).map(r => ({
+    versionId: r.versionId,
+    fromPart: r.rollup.fromPart,
+    toPart: r.rollup.toPart,
+    sources: r.rollup.sources.map(src => src.versionId),
+    outputTokens: r.outputTokens,
+    outputMessages: r.outputMessages,
+    sourceTokens: r.rollup.sourceTokens
+  }));
+
   return {
     hasParts: true,
     partCount,
     parts,
+    rollups,
     totalCompressedTokens,
     totalCompressedMessages
   };
@@ -0,0 +1,440 @@
+/**
+ * Compress to Budget
+ *
+ * Solves the tier settings of a tiered compression for a target token
+ * count instead of asking for a preset or ratio:
+ *   1. Plan: scale the compaction ratios of the base tiers (preset or
+ *      custom) until the estimated output fits the target; when even the
+ *      lightest ratios fit, spend the slack on keeping the most recent
+ *      messages verbatim (keepPercent, newest tier first)
+ *   2. Run the compression with the planned tiers
+ *   3. If the output overshoots, strengthen only the tiers needed to cover
+ *      the overshoot and run again, up to maxAttempts runs. When even the
+ *      strongest settings of every tier can't cover it, stop and report
+ *      the budget as unreachable instead of spending the remaining runs.
+ *
+ * Tier boundaries never change between attempts, so tiers that are not
+ * strengthened reuse their chunk results from the checkpoint run and the
+ * summary cache: only the strengthened tiers cost new LLM calls.
+ *
+ * Output sizes are estimated like summarization-estimate.js does (summary
+ * text = input text / compaction ratio); after each run every tier's
+ * estimate is calibrated against the output that tier actually produced.
+ */
+
+import {
+  summarizeAndIntegrateWithTiers,
+  extractTextContent,
+  planTierEnds,
+  getTierRange,
+  TIER_PRESETS
+} from './summarizer.js';
+import { throwIfCancelled } from './llm-providers.js';
+import { estimateTokensByCharCount } from './token-calculator.js';
+import { withActionLog } from './action-log.js';
+import { countOutputTokens, resolveTierPreset } from './memory-versions-helpers.js';
+
+// Runs per budget compression (the first run plus re-runs on overshoot)
+export const DEFAULT_BUDGET_ATTEMPTS = 3;
+export const MAX_BUDGET_ATTEMPTS = 5;
+
+// Bounds of a solved compaction ratio (same as customTiers validation)
+const MIN_RATIO = 2;
+const MAX_RATIO = 50;
+
+// keepPercent values tried for a tier when the budget has slack (largest first)
+// 100 is left out: it keeps the whole tier and still pays for a selection call
+const KEEP_PERCENT_STEPS = [50, 30, 20, 10];
+
+const AGGRESSIVENESS_ORDER = ['minimal', 'moderate', 'aggressive'];
+
+// ============================================
+// Measuring
+// ============================================
+
+function countTextTokens(messages) {
+  return messages.reduce((sum, m) => sum + estimateTokensByCharCount(extractTextContent(m)), 0);
+}
+
+/**
+ * Split a range the way summarizeAndIntegrateWithTiers does
+ * @returns {Object} { conversationMessages, fixedTokens }
+ *   fixedTokens: output tokens no tier setting can change (messages
+ *                outside the range and the skipped first messages)
+ */
+function measureRange(parsed, messageUuids, options) {
+  const { toolMode = 'drop', skipFirstMessages = 0 } = options;
+  const uuidSet = new Set(messageUuids);
+  const targetMessages = parsed.messages.filter(m => uuidSet.has(m.uuid));
+  const outsideMessages = parsed.messages.filter(m => !uuidSet.has(m.uuid));
+
+  const sourceMessages = toolMode === 'action-log'
+    ? withActionLog(targetMessages, { resultMessages: parsed.messages })
+    : targetMessages;
+
+  const allConversationMessages = sourceMessages
+    .filter(m => (m.type === 'user' || m.type === 'assistant') && extractTextContent(m).trim())
+    .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+
+  return {
+    conversationMessages: allConversationMessages.slice(skipFirstMessages),
+    fixedTokens: countTextTokens(outsideMessages) +
+      countTextTokens(allConversationMessages.slice(0, skipFirstMessages))
+  };
+}
+
+/**
+ * Text tokens of each tier, aligned with `tiers` (splitIntoTiers skips empty tiers)
+ */
+function measureTierTokens(messages, tiers) {
+  const { endIndices } = planTierEnds(messages, tiers);
+  let startIdx = 0;
+  return endIndices.map(endIdx => {
+    const tokens = endIdx > startIdx ? countTextTokens(messages.slice(startIdx, endIdx)) : 0;
+    startIdx = Math.max(startIdx, endIdx);
+    return tokens;
+  });
+}
+
+/**
+ * Estimated output tokens of one tier
+ */
+function estimateTierOutput(tokens, tier) {
+  const keepPercent = tier.keepPercent || 0;
+  const kept = tokens * keepPercent / 100;
+
+  // Ratio 0 discards the rest in hybrid mode and passes everything through otherwise
+  if (tier.compactionRatio === 0) return keepPercent > 0 ? kept : tokens;
+  if (tier.compactionRatio === 1) return tokens;
+  return kept + (tokens - kept) / tier.compactionRatio;
+}
+
+function estimateOutput(tierTokens, tiers) {
+  return Math.ceil(tiers.reduce((sum, tier, i) => sum + estimateTierOutput(tierTokens[i], tier), 0));
+}
+
+// ============================================
+// Planning
+// ============================================
+
+function aggressivenessForRatio(ratio) {
+  if (ratio >= 15) return 'aggressive';
+  if (ratio >= 5) return 'moderate';
+  return 'minimal';
+}
+
+/**
+ * Fields that place a tier (percent or age boundary)
+ */
+function tierBoundary(tier) {
+  return {
+    ...(tier.endPercent !== undefined && { endPercent: tier.endPercent }),
+    ...(tier.olderThanHours !== undefined && { olderThanHours: tier.olderThanHours })
+  };
+}
+
+function scaleTiers(baseTiers, scale) {
+  return baseTiers.map(tier => {
+    const compactionRatio = Math.min(MAX_RATIO, Math.max(MIN_RATIO, Math.round(Math.max(MIN_RATIO, tier.compactionRatio) * scale)));
+    return {
+      ...tierBoundary(tier),
+      compactionRatio,
+      aggressiveness: aggressivenessForRatio(compactionRatio)
+    };
+  });
+}
+
+/**
+ * Tiers a budget run starts from (same precedence as summarizeWithTiers: preset wins)
+ */
+export function resolveBaseTiers(settings) {
+  return TIER_PRESETS[resolveTierPreset(settings)] || settings.customTiers || TIER_PRESETS.standard;
+}
+
+/**
+ * Solve tier settings for a token budget
+ *
+ * @param {Array} tierTokens - Text tokens per tier (measureTierTokens)
+ * @param {number} available - Output tokens the tiers may use
+ * @param {Array} baseTiers - Tiers whose boundaries and ratio shape are kept
+ * @returns {Object} { tiers, estimatedTokens, fits }
+ */
+function solveTiers(tierTokens, available, baseTiers) {
+  const minBaseRatio = Math.max(MIN_RATIO, Math.min(...baseTiers.map(t => Math.max(MIN_RATIO, t.compactionRatio))));
+  let low = MIN_RATIO / MAX_RATIO;
+  let high = MAX_RATIO / minBaseRatio;
+
+  // Even the strongest ratios overshoot: plan them and let the caller report it
+  if (estimateOutput(tierTokens, scaleTiers(baseTiers, high)) > available) {
+    const tiers = scaleTiers(baseTiers, high);
+    return { tiers, estimatedTokens: estimateOutput(tierTokens, tiers), fits: false };
+  }
+
+  // Smallest scale (lightest compression) whose estimate fits; the estimate
+  // only shrinks as the scale grows
+  if (estimateOutput(tierTokens, scaleTiers(baseTiers, low)) > available) {
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2;
+      if (estimateOutput(tierTokens, scaleTiers(baseTiers, mid)) > available) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    const tiers = scaleTiers(baseTiers, high);
+    return { tiers, estimatedTokens: estimateOutput(tierTokens, tiers), fits: true };
+  }
+
+  // Everything fits at the lightest ratios: keep recent messages verbatim with the slack
+  const tiers = scaleTiers(baseTiers, low);
+  for (let i = tiers.length - 1; i >= 0; i--) {
+    const keepPercent = KEEP_PERCENT_STEPS.find(keep =>
+      estimateOutput(tierTokens, tiers.map((t, j) => (j === i ? { ...t, keepPercent: keep } : t))) <= available
+    );
+    if (!keepPercent) break;
+    tiers[i] = { ...tiers[i], keepPercent };
+  }
+
+  return { tiers, estimatedTokens: estimateOutput(tierTokens, tiers), fits: true };
+}
+
+/**
+ * Plan a budget compression of a message range without running it
+ *
+ * @param {Object} parsed - Parsed session
+ * @param {Array} messageUuids - Range to compress
+ * @param {number} targetTokens - Output token target for the whole version
+ * @param {Object} options - { baseTiers, toolMode, skipFirstMessages }
+ * @returns {Object} { targetTokens, tiers, estimatedTokens, fixedTokens, inputTokens, fits }
+ */
+export function planBudgetTiers(parsed, messageUuids, targetTokens, options = {}) {
+  const { baseTiers = TIER_PRESETS.standard } = options;
+  const { conversationMessages, fixedTokens } = measureRange(parsed, messageUuids, options);
+  const tierTokens = measureTierTokens(conversationMessages, baseTiers);
+  const solved = solveTiers(tierTokens, targetTokens - fixedTokens, baseTiers);
+
+  return {
+    targetTokens,
+    tiers: solved.tiers,
+    estimatedTokens: fixedTokens + solved.estimatedTokens,
+    fixedTokens,
+    inputTokens: fixedTokens + tierTokens.reduce((sum, t) => sum + t, 0),
+    fits: solved.fits
+  };
+}
+
+// ============================================
+// Re-runs
+// ============================================
+
+/**
+ * One step stronger settings for a tier, or null when it is at the maximum
+ */
+function strengthenTier(tier) {
+  const keepPercent = tier.keepPercent || 0;
+  if (keepPercent > 0) {
+    const reduced = keepPercent > 10 ? Math.floor(keepPercent / 10) * 5 : 0;
+    return { ...tier, keepPercent: reduced };
+  }
+  if (tier.compactionRatio >= MAX_RATIO) return null;
+
+  const compactionRatio = Math.min(MAX_RATIO, Math.max(tier.compactionRatio + 1, Math.round(tier.compactionRatio * 1.5)));
+  const aggressiveness = AGGRESSIVENESS_ORDER[Math.max(
+    AGGRESSIVENESS_ORDER.indexOf(tier.aggressiveness),
+    AGGRESSIVENESS_ORDER.indexOf(aggressivenessForRatio(compactionRatio))
+  )];
+  return { ...tierBoundary(tier), compactionRatio, aggressiveness };
+}
+
+/**
+ * Output tokens each tier produced in a run, aligned with `tiers`
+ * Every summary carries the range label of its tier (see summarizeWithTiers)
+ */
+function measureTierOutput(summaries, tiers) {
+  const byRange = new Map();
+  for (const summary of summaries) {
+    const range = summary._tierInfo?.range;
+    byRange.set(range, (byRange.get(range) || 0) + estimateTokensByCharCount(summary.summary || ''));
+  }
+  return describeTiers(tiers).map(({ range }) => byRange.get(range) || 0);
+}
+
+/**
+ * Every stronger setting of a tier with its calibrated savings, weakest first
+ * The estimate is scaled by what the tier actually produced with its current
+ * settings, so each tier keeps its own summary density.
+ *
+ * @returns {Array} [{ tier, savings }]
+ */
+function strengthenSteps(tier, tokens, outputTokens) {
+  const estimated = estimateTierOutput(tokens, tier);
+  const calibration = estimated > 0 && outputTokens > 0 ? outputTokens / estimated : 1;
+  const steps = [];
+  for (let stronger = strengthenTier(tier); stronger; stronger = strengthenTier(stronger)) {
+    steps.push({ tier: stronger, savings: outputTokens - calibration * estimateTierOutput(tokens, stronger) });
+  }
+  return steps;
+}
+
+/**
+ * Pick the tiers to re-run so their calibrated savings cover an overshoot
+ * The newest tier that can cover it alone is strengthened just far enough.
+ * Otherwise tiers join in order of their largest possible savings, each at
+ * full strength except the last, which only goes as far as still needed.
+ *
+ * @param {Array} tiers - Tier settings of the last run
+ * @param {Array} tierTokens - Text tokens per tier (measureTierTokens)
+ * @param {Array} tierOutput - Output tokens per tier in the last run (measureTierOutput)
+ * @param {number} overshoot - Output tokens above the target
+ * @returns {Object|null} { tiers, rerun, savings } rerun: indices of changed tiers;
+ *   null when the strongest settings of every tier can't cover the overshoot
+ */
+function planRerun(tiers, tierTokens, tierOutput, overshoot) {
+  const steps = tiers.map((tier, i) => strengthenSteps(tier, tierTokens[i], tierOutput[i]));
+  const maxSavings = steps.map(tierSteps => (tierSteps.length > 0 ? tierSteps[tierSteps.length - 1].savings : 0));
+  if (maxSavings.reduce((sum, s) => sum + s, 0) < overshoot) return null;
+
+  const chosen = new Map();
+  for (let i = tiers.length - 1; i >= 0; i--) {
+    const step = steps[i].find(s => s.savings >= overshoot);
+    if (step) {
+      chosen.set(i, step);
+      break;
+    }
+  }
+
+  if (chosen.size === 0) {
+    const order = tiers.map((_, i) => i).sort((a, b) => maxSavings[b] - maxSavings[a] || b - a);
+    let remaining = overshoot;
+    for (const i of order) {
+      if (remaining <= 0 || steps[i].length === 0) break;
+      const step = steps[i].find(s => s.savings >= remaining) || steps[i][steps[i].length - 1];
+      chosen.set(i, step);
+      remaining -= step.savings;
+    }
+  }
+
+  const rerun = [...chosen.keys()].sort((a, b) => a - b);
+  return {
+    tiers: tiers.map((tier, i) => (chosen.has(i) ? chosen.get(i).tier : tier)),
+    rerun,
+    savings: Math.round(rerun.reduce((sum, i) => sum + chosen.get(i).savings, 0))
+  };
+}
+
+function describeTiers(tiers) {
+  return tiers.map((tier, i) => ({
+    range: getTierRange(tiers, i),
+    compactionRatio: tier.compactionRatio,
+    aggressiveness: tier.aggressiveness,
+    keepPercent: tier.keepPercent || 0
+  }));
+}
+
+// ============================================
+// Budget Run
+// ============================================
+
+/**
+ * Compress a message range to a token budget
+ *
+ * @param {Object} parsed - Parsed session (not modified)
+ * @param {Array} messageUuids - Range to compress
+ * @param {Object} budgetOptions - { targetTokens, maxAttempts, baseTiers }
+ * @param {Object} options - summarizeAndIntegrateWithTiers options (tiers are solved here)
+ * @returns {Promise<Object>} { result, tiers, budget }
+ *   result: summarizeAndIntegrateWithTiers result of the last attempt
+ *   tiers: tier settings of the last attempt
+ *   budget: { targetTokens, maxAttempts, estimatedTokens, outputTokens, fits, unreachable, attempts }
+ *     unreachable: the last run overshot and no tier settings could cover it
+ */
+export async function compressToBudget(parsed, messageUuids, budgetOptions, options = {}) {
+  const {
+    targetTokens,
+    maxAttempts = DEFAULT_BUDGET_ATTEMPTS,
+    baseTiers = TIER_PRESETS.standard
+  } = budgetOptions;
+  const { onProgress = null, signal = null } = options;
+
+  const plan = planBudgetTiers(parsed, messageUuids, targetTokens, { ...options, baseTiers });
+  const { conversationMessages } = measureRange(parsed, messageUuids, options);
+  const tierTokens = measureTierTokens(conversationMessages, plan.tiers);
+
+  console.log(`[Budget] Target ${targetTokens} tokens: planned ${describeTiers(plan.tiers).map(t => `${t.range} 1:${t.compactionRatio}${t.keepPercent ? ` keep ${t.keepPercent}%` : ''}`).join(', ')} (~${plan.estimatedTokens} tokens)`);
+
+  const attempts = [];
+  let tiers = plan.tiers;
+  let rerun = null;
+  let result;
+  let outputTokens;
+  let unreachable = false;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    throwIfCancelled(signal);
+    const startTime = Date.now();
+
+    // integrate re-links parentUuids in place, so every attempt gets fresh copies
+    result = await summarizeAndIntegrateWithTiers({
+      ...parsed,
+      messages: parsed.messages.map(m => ({ ...m }))
+    }, messageUuids, {
+      ...options,
+      tiers,
+      tierPreset: null,
+      onProgress: onProgress && (event => onProgress({ ...event, attempt, maxAttempts }))
+    });
+
+    outputTokens = countOutputTokens(result.messages);
+    const tierOutput = measureTierOutput(result.summaries, tiers);
+    attempts.push({
+      attempt,
+      tiers: describeTiers(tiers),
+      rerunTiers: rerun ? rerun.map(i => describeTiers(tiers)[i].range) : null,
+      estimatedTokens: plan.fixedTokens + estimateOutput(tierTokens, tiers),
+      outputTokens,
+      tierOutputTokens: tierOutput,
+      fits: outputTokens <= targetTokens,
+      processingTimeMs: Date.now() - startTime
+    });
+
+    if (outputTokens <= targetTokens) break;
+
+    if (attempt === maxAttempts) {
+      console.warn(`[Budget] Output ${outputTokens} tokens still exceeds target ${targetTokens} after ${attempt} attempt(s)`);
+      break;
+    }
+
+    const next = planRerun(tiers, tierTokens, tierOutput, outputTokens - targetTokens);
+    if (!next) {
+      unreachable = true;
+      console.warn(`[Budget] Target ${targetTokens} tokens is unreachable: output ${outputTokens} tokens, strongest tier settings cannot cover the overshoot`);
+      break;
+    }
+
+    console.log(`[Budget] Attempt ${attempt}: ${outputTokens} tokens > ${targetTokens}, re-running tiers ${next.rerun.map(i => describeTiers(next.tiers)[i].range).join(', ')} (~${next.savings} tokens saved)`);
+    tiers = next.tiers;
+    rerun = next.rerun;
+  }
+
+  return {
+    result,
+    tiers,
+    budget: {
+      targetTokens,
+      maxAttempts,
+      estimatedTokens: plan.estimatedTokens,
+      outputTokens,
+      fits: outputTokens <= targetTokens,
+      unreachable,
+      attempts
+    }
+  };
+}
+
+export default {
+  DEFAULT_BUDGET_ATTEMPTS,
+  MAX_BUDGET_ATTEMPTS,
+  resolveBaseTiers,
+  planBudgetTiers,
+  compressToBudget
+};
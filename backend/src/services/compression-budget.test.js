@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The summary cache lives under ~/.claude-memory, so point HOME at a scratch
+// directory before the services are loaded
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'compression-budget-'));
+process.env.HOME = home;
+
+const { parseJsonlFile } = await import('./jsonl-parser.js');
+const { compressToBudget, planBudgetTiers } = await import('./compression-budget.js');
+
+const MESSAGE_COUNT = 80;
+
+let parsed;
+let uuids;
+
+before(async () => {
+  const lines = [];
+  let parentUuid = null;
+  for (let i = 0; i < MESSAGE_COUNT; i++) {
+    const type = i % 2 === 0 ? 'user' : 'assistant';
+    const uuid = `m${i}`;
+    const text = `Message ${i}: ${Array.from({ length: 60 }, (_, j) => `word${(i * 7 + j) % 97}`).join(' ')}`;
+    lines.push(JSON.stringify({
+      type,
+      uuid,
+      parentUuid,
+      sessionId: 'budget-test',
+      timestamp: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+      message: { role: type, content: [{ type: 'text', text }] }
+    }));
+    parentUuid = uuid;
+  }
+
+  const file = path.join(home, 'session.jsonl');
+  fs.writeFileSync(file, `${lines.join('\n')}\n`);
+  parsed = await parseJsonlFile(file);
+  uuids = parsed.messages.map(m => m.uuid);
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function runBudget(targetTokens, maxAttempts = 5) {
+  return compressToBudget(parsed, uuids, { targetTokens, maxAttempts }, { provider: 'fake' });
+}
+
+test('planning never keeps a whole tier verbatim', () => {
+  const plan = planBudgetTiers(parsed, uuids, 1000000);
+
+  assert.equal(plan.fits, true);
+  for (const tier of plan.tiers) {
+    assert.ok((tier.keepPercent || 0) < 100, `planned keepPercent ${tier.keepPercent}`);
+  }
+});
+
+test('an overshoot re-runs only the tiers needed to cover it', async () => {
+  const { budget } = await runBudget(1500);
+
+  assert.equal(budget.fits, true);
+  assert.equal(budget.unreachable, false);
+  assert.ok(budget.attempts.length > 1, 'first attempt should overshoot');
+
+  for (const attempt of budget.attempts.slice(1)) {
+    assert.ok(attempt.rerunTiers.length < attempt.tiers.length, `re-ran ${attempt.rerunTiers.join(', ')}`);
+  }
+  const outputs = budget.attempts.map(a => a.outputTokens);
+  assert.ok(outputs[outputs.length - 1] < outputs[0]);
+});
+
+test('an unreachable budget stops without spending every attempt', async () => {
+  const { budget, result } = await runBudget(300);
+
+  assert.equal(budget.fits, false);
+  assert.equal(budget.unreachable, true);
+  assert.ok(budget.attempts.length < budget.maxAttempts);
+  assert.ok(result.messages.length > 0);
+});
+
+test('a budget that already fits runs once', async () => {
+  const { budget } = await runBudget(100000);
+
+  assert.equal(budget.fits, true);
+  assert.equal(budget.attempts.length, 1);
+  assert.equal(budget.attempts[0].rerunTiers, null);
+});
@@ -0,0 +1,395 @@
+/**
+ * Extractive Compression
+ *
+ * Deterministic compression without any LLM call, for sensitive repos and
+ * offline machines. Messages are ranked with local heuristics, the top
+ * messages are kept verbatim and every run of dropped messages is replaced
+ * by a one-line stub (counts, salient terms, files).
+ *
+ * Signals (added up per message):
+ *   - keepit:    highest keepit weight in the message (pinned markers, weight
+ *                1.0, are always kept)
+ *   - prompt:    the message is a user prompt
+ *   - decision:  the message states a decision or a chosen approach
+ *   - errorFix:  an error and the message that fixes it (both get the bonus)
+ *   - salience:  TF-IDF of the message's terms against the range,
+ *                normalized to 0..1
+ * AskUserQuestion messages are always kept, as in the summarizer.
+ *
+ * Either `keepPercent` of the messages are kept, or - with `targetTokens` -
+ * messages are kept by rank while the output stays within the budget.
+ */
+
+import { extractTextContent, replaceRangeWithSummaries } from './summarizer.js';
+import { extractKeepitMarkers } from './keepit-parser.js';
+import { extractHardFacts } from './fact-retention.js';
+import { hasAskUserQuestion } from './sanitizer.js';
+import { estimateTokensByCharCount } from './token-calculator.js';
+import { withActionLog, DEFAULT_TOOL_MODE } from './action-log.js';
+
+export const DEFAULT_EXTRACTIVE_KEEP_PERCENT = 20;
+
+// Score added per signal (salience and keepit are scaled by their 0..1 value)
+const SIGNAL_WEIGHTS = {
+  keepit: 3,
+  prompt: 1.5,
+  decision: 1.5,
+  errorFix: 2,
+  salience: 2
+};
+
+// Messages after an error that may contain its fix
+const ERROR_FIX_WINDOW = 3;
+
+// Salient terms and files named in a stub
+const STUB_TERMS = 4;
+const STUB_FILES = 3;
+
+// Estimated size of a stub line, used when keeping to a token budget
+const STUB_TOKENS = 30;
+
+const DECISION_PATTERN = /\b(?:decided|decision|let'?s (?:go with|use)|we(?:'ll| will) (?:use|go with)|going with|instead of|opted for|agreed|the plan is|approach is)\b/i;
+const ERROR_PATTERN = /\b(?:error|exception|failed|failing|failure|traceback|stack trace|exit code [1-9]\d*|cannot find|not found|undefined is not)\b/i;
+const FIX_PATTERN = /\b(?:fix(?:ed|es)?|resolved|works now|now passes|passing|root cause|the (?:issue|problem|bug) was|solution)\b/i;
+
+const TERM_PATTERN = /[a-z][a-z0-9_]{2,}/g;
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'that', 'this', 'with', 'you', 'are', 'was', 'but', 'not', 'have', 'has',
+  'can', 'will', 'from', 'what', 'when', 'then', 'there', 'here', 'they', 'them', 'would', 'could',
+  'should', 'which', 'into', 'also', 'just', 'like', 'some', 'about', 'been', 'were', 'any', 'all',
+  'its', 'it\'s', 'our', 'your', 'now', 'use', 'using', 'need', 'make', 'let', 'see', 'one', 'two',
+  'does', 'did', 'how', 'why', 'yes', 'sure', 'okay', 'thanks', 'please', 'file', 'code', 'more'
+]);
+
+// ============================================
+// Ranking
+// ============================================
+
+function getTerms(text) {
+  return (text.toLowerCase().match(TERM_PATTERN) || []).filter(term => !STOPWORDS.has(term));
+}
+
+/**
+ * TF-IDF salience of each message against the range, normalized to 0..1
+ * @returns {Object} { salience: number[], termScores: Map[], commonTerms: Set }
+ *   termScores: term -> tf-idf per message
+ *   commonTerms: terms in more than half of the messages (not worth naming in a stub)
+ */
+function computeSalience(texts) {
+  const termLists = texts.map(getTerms);
+  const documentFrequency = new Map();
+  for (const terms of termLists) {
+    for (const term of new Set(terms)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const termScores = termLists.map(terms => {
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    const scores = new Map();
+    for (const [term, count] of counts) {
+      const idf = Math.log(texts.length / documentFrequency.get(term)) + 1;
+      scores.set(term, (count / terms.length) * idf);
+    }
+    return scores;
+  });
+
+  // Sum of tf-idf weighted by the log of the message length, so long
+  // messages rank higher without drowning everything else
+  const raw = termScores.map((scores, i) => {
+    const total = [...scores.values()].reduce((sum, v) => sum + v, 0);
+    return total * Math.log2(1 + termLists[i].length);
+  });
+  const max = Math.max(0, ...raw);
+
+  return {
+    salience: raw.map(value => (max > 0 ? value / max : 0)),
+    termScores,
+    commonTerms: new Set([...documentFrequency].filter(([, df]) => df > texts.length / 2).map(([term]) => term))
+  };
+}
+
+/**
+ * Rank messages for extractive compression
+ *
+ * @param {Array} messages - Conversation messages in order
+ * @returns {Array<Object>} Per message: { score, signals, pinned, mustKeep }
+ *   signals: signal -> contribution (only signals that fired)
+ */
+export function rankMessages(messages) {
+  const texts = messages.map(m => extractTextContent(m));
+  const { salience } = computeSalience(texts);
+
+  const ranked = messages.map((message, idx) => {
+    const text = texts[idx];
+    const signals = {};
+
+    const keepitWeight = Math.max(0, ...extractKeepitMarkers(text).map(marker => marker.weight));
+    if (keepitWeight > 0) signals.keepit = SIGNAL_WEIGHTS.keepit * keepitWeight;
+    if (message.type === 'user') signals.prompt = SIGNAL_WEIGHTS.prompt;
+    if (DECISION_PATTERN.test(text)) signals.decision = SIGNAL_WEIGHTS.decision;
+    if (salience[idx] > 0) signals.salience = Number((SIGNAL_WEIGHTS.salience * salience[idx]).toFixed(3));
+
+    return {
+      signals,
+      pinned: keepitWeight >= 1.0,
+      mustKeep: keepitWeight >= 1.0 || hasAskUserQuestion(message)
+    };
+  });
+
+  // Error -> fix pairs: an error report and the first later assistant message that fixes it
+  texts.forEach((text, idx) => {
+    if (!ERROR_PATTERN.test(text)) return;
+    for (let next = idx + 1; next <= Math.min(idx + ERROR_FIX_WINDOW, texts.length - 1); next++) {
+      if (messages[next].type === 'assistant' && FIX_PATTERN.test(texts[next])) {
+        ranked[idx].signals.errorFix = SIGNAL_WEIGHTS.errorFix;
+        ranked[next].signals.errorFix = SIGNAL_WEIGHTS.errorFix;
+        break;
+      }
+    }
+  });
+
+  return ranked.map(entry => ({
+    ...entry,
+    score: Number(Object.values(entry.signals).reduce((sum, v) => sum + v, 0).toFixed(3))
+  }));
+}
+
+// ============================================
+// Selection
+// ============================================
+
+/**
+ * Indices to keep: must-keep messages, then by score (later message wins ties)
+ *
+ * @param {Array} messages - Conversation messages in order
+ * @param {Array} ranked - rankMessages result
+ * @param {Object} options - { keepPercent, targetTokens }
+ * @returns {Set<number>}
+ */
+function selectKept(messages, ranked, options) {
+  const { keepPercent = DEFAULT_EXTRACTIVE_KEEP_PERCENT, targetTokens = null } = options;
+  const kept = new Set(ranked.map((r, idx) => (r.mustKeep ? idx : -1)).filter(idx => idx >= 0));
+
+  const order = ranked
+    .map((r, idx) => ({ idx, score: r.score }))
+    .filter(({ idx }) => !kept.has(idx))
+    .sort((a, b) => b.score - a.score || b.idx - a.idx)
+    .map(({ idx }) => idx);
+
+  if (targetTokens === null) {
+    const keepCount = Math.max(1, Math.round(messages.length * keepPercent / 100));
+    for (const idx of order) {
+      if (kept.size >= keepCount) break;
+      kept.add(idx);
+    }
+    return kept;
+  }
+
+  // Token budget: keep by rank while kept text plus stubs fit. Keeping a
+  // message splits, shortens or removes the run of dropped messages around
+  // it, which changes the stub count by +1, 0 or -1.
+  const tokens = messages.map(m => estimateTokensByCharCount(extractTextContent(m)));
+  const isDropped = (idx) => idx >= 0 && idx < messages.length && !kept.has(idx);
+  let keptTokens = [...kept].reduce((sum, idx) => sum + tokens[idx], 0);
+  let runs = 0;
+  for (let idx = 0; idx < messages.length; idx++) {
+    if (isDropped(idx) && !isDropped(idx - 1)) runs++;
+  }
+
+  for (const idx of order) {
+    const runDelta = isDropped(idx - 1) && isDropped(idx + 1) ? 1
+      : (!isDropped(idx - 1) && !isDropped(idx + 1) ? -1 : 0);
+    if (keptTokens + tokens[idx] + (runs + runDelta) * STUB_TOKENS > targetTokens) continue;
+    kept.add(idx);
+    keptTokens += tokens[idx];
+    runs += runDelta;
+  }
+  return kept;
+}
+
+/**
+ * Build the one-line stub for a run of dropped messages
+ * @param {Array} run - Dropped messages
+ * @param {Array<string>} texts - Their text
+ * @param {Array<Map>} termScores - Their term tf-idf against the whole range,
+ *   so the stub names what sets the run apart rather than what every message says
+ * @param {Set} commonTerms - Terms left out (see computeSalience)
+ */
+function buildStub(run, texts, termScores, commonTerms) {
+  const users = run.filter(m => m.type === 'user').length;
+  const parts = [`Omitted ${run.length} message${run.length === 1 ? '' : 's'} (${users} user, ${run.length - users} assistant)`];
+
+  const termTotals = new Map();
+  for (const scores of termScores) {
+    for (const [term, score] of scores) {
+      if (commonTerms.has(term)) continue;
+      termTotals.set(term, (termTotals.get(term) || 0) + score);
+    }
+  }
+  const terms = [...termTotals.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, STUB_TERMS)
+    .map(([term]) => term);
+  if (terms.length > 0) parts.push(`topics: ${terms.join(', ')}`);
+
+  const files = [...extractHardFacts(texts.join('\n')).paths].slice(0, STUB_FILES);
+  if (files.length > 0) parts.push(`files: ${files.join(', ')}`);
+
+  return `[${parts.join('; ')}]`;
+}
+
+/**
+ * Compress messages extractively
+ *
+ * @param {Array} messages - Conversation messages in order
+ * @param {Object} options - { keepPercent, targetTokens }
+ * @returns {Object} { summaries, stats }
+ *   summaries: in order; kept messages carry their text, stubs their line.
+ *              Each names its `_sourceMessages` for integrateSummaries.
+ *   stats: { kept, stubs, omitted, signals } signals: signal -> kept messages it fired on
+ */
+export function extractMessages(messages, options = {}) {
+  const ranked = rankMessages(messages);
+  const kept = selectKept(messages, ranked, options);
+  const texts = messages.map(m => extractTextContent(m));
+  const { termScores, commonTerms } = computeSalience(texts);
+
+  const summaries = [];
+  const signalCounts = {};
+  let run = [];
+
+  const flushRun = () => {
+    if (run.length === 0) return;
+    summaries.push({
+      role: messages[run[0]].type,
+      summary: buildStub(run.map(idx => messages[idx]), run.map(idx => texts[idx]), run.map(idx => termScores[idx]), commonTerms),
+      _extractive: { stub: true, omitted: run.length },
+      _sourceMessages: run.map(idx => messages[idx])
+    });
+    run = [];
+  };
+
+  messages.forEach((message, idx) => {
+    if (!kept.has(idx)) {
+      run.push(idx);
+      return;
+    }
+    flushRun();
+    for (const signal of Object.keys(ranked[idx].signals)) {
+      signalCounts[signal] = (signalCounts[signal] || 0) + 1;
+    }
+    summaries.push({
+      role: message.type,
+      summary: texts[idx],
+      _extractive: { kept: true, score: ranked[idx].score, signals: ranked[idx].signals },
+      _sourceMessages: [message]
+    });
+  });
+  flushRun();
+
+  return {
+    summaries,
+    stats: {
+      kept: kept.size,
+      stubs: summaries.filter(s => s._extractive.stub).length,
+      omitted: messages.length - kept.size,
+      signals: signalCounts
+    }
+  };
+}
+
+// ============================================
+// Session Integration
+// ============================================
+
+/**
+ * Extractively compress a range of messages and integrate into the session
+ * Same range handling and result shape as summarizeAndIntegrate
+ *
+ * @param {Object} parsed - Parsed session
+ * @param {Array} messageUuids - Range to compress
+ * @param {Object} options - { keepPercent, targetTokens, toolMode, skipFirstMessages, removeNonConversation, onProgress }
+ *   targetTokens: budget for the whole output, including messages outside the range
+ *   toolMode: 'action-log' keeps tool calls as entries in their messages (see action-log.js)
+ * @returns {Object} { messages, changes, summaries, extractiveStats }
+ */
+export function extractAndIntegrate(parsed, messageUuids, options = {}) {
+  const {
+    keepPercent = DEFAULT_EXTRACTIVE_KEEP_PERCENT,
+    targetTokens = null,
+    toolMode = DEFAULT_TOOL_MODE,
+    skipFirstMessages = 0,
+    removeNonConversation = true,
+    onProgress = null
+  } = options;
+
+  const uuidSet = new Set(messageUuids);
+  const targetMessages = parsed.messages.filter(m => uuidSet.has(m.uuid));
+
+  if (targetMessages.length < 2) {
+    throw new Error('Need at least 2 messages to compress');
+  }
+
+  // Results may sit outside the range, so pair tool calls against the whole session
+  const sourceMessages = toolMode === 'action-log'
+    ? withActionLog(targetMessages, { resultMessages: parsed.messages })
+    : targetMessages;
+
+  const allConversationMessages = sourceMessages
+    .filter(m => (m.type === 'user' || m.type === 'assistant') && extractTextContent(m).trim())
+    .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+
+  const skippedMessages = allConversationMessages.slice(0, skipFirstMessages);
+  const conversationMessages = allConversationMessages.slice(skipFirstMessages);
+
+  if (conversationMessages.length < 2) {
+    throw new Error('Need at least 2 user/assistant messages to compress (after skipping)');
+  }
+
+  // Messages outside the range and skipped messages are part of the output too
+  const fixedTokens = [...parsed.messages.filter(m => !uuidSet.has(m.uuid)), ...skippedMessages]
+    .reduce((sum, m) => sum + estimateTokensByCharCount(extractTextContent(m)), 0);
+
+  const { summaries, stats } = extractMessages(conversationMessages, {
+    keepPercent,
+    targetTokens: targetTokens ? Math.max(0, targetTokens - fixedTokens) : null
+  });
+
+  console.log(`[Extractive] ${conversationMessages.length} messages -> ${stats.kept} kept, ${stats.omitted} omitted in ${stats.stubs} stubs`);
+
+  if (onProgress) {
+    onProgress({
+      stage: 'tier-complete',
+      tier: 1,
+      tierCount: 1,
+      percent: 100,
+      inputMessages: conversationMessages.length,
+      outputMessages: summaries.length,
+      message: `Kept ${stats.kept} of ${conversationMessages.length} messages`
+    });
+  }
+
+  const integrated = replaceRangeWithSummaries(parsed, messageUuids, {
+    targetMessages,
+    conversationMessages,
+    skippedMessages,
+    summaries,
+    removeNonConversation
+  });
+
+  return {
+    messages: integrated.messages,
+    changes: integrated.changes,
+    summaries,
+    extractiveStats: stats
+  };
+}
+
+export default {
+  DEFAULT_EXTRACTIVE_KEEP_PERCENT,
+  rankMessages,
+  extractMessages,
+  extractAndIntegrate
+};
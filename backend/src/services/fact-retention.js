@@ -0,0 +1,176 @@
+/**
+ * Fact Retention Analysis
+ *
+ * Measures how many "hard facts" of a compressed range survive in the
+ * summary output. Facts are extracted deterministically (no LLM) from the
+ * conversation text, the same text the summarizer sees:
+ *   - paths:       file paths (absolute, relative, or name.ext)
+ *   - identifiers: function/class/variable names (calls, camelCase, snake_case, `code`)
+ *   - errors:      error types and error codes (TypeError, ENOENT, ERR_*)
+ *   - commands:    shell commands, reduced to the program and subcommand
+ *   - urls:        http(s) URLs
+ *   - numbers:     versions, percentages and numbers with 3+ digits
+ *
+ * A fact is retained when it appears (case-insensitive) in the output text.
+ * Paths also count as retained when their file name appears.
+ */
+
+import { extractTextContent } from './summarizer.js';
+
+export const FACT_CATEGORIES = ['paths', 'identifiers', 'errors', 'commands', 'urls', 'numbers'];
+
+// Missing facts listed per category in the stored report
+const MAX_MISSING_SAMPLES = 5;
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'`)\]]+/g;
+const PATH_PATTERN = /(?:~|\.{1,2})?\/[\w.@-]+(?:\/[\w.@-]+)+|\b(?:[\w.@-]+\/)+[\w@-]+\.[A-Za-z]\w{0,7}\b|\b[\w@-]+\.(?:js|mjs|cjs|ts|tsx|jsx|vue|json|jsonl|md|py|rb|go|rs|java|kt|c|h|cpp|cs|php|sh|yml|yaml|toml|css|scss|html|sql|txt|lock)\b/g;
+const CALL_PATTERN = /\b([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\(/g;
+const CAMEL_PATTERN = /\b[a-z][a-z0-9]*[A-Z][A-Za-z0-9]*\b/g;
+const PASCAL_PATTERN = /\b[A-Z][a-z0-9]+[A-Z][A-Za-z0-9]*\b/g;
+const SNAKE_PATTERN = /\b[a-z][a-z0-9]*_[a-z0-9_]+\b/g;
+const CONSTANT_PATTERN = /\b[A-Z][A-Z0-9]*_[A-Z0-9_]+\b/g;
+const BACKTICK_PATTERN = /`([^`\s]{3,80})`/g;
+const ERROR_PATTERN = /\b(?:[A-Z]\w*(?:Error|Exception)|E[A-Z]{3,}|ERR_[A-Z0-9_]+)\b/g;
+// Commands at the start of a line, and inline mentions of programs that are not English words
+const COMMAND_LINE_PATTERN = /(?:^|\n)\s*(?:\$\s+)?((?:npm|npx|yarn|pnpm|node|git|python3?|pip3?|docker|kubectl|cargo|go|make|curl|bash|brew|claude)\s+[^\n]+)/g;
+const INLINE_COMMAND_PATTERN = /\b((?:npm|npx|yarn|pnpm|git|pip3?|docker|kubectl|cargo|brew)\s+[a-z][\w:-]*)/g;
+const NUMBER_PATTERN = /\b\d+(?:\.\d+){1,3}\b|\b\d+(?:\.\d+)?%|\b\d{3,}\b/g;
+
+// Words that match the identifier patterns but carry no information
+const IDENTIFIER_STOPWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'typeof', 'require', 'import']);
+
+/**
+ * Collect all matches of a pattern (optionally a capture group) into a Set
+ */
+function collectMatches(text, pattern, group = 0) {
+  const results = new Set();
+  for (const match of text.matchAll(pattern)) {
+    const value = match[group];
+    if (value) results.add(value);
+  }
+  return results;
+}
+
+/**
+ * Reduce a command line to "program subcommand" so paraphrased mentions still match
+ */
+function normalizeCommand(line) {
+  const tokens = line.trim().split(/\s+/).filter(t => !t.startsWith('-'));
+  return tokens.slice(0, 2).join(' ');
+}
+
+/**
+ * Extract hard facts from text
+ *
+ * @param {string} text - Conversation text
+ * @returns {Object} Map of category -> Set of facts
+ */
+export function extractHardFacts(text) {
+  // Trailing punctuation usually ends the sentence, not the URL
+  const urls = new Set([...collectMatches(text, URL_PATTERN)].map(url => url.replace(/[.,;:!?]+$/, '')));
+  // Paths and numbers inside URLs belong to the URL
+  const withoutUrls = text.replace(URL_PATTERN, ' ');
+
+  const paths = collectMatches(withoutUrls, PATH_PATTERN);
+  const withoutPaths = withoutUrls.replace(PATH_PATTERN, ' ');
+
+  const identifiers = new Set();
+  for (const pattern of [CAMEL_PATTERN, PASCAL_PATTERN, SNAKE_PATTERN, CONSTANT_PATTERN]) {
+    collectMatches(withoutPaths, pattern).forEach(id => identifiers.add(id));
+  }
+  collectMatches(withoutPaths, CALL_PATTERN, 1).forEach(id => identifiers.add(id));
+  collectMatches(withoutPaths, BACKTICK_PATTERN, 1).forEach(id => {
+    if (/^[A-Za-z_$][\w$.]*$/.test(id)) identifiers.add(id);
+  });
+
+  const errors = collectMatches(withoutPaths, ERROR_PATTERN);
+  errors.forEach(e => identifiers.delete(e));
+  for (const id of identifiers) {
+    if (id.length < 3 || IDENTIFIER_STOPWORDS.has(id)) identifiers.delete(id);
+  }
+
+  const commands = new Set();
+  for (const pattern of [COMMAND_LINE_PATTERN, INLINE_COMMAND_PATTERN]) {
+    for (const match of withoutUrls.matchAll(pattern)) {
+      const command = normalizeCommand(match[1]);
+      if (command.includes(' ')) commands.add(command);
+    }
+  }
+
+  const numbers = collectMatches(withoutPaths, NUMBER_PATTERN);
+
+  return { paths, identifiers, errors, commands, urls, numbers };
+}
+
+/**
+ * Check whether a fact appears in the (lowercased) output text
+ */
+function isRetained(category, fact, outputLower) {
+  const factLower = fact.toLowerCase();
+  if (outputLower.includes(factLower)) return true;
+
+  if (category === 'paths') {
+    const fileName = factLower.split('/').pop();
+    return fileName.length > 0 && outputLower.includes(fileName);
+  }
+
+  return false;
+}
+
+/**
+ * Join the conversation text of a message list
+ */
+function messagesToText(messages) {
+  return (messages || [])
+    .map(m => extractTextContent(m))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Measure fact retention between a source range and its summary output
+ *
+ * @param {Array} sourceMessages - Messages that were compressed
+ * @param {Array} outputMessages - Messages of the compression output
+ * @returns {Object} { score, totalFacts, retainedFacts, categories, missing }
+ *   score: retained / total (0-1), null when the source has no hard facts
+ */
+export function measureFactRetention(sourceMessages, outputMessages) {
+  const sourceFacts = extractHardFacts(messagesToText(sourceMessages));
+  const outputLower = messagesToText(outputMessages).toLowerCase();
+
+  const categories = {};
+  const missing = {};
+  let totalFacts = 0;
+  let retainedFacts = 0;
+
+  for (const category of FACT_CATEGORIES) {
+    const facts = [...sourceFacts[category]];
+    const lost = facts.filter(fact => !isRetained(category, fact, outputLower));
+
+    categories[category] = {
+      total: facts.length,
+      retained: facts.length - lost.length
+    };
+    if (lost.length > 0) {
+      missing[category] = lost.slice(0, MAX_MISSING_SAMPLES);
+    }
+
+    totalFacts += facts.length;
+    retainedFacts += facts.length - lost.length;
+  }
+
+  return {
+    score: totalFacts > 0 ? Number((retainedFacts / totalFacts).toFixed(3)) : null,
+    totalFacts,
+    retainedFacts,
+    categories,
+    missing
+  };
+}
+
+export default {
+  FACT_CATEGORIES,
+  extractHardFacts,
+  measureFactRetention
+};
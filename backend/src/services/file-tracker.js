@@ -1,3 +1,5 @@
+import { estimateTokensByCharCount } from './token-calculator.js';
+
 /**
  * Track files read during a session
  * Groups file references by path and tracks read order and content size
@@ -37,7 +39,7 @@ export function trackFilesInSession(messages) {
       if (toolUse.name === 'Read' && toolUse.input?.file_path) {
         const filePath = toolUse.input.file_path;
         recordFileRead(filesMap, filePath, message, toolUse, null);
-      } else if (toolUse.name === 'Edit' && toolUse.input?.file_path) {
+      } else if ((toolUse.name === 'Edit' || toolUse.name === 'MultiEdit') && toolUse.input?.file_path) {
         const filePath = toolUse.input.file_path;
         recordFileRead(filesMap, filePath, message, toolUse, null);
       } else if (toolUse.name === 'Write' && toolUse.input?.file_path) {
@@ -102,6 +104,146 @@ function extractFilesFromBashCommand(command) {
   return files;
 }
 
+// ============================================
+// Stale reads
+// ============================================
+
+export const DEFAULT_STALE_EDIT_THRESHOLD = 3;
+
+/**
+ * Validate the removeStaleReads criterion
+ *
+ * @param {Object|boolean} options - `true` or { editThreshold }
+ * @returns {Object} { editThreshold }
+ * @throws {Error} INVALID_STALE_READS
+ */
+export function resolveStaleReadOptions(options) {
+  const { editThreshold = DEFAULT_STALE_EDIT_THRESHOLD, ...rest } = options === true ? {} : (options || {});
+  const problems = [];
+
+  if (typeof options !== 'boolean' && (typeof options !== 'object' || options === null || Array.isArray(options))) {
+    problems.push('must be true or an options object');
+  } else {
+    if (!Number.isInteger(editThreshold) || editThreshold < 1) {
+      problems.push('editThreshold must be a positive integer');
+    }
+    if (Object.keys(rest).length > 0) {
+      problems.push(`unknown setting(s): ${Object.keys(rest).join(', ')}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid stale read removal: ${problems.join('; ')}`);
+    error.code = 'INVALID_STALE_READS';
+    error.status = 400;
+    throw error;
+  }
+
+  return { editThreshold };
+}
+
+/**
+ * Text of a tool_result's content (string or content blocks)
+ */
+function resultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(block => (typeof block === 'string' ? block : block?.text || '')).join('\n');
+  }
+  return '';
+}
+
+/**
+ * Stub that replaces a stale read's result
+ */
+export function staleReadStub(read) {
+  const change = read.modifiedBy.toolName === 'Write'
+    ? 'rewritten'
+    : `edited ${read.modifiedBy.editsAfter} times`;
+  return `[Stale read of ${read.path}: file later modified at message ${read.modifiedBy.messageUuid} (${change}) - content removed for context reduction]`;
+}
+
+/**
+ * Find Read results made stale by later changes to the same file
+ * A read is stale once the file is rewritten by Write, or edited
+ * editThreshold or more times (Edit/MultiEdit calls) after it.
+ *
+ * @param {Array} messages - Messages in conversation order
+ * @param {Object|boolean} options - `true` or { editThreshold }
+ * @returns {Array} [{ path, toolId, readMessageUuid, resultMessageUuid, readTimestamp,
+ *                     modifiedBy: { messageUuid, toolName, timestamp, editsAfter },
+ *                     contentChars, tokensSaved }] in conversation order
+ */
+export function findStaleReads(messages, options = true) {
+  const { editThreshold } = resolveStaleReadOptions(options);
+
+  // tool_use id -> the message holding its result and the result text
+  const results = new Map();
+  for (const message of messages) {
+    for (const block of Array.isArray(message.content) ? message.content : []) {
+      if (block?.type === 'tool_result') {
+        results.set(block.tool_use_id, { messageUuid: message.uuid, text: resultText(block.content) });
+      }
+    }
+  }
+
+  const staleReads = [];
+
+  for (const file of trackFilesInSession(messages)) {
+    // The tracker can list a tool call twice; keep the first sighting
+    const seen = new Set();
+    const timeline = file.instances.filter(instance => {
+      if (seen.has(instance.toolId)) return false;
+      seen.add(instance.toolId);
+      return true;
+    });
+
+    timeline.forEach((instance, index) => {
+      if (instance.toolName !== 'Read') return;
+
+      const result = results.get(instance.toolId);
+      if (!result) return;
+
+      let edits = 0;
+      let modifiedBy = null;
+      for (const later of timeline.slice(index + 1)) {
+        if (later.toolName === 'Write') {
+          modifiedBy = later;
+          break;
+        }
+        if (later.toolName === 'Edit' || later.toolName === 'MultiEdit') {
+          edits++;
+          if (edits >= editThreshold) {
+            modifiedBy = later;
+            break;
+          }
+        }
+      }
+      if (!modifiedBy) return;
+
+      const read = {
+        path: file.path,
+        toolId: instance.toolId,
+        readMessageUuid: instance.messageUuid,
+        resultMessageUuid: result.messageUuid,
+        readTimestamp: instance.timestamp,
+        modifiedBy: {
+          messageUuid: modifiedBy.messageUuid,
+          toolName: modifiedBy.toolName,
+          timestamp: modifiedBy.timestamp,
+          editsAfter: edits
+        },
+        contentChars: result.text.length
+      };
+      read.tokensSaved = Math.max(0, estimateTokensByCharCount(result.text) - estimateTokensByCharCount(staleReadStub(read)));
+      staleReads.push(read);
+    });
+  }
+
+  const position = new Map(messages.map((m, i) => [m.uuid, i]));
+  return staleReads.sort((a, b) => position.get(a.readMessageUuid) - position.get(b.readMessageUuid));
+}
+
 /**
  * Calculate impact of removing a file from context
  */
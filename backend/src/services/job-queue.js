@@ -0,0 +1,348 @@
+/**
+ * Background Job Queue
+ *
+ * In-memory queue for long-running summarization and compression runs.
+ * Jobs start in FIFO order, at most MAX_CONCURRENT_JOBS at a time.
+ * Every status/progress change is recorded on the job and pushed to
+ * subscribers, which the jobs route streams to clients over SSE.
+ * Runners receive an AbortSignal that fires when the job is cancelled.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+// ============================================
+// Constants
+// ============================================
+
+export const JobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export const JobType = {
+  SUMMARIZE: 'summarize',
+  COMPRESSION: 'compression',
+  DELTA_COMPRESSION: 'delta-compression',
+  ROLLUP: 'rollup'
+};
+
+const MAX_CONCURRENT_JOBS = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '2', 10) || 2);
+
+// Finished jobs are kept for inspection, then pruned
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+const MAX_FINISHED_JOBS = 100;
+
+// Event history kept per job so late subscribers can catch up
+const MAX_EVENTS_PER_JOB = 500;
+
+// ============================================
+// State
+// ============================================
+
+/**
+ * Jobs by id: { job, runner, controller }
+ */
+const jobs = new Map();
+
+/**
+ * Ids of queued jobs in FIFO order
+ */
+const pendingJobIds = [];
+
+let runningCount = 0;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// ============================================
+// Internal Helpers
+// ============================================
+
+function isFinished(job) {
+  return job.status === JobStatus.COMPLETED ||
+    job.status === JobStatus.FAILED ||
+    job.status === JobStatus.CANCELLED;
+}
+
+/**
+ * Mark a job cancelled and notify subscribers
+ */
+function markCancelled(job) {
+  job.status = JobStatus.CANCELLED;
+  job.finishedAt = new Date().toISOString();
+  job.updatedAt = job.finishedAt;
+  pushEvent(job, 'cancelled', { status: job.status });
+}
+
+/**
+ * Record an event on the job and notify subscribers
+ */
+function pushEvent(job, type, data) {
+  const event = {
+    id: ++job.lastEventId,
+    type,
+    data,
+    timestamp: new Date().toISOString()
+  };
+
+  job.events.push(event);
+  if (job.events.length > MAX_EVENTS_PER_JOB) {
+    job.events.shift();
+  }
+
+  emitter.emit(job.id, event);
+  return event;
+}
+
+/**
+ * Public view of a job (without event history)
+ */
+function serializeJob(job) {
+  const { events, lastEventId, ...rest } = job;
+  return { ...rest };
+}
+
+/**
+ * Drop finished jobs past their TTL or beyond the retention limit
+ */
+function pruneFinishedJobs() {
+  const now = Date.now();
+  const finished = [];
+
+  for (const { job } of jobs.values()) {
+    if (!isFinished(job)) continue;
+    if (now - new Date(job.finishedAt).getTime() > FINISHED_JOB_TTL_MS) {
+      jobs.delete(job.id);
+    } else {
+      finished.push(job);
+    }
+  }
+
+  if (finished.length > MAX_FINISHED_JOBS) {
+    finished
+      .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt))
+      .slice(0, finished.length - MAX_FINISHED_JOBS)
+      .forEach(job => jobs.delete(job.id));
+  }
+}
+
+/**
+ * Start queued jobs while below the concurrency limit
+ */
+function drainQueue() {
+  while (runningCount < MAX_CONCURRENT_JOBS && pendingJobIds.length > 0) {
+    const entry = jobs.get(pendingJobIds.shift());
+    if (entry && entry.job.status === JobStatus.QUEUED) {
+      runJob(entry);
+    }
+  }
+}
+
+async function runJob({ job, runner, controller }) {
+  runningCount++;
+  job.status = JobStatus.RUNNING;
+  job.startedAt = new Date().toISOString();
+  pushEvent(job, 'status', { status: job.status });
+
+  const context = {
+    jobId: job.id,
+    signal: controller.signal,
+    reportProgress: (progress) => updateProgress(job, progress)
+  };
+
+  try {
+    const result = await runner(context);
+    if (controller.signal.aborted) {
+      markCancelled(job);
+      return;
+    }
+    job.status = JobStatus.COMPLETED;
+    job.result = result ?? null;
+    job.progress = { ...job.progress, percent: 100 };
+    job.finishedAt = new Date().toISOString();
+    pushEvent(job, 'completed', { status: job.status, result: job.result });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`[Jobs] Job ${job.id} (${job.type}) cancelled`);
+      markCancelled(job);
+      return;
+    }
+    console.error(`[Jobs] Job ${job.id} (${job.type}) failed: ${error.message}`);
+    job.status = JobStatus.FAILED;
+    job.error = {
+      message: error.message,
+      code: error.code || null,
+      ...(error.details && { details: error.details })
+    };
+    job.finishedAt = new Date().toISOString();
+    pushEvent(job, 'failed', { status: job.status, error: job.error });
+  } finally {
+    runningCount--;
+    pruneFinishedJobs();
+    drainQueue();
+  }
+}
+
+/**
+ * Merge a progress report into the job and broadcast it
+ */
+function updateProgress(job, progress = {}) {
+  if (isFinished(job)) return;
+
+  job.progress = {
+    ...job.progress,
+    ...progress,
+    percent: typeof progress.percent === 'number'
+      ? Math.max(0, Math.min(100, Math.round(progress.percent)))
+      : job.progress.percent
+  };
+  job.updatedAt = new Date().toISOString();
+  pushEvent(job, 'progress', job.progress);
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Enqueue a background job
+ *
+ * @param {string} type - Job type (from JobType)
+ * @param {Object} meta - Descriptive info shown in job listings (projectId, sessionId, ...)
+ * @param {Function} runner - async ({ jobId, signal, reportProgress }) => result
+ * @returns {Object} Serialized job
+ */
+export function enqueueJob(type, meta, runner) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    type,
+    status: JobStatus.QUEUED,
+    meta: meta || {},
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    cancelRequestedAt: null,
+    progress: { percent: 0, message: 'Queued' },
+    result: null,
+    error: null,
+    events: [],
+    lastEventId: 0
+  };
+
+  jobs.set(job.id, { job, runner, controller: new AbortController() });
+  pendingJobIds.push(job.id);
+  pushEvent(job, 'status', { status: job.status });
+
+  console.log(`[Jobs] Enqueued ${type} job ${job.id}`);
+
+  pruneFinishedJobs();
+  setImmediate(drainQueue);
+
+  return serializeJob(job);
+}
+
+/**
+ * Get a job by id
+ * @returns {Object|null} Serialized job or null
+ */
+export function getJob(jobId) {
+  const entry = jobs.get(jobId);
+  return entry ? serializeJob(entry.job) : null;
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - Optional { type, status, projectId, sessionId }
+ */
+export function listJobs(filters = {}) {
+  return [...jobs.values()]
+    .map(({ job }) => job)
+    .filter(job => !filters.type || job.type === filters.type)
+    .filter(job => !filters.status || job.status === filters.status)
+    .filter(job => !filters.projectId || job.meta.projectId === filters.projectId)
+    .filter(job => !filters.sessionId || job.meta.sessionId === filters.sessionId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(serializeJob);
+}
+
+/**
+ * Get recorded events for a job, optionally only those after an event id
+ * @returns {Array|null} Events or null if the job doesn't exist
+ */
+export function getJobEvents(jobId, afterEventId = 0) {
+  const entry = jobs.get(jobId);
+  if (!entry) return null;
+  return entry.job.events.filter(e => e.id > afterEventId);
+}
+
+/**
+ * Cancel a job
+ * Queued jobs are dropped immediately; running jobs have their signal aborted
+ * and are marked cancelled once the runner unwinds
+ *
+ * @returns {Object|null} Serialized job, or null if the job doesn't exist
+ * @throws {Error} With code JOB_FINISHED if the job already finished
+ */
+export function cancelJob(jobId) {
+  const entry = jobs.get(jobId);
+  if (!entry) return null;
+
+  const { job, controller } = entry;
+
+  if (isFinished(job)) {
+    const error = new Error(`Job ${jobId} already ${job.status}`);
+    error.code = 'JOB_FINISHED';
+    error.status = 409;
+    throw error;
+  }
+
+  if (!controller.signal.aborted) {
+    console.log(`[Jobs] Cancelling ${job.type} job ${jobId}`);
+    controller.abort();
+    job.cancelRequestedAt = new Date().toISOString();
+
+    if (job.status === JobStatus.QUEUED) {
+      const idx = pendingJobIds.indexOf(jobId);
+      if (idx !== -1) pendingJobIds.splice(idx, 1);
+      markCancelled(job);
+      pruneFinishedJobs();
+    }
+  }
+
+  return serializeJob(job);
+}
+
+/**
+ * Check whether a job has finished (completed, failed or cancelled)
+ */
+export function isJobFinished(jobId) {
+  const entry = jobs.get(jobId);
+  return entry ? isFinished(entry.job) : true;
+}
+
+/**
+ * Subscribe to a job's events
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
+
+export default {
+  JobStatus,
+  JobType,
+  enqueueJob,
+  getJob,
+  listJobs,
+  getJobEvents,
+  isJobFinished,
+  cancelJob,
+  subscribeToJob
+};
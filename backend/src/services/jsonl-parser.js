@@ -223,7 +223,7 @@ function calculateTokens(message) {
 /**
  * Build a graph of messages connected by parentUuid
  */
-function buildMessageGraph(messages, messagesMap) {
+export function buildMessageGraph(messages, messagesMap = new Map(messages.map(m => [m.uuid, m]))) {
   const graph = {
     roots: [], // Messages with parentUuid === null OR orphaned (parent not in session)
     childrenOf: new Map(), // Map<uuid, [children]>
@@ -0,0 +1,245 @@
+/**
+ * LLM Audit Trail
+ *
+ * Records every LLM exchange of a compression run (summarize chunks and
+ * hybrid-mode selections) and stores it next to the version files, so a
+ * version that looks wrong can be traced back to what was sent and returned.
+ *
+ * Layout: {versionsDir}/{versionFile}.audit.json
+ *   { versionId, createdAt, redacted, exchanges: [...] }
+ *
+ * Each exchange holds the step's input range, every attempt (prompt, raw
+ * response, validation problems, timing), the parsed result and whether it
+ * was generated or reused from a checkpoint / the summary cache.
+ *
+ * Config (`audit` in ~/.claude-memory/config.json):
+ *   enabled: false  - no audit files are written
+ *   redact:  true   - prompts, responses and results are replaced by their
+ *                     length and sha256, timing and problems are kept
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { createHash } from 'crypto';
+
+export const AUDIT_FILE_SUFFIX = '.audit.json';
+
+// ============================================
+// Trails and Exchanges
+// ============================================
+
+/**
+ * Open an audit trail for a compression run
+ * The returned trail is passed to the summarizer as the `audit` option
+ *
+ * @param {Object} auditConfig - `audit` section of the global config
+ * @returns {Object|null} Trail, or null when auditing is disabled
+ */
+export function openAuditTrail(auditConfig = {}) {
+  if (auditConfig?.enabled === false) {
+    return null;
+  }
+
+  return {
+    redact: auditConfig?.redact === true,
+    nextIndex: 0,
+    exchanges: []
+  };
+}
+
+/**
+ * Text as stored in the trail (redacted trails keep length and hash only)
+ */
+function capture(trail, value) {
+  if (value === undefined || value === null) return null;
+  if (!trail.redact) return value;
+
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return {
+    redacted: true,
+    chars: text.length,
+    sha256: createHash('sha256').update(text).digest('hex')
+  };
+}
+
+/**
+ * Start recording an LLM step
+ *
+ * @param {Object|null} trail - Trail from openAuditTrail (null disables auditing)
+ * @param {Object} step - { kind, model, provider, messages, context }
+ *   messages: the step's input messages (recorded as count and uuid range)
+ *   context: extra fields to record, e.g. { tier: '0-25%' }
+ * @returns {Object|null} Exchange to pass to recordAttempt / finishExchange
+ */
+export function beginExchange(trail, step) {
+  if (!trail) return null;
+
+  const messages = step.messages || [];
+  const exchange = {
+    // Steps of a run may execute concurrently, so indexes are taken up front
+    index: trail.nextIndex++,
+    kind: step.kind,
+    ...(step.context || {}),
+    model: step.model || null,
+    provider: typeof step.provider === 'string' ? step.provider : (step.provider?.type || 'cli'),
+    messageCount: messages.length,
+    firstUuid: messages[0]?.uuid || null,
+    lastUuid: messages[messages.length - 1]?.uuid || null,
+    startedAt: new Date().toISOString(),
+    durationMs: null,
+    status: 'running',
+    source: null,
+    attempts: [],
+    result: null,
+    error: null
+  };
+
+  // Not enumerable, so the exchange serializes without its trail
+  Object.defineProperty(exchange, '_trail', { value: trail });
+  trail.exchanges.push(exchange);
+  return exchange;
+}
+
+/**
+ * Record one prompt/response round trip of an exchange
+ * @param {Object|null} exchange - Exchange from beginExchange
+ * @param {Object} attempt - { prompt, response, problems, durationMs, error }
+ */
+export function recordAttempt(exchange, attempt) {
+  if (!exchange) return;
+
+  exchange.attempts.push({
+    attempt: exchange.attempts.length,
+    repair: exchange.attempts.length > 0,
+    prompt: capture(exchange._trail, attempt.prompt),
+    response: capture(exchange._trail, attempt.response),
+    problems: attempt.problems || [],
+    durationMs: attempt.durationMs ?? null,
+    error: attempt.error || null
+  });
+}
+
+/**
+ * Close an exchange
+ * An exchange without attempts was served from a checkpoint or the summary cache
+ *
+ * @param {Object|null} exchange - Exchange from beginExchange
+ * @param {Object} outcome - { result, error }
+ */
+export function finishExchange(exchange, { result = null, error = null } = {}) {
+  if (!exchange) return;
+
+  exchange.durationMs = Date.now() - new Date(exchange.startedAt).getTime();
+  exchange.status = error ? 'failed' : 'ok';
+  exchange.source = exchange.attempts.length > 0 ? 'llm' : 'reused';
+  exchange.result = error ? null : capture(exchange._trail, result);
+  exchange.error = error ? error.message : null;
+}
+
+/**
+ * Run an LLM step with an exchange recorded around it
+ * `produce` receives the exchange so the actual LLM calls can record attempts
+ *
+ * @param {Object|null} trail - Trail from openAuditTrail (null disables auditing)
+ * @param {Object} step - See beginExchange
+ * @param {Function} produce - async (exchange) => result
+ */
+export async function runAudited(trail, step, produce) {
+  const exchange = beginExchange(trail, step);
+
+  try {
+    const result = await produce(exchange);
+    finishExchange(exchange, { result });
+    return result;
+  } catch (error) {
+    finishExchange(exchange, { error });
+    throw error;
+  }
+}
+
+// ============================================
+// Storage
+// ============================================
+
+/**
+ * Path of a version's audit file
+ */
+export function getAuditPath(versionsDir, filename) {
+  return path.join(versionsDir, `${filename}${AUDIT_FILE_SUFFIX}`);
+}
+
+/**
+ * Write a run's trail next to its version files
+ * A missing audit file never fails the compression
+ *
+ * @returns {Promise<Object|null>} { exchanges, redacted, size } or null without a trail
+ */
+export async function saveAuditTrail(versionsDir, filename, versionId, trail) {
+  if (!trail) return null;
+
+  const content = JSON.stringify({
+    versionId,
+    createdAt: new Date().toISOString(),
+    redacted: trail.redact,
+    exchanges: [...trail.exchanges].sort((a, b) => a.index - b.index)
+  }, null, 2);
+
+  const auditPath = getAuditPath(versionsDir, filename);
+  try {
+    await fs.writeFile(`${auditPath}.tmp`, content, 'utf-8');
+    await fs.rename(`${auditPath}.tmp`, auditPath);
+  } catch (error) {
+    console.warn(`[Audit] Failed to save audit trail for ${versionId}: ${error.message}`);
+    await fs.remove(`${auditPath}.tmp`).catch(() => {});
+    return null;
+  }
+
+  return {
+    exchanges: trail.exchanges.length,
+    redacted: trail.redact,
+    size: Buffer.byteLength(content, 'utf-8')
+  };
+}
+
+/**
+ * Load a version's audit file
+ * @returns {Promise<Object|null>} Stored trail or null if there is none
+ */
+export async function loadAuditTrail(versionsDir, filename) {
+  return fs.readJson(getAuditPath(versionsDir, filename)).catch(() => null);
+}
+
+/**
+ * Remove a version's audit file
+ */
+export async function removeAuditTrail(versionsDir, filename) {
+  await fs.remove(getAuditPath(versionsDir, filename)).catch(() => {});
+}
+
+/**
+ * One line per exchange for browsing (no prompts or responses)
+ */
+export function summarizeExchange(exchange) {
+  const { attempts, result, ...rest } = exchange;
+  return {
+    ...rest,
+    attemptCount: attempts.length,
+    repairs: Math.max(0, attempts.length - 1),
+    problems: attempts.flatMap(a => a.problems),
+    llmTimeMs: attempts.reduce((sum, a) => sum + (a.durationMs || 0), 0)
+  };
+}
+
+export default {
+  AUDIT_FILE_SUFFIX,
+  openAuditTrail,
+  beginExchange,
+  recordAttempt,
+  finishExchange,
+  runAudited,
+  getAuditPath,
+  saveAuditTrail,
+  loadAuditTrail,
+  removeAuditTrail,
+  summarizeExchange
+};
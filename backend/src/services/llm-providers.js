@@ -0,0 +1,609 @@
+/**
+ * LLM Provider Layer
+ *
+ * Pluggable backends for the summarizer. Every provider takes a prompt and
+ * returns the raw text of the model's answer; JSON extraction stays in the
+ * summarizer so all providers are parsed the same way.
+ *
+ * Providers:
+ *   - cli:  spawns the `claude` CLI (default, uses the local CLI login)
+ *   - http: Anthropic Messages API or an OpenAI-compatible endpoint
+ *   - fake: deterministic offline responses for tests and reproducible runs
+ *
+ * All calls share one process-wide concurrency limit (llm.maxConcurrency),
+ * so parallel chunks, background jobs and batch operations together never
+ * run more than that many LLM requests / CLI processes at once.
+ */
+
+import { spawn } from 'child_process';
+
+// ============================================
+// Constants
+// ============================================
+
+export const VALID_PROVIDER_TYPES = ['cli', 'http', 'fake'];
+export const VALID_HTTP_APIS = ['anthropic', 'openai'];
+
+/**
+ * Default number of LLM calls allowed to run at the same time
+ */
+export const DEFAULT_LLM_CONCURRENCY = 4;
+export const MAX_LLM_CONCURRENCY = 32;
+
+/**
+ * Default provider configuration (Claude CLI)
+ */
+export const DEFAULT_PROVIDER_CONFIG = {
+  type: 'cli'
+};
+
+/**
+ * Default HTTP provider settings, used when `type: 'http'` is selected
+ * without overriding individual fields
+ */
+export const DEFAULT_HTTP_CONFIG = {
+  api: 'anthropic',
+  baseUrl: 'https://api.anthropic.com',
+  apiKeyEnv: 'ANTHROPIC_API_KEY',
+  maxTokens: 8192,
+  models: {}
+};
+
+/**
+ * Model aliases used throughout the app mapped to Messages API model IDs
+ */
+const ANTHROPIC_MODEL_IDS = {
+  opus: 'claude-opus-4-1',
+  sonnet: 'claude-sonnet-4-5',
+  haiku: 'claude-haiku-4-5'
+};
+
+// ============================================
+// Configuration
+// ============================================
+
+/**
+ * Validate a provider configuration
+ * @param {Object} config - Provider configuration
+ * @param {string} prefix - Field prefix for error messages
+ * @returns {string[]} Array of error messages
+ */
+export function validateProviderConfig(config, prefix = 'llm') {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return [`${prefix} must be an object`];
+  }
+
+  if (config.provider !== undefined && !VALID_PROVIDER_TYPES.includes(config.provider)) {
+    errors.push(`${prefix}.provider must be one of: ${VALID_PROVIDER_TYPES.join(', ')}`);
+  }
+
+  if (config.maxConcurrency !== undefined) {
+    const limit = config.maxConcurrency;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LLM_CONCURRENCY) {
+      errors.push(`${prefix}.maxConcurrency must be an integer between 1 and ${MAX_LLM_CONCURRENCY}`);
+    }
+  }
+
+  if (config.pricing !== undefined) {
+    if (!config.pricing || typeof config.pricing !== 'object' || Array.isArray(config.pricing)) {
+      errors.push(`${prefix}.pricing must be an object mapping model aliases to { input, output } USD per million tokens`);
+    } else {
+      for (const [model, price] of Object.entries(config.pricing)) {
+        for (const field of ['input', 'output']) {
+          if (price?.[field] !== undefined && (typeof price[field] !== 'number' || price[field] < 0)) {
+            errors.push(`${prefix}.pricing.${model}.${field} must be a non-negative number`);
+          }
+        }
+      }
+    }
+  }
+
+  if (config.http !== undefined) {
+    const http = config.http;
+    if (!http || typeof http !== 'object') {
+      errors.push(`${prefix}.http must be an object`);
+    } else {
+      if (http.api !== undefined && !VALID_HTTP_APIS.includes(http.api)) {
+        errors.push(`${prefix}.http.api must be one of: ${VALID_HTTP_APIS.join(', ')}`);
+      }
+      if (http.baseUrl !== undefined && (typeof http.baseUrl !== 'string' || !/^https?:\/\//.test(http.baseUrl))) {
+        errors.push(`${prefix}.http.baseUrl must be an http(s) URL`);
+      }
+      if (http.apiKeyEnv !== undefined && http.apiKeyEnv !== null && typeof http.apiKeyEnv !== 'string') {
+        errors.push(`${prefix}.http.apiKeyEnv must be a string or null`);
+      }
+      if (http.maxTokens !== undefined && (typeof http.maxTokens !== 'number' || http.maxTokens < 1)) {
+        errors.push(`${prefix}.http.maxTokens must be a positive number`);
+      }
+      if (http.models !== undefined && (typeof http.models !== 'object' || Array.isArray(http.models))) {
+        errors.push(`${prefix}.http.models must be an object mapping model aliases to model IDs`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve the effective provider from the global `llm` config and an
+ * optional per-project override
+ *
+ * @param {Object} llmConfig - Global config `llm` section ({ provider, http })
+ * @param {string|null} projectProvider - Project-level provider name override
+ * @returns {Object} Provider config ({ type, ...options })
+ */
+export function resolveProviderConfig(llmConfig = {}, projectProvider = null) {
+  const type = projectProvider || llmConfig?.provider || DEFAULT_PROVIDER_CONFIG.type;
+
+  if (type === 'http') {
+    return {
+      type,
+      ...DEFAULT_HTTP_CONFIG,
+      ...(llmConfig?.http || {})
+    };
+  }
+
+  return { type };
+}
+
+// ============================================
+// Concurrency Limiter
+// ============================================
+
+// LLM_CONCURRENCY pins the limit regardless of the config file
+const envConcurrency = parseInt(process.env.LLM_CONCURRENCY || '', 10);
+
+let maxConcurrentCalls = envConcurrency > 0 ? envConcurrency : DEFAULT_LLM_CONCURRENCY;
+let activeCalls = 0;
+
+/**
+ * Callers waiting for a slot, in FIFO order: { grant }
+ */
+const waitingCalls = [];
+
+/**
+ * Set the global LLM concurrency limit (from llm.maxConcurrency)
+ * Ignored when LLM_CONCURRENCY is set in the environment
+ */
+export function setLlmConcurrency(limit) {
+  if (envConcurrency > 0) return;
+
+  const value = Number.isInteger(limit) && limit > 0
+    ? Math.min(limit, MAX_LLM_CONCURRENCY)
+    : DEFAULT_LLM_CONCURRENCY;
+
+  if (value !== maxConcurrentCalls) {
+    console.log(`[LLM] Concurrency limit set to ${value}`);
+    maxConcurrentCalls = value;
+    grantWaitingCalls();
+  }
+}
+
+/**
+ * Current limiter state, for status reporting
+ */
+export function getLlmConcurrencyStats() {
+  return {
+    limit: maxConcurrentCalls,
+    active: activeCalls,
+    waiting: waitingCalls.length,
+    fromEnv: envConcurrency > 0
+  };
+}
+
+function grantWaitingCalls() {
+  while (activeCalls < maxConcurrentCalls && waitingCalls.length > 0) {
+    waitingCalls.shift().grant();
+  }
+}
+
+/**
+ * Wait for a free call slot
+ * @param {AbortSignal} [signal] - Stops waiting (rejects with CANCELLED) when aborted
+ * @returns {Promise<Function>} Release function, call exactly once when done
+ */
+function acquireCallSlot(signal) {
+  throwIfCancelled(signal);
+
+  const release = () => {
+    activeCalls--;
+    grantWaitingCalls();
+  };
+
+  if (activeCalls < maxConcurrentCalls) {
+    activeCalls++;
+    return Promise.resolve(release);
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = {
+      grant: () => {
+        signal?.removeEventListener('abort', onAbort);
+        activeCalls++;
+        resolve(release);
+      }
+    };
+
+    const onAbort = () => {
+      const idx = waitingCalls.indexOf(waiter);
+      if (idx !== -1) waitingCalls.splice(idx, 1);
+      reject(createCancelledError());
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    waitingCalls.push(waiter);
+  });
+}
+
+// ============================================
+// Cancellation
+// ============================================
+
+/**
+ * Error code used for runs aborted through an AbortSignal
+ */
+export const CANCELLED_ERROR_CODE = 'CANCELLED';
+
+/**
+ * Create the error thrown when a run is cancelled
+ */
+export function createCancelledError(message = 'LLM request cancelled') {
+  const error = new Error(message);
+  error.code = CANCELLED_ERROR_CODE;
+  return error;
+}
+
+/**
+ * Check whether an error came from a cancelled run
+ */
+export function isCancelledError(error) {
+  return error?.code === CANCELLED_ERROR_CODE;
+}
+
+/**
+ * Throw a cancellation error if the signal has been aborted
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+}
+
+/**
+ * Normalize a provider argument (name, config object or null) into a config
+ */
+function normalizeProvider(provider) {
+  if (!provider) return DEFAULT_PROVIDER_CONFIG;
+  if (typeof provider === 'string') return resolveProviderConfig({}, provider);
+  return provider;
+}
+
+/**
+ * Provider type of a provider config or name ('cli' when unset)
+ */
+export function getProviderType(provider) {
+  return normalizeProvider(provider).type;
+}
+
+// ============================================
+// CLI Provider
+// ============================================
+
+/**
+ * Run the Claude CLI in print mode and return the `result` text
+ */
+function completeWithCli(prompt, options) {
+  const { model = 'opus', timeout = 300000, logPrefix = '[LLM]', signal = null } = options;
+
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-p',
+      '--dangerously-skip-permissions',
+      '--model', model,
+      '--output-format', 'json'
+      // Note: --json-schema removed as it causes CLI to hang
+    ];
+
+    // Use standard ~/.claude config dir (can override with CLAUDE_CONFIG_DIR env var)
+    const configDir = process.env.CLAUDE_CONFIG_DIR || `${process.env.HOME}/.claude`;
+
+    console.log(`${logPrefix} Spawning Claude CLI with model: ${model}`);
+    console.log(`${logPrefix} Config dir: ${configDir}`);
+    console.log(`${logPrefix} Prompt length: ${prompt.length} chars`);
+
+    const claude = spawn('claude', args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, CLAUDE_CONFIG_DIR: configDir }
+    });
+
+    console.log(`${logPrefix} Claude CLI process started (PID: ${claude.pid})`);
+
+    let stdout = '';
+    let stderr = '';
+
+    claude.stdout.on('data', (data) => {
+      stdout += data.toString();
+      console.log(`${logPrefix} stdout chunk: ${data.toString().slice(0, 200)}...`);
+    });
+
+    claude.stderr.on('data', (data) => {
+      stderr += data.toString();
+      console.log(`${logPrefix} stderr: ${data.toString()}`);
+    });
+
+    const timer = setTimeout(() => {
+      console.log(`${logPrefix} TIMEOUT after ${timeout}ms - killing process`);
+      claude.kill('SIGTERM');
+      reject(new Error(`Claude CLI timed out after ${timeout}ms`));
+    }, timeout);
+
+    const onAbort = () => {
+      console.log(`${logPrefix} Cancelled - killing Claude CLI process (PID: ${claude.pid})`);
+      clearTimeout(timer);
+      claude.kill('SIGTERM');
+      reject(createCancelledError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    claude.on('close', (code) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      console.log(`${logPrefix} Claude CLI exited with code: ${code}`);
+
+      if (code !== 0) {
+        console.error(`${logPrefix} ERROR - exit code ${code}, stderr: ${stderr}`);
+        reject(new Error(`Claude CLI exited with code ${code}: ${stderr}`));
+        return;
+      }
+
+      let response;
+      try {
+        response = JSON.parse(stdout);
+      } catch (parseError) {
+        reject(new Error(`Failed to parse Claude CLI output: ${parseError.message}\nResponse: ${stdout.slice(0, 500)}`));
+        return;
+      }
+
+      if (!response.result) {
+        reject(new Error('No result field in Claude response'));
+        return;
+      }
+
+      resolve(response.result);
+    });
+
+    claude.on('error', (err) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      console.error(`${logPrefix} Failed to spawn Claude CLI: ${err.message}`);
+      reject(new Error(`Failed to spawn Claude CLI: ${err.message}`));
+    });
+
+    claude.stdin.write(prompt);
+    claude.stdin.end();
+  });
+}
+
+// ============================================
+// HTTP Provider
+// ============================================
+
+/**
+ * Resolve the model ID to send for an app-level model alias
+ */
+function resolveHttpModel(config, model) {
+  if (config.models && config.models[model]) {
+    return config.models[model];
+  }
+  if (config.api === 'anthropic') {
+    return ANTHROPIC_MODEL_IDS[model] || model;
+  }
+  return model;
+}
+
+/**
+ * Call the Anthropic Messages API or an OpenAI-compatible chat endpoint
+ */
+async function completeWithHttp(prompt, config, options) {
+  const { model = 'opus', timeout = 300000, logPrefix = '[LLM]', signal = null } = options;
+  const api = config.api || DEFAULT_HTTP_CONFIG.api;
+  const baseUrl = (config.baseUrl || DEFAULT_HTTP_CONFIG.baseUrl).replace(/\/+$/, '');
+  const apiKey = config.apiKeyEnv ? process.env[config.apiKeyEnv] : null;
+  const modelId = resolveHttpModel({ ...config, api }, model);
+  const maxTokens = config.maxTokens || DEFAULT_HTTP_CONFIG.maxTokens;
+
+  if (api === 'anthropic' && !apiKey) {
+    throw new Error(`LLM HTTP provider: environment variable ${config.apiKeyEnv || '(apiKeyEnv)'} is not set`);
+  }
+
+  let url;
+  let headers = { 'Content-Type': 'application/json' };
+  let body;
+
+  if (api === 'anthropic') {
+    url = `${baseUrl}/v1/messages`;
+    headers = {
+      ...headers,
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    };
+    body = {
+      model: modelId,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: prompt }]
+    };
+  } else {
+    url = `${baseUrl}/chat/completions`;
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    body = {
+      model: modelId,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: prompt }]
+    };
+  }
+
+  console.log(`${logPrefix} HTTP ${api} request to ${url} (model: ${modelId}, prompt: ${prompt.length} chars)`);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const requestSignal = signal ? AbortSignal.any([controller.signal, signal]) : controller.signal;
+
+  let response;
+  let text;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: requestSignal
+    });
+    text = await response.text();
+  } catch (err) {
+    if (signal?.aborted) {
+      throw createCancelledError();
+    }
+    if (err.name === 'AbortError') {
+      throw new Error(`LLM HTTP request timed out after ${timeout}ms`);
+    }
+    throw new Error(`LLM HTTP request failed: ${err.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    throw new Error(`LLM HTTP provider returned ${response.status}: ${text.slice(0, 500)}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (parseError) {
+    throw new Error(`Failed to parse LLM HTTP response: ${parseError.message}`);
+  }
+
+  const result = api === 'anthropic'
+    ? (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('')
+    : data.choices?.[0]?.message?.content;
+
+  if (!result) {
+    throw new Error('No text content in LLM HTTP response');
+  }
+
+  return result;
+}
+
+// ============================================
+// Fake Provider
+// ============================================
+
+/**
+ * Deterministic offline provider
+ *
+ * Produces well-formed answers from the task context the summarizer passes
+ * along with the prompt, so runs are reproducible without any model access:
+ *   - summarize: groups the input messages evenly into `targetCount`
+ *     summaries, each made of the leading text of its group
+ *   - select: picks the `keepCount` longest messages (ties by position)
+ */
+function completeWithFake(prompt, options) {
+  const { task = null, taskContext = {} } = options;
+
+  if (task === 'summarize') {
+    const messages = taskContext.messages || [];
+    const targetCount = Math.max(1, Math.min(taskContext.targetCount || 1, messages.length || 1));
+    const summaries = [];
+
+    for (let i = 0; i < targetCount; i++) {
+      const start = Math.floor(i * messages.length / targetCount);
+      const end = Math.floor((i + 1) * messages.length / targetCount);
+      const group = messages.slice(start, Math.max(end, start + 1));
+      const text = group
+        .map(m => (m.text || '').replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join(' ');
+
+      summaries.push({
+        role: group[0]?.role || (i % 2 === 0 ? 'user' : 'assistant'),
+        summary: text.length > 400 ? text.slice(0, 400) + '...' : (text || '(no content)')
+      });
+    }
+
+    return Promise.resolve(JSON.stringify(summaries));
+  }
+
+  if (task === 'select') {
+    const lengths = taskContext.lengths || [];
+    const keepCount = taskContext.keepCount || 0;
+    const ranked = lengths
+      .map((length, idx) => ({ idx, length }))
+      .sort((a, b) => b.length - a.length || a.idx - b.idx)
+      .slice(0, keepCount)
+      .map(r => r.idx)
+      .sort((a, b) => a - b);
+
+    return Promise.resolve(JSON.stringify(ranked));
+  }
+
+  return Promise.resolve('[]');
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Send a prompt through the configured provider and return the raw text
+ * Waits for a slot under the global concurrency limit first
+ *
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Call options
+ * @param {Object|string} [options.provider] - Provider config or provider name
+ * @param {string} [options.model] - Model alias (opus, sonnet, haiku)
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {string} [options.task] - Task hint for the fake provider ('summarize' | 'select')
+ * @param {Object} [options.taskContext] - Structured task input for the fake provider
+ * @param {AbortSignal} [options.signal] - Aborts the request (kills the CLI process)
+ * @returns {Promise<string>} Raw response text
+ * @throws {Error} With code CANCELLED when the signal is aborted
+ */
+export async function completePrompt(prompt, options = {}) {
+  const config = normalizeProvider(options.provider);
+
+  if (!VALID_PROVIDER_TYPES.includes(config.type)) {
+    throw new Error(`Unknown LLM provider: ${config.type}`);
+  }
+
+  const release = await acquireCallSlot(options.signal);
+
+  try {
+    switch (config.type) {
+      case 'cli':
+        return await completeWithCli(prompt, options);
+      case 'http':
+        return await completeWithHttp(prompt, { ...DEFAULT_HTTP_CONFIG, ...config }, options);
+      default:
+        return await completeWithFake(prompt, options);
+    }
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Describe available providers for UI display
+ */
+export function getProvidersInfo() {
+  return {
+    providers: {
+      cli: { description: 'Claude CLI (uses the local `claude` login)' },
+      http: { description: 'Anthropic Messages API or an OpenAI-compatible endpoint' },
+      fake: { description: 'Deterministic offline summaries (no model calls)' }
+    },
+    httpApis: VALID_HTTP_APIS,
+    defaultHttp: DEFAULT_HTTP_CONFIG
+  };
+}
@@ -319,6 +319,9 @@ export function getPartsByNumber(session) {
   }
 
   for (const compression of session.compressions) {
+    // Rollups span several parts and are listed separately (see getRollups)
+    if (isRollup(compression)) continue;
+
     const partNumber = compression.partNumber || 1;
     if (!parts.has(partNumber)) {
       parts.set(partNumber, []);
@@ -361,7 +364,7 @@ export function getPartVersions(session, partNumber) {
   }
 
   return session.compressions.filter(
-    c => (c.partNumber || 1) === partNumber
+    c => !isRollup(c) && (c.partNumber || 1) === partNumber
   );
 }
 
@@ -390,3 +393,54 @@ export function generatePartVersionId(session, partNumber) {
   const nextVersion = existingVersions.length + 1;
   return `part${partNumber}_v${String(nextVersion).padStart(3, '0')}`;
 }
+
+// ============================================
+// Rollups
+// ============================================
+
+/**
+ * Check if a compression is a rollup of several parts
+ *
+ * @param {Object} compression - Compression record
+ * @returns {boolean} True for rollup records
+ */
+export function isRollup(compression) {
+  return Boolean(compression?.rollup);
+}
+
+/**
+ * Get all rollups for a session, widest span first
+ *
+ * @param {Object} session - Session object from manifest
+ * @returns {Array} Rollup compression records
+ */
+export function getRollups(session) {
+  if (!session || !session.compressions) {
+    return [];
+  }
+
+  return session.compressions
+    .filter(isRollup)
+    .sort((a, b) =>
+      (b.rollup.toPart - b.rollup.fromPart) - (a.rollup.toPart - a.rollup.fromPart) ||
+      new Date(b.createdAt) - new Date(a.createdAt)
+    );
+}
+
+/**
+ * Generate a new version ID for a rollup of parts fromPart..toPart
+ * Numbering continues after the highest existing rollup of the same span
+ *
+ * @param {Object} session - Session object from manifest
+ * @param {number} fromPart - First part covered
+ * @param {number} toPart - Last part covered
+ * @returns {string} Version ID like "rollup1-3_v001"
+ */
+export function generateRollupVersionId(session, fromPart, toPart) {
+  const prefix = `rollup${fromPart}-${toPart}_v`;
+  const existing = getRollups(session)
+    .filter(c => c.versionId.startsWith(prefix))
+    .map(c => parseInt(c.versionId.slice(prefix.length), 10) || 0);
+  const nextVersion = existing.length > 0 ? Math.max(...existing) + 1 : 1;
+  return `${prefix}${String(nextVersion).padStart(3, '0')}`;
+}
@@ -27,6 +27,12 @@ import {
  */
 const operationLocks = new Map();
 
+/**
+ * Abort controllers for active operations, keyed like operationLocks
+ * Kept separate so lock info stays plain data for status reporting
+ */
+const operationControllers = new Map();
+
 /**
  * Operation types that can be locked
  */
@@ -57,7 +63,7 @@ export async function acquireSessionLock(projectId, sessionId, operation = Opera
     const ageMs = Date.now() - new Date(existing.startedAt).getTime();
     if (ageMs > 5 * 60 * 1000) {
       // Auto-release stale lock
-      operationLocks.delete(lockKey);
+      releaseLockKey(lockKey);
     } else {
       throw new CompressionInProgressError(sessionId, operation);
     }
@@ -71,18 +77,57 @@ export async function acquireSessionLock(projectId, sessionId, operation = Opera
     pid: process.pid
   };
 
+  const controller = new AbortController();
+
   operationLocks.set(lockKey, lockInfo);
+  operationControllers.set(lockKey, controller);
 
   return {
     lockKey,
     lockInfo,
+    signal: controller.signal,
     release: () => {
-      operationLocks.delete(lockKey);
+      // Only drop the entry if it is still ours (a stale lock may have been replaced)
+      if (operationControllers.get(lockKey) === controller) {
+        operationLocks.delete(lockKey);
+        operationControllers.delete(lockKey);
+      }
       return true;
     }
   };
 }
 
+/**
+ * Remove a lock entry and its abort controller
+ */
+function releaseLockKey(lockKey) {
+  operationControllers.delete(lockKey);
+  return operationLocks.delete(lockKey);
+}
+
+/**
+ * Cancel an in-flight operation on a session
+ * Aborts the signal handed out with the lock; the operation stops at its next
+ * LLM call or chunk boundary and releases the lock itself while unwinding
+ *
+ * @param {string} projectId - Project ID
+ * @param {string} sessionId - Session ID
+ * @param {string} operation - Operation type
+ * @returns {boolean} True if a running operation was signalled
+ */
+export function cancelSessionOperation(projectId, sessionId, operation = OperationType.COMPRESSION) {
+  const lockKey = `${projectId}:${sessionId}:${operation}`;
+  const controller = operationControllers.get(lockKey);
+
+  if (!controller || controller.signal.aborted) {
+    return false;
+  }
+
+  operationLocks.get(lockKey).cancelledAt = new Date().toISOString();
+  controller.abort();
+  return true;
+}
+
 /**
  * Check if a session has an active operation lock
  *
@@ -160,7 +205,7 @@ export function releaseStaleSessionLocks(maxAgeMs = 5 * 60 * 1000) {
   for (const [key, value] of operationLocks) {
     const ageMs = now - new Date(value.startedAt).getTime();
     if (ageMs > maxAgeMs) {
-      operationLocks.delete(key);
+      releaseLockKey(key);
       released++;
     }
   }
@@ -178,7 +223,7 @@ export function releaseStaleSessionLocks(maxAgeMs = 5 * 60 * 1000) {
  */
 export function forceReleaseSessionLock(projectId, sessionId, operation) {
   const lockKey = `${projectId}:${sessionId}:${operation}`;
-  return operationLocks.delete(lockKey);
+  return releaseLockKey(lockKey);
 }
 
 // ============================================
@@ -412,6 +457,7 @@ export default {
   getAllActiveOperations,
   releaseStaleSessionLocks,
   forceReleaseSessionLock,
+  cancelSessionOperation,
 
   // File locks
   acquireManifestLock,
@@ -6,6 +6,7 @@ import {
   ensureDirectoryStructure
 } from './memory-storage.js';
 import { migrateManifest, CURRENT_SCHEMA_VERSION } from './memory-migration.js';
+import { VALID_PROVIDER_TYPES } from './llm-providers.js';
 
 // Default manifest schema
 const MANIFEST_SCHEMA = {
@@ -20,7 +21,8 @@ const MANIFEST_SCHEMA = {
   settings: {
     defaultCompressionPreset: "standard",
     autoRegisterNewSessions: false,
-    keepitDecayEnabled: true
+    keepitDecayEnabled: true,
+    llmProvider: null // null = use global llm.provider
   }
 };
 
@@ -100,6 +102,12 @@ export function validateManifest(manifest) {
         typeof manifest.settings.keepitDecayEnabled !== 'boolean') {
       errors.push('settings.keepitDecayEnabled must be a boolean');
     }
+
+    if (manifest.settings.llmProvider !== undefined &&
+        manifest.settings.llmProvider !== null &&
+        !VALID_PROVIDER_TYPES.includes(manifest.settings.llmProvider)) {
+      errors.push(`settings.llmProvider must be null or one of: ${VALID_PROVIDER_TYPES.join(', ')}`);
+    }
   }
 
   return {
@@ -246,7 +254,8 @@ export function createManifest(projectId, options = {}) {
     settings: {
       defaultCompressionPreset: options.compressionPreset || "standard",
       autoRegisterNewSessions: options.autoRegister || false,
-      keepitDecayEnabled: options.keepitDecay !== false
+      keepitDecayEnabled: options.keepitDecay !== false,
+      llmProvider: null
     }
   };
 }
@@ -17,6 +17,7 @@ import {
   loadGlobalConfig
 } from './memory-storage.js';
 import { findKeepitsInSession } from './keepit-parser.js';
+import { createRedactor, redactJsonl, getRedactionSummary } from './secret-redactor.js';
 
 // Default Claude projects directory
 const CLAUDE_PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
@@ -149,8 +150,11 @@ function calculateTotalTokens(parsed) {
  * Copy the session file to the originals directory
  * Always copies (no symlinks) to ensure memory system has its own copy
  * that won't be affected if the original is compressed/sanitized
+ *
+ * With redaction options the copy is written with secrets replaced, so
+ * nothing derived from it (versions, composition) ever sees them
  */
-async function copyOriginal(sourcePath, projectId, sessionId) {
+async function copyOriginal(sourcePath, projectId, sessionId, redactionOptions = null) {
   const originalsDir = getOriginalsDir(projectId);
   await fs.ensureDir(originalsDir);
 
@@ -161,9 +165,35 @@ async function copyOriginal(sourcePath, projectId, sessionId) {
     await fs.remove(destPath);
   }
 
+  if (redactionOptions) {
+    const redactor = createRedactor(redactionOptions);
+    const content = await fs.readFile(sourcePath, 'utf-8');
+    await fs.writeFile(destPath, redactJsonl(redactor, content), 'utf-8');
+    return { type: 'copy', path: destPath, redaction: getRedactionSummary(redactor) };
+  }
+
   // Always copy (no symlinks) to have our own independent copy
   await fs.copy(sourcePath, destPath);
-  return { type: 'copy', path: destPath };
+  return { type: 'copy', path: destPath, redaction: null };
+}
+
+/**
+ * Redaction block stored on a session entry
+ * Keeps the options (so syncs redact new messages the same way) and counts,
+ * never the findings themselves
+ */
+export function buildRedactionRecord(options, summary, previous = null) {
+  const byType = { ...(previous?.byType || {}) };
+  for (const [type, count] of Object.entries(summary.byType)) {
+    byType[type] = (byType[type] || 0) + count;
+  }
+
+  return {
+    options,
+    secretsRedacted: (previous?.secretsRedacted || 0) + summary.total,
+    byType,
+    redactedAt: new Date().toISOString()
+  };
 }
 
 /**
@@ -188,6 +218,7 @@ async function removeOriginal(projectId, sessionId) {
  * @param {string} sessionId - The session ID
  * @param {object} options - Registration options
  * @param {string} options.originalFilePath - Path to the original JSONL file (optional, defaults to Claude's storage)
+ * @param {object} options.redact - Redaction options (see secret-redactor.js); the memory copy is stored with secrets replaced
  * @returns {object} The created session entry
  */
 export async function registerSession(projectId, sessionId, options = {}) {
@@ -234,7 +265,13 @@ export async function registerSession(projectId, sessionId, options = {}) {
   }
 
   // Copy the session file (always copy, no symlinks for sync support)
-  const copyResult = await copyOriginal(originalFilePath, projectId, sessionId);
+  const redactionOptions = options.redact || null;
+  const copyResult = await copyOriginal(originalFilePath, projectId, sessionId, redactionOptions);
+
+  // Metadata and keepits come from the redacted copy so the manifest holds no secrets
+  if (copyResult.redaction) {
+    parsed = await parseJsonlFile(copyResult.path);
+  }
 
   // Extract metadata
   const metadata = extractMetadata(parsed);
@@ -262,6 +299,7 @@ export async function registerSession(projectId, sessionId, options = {}) {
     metadata,
     keepitMarkers,
     compressions: [],
+    ...(copyResult.redaction && { redaction: buildRedactionRecord(redactionOptions, copyResult.redaction) }),
     // Sync tracking fields
     lastSyncedTimestamp: lastTimestamp,
     lastSyncedMessageUuid: lastMessageUuid,
@@ -397,7 +435,10 @@ export async function refreshSession(projectId, sessionId) {
     throw error;
   }
 
-  const parsed = await parseJsonlFile(session.originalFile);
+  // Update the copy (redacted the same way as at registration)
+  const redactionOptions = session.redaction?.options || null;
+  const copyResult = await copyOriginal(session.originalFile, projectId, sessionId, redactionOptions);
+  const parsed = await parseJsonlFile(redactionOptions ? copyResult.path : session.originalFile);
 
   // Update metadata
   const metadata = extractMetadata(parsed);
@@ -418,15 +459,13 @@ export async function refreshSession(projectId, sessionId) {
     lastAccessed: new Date().toISOString(),
     metadata,
     keepitMarkers,
+    ...(copyResult.redaction && { redaction: buildRedactionRecord(redactionOptions, copyResult.redaction) }),
     // Update sync tracking fields
     lastSyncedTimestamp: lastTimestamp,
     lastSyncedMessageUuid: lastMessageUuid,
     messageCount: parsed.totalMessages
   };
 
-  // Update the copy
-  await copyOriginal(session.originalFile, projectId, sessionId);
-
   // Save to manifest
   await setSession(projectId, sessionId, updatedEntry);
 
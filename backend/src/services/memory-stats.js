@@ -18,6 +18,11 @@ import {
   getCacheDir
 } from './memory-storage.js';
 import { loadManifest, manifestExists } from './memory-manifest.js';
+import {
+  getSummaryCacheDir,
+  getSummaryCacheCounters,
+  resetSummaryCacheCounters
+} from './summary-cache.js';
 
 // ============================================
 // Directory Size Calculation
@@ -460,6 +465,23 @@ export async function getSessionStats(projectId, sessionId) {
 // Cache Statistics
 // ============================================
 
+/**
+ * Get statistics for the LLM summary cache (see summary-cache.js)
+ *
+ * @returns {Promise<Object>} Entries on disk plus hit/miss counters
+ */
+async function getSummaryCacheStats() {
+  const summaryDir = getSummaryCacheDir();
+  const size = await getDirSize(summaryDir);
+
+  return {
+    entries: await getFileCount(summaryDir),
+    size,
+    formatted: formatBytes(size),
+    ...getSummaryCacheCounters()
+  };
+}
+
 /**
  * Get cache statistics
  *
@@ -473,7 +495,8 @@ export async function getCacheStats() {
       exists: false,
       size: 0,
       fileCount: 0,
-      formatted: '0 Bytes'
+      formatted: '0 Bytes',
+      summaries: await getSummaryCacheStats()
     };
   }
 
@@ -484,7 +507,8 @@ export async function getCacheStats() {
     exists: true,
     size,
     fileCount,
-    formatted: formatBytes(size)
+    formatted: formatBytes(size),
+    summaries: await getSummaryCacheStats()
   };
 }
 
@@ -505,13 +529,17 @@ export async function clearCache() {
 
   const beforeSize = await getDirSize(cacheDir);
   const beforeCount = await getFileCount(cacheDir);
+  const summaryEntries = await getFileCount(getSummaryCacheDir());
 
+  // Also removes the LLM summary cache and chunk checkpoints
   await fs.emptyDir(cacheDir);
+  resetSummaryCacheCounters();
 
   return {
     cleared: true,
     bytesFreed: beforeSize,
     filesRemoved: beforeCount,
+    summaryEntriesRemoved: summaryEntries,
     formatted: formatBytes(beforeSize)
   };
 }
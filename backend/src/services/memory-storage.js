@@ -1,6 +1,13 @@
 import fs from 'fs-extra';
 import path from 'path';
 import os from 'os';
+import {
+  validateProviderConfig,
+  setLlmConcurrency,
+  DEFAULT_HTTP_CONFIG,
+  DEFAULT_LLM_CONCURRENCY
+} from './llm-providers.js';
+import { createRedactor } from './secret-redactor.js';
 
 // Memory system root directory
 const MEMORY_ROOT = path.join(os.homedir(), '.claude-memory');
@@ -22,6 +29,20 @@ const DEFAULT_CONFIG = {
     compressionBase: { light: 0.1, moderate: 0.3, aggressive: 0.5 },
     maxSessionDistance: 10,
     pinnedWeight: 1.0
+  },
+  llm: {
+    provider: "cli",
+    maxConcurrency: DEFAULT_LLM_CONCURRENCY,
+    http: structuredClone(DEFAULT_HTTP_CONFIG)
+  },
+  // Audit trail of LLM exchanges stored next to each version (see llm-audit.js)
+  audit: {
+    enabled: true,
+    redact: false
+  },
+  // Secret redaction (see secret-redactor.js); patterns apply to every redaction run
+  redaction: {
+    customPatterns: []
   }
 };
 
@@ -252,6 +273,41 @@ export function validateConfig(config) {
     }
   }
 
+  // LLM provider validation
+  if (config.llm !== undefined) {
+    errors.push(...validateProviderConfig(config.llm, 'llm'));
+  }
+
+  // Audit trail validation
+  if (config.audit !== undefined) {
+    if (typeof config.audit !== 'object' || config.audit === null) {
+      errors.push('audit must be an object');
+    } else {
+      for (const key of ['enabled', 'redact']) {
+        if (config.audit[key] !== undefined && typeof config.audit[key] !== 'boolean') {
+          errors.push(`audit.${key} must be a boolean`);
+        }
+      }
+    }
+  }
+
+  // Redaction validation
+  if (config.redaction !== undefined) {
+    if (typeof config.redaction !== 'object' || config.redaction === null) {
+      errors.push('redaction must be an object');
+    } else if (config.redaction.customPatterns !== undefined) {
+      if (!Array.isArray(config.redaction.customPatterns)) {
+        errors.push('redaction.customPatterns must be an array');
+      } else {
+        try {
+          createRedactor({ customPatterns: config.redaction.customPatterns });
+        } catch (error) {
+          errors.push(`redaction.customPatterns: ${error.message}`);
+        }
+      }
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -273,6 +329,7 @@ export async function loadGlobalConfig() {
 
       // Merge with defaults to ensure all fields exist
       const merged = deepMerge(structuredClone(DEFAULT_CONFIG), config);
+      setLlmConcurrency(merged.llm.maxConcurrency);
       return merged;
     } catch (error) {
       if (error instanceof SyntaxError) {
@@ -315,6 +372,8 @@ export async function saveGlobalConfig(config) {
     await fs.remove(tempPath).catch(() => {});
     throw new Error(`Failed to save config: ${error.message}`);
   }
+
+  setLlmConcurrency(config.llm?.maxConcurrency);
 }
 
 /**
@@ -16,6 +16,8 @@ import {
 } from './memory-manifest.js';
 import { getOriginalsDir } from './memory-storage.js';
 import { parseJsonlFile } from './jsonl-parser.js';
+import { createRedactor, redactJsonl, getRedactionSummary } from './secret-redactor.js';
+import { buildRedactionRecord } from './memory-session.js';
 
 /**
  * Parse a JSONL file and return raw records (without enhancement)
@@ -182,10 +184,18 @@ export async function syncNewMessages(projectId, sessionId) {
 
   // Append new messages to the copy file
   // Each message's _rawLine already has the original JSON
-  const linesToAppend = detection.newMessages
+  let linesToAppend = detection.newMessages
     .map(m => m._rawLine)
     .join('\n') + '\n';
 
+  // Sessions registered with redaction get new messages redacted the same way
+  let redaction = session.redaction;
+  if (redaction) {
+    const redactor = createRedactor(redaction.options);
+    linesToAppend = redactJsonl(redactor, linesToAppend);
+    redaction = buildRedactionRecord(redaction.options, getRedactionSummary(redactor), redaction);
+  }
+
   await fs.appendFile(copyPath, linesToAppend, 'utf-8');
 
   // Find the new last timestamp and UUID
@@ -203,7 +213,8 @@ export async function syncNewMessages(projectId, sessionId) {
     lastSyncedMessageUuid: newLastMessageUuid,
     messageCount: newMessageCount,
     lastTimestamp: newLastTimestamp, // Also update the session's lastTimestamp
-    originalMessages: newMessageCount // Keep this in sync
+    originalMessages: newMessageCount, // Keep this in sync
+    ...(redaction && { redaction })
   };
 
   await setSession(projectId, sessionId, updatedSession);
@@ -7,6 +7,10 @@ import {
   TIER_PRESETS,
   COMPACTION_RATIOS
 } from './summarizer.js';
+import { TOOL_MODES, DEFAULT_TOOL_MODE } from './action-log.js';
+import { CHUNK_STRATEGIES, DEFAULT_CHUNK_STRATEGY } from './chunking.js';
+import { MAX_BUDGET_ATTEMPTS } from './compression-budget.js';
+import { DEFAULT_EXTRACTIVE_KEEP_PERCENT } from './extractive.js';
 
 // Re-export for use by routes
 export { TIER_PRESETS, COMPACTION_RATIOS };
@@ -24,6 +28,8 @@ export const DEFAULT_COMPRESSION_SETTINGS = {
   model: 'opus',
   skipFirstMessages: 0,
   keepitMode: 'ignore',
+  toolMode: DEFAULT_TOOL_MODE,
+  chunkStrategy: DEFAULT_CHUNK_STRATEGY,
   sessionDistance: null
 };
 
@@ -35,14 +41,29 @@ export const DEFAULT_UNIFORM_SETTINGS = {
   aggressiveness: 'moderate'
 };
 
+/**
+ * Default extractive mode settings (no LLM, see extractive.js)
+ */
+export const DEFAULT_EXTRACTIVE_SETTINGS = {
+  keepPercent: DEFAULT_EXTRACTIVE_KEEP_PERCENT
+};
+
 /**
  * Valid values for compression settings
  */
-export const VALID_MODES = ['uniform', 'tiered'];
+export const VALID_MODES = ['uniform', 'tiered', 'extractive'];
 export const VALID_AGGRESSIVENESS = ['minimal', 'moderate', 'aggressive'];
 export const VALID_TIER_PRESETS = ['gentle', 'standard', 'aggressive'];
 export const VALID_MODELS = ['opus', 'sonnet', 'haiku'];
 export const VALID_KEEPIT_MODES = ['decay', 'preserve-all', 'ignore'];
+export const VALID_TOOL_MODES = TOOL_MODES;
+export const VALID_CHUNK_STRATEGIES = CHUNK_STRATEGIES;
+
+/**
+ * Compress-to-budget limits (targetTokens / maxBudgetAttempts)
+ */
+export const MIN_TARGET_TOKENS = 100;
+export { MAX_BUDGET_ATTEMPTS };
 
 /**
  * Compression level mapping
@@ -112,6 +133,14 @@ export function getCompressionSettings(settings = {}) {
     };
   }
 
+  if (settings.mode === 'extractive') {
+    return {
+      ...base,
+      ...settings,
+      keepPercent: settings.keepPercent || DEFAULT_EXTRACTIVE_SETTINGS.keepPercent
+    };
+  }
+
   return {
     ...base,
     ...settings
@@ -12,10 +12,17 @@ import {
   summarizeAndIntegrateWithTiers
 } from './summarizer.js';
 import { acquireSessionLock, OperationType } from './memory-lock.js';
+import { throwIfCancelled } from './llm-providers.js';
+import { getCheckpointReport } from './chunk-checkpoints.js';
+import { DEFAULT_PROMPT_TEMPLATE } from './prompt-templates.js';
+import { extractAndIntegrate } from './extractive.js';
+import { DEFAULT_EXTRACTIVE_SETTINGS } from './memory-versions-config.js';
 import {
   determineCompressionLevelFromSettings,
   saveVersionFiles,
-  countOutputTokens
+  countOutputTokens,
+  resolveTierPreset,
+  toCompressionError
 } from './memory-versions-helpers.js';
 import {
   validateCompressionSettings,
@@ -39,9 +46,14 @@ export async function acquireCompressionLock(projectId, sessionId) {
 
 /**
  * Validate settings and throw proper error if invalid
+ * Compress-to-budget (targetTokens) is only available for full versions
  */
 export function validateSettingsOrThrow(settings) {
   const validation = validateCompressionSettings(settings);
+  if (settings.targetTokens) {
+    validation.valid = false;
+    validation.errors.push('targetTokens is only supported when creating a full compression version');
+  }
   if (!validation.valid) {
     const error = new Error(`Invalid compression settings: ${validation.errors.join('; ')}`);
     error.code = 'INVALID_SETTINGS';
@@ -91,19 +103,51 @@ export async function loadSourceFile(session) {
   }
 }
 
+/**
+ * Combine the lock's abort signal with a caller-supplied one
+ */
+export function getRunSignal(lock, signal = null) {
+  return signal ? AbortSignal.any([lock.signal, signal]) : lock.signal;
+}
+
 /**
  * Run compression using the appropriate strategy
+ * (extractive mode needs no provider or prompt template)
+ * @param {Object} options - { provider, promptTemplate, onProgress, signal, checkpoint, audit }
+ *   provider: resolved LLM provider config (see resolveManifestProvider)
+ *   promptTemplate: resolved prompt template (see resolveManifestPromptTemplate)
+ *   onProgress: summarizer progress callback
+ *   signal: AbortSignal to cancel the run
+ *   checkpoint: checkpoint run for resuming failed chunks (see chunk-checkpoints.js)
+ *   audit: audit trail recording every LLM exchange (see llm-audit.js)
  */
-export async function runCompression(parsed, uuids, settings) {
+export async function runCompression(parsed, uuids, settings, options = {}) {
+  const { provider = null, promptTemplate = null, onProgress = null, signal = null, checkpoint = null, audit = null } = options;
   const startTime = Date.now();
 
   try {
     let result;
-    if (settings.mode === 'tiered') {
+    if (settings.mode === 'extractive') {
+      result = extractAndIntegrate(parsed, uuids, {
+        keepPercent: settings.keepPercent || DEFAULT_EXTRACTIVE_SETTINGS.keepPercent,
+        toolMode: settings.toolMode || 'drop',
+        onProgress,
+        removeNonConversation: true,
+        skipFirstMessages: settings.skipFirstMessages || 0
+      });
+    } else if (settings.mode === 'tiered') {
       result = await summarizeAndIntegrateWithTiers(parsed, uuids, {
         tiers: settings.customTiers || undefined,
-        tierPreset: settings.tierPreset || 'standard',
+        tierPreset: resolveTierPreset(settings),
         model: settings.model || 'opus',
+        provider,
+        promptTemplate,
+        toolMode: settings.toolMode || 'drop',
+        chunkStrategy: settings.chunkStrategy || 'fixed',
+        signal,
+        checkpoint,
+        audit,
+        onProgress,
         removeNonConversation: true,
         skipFirstMessages: settings.skipFirstMessages || 0
       });
@@ -111,28 +155,42 @@ export async function runCompression(parsed, uuids, settings) {
       result = await summarizeAndIntegrate(parsed, uuids, {
         compactionRatio: settings.compactionRatio || 10,
         aggressiveness: settings.aggressiveness || 'moderate',
+        keepitMode: settings.keepitMode || 'decay',
+        sessionDistance: settings.sessionDistance || 0,
         model: settings.model || 'opus',
+        provider,
+        promptTemplate,
+        toolMode: settings.toolMode || 'drop',
+        chunkStrategy: settings.chunkStrategy || 'fixed',
+        signal,
+        checkpoint,
+        audit,
+        onProgress,
         removeNonConversation: true,
         skipFirstMessages: settings.skipFirstMessages || 0
       });
     }
 
+    // The last LLM call may have finished just as the run was cancelled
+    throwIfCancelled(signal);
+
     return {
       result,
       processingTime: Date.now() - startTime
     };
   } catch (summarizeError) {
-    const error = new Error(`Compression failed: ${summarizeError.message}`);
-    error.code = 'COMPRESSION_FAILED';
-    error.status = 500;
-    throw error;
+    throw toCompressionError(summarizeError, getCheckpointReport(checkpoint));
   }
 }
 
+
 /**
  * Create compression record with all metadata
  */
 export function createCompressionRecord(versionId, filename, settings, stats, messageRange) {
+  // Extractive versions are made without an LLM
+  const extractive = settings.mode === 'extractive';
+
   return {
     versionId,
     file: filename,
@@ -142,13 +200,20 @@ export function createCompressionRecord(versionId, filename, settings, stats, me
       ...(settings.mode === 'uniform' ? {
         compactionRatio: settings.compactionRatio || 10,
         aggressiveness: settings.aggressiveness || 'moderate'
+      } : extractive ? {
+        keepPercent: settings.keepPercent || DEFAULT_EXTRACTIVE_SETTINGS.keepPercent
       } : {
-        tierPreset: settings.tierPreset || 'standard',
+        tierPreset: resolveTierPreset(settings),
         customTiers: settings.customTiers || null
       }),
-      model: settings.model || 'opus',
+      model: extractive ? null : (settings.model || 'opus'),
+      llmProvider: extractive ? 'none' : (settings.llmProvider || 'cli'),
+      promptTemplate: extractive ? null : (settings.promptTemplate || DEFAULT_PROMPT_TEMPLATE),
+      promptTemplateHash: extractive ? null : (settings.promptTemplateHash || null),
       skipFirstMessages: settings.skipFirstMessages || 0,
       keepitMode: settings.keepitMode || 'ignore',
+      toolMode: settings.toolMode || 'drop',
+      chunkStrategy: settings.chunkStrategy || 'fixed',
       sessionDistance: settings.sessionDistance || null
     },
     inputTokens: stats.inputTokens,
@@ -158,8 +223,12 @@ export function createCompressionRecord(versionId, filename, settings, stats, me
     compressionRatio: Number(stats.compressionRatio.toFixed(2)),
     processingTimeMs: stats.processingTime,
     keepitStats: { preserved: 0, summarized: 0, weights: {} },
+    retention: stats.retention || null,
     fileSizes: { md: stats.mdSize, jsonl: stats.jsonlSize },
     tierResults: stats.tierResults || null,
+    outputStats: stats.outputStats || null,
+    extractiveStats: stats.extractiveStats || null,
+    audit: stats.audit || null,
     partNumber: stats.partNumber,
     compressionLevel: stats.compressionLevel,
     isFullSession: false,
@@ -14,23 +14,34 @@ import {
   determineCompressionLevelFromSettings,
   saveVersionFiles,
   countOutputTokens,
-  calculateDeltaTokens
+  calculateDeltaTokens,
+  resolveManifestProvider,
+  resolveManifestPromptTemplate,
+  removeVersionFiles
 } from './memory-versions-helpers.js';
 import { ensureVersionsDir, generatePartVersionFilename } from './memory-versions.js';
+import { openCheckpointRun, getCheckpointReport, clearCheckpointRun } from './chunk-checkpoints.js';
+import { openAuditTrail, saveAuditTrail, removeAuditTrail } from './llm-audit.js';
+import { loadGlobalConfig } from './memory-storage.js';
+import { measureFactRetention } from './fact-retention.js';
 import {
   acquireCompressionLock,
   validateSettingsOrThrow,
   loadSessionOrThrow,
   loadSourceFile,
   runCompression,
+  getRunSignal,
   createCompressionRecord
 } from './memory-versions-delta-helpers.js';
 
 /**
  * Create a compression version for delta (new messages only)
  * This compresses only messages that haven't been compressed yet.
+ * @param {Object} options - { onProgress, signal } (see createCompressionVersion)
  */
-export async function createDeltaCompression(projectId, sessionId, settings) {
+export async function createDeltaCompression(projectId, sessionId, settings, options = {}) {
+  const { onProgress = null } = options;
+
   validateSettingsOrThrow(settings);
 
   const lock = await acquireCompressionLock(projectId, sessionId);
@@ -64,7 +75,18 @@ export async function createDeltaCompression(projectId, sessionId, settings) {
       totalMessages: delta.deltaMessages.length
     };
 
-    const { result, processingTime } = await runCompression(deltaParsed, deltaUuids, settings);
+    const provider = await resolveManifestProvider(manifest);
+    const promptTemplate = await resolveManifestPromptTemplate(manifest, settings.promptTemplate);
+    const checkpoint = settings.mode === 'extractive' ? null : await openCheckpointRun(`${projectId}/${sessionId}`);
+    const audit = settings.mode === 'extractive' ? null : openAuditTrail((await loadGlobalConfig()).audit);
+    const { result, processingTime } = await runCompression(deltaParsed, deltaUuids, settings, {
+      provider,
+      promptTemplate,
+      onProgress,
+      signal: getRunSignal(lock, options.signal),
+      checkpoint,
+      audit
+    });
 
     const outputTokens = countOutputTokens(result.messages);
     const inputTokens = calculateDeltaTokens(delta.deltaMessages);
@@ -73,8 +95,14 @@ export async function createDeltaCompression(projectId, sessionId, settings) {
     const versionsDir = await ensureVersionsDir(projectId, sessionId);
     const filename = generatePartVersionFilename(partNumber, compressionLevel);
     const savedFiles = await saveVersionFiles(versionsDir, filename, result);
+    const auditInfo = await saveAuditTrail(versionsDir, filename, versionId, audit);
 
-    const compressionRecord = createCompressionRecord(versionId, filename, settings, {
+    const compressionRecord = createCompressionRecord(versionId, filename, {
+      ...settings,
+      llmProvider: provider.type,
+      promptTemplate: promptTemplate.name,
+      promptTemplateHash: promptTemplate.hash
+    }, {
       inputTokens,
       inputMessages: delta.deltaMessages.length,
       outputTokens,
@@ -84,6 +112,10 @@ export async function createDeltaCompression(projectId, sessionId, settings) {
       mdSize: savedFiles.mdSize,
       jsonlSize: savedFiles.jsonlSize,
       tierResults: result.tierResults,
+      outputStats: result.outputStats,
+      extractiveStats: result.extractiveStats,
+      audit: auditInfo,
+      retention: measureFactRetention(delta.deltaMessages, result.messages),
       partNumber,
       compressionLevel
     }, {
@@ -98,9 +130,19 @@ export async function createDeltaCompression(projectId, sessionId, settings) {
     session.compressions.push(compressionRecord);
     session.lastAccessed = new Date().toISOString();
     manifest.sessions[sessionId] = session;
-    await saveManifest(projectId, manifest);
 
-    return compressionRecord;
+    try {
+      await saveManifest(projectId, manifest);
+    } catch (saveError) {
+      await removeVersionFiles(versionsDir, filename);
+      await removeAuditTrail(versionsDir, filename);
+      throw saveError;
+    }
+
+    const checkpoints = getCheckpointReport(checkpoint);
+    await clearCheckpointRun(checkpoint);
+
+    return { ...compressionRecord, checkpoints };
 
   } finally {
     if (lock) {
@@ -112,8 +154,11 @@ export async function createDeltaCompression(projectId, sessionId, settings) {
 /**
  * Re-compress an existing part at a different compression level
  * Creates a new version of the same message range
+ * @param {Object} options - { onProgress, signal } (see createCompressionVersion)
  */
-export async function recompressPart(projectId, sessionId, partNumber, settings) {
+export async function recompressPart(projectId, sessionId, partNumber, settings, options = {}) {
+  const { onProgress = null } = options;
+
   validateSettingsOrThrow(settings);
 
   const lock = await acquireCompressionLock(projectId, sessionId);
@@ -163,15 +208,32 @@ export async function recompressPart(projectId, sessionId, partNumber, settings)
     const partParsed = { messages: partMessages, totalMessages: partMessages.length };
     const partUuids = partMessages.map(m => m.uuid);
 
-    const { result, processingTime } = await runCompression(partParsed, partUuids, settings);
+    const provider = await resolveManifestProvider(manifest);
+    const promptTemplate = await resolveManifestPromptTemplate(manifest, settings.promptTemplate);
+    const checkpoint = settings.mode === 'extractive' ? null : await openCheckpointRun(`${projectId}/${sessionId}`);
+    const audit = settings.mode === 'extractive' ? null : openAuditTrail((await loadGlobalConfig()).audit);
+    const { result, processingTime } = await runCompression(partParsed, partUuids, settings, {
+      provider,
+      promptTemplate,
+      onProgress,
+      signal: getRunSignal(lock, options.signal),
+      checkpoint,
+      audit
+    });
 
     const outputTokens = countOutputTokens(result.messages);
 
     const versionsDir = await ensureVersionsDir(projectId, sessionId);
     const filename = generatePartVersionFilename(partNumber, newLevel);
     const savedFiles = await saveVersionFiles(versionsDir, filename, result);
+    const auditInfo = await saveAuditTrail(versionsDir, filename, versionId, audit);
 
-    const compressionRecord = createCompressionRecord(versionId, filename, settings, {
+    const compressionRecord = createCompressionRecord(versionId, filename, {
+      ...settings,
+      llmProvider: provider.type,
+      promptTemplate: promptTemplate.name,
+      promptTemplateHash: promptTemplate.hash
+    }, {
       inputTokens: existingPart.inputTokens,
       inputMessages: existingPart.inputMessages,
       outputTokens,
@@ -181,15 +243,29 @@ export async function recompressPart(projectId, sessionId, partNumber, settings)
       mdSize: savedFiles.mdSize,
       jsonlSize: savedFiles.jsonlSize,
       tierResults: result.tierResults,
+      outputStats: result.outputStats,
+      extractiveStats: result.extractiveStats,
+      audit: auditInfo,
+      retention: measureFactRetention(partMessages, result.messages),
       partNumber,
       compressionLevel: newLevel
     }, messageRange);
 
     session.compressions.push(compressionRecord);
     session.lastAccessed = new Date().toISOString();
-    await saveManifest(projectId, manifest);
 
-    return compressionRecord;
+    try {
+      await saveManifest(projectId, manifest);
+    } catch (saveError) {
+      await removeVersionFiles(versionsDir, filename);
+      await removeAuditTrail(versionsDir, filename);
+      throw saveError;
+    }
+
+    const checkpoints = getCheckpointReport(checkpoint);
+    await clearCheckpointRun(checkpoint);
+
+    return { ...compressionRecord, checkpoints };
 
   } finally {
     if (lock) {
@@ -0,0 +1,74 @@
+/**
+ * Pre-flight estimate for memory compression versions
+ * Predicts LLM calls, tokens and cost of a compression without running it
+ */
+
+import { detectDelta } from './memory-delta.js';
+import { loadGlobalConfig } from './memory-storage.js';
+import { resolveManifestPromptTemplate, resolveTierPreset } from './memory-versions-helpers.js';
+import { loadSessionOrThrow, loadSourceFile } from './memory-versions-delta-helpers.js';
+import { estimateSummarization, resolveModelPricing } from './summarization-estimate.js';
+import { planBudgetTiers, resolveBaseTiers } from './compression-budget.js';
+
+/**
+ * Estimate a compression of a session (full or delta)
+ * @param {Object} settings - Compression settings (validated by the caller)
+ * @param {Object} options - { delta } estimate only the uncompressed messages
+ * @returns {Promise<Object>} Estimate (see estimateSummarization) plus { scope, promptTemplate, budget }
+ *   budget: solved tiers for settings.targetTokens (see planBudgetTiers), full scope only;
+ *           the estimate covers the first attempt
+ */
+export async function estimateCompressionVersion(projectId, sessionId, settings, options = {}) {
+  const { delta = false } = options;
+
+  const { manifest, session } = await loadSessionOrThrow(projectId, sessionId);
+
+  let messages;
+  let budget = null;
+  if (delta) {
+    const deltaInfo = await detectDelta(projectId, sessionId);
+    messages = deltaInfo.deltaMessages || [];
+  } else {
+    const parsed = await loadSourceFile(session);
+    messages = parsed.messages;
+
+    // Compress to budget: estimate the first attempt with the solved tiers
+    if (settings.mode === 'tiered' && settings.targetTokens) {
+      budget = planBudgetTiers(parsed, messages.map(m => m.uuid), settings.targetTokens, {
+        baseTiers: resolveBaseTiers(settings),
+        toolMode: settings.toolMode || 'drop',
+        skipFirstMessages: settings.skipFirstMessages || 0
+      });
+    }
+  }
+
+  const config = await loadGlobalConfig();
+  const promptTemplate = await resolveManifestPromptTemplate(manifest, settings.promptTemplate);
+
+  const estimate = estimateSummarization(messages, {
+    mode: settings.mode,
+    compactionRatio: settings.compactionRatio || 10,
+    aggressiveness: settings.aggressiveness || 'moderate',
+    tiers: budget ? budget.tiers : (settings.customTiers || undefined),
+    tierPreset: budget ? null : resolveTierPreset(settings),
+    model: settings.model || 'opus',
+    skipFirstMessages: settings.skipFirstMessages || 0,
+    promptTemplate,
+    toolMode: settings.toolMode || 'drop',
+    chunkStrategy: settings.chunkStrategy || 'fixed',
+    keepPercent: settings.keepPercent || undefined,
+    targetTokens: settings.mode === 'extractive' ? (settings.targetTokens || null) : null,
+    pricing: resolveModelPricing(config.llm)
+  });
+
+  return {
+    ...estimate,
+    scope: delta ? 'delta' : 'full',
+    promptTemplate: settings.mode === 'extractive' ? null : promptTemplate.name,
+    budget
+  };
+}
+
+export default {
+  estimateCompressionVersion
+};
@@ -31,7 +31,9 @@ import { COMPRESSION_LEVELS, COMPRESSION_LEVEL_NAMES } from './memory-versions-c
  */
 export function generateVersionFilename(versionId, settings, tokenCount, partNumber = null) {
   const mode = settings.mode || 'uniform';
-  const preset = settings.tierPreset || settings.aggressiveness || 'custom';
+  const preset = settings.mode === 'extractive'
+    ? (settings.targetTokens ? 'budget' : `keep${settings.keepPercent || 20}`)
+    : (settings.tierPreset || settings.aggressiveness || 'custom');
   // Use at least 1k even for small token counts to avoid "0k" in filename
   const tokens = Math.max(1, Math.round(tokenCount / 1000));
 
@@ -57,6 +59,17 @@ export function generatePartVersionFilename(partNumber, compressionLevel) {
   return `compressed_part${partNumber}_v${levelNum}`;
 }
 
+/**
+ * Generate rollup filename from its version ID
+ * Format: compressed_rollup{from}-{to}_v{NNN}.jsonl
+ *
+ * @param {string} versionId - Rollup version ID (e.g., "rollup1-3_v001")
+ * @returns {string} Generated filename without extension
+ */
+export function generateRollupFilename(versionId) {
+  return `compressed_${versionId}`;
+}
+
 // ============================================
 // Filename Parsing
 // ============================================
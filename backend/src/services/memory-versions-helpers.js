@@ -1,6 +1,9 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { extractTextContent } from './summarizer.js';
+import { loadGlobalConfig } from './memory-storage.js';
+import { resolveProviderConfig, isCancelledError } from './llm-providers.js';
+import { getPromptTemplates, resolvePromptTemplate } from './prompt-templates.js';
 import {
   generateMarkdownOutput,
   generateJsonlOutput,
@@ -108,6 +111,17 @@ export function migrateCompressionRecord(compression, session) {
   };
 }
 
+/**
+ * Tier preset a tiered version runs with
+ * Custom tiers only apply without a preset (a preset wins, as in summarizeWithTiers)
+ *
+ * @param {Object} settings - Compression settings
+ * @returns {string|null} Preset name, or null to use settings.customTiers
+ */
+export function resolveTierPreset(settings) {
+  return settings.tierPreset || (settings.customTiers ? null : 'standard');
+}
+
 /**
  * Determine compression level from settings
  * 1 = light, 2 = moderate, 3 = aggressive
@@ -119,13 +133,20 @@ export function determineCompressionLevelFromSettings(settings) {
   if (!settings) return 'moderate';
 
   if (settings.mode === 'tiered') {
-    const preset = settings.tierPreset || 'standard';
+    const preset = resolveTierPreset(settings);
     if (preset === 'gentle') return 'light';
     if (preset === 'standard') return 'moderate';
     if (preset === 'aggressive') return 'aggressive';
     return 'moderate'; // custom defaults to moderate
   }
 
+  if (settings.mode === 'extractive') {
+    const keepPercent = settings.keepPercent || 20;
+    if (keepPercent >= 40) return 'light';
+    if (keepPercent >= 15) return 'moderate';
+    return 'aggressive';
+  }
+
   const aggr = settings.aggressiveness || 'moderate';
   if (aggr === 'minimal') return 'light';
   if (aggr === 'moderate') return 'moderate';
@@ -139,17 +160,26 @@ export function determineCompressionLevelFromSettings(settings) {
 
 /**
  * Save version files (.md and .jsonl)
+ * Both files are written to temp paths first and renamed into place, so an
+ * interrupted write never leaves a partial version in the versions directory
  */
 export async function saveVersionFiles(versionsDir, filename, result) {
-  // Generate markdown content
   const markdownContent = generateMarkdownOutput(result);
-  const mdPath = path.join(versionsDir, `${filename}.md`);
-  await fs.writeFile(mdPath, markdownContent, 'utf-8');
-
-  // Generate JSONL content
   const jsonlContent = generateJsonlOutput(result);
+  const mdPath = path.join(versionsDir, `${filename}.md`);
   const jsonlPath = path.join(versionsDir, `${filename}.jsonl`);
-  await fs.writeFile(jsonlPath, jsonlContent, 'utf-8');
+  const mdTmpPath = `${mdPath}.tmp`;
+  const jsonlTmpPath = `${jsonlPath}.tmp`;
+
+  try {
+    await fs.writeFile(mdTmpPath, markdownContent, 'utf-8');
+    await fs.writeFile(jsonlTmpPath, jsonlContent, 'utf-8');
+    await fs.rename(mdTmpPath, mdPath);
+    await fs.rename(jsonlTmpPath, jsonlPath);
+  } catch (error) {
+    await Promise.all([mdTmpPath, jsonlTmpPath, mdPath, jsonlPath].map(p => fs.remove(p).catch(() => {})));
+    throw error;
+  }
 
   return {
     mdPath,
@@ -159,6 +189,41 @@ export async function saveVersionFiles(versionsDir, filename, result) {
   };
 }
 
+/**
+ * Remove a version's files (used to roll back when the manifest update fails)
+ */
+export async function removeVersionFiles(versionsDir, filename) {
+  await Promise.all(['md', 'jsonl'].map(ext =>
+    fs.remove(path.join(versionsDir, `${filename}.${ext}`)).catch(() => {})
+  ));
+}
+
+/**
+ * Wrap a summarizer failure in the error compression callers expect
+ * Cancelled runs get COMPRESSION_CANCELLED so they aren't reported as failures
+ *
+ * @param {Error} summarizeError - Error thrown by the summarizer
+ * @param {Object|null} checkpoints - Checkpoint report of the failed run, so a
+ *   retry can be told which chunks are already saved
+ */
+export function toCompressionError(summarizeError, checkpoints = null) {
+  let error;
+  if (isCancelledError(summarizeError)) {
+    error = new Error('Compression cancelled');
+    error.code = 'COMPRESSION_CANCELLED';
+    error.status = 409;
+  } else {
+    error = new Error(`Compression failed: ${summarizeError.message}`);
+    error.code = 'COMPRESSION_FAILED';
+    error.status = 500;
+  }
+
+  if (checkpoints) {
+    error.details = { checkpoints };
+  }
+  return error;
+}
+
 /**
  * Count tokens in the output messages
  * Uses character-based estimation since we don't have actual API usage data
@@ -206,3 +271,23 @@ export function calculateDeltaTokens(messages) {
   // Rough estimation: 1 token ~= 4 characters
   return Math.ceil(totalChars / 4);
 }
+
+/**
+ * Resolve the LLM provider for a project's compressions
+ * Project setting `llmProvider` overrides the global `llm.provider`
+ */
+export async function resolveManifestProvider(manifest) {
+  const config = await loadGlobalConfig();
+  return resolveProviderConfig(config.llm, manifest?.settings?.llmProvider || null);
+}
+
+/**
+ * Resolve a compression's prompt template from the global and project templates
+ * @param {Object} manifest - Project manifest (settings.promptTemplates)
+ * @param {string|null} name - Template name from the compression settings
+ * @throws {Error} PROMPT_TEMPLATE_NOT_FOUND (400) for unknown names
+ */
+export async function resolveManifestPromptTemplate(manifest, name) {
+  const config = await loadGlobalConfig();
+  return resolvePromptTemplate(name, getPromptTemplates(config, manifest?.settings));
+}
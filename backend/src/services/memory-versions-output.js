@@ -4,6 +4,7 @@
  */
 
 import { extractTextContent } from './summarizer.js';
+import { formatActionLog } from './action-log.js';
 
 /**
  * Generate markdown output from summarized messages
@@ -44,6 +45,13 @@ export function generateMarkdownOutput(result) {
     if (text) {
       lines.push(text);
     }
+
+    // Exact tool actions behind a summary (kept verbatim messages already show them)
+    const actions = formatActionLog(msg.actionLog);
+    if (actions && !text.includes(actions)) {
+      lines.push('');
+      lines.push(actions);
+    }
     lines.push('');
     lines.push('---');
     lines.push('');
@@ -83,6 +91,7 @@ export function generateJsonlOutput(result) {
       isSummarized: msg.isSummarized || false,
       summarizedCount: msg.summarizedCount || null,
       summarizedFrom: msg.summarizedFrom || null,
+      ...(msg.actionLog ? { actionLog: msg.actionLog } : {}),
       message: {
         role: msg.type,
         content: msg.content
@@ -1,6 +1,6 @@
 /**
  * Read operations for memory compression versions
- * Handles list and get version functions
+ * Handles list and get version functions, and browsing a version's audit trail
  */
 
 import fs from 'fs-extra';
@@ -8,6 +8,7 @@ import path from 'path';
 import { getSession } from './memory-manifest.js';
 import { getFileSizeIfExists } from './memory-versions-helpers.js';
 import { getVersionsPath } from './memory-versions-filename.js';
+import { loadAuditTrail, summarizeExchange } from './llm-audit.js';
 
 /**
  * List all compression versions for a session
@@ -135,3 +136,62 @@ export async function getCompressionVersion(projectId, sessionId, versionId) {
     }
   };
 }
+
+/**
+ * Get the audit trail of a compression version (see llm-audit.js)
+ * Without an exchange index, lists the exchanges without prompts and responses
+ *
+ * @param {Object} options - { exchange, kind }
+ *   exchange: index of one exchange to return in full
+ *   kind: only list exchanges of this kind ('summarize' or 'select')
+ * @returns {Promise<Object>} { versionId, createdAt, redacted, exchanges } or { versionId, redacted, exchange }
+ */
+export async function getVersionAudit(projectId, sessionId, versionId, options = {}) {
+  const { exchange = null, kind = null } = options;
+  const session = await getSession(projectId, sessionId);
+
+  if (!session) {
+    const error = new Error(`Session ${sessionId} not found in project ${projectId}`);
+    error.code = 'SESSION_NOT_FOUND';
+    error.status = 404;
+    throw error;
+  }
+
+  const compression = (session.compressions || []).find(c => c.versionId === versionId);
+
+  if (!compression) {
+    const error = new Error(`Version ${versionId} not found for session ${sessionId}`);
+    error.code = 'VERSION_NOT_FOUND';
+    error.status = 404;
+    throw error;
+  }
+
+  const trail = await loadAuditTrail(getVersionsPath(projectId, sessionId), compression.file);
+
+  if (!trail) {
+    const error = new Error(`Version ${versionId} has no audit trail (extractive version, created before auditing or with auditing disabled)`);
+    error.code = 'AUDIT_NOT_FOUND';
+    error.status = 404;
+    throw error;
+  }
+
+  if (exchange !== null) {
+    const found = trail.exchanges.find(e => e.index === exchange);
+    if (!found) {
+      const error = new Error(`Exchange ${exchange} not found in the audit trail of ${versionId}`);
+      error.code = 'EXCHANGE_NOT_FOUND';
+      error.status = 404;
+      throw error;
+    }
+    return { versionId, redacted: trail.redacted, exchange: found };
+  }
+
+  return {
+    versionId,
+    createdAt: trail.createdAt,
+    redacted: trail.redacted,
+    exchanges: trail.exchanges
+      .filter(e => !kind || e.kind === kind)
+      .map(summarizeExchange)
+  };
+}
@@ -0,0 +1,293 @@
+/**
+ * Part rollup functions
+ * Consolidates the chosen versions of parts fromPart..toPart into one summary
+ * so composition doesn't stitch many small summaries that repeat context.
+ *
+ * A rollup is a compression record without a partNumber and with a `rollup`
+ * block recording its provenance:
+ *   rollup: { fromPart, toPart, sources: [{ partNumber, versionId, file, ... }], sourceTokens }
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { saveManifest } from './memory-manifest.js';
+import { parseJsonlFile } from './jsonl-parser.js';
+import {
+  getPartVersions,
+  getHighestPartNumber,
+  generateRollupVersionId
+} from './memory-delta.js';
+import {
+  determineCompressionLevelFromSettings,
+  saveVersionFiles,
+  countOutputTokens,
+  resolveManifestProvider,
+  resolveManifestPromptTemplate,
+  removeVersionFiles
+} from './memory-versions-helpers.js';
+import { ensureVersionsDir, generateRollupFilename } from './memory-versions.js';
+import { openCheckpointRun, getCheckpointReport, clearCheckpointRun } from './chunk-checkpoints.js';
+import { openAuditTrail, saveAuditTrail, removeAuditTrail } from './llm-audit.js';
+import { loadGlobalConfig } from './memory-storage.js';
+import { measureFactRetention } from './fact-retention.js';
+import {
+  acquireCompressionLock,
+  validateSettingsOrThrow,
+  loadSessionOrThrow,
+  runCompression,
+  getRunSignal,
+  createCompressionRecord
+} from './memory-versions-delta-helpers.js';
+
+// Part summaries are already dense, so rollups compress gently by default
+export const DEFAULT_ROLLUP_COMPACTION_RATIO = 3;
+
+/**
+ * Validate the requested part span
+ */
+function validateSpanOrThrow(session, fromPart, toPart) {
+  const highestPart = getHighestPartNumber(session);
+  const problems = [];
+
+  if (!Number.isInteger(fromPart) || fromPart < 1) {
+    problems.push('fromPart must be a positive integer');
+  }
+  if (!Number.isInteger(toPart) || toPart <= fromPart) {
+    problems.push('toPart must be an integer greater than fromPart');
+  }
+  if (Number.isInteger(toPart) && toPart > highestPart) {
+    problems.push(`toPart ${toPart} exceeds the highest part (${highestPart})`);
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid rollup: ${problems.join('; ')}`);
+    error.code = 'INVALID_ROLLUP';
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Pick the source version of each part
+ * Uses the requested version where given, otherwise the part's newest version
+ *
+ * @param {Object} session - Session object from manifest
+ * @param {number} fromPart - First part
+ * @param {number} toPart - Last part
+ * @param {Object} requested - { [partNumber]: versionId }
+ * @returns {Array} Source compression records in part order
+ */
+export function selectRollupSources(session, fromPart, toPart, requested = {}) {
+  const sources = [];
+
+  for (let partNumber = fromPart; partNumber <= toPart; partNumber++) {
+    const versions = getPartVersions(session, partNumber);
+    if (versions.length === 0) {
+      const error = new Error(`Part ${partNumber} not found`);
+      error.code = 'PART_NOT_FOUND';
+      error.status = 404;
+      throw error;
+    }
+
+    const requestedId = requested[partNumber];
+    const version = requestedId
+      ? versions.find(v => v.versionId === requestedId)
+      : [...versions].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+
+    if (!version) {
+      const error = new Error(`Version ${requestedId} is not a version of part ${partNumber}`);
+      error.code = 'VERSION_NOT_FOUND';
+      error.status = 404;
+      throw error;
+    }
+
+    sources.push({ ...version, partNumber });
+  }
+
+  return sources;
+}
+
+/**
+ * Load the conversation messages of the source versions, in part order
+ */
+async function loadSourceMessages(versionsDir, sources) {
+  const messages = [];
+
+  for (const source of sources) {
+    const jsonlPath = path.join(versionsDir, `${source.file}.jsonl`);
+    if (!await fs.pathExists(jsonlPath)) {
+      const error = new Error(`Version file not found for ${source.versionId}: ${jsonlPath}`);
+      error.code = 'VERSION_FILE_NOT_FOUND';
+      error.status = 404;
+      throw error;
+    }
+
+    const parsed = await parseJsonlFile(jsonlPath);
+    messages.push(...parsed.messages.filter(m => m.type === 'user' || m.type === 'assistant'));
+  }
+
+  return messages;
+}
+
+/**
+ * Roll up parts fromPart..toPart into one consolidated version
+ * Keepits in the part summaries are kept per the decay rules (keepitMode 'decay')
+ *
+ * @param {string} projectId - Project ID
+ * @param {string} sessionId - Session ID
+ * @param {Object} request - Rollup request
+ * @param {number} request.fromPart - First part to include (default 1)
+ * @param {number} request.toPart - Last part to include
+ * @param {Object} request.versions - { [partNumber]: versionId } (default: newest version of each part)
+ * @param {number} request.compactionRatio - Summary compaction ratio (default 3)
+ * @param {string} request.aggressiveness - 'minimal', 'moderate' or 'aggressive'
+ * @param {number} request.sessionDistance - Session distance for keepit decay (default 0)
+ * @param {string} request.model, request.promptTemplate, request.chunkStrategy - As for uniform versions
+ * @param {Object} options - { onProgress, signal } (see createCompressionVersion)
+ * @returns {Promise<Object>} Rollup compression record
+ */
+export async function rollupParts(projectId, sessionId, request = {}, options = {}) {
+  const { onProgress = null } = options;
+  const {
+    fromPart = 1,
+    toPart,
+    versions: requestedVersions = {},
+    compactionRatio = DEFAULT_ROLLUP_COMPACTION_RATIO,
+    aggressiveness = 'moderate',
+    sessionDistance = 0,
+    model,
+    promptTemplate: promptTemplateName,
+    chunkStrategy
+  } = request;
+
+  const settings = {
+    mode: 'uniform',
+    compactionRatio,
+    aggressiveness,
+    keepitMode: 'decay',
+    sessionDistance,
+    ...(model && { model }),
+    ...(promptTemplateName && { promptTemplate: promptTemplateName }),
+    ...(chunkStrategy && { chunkStrategy })
+  };
+  validateSettingsOrThrow(settings);
+
+  const lock = await acquireCompressionLock(projectId, sessionId);
+
+  try {
+    const { manifest, session } = await loadSessionOrThrow(projectId, sessionId);
+
+    validateSpanOrThrow(session, fromPart, toPart);
+    const sources = selectRollupSources(session, fromPart, toPart, requestedVersions);
+
+    const versionsDir = await ensureVersionsDir(projectId, sessionId);
+    const sourceMessages = await loadSourceMessages(versionsDir, sources);
+
+    if (sourceMessages.length < 2) {
+      const error = new Error('Rolled up parts must have at least 2 messages');
+      error.code = 'INSUFFICIENT_MESSAGES';
+      error.status = 400;
+      throw error;
+    }
+
+    const versionId = generateRollupVersionId(session, fromPart, toPart);
+    const sourceParsed = { messages: sourceMessages, totalMessages: sourceMessages.length };
+    const sourceUuids = sourceMessages.map(m => m.uuid);
+
+    const provider = await resolveManifestProvider(manifest);
+    const promptTemplate = await resolveManifestPromptTemplate(manifest, settings.promptTemplate);
+    const checkpoint = await openCheckpointRun(`${projectId}/${sessionId}`);
+    const audit = openAuditTrail((await loadGlobalConfig()).audit);
+    const { result, processingTime } = await runCompression(sourceParsed, sourceUuids, settings, {
+      provider,
+      promptTemplate,
+      onProgress,
+      signal: getRunSignal(lock, options.signal),
+      checkpoint,
+      audit
+    });
+
+    const outputTokens = countOutputTokens(result.messages);
+    // Measured against the original messages the parts were made from
+    const inputTokens = sources.reduce((sum, s) => sum + (s.inputTokens || 0), 0);
+    const sourceTokens = sources.reduce((sum, s) => sum + (s.outputTokens || 0), 0);
+
+    const filename = generateRollupFilename(versionId);
+    const savedFiles = await saveVersionFiles(versionsDir, filename, result);
+    const auditInfo = await saveAuditTrail(versionsDir, filename, versionId, audit);
+
+    const first = sources[0].messageRange || {};
+    const last = sources[sources.length - 1].messageRange || {};
+
+    const compressionRecord = {
+      ...createCompressionRecord(versionId, filename, {
+        ...settings,
+        llmProvider: provider.type,
+        promptTemplate: promptTemplate.name,
+        promptTemplateHash: promptTemplate.hash
+      }, {
+        inputTokens,
+        inputMessages: sources.reduce((sum, s) => sum + (s.inputMessages || 0), 0),
+        outputTokens,
+        outputMessages: result.messages.length,
+        compressionRatio: outputTokens > 0 ? inputTokens / outputTokens : 1,
+        processingTime,
+        mdSize: savedFiles.mdSize,
+        jsonlSize: savedFiles.jsonlSize,
+        outputStats: result.outputStats,
+        audit: auditInfo,
+        retention: measureFactRetention(sourceMessages, result.messages),
+        compressionLevel: determineCompressionLevelFromSettings(settings)
+      }, {
+        startTimestamp: first.startTimestamp || null,
+        endTimestamp: last.endTimestamp || null,
+        startIndex: first.startIndex ?? null,
+        endIndex: last.endIndex ?? null,
+        messageCount: sources.reduce((sum, s) => sum + (s.messageRange?.messageCount || 0), 0)
+      }),
+      keepitStats: {
+        preserved: result.keepitStats?.surviving || 0,
+        summarized: result.keepitStats?.summarized || 0,
+        weights: {}
+      },
+      rollup: {
+        fromPart,
+        toPart,
+        sourceTokens,
+        sources: sources.map(s => ({
+          partNumber: s.partNumber,
+          versionId: s.versionId,
+          file: s.file,
+          compressionLevel: s.compressionLevel,
+          outputTokens: s.outputTokens,
+          outputMessages: s.outputMessages,
+          createdAt: s.createdAt
+        }))
+      }
+    };
+    delete compressionRecord.partNumber;
+
+    session.compressions.push(compressionRecord);
+    session.lastAccessed = new Date().toISOString();
+
+    try {
+      await saveManifest(projectId, manifest);
+    } catch (saveError) {
+      await removeVersionFiles(versionsDir, filename);
+      await removeAuditTrail(versionsDir, filename);
+      throw saveError;
+    }
+
+    console.log(`[Rollup] ${versionId}: parts ${fromPart}-${toPart} (${sourceTokens} tokens) -> ${outputTokens} tokens`);
+
+    const checkpoints = getCheckpointReport(checkpoint);
+    await clearCheckpointRun(checkpoint);
+
+    return { ...compressionRecord, checkpoints };
+
+  } finally {
+    if (lock) {
+      lock.release();
+    }
+  }
+}
@@ -7,8 +7,23 @@ import {
   VALID_AGGRESSIVENESS,
   VALID_TIER_PRESETS,
   VALID_MODELS,
-  VALID_KEEPIT_MODES
+  VALID_KEEPIT_MODES,
+  VALID_TOOL_MODES,
+  VALID_CHUNK_STRATEGIES,
+  MIN_TARGET_TOKENS,
+  MAX_BUDGET_ATTEMPTS
 } from './memory-versions-config.js';
+import {
+  BUILTIN_PROMPT_TEMPLATES,
+  SUMMARIZE_PLACEHOLDERS,
+  SUMMARIZE_REQUIRED_PLACEHOLDERS,
+  SELECT_PLACEHOLDERS,
+  SELECT_REQUIRED_PLACEHOLDERS,
+  getTemplatePlaceholders
+} from './prompt-templates.js';
+
+// Template names are used in version records and the UI
+const PROMPT_TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
 
 // ============================================
 // Settings Validation
@@ -57,6 +72,17 @@ export function validateCompressionSettings(settings) {
     }
   }
 
+  // Validate extractive mode settings
+  if (settings.mode === 'extractive') {
+    if (settings.keepPercent !== undefined) {
+      if (typeof settings.keepPercent !== 'number' ||
+          settings.keepPercent < 1 ||
+          settings.keepPercent > 100) {
+        errors.push('keepPercent must be a number between 1 and 100');
+      }
+    }
+  }
+
   // Validate model
   if (settings.model !== undefined) {
     if (!VALID_MODELS.includes(settings.model)) {
@@ -71,6 +97,13 @@ export function validateCompressionSettings(settings) {
     }
   }
 
+  // Validate promptTemplate (existence is checked when the template is resolved)
+  if (settings.promptTemplate !== undefined && settings.promptTemplate !== null) {
+    if (typeof settings.promptTemplate !== 'string' || !PROMPT_TEMPLATE_NAME_PATTERN.test(settings.promptTemplate)) {
+      errors.push('promptTemplate must be a template name (letters, digits, "-" and "_")');
+    }
+  }
+
   // Validate keepitMode (placeholder for Phase 3)
   if (settings.keepitMode !== undefined) {
     if (!VALID_KEEPIT_MODES.includes(settings.keepitMode)) {
@@ -78,6 +111,39 @@ export function validateCompressionSettings(settings) {
     }
   }
 
+  // Validate toolMode (how tool calls are shown to the LLM)
+  if (settings.toolMode !== undefined) {
+    if (!VALID_TOOL_MODES.includes(settings.toolMode)) {
+      errors.push(`toolMode must be one of: ${VALID_TOOL_MODES.join(', ')}`);
+    }
+  }
+
+  // Validate chunkStrategy (where long ranges are split into LLM calls)
+  if (settings.chunkStrategy !== undefined) {
+    if (!VALID_CHUNK_STRATEGIES.includes(settings.chunkStrategy)) {
+      errors.push(`chunkStrategy must be one of: ${VALID_CHUNK_STRATEGIES.join(', ')}`);
+    }
+  }
+
+  // Validate targetTokens (compress to budget, tiered and extractive modes)
+  if (settings.targetTokens !== undefined && settings.targetTokens !== null) {
+    if (typeof settings.targetTokens !== 'number' ||
+        !Number.isInteger(settings.targetTokens) ||
+        settings.targetTokens < MIN_TARGET_TOKENS) {
+      errors.push(`targetTokens must be an integer of at least ${MIN_TARGET_TOKENS}`);
+    } else if (settings.mode !== 'tiered' && settings.mode !== 'extractive') {
+      errors.push('targetTokens requires tiered or extractive mode');
+    }
+  }
+
+  if (settings.maxBudgetAttempts !== undefined) {
+    if (!Number.isInteger(settings.maxBudgetAttempts) ||
+        settings.maxBudgetAttempts < 1 ||
+        settings.maxBudgetAttempts > MAX_BUDGET_ATTEMPTS) {
+      errors.push(`maxBudgetAttempts must be an integer between 1 and ${MAX_BUDGET_ATTEMPTS}`);
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -86,6 +152,9 @@ export function validateCompressionSettings(settings) {
 
 /**
  * Validate custom tier configuration
+ * Tiers are either all percent tiers (endPercent) or all age tiers
+ * (olderThanHours, oldest first, ending with 0). Age tiers may carry an
+ * endPercent used when the messages have no timestamps.
  * @param {Array} customTiers - Array of tier configurations
  * @returns {Array} Array of error messages
  */
@@ -96,12 +165,24 @@ export function validateCustomTiers(customTiers) {
     return ['customTiers must be an array'];
   }
 
+  const ageTiers = customTiers.some(tier => tier?.olderThanHours !== undefined);
+
   for (let i = 0; i < customTiers.length; i++) {
     const tier = customTiers[i];
 
-    if (typeof tier.endPercent !== 'number' ||
-        tier.endPercent < 1 ||
-        tier.endPercent > 100) {
+    if (ageTiers) {
+      if (typeof tier.olderThanHours !== 'number' || tier.olderThanHours < 0) {
+        errors.push(`customTiers[${i}].olderThanHours must be a number of hours >= 0 (all tiers must be age tiers)`);
+      } else if (i > 0 && typeof customTiers[i - 1].olderThanHours === 'number' &&
+                 tier.olderThanHours >= customTiers[i - 1].olderThanHours) {
+        errors.push(`customTiers[${i}].olderThanHours must be less than the previous tier's (oldest tier first)`);
+      }
+    }
+
+    if ((!ageTiers || tier.endPercent !== undefined) &&
+        (typeof tier.endPercent !== 'number' ||
+         tier.endPercent < 1 ||
+         tier.endPercent > 100)) {
       errors.push(`customTiers[${i}].endPercent must be between 1 and 100`);
     }
 
@@ -117,6 +198,102 @@ export function validateCustomTiers(customTiers) {
     }
   }
 
+  if (ageTiers && customTiers.length > 0 && customTiers[customTiers.length - 1].olderThanHours !== 0) {
+    errors.push('The last age tier must have olderThanHours 0 (the most recent messages)');
+  }
+
+  return errors;
+}
+
+// ============================================
+// Prompt Template Validation
+// ============================================
+
+/**
+ * Check one prompt string of a template
+ * @returns {Array} Array of error messages
+ */
+function validateTemplatePrompt(prompt, path, allowed, required) {
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return [`${path} must be a non-empty string`];
+  }
+
+  const errors = [];
+  const used = getTemplatePlaceholders(prompt);
+
+  for (const name of required) {
+    if (!used.includes(name)) {
+      errors.push(`${path} must contain {{${name}}}`);
+    }
+  }
+  for (const name of used) {
+    if (!allowed.includes(name)) {
+      errors.push(`${path} uses unknown placeholder {{${name}}} (allowed: ${allowed.join(', ')})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a map of named prompt templates
+ * (memory config `promptTemplates` or project settings `promptTemplates`)
+ * @param {Object} templates - name -> { description, summarize, select, aggressiveness }
+ * @param {string} pathPrefix - Prefix for error messages
+ * @returns {Array} Array of error messages
+ */
+export function validatePromptTemplates(templates, pathPrefix = 'promptTemplates') {
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    return [`${pathPrefix} must be an object`];
+  }
+
+  const errors = [];
+
+  for (const [name, template] of Object.entries(templates)) {
+    const path = `${pathPrefix}.${name}`;
+
+    if (!PROMPT_TEMPLATE_NAME_PATTERN.test(name)) {
+      errors.push(`${path}: template names may only contain letters, digits, "-" and "_" (max 64)`);
+      continue;
+    }
+    if (BUILTIN_PROMPT_TEMPLATES[name]) {
+      errors.push(`${path}: "${name}" is a built-in template and cannot be redefined`);
+      continue;
+    }
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      errors.push(`${path} must be an object`);
+      continue;
+    }
+
+    if (template.description !== undefined && typeof template.description !== 'string') {
+      errors.push(`${path}.description must be a string`);
+    }
+    if (template.summarize === undefined && template.select === undefined && template.aggressiveness === undefined) {
+      errors.push(`${path} must define at least one of: summarize, select, aggressiveness`);
+    }
+    if (template.summarize !== undefined) {
+      errors.push(...validateTemplatePrompt(template.summarize, `${path}.summarize`,
+        SUMMARIZE_PLACEHOLDERS, SUMMARIZE_REQUIRED_PLACEHOLDERS));
+    }
+    if (template.select !== undefined) {
+      errors.push(...validateTemplatePrompt(template.select, `${path}.select`,
+        SELECT_PLACEHOLDERS, SELECT_REQUIRED_PLACEHOLDERS));
+    }
+    if (template.aggressiveness !== undefined) {
+      if (!template.aggressiveness || typeof template.aggressiveness !== 'object' || Array.isArray(template.aggressiveness)) {
+        errors.push(`${path}.aggressiveness must be an object`);
+      } else {
+        for (const [level, text] of Object.entries(template.aggressiveness)) {
+          if (!VALID_AGGRESSIVENESS.includes(level)) {
+            errors.push(`${path}.aggressiveness.${level}: level must be one of: ${VALID_AGGRESSIVENESS.join(', ')}`);
+          } else if (typeof text !== 'string' || !text.trim()) {
+            errors.push(`${path}.aggressiveness.${level} must be a non-empty string`);
+          }
+        }
+      }
+    }
+  }
+
   return errors;
 }
 
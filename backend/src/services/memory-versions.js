@@ -7,16 +7,28 @@ import fs from 'fs-extra';
 import path from 'path';
 import { parseJsonlFile } from './jsonl-parser.js';
 import { loadManifest, saveManifest, getSession } from './memory-manifest.js';
-import { ensureDirectoryStructure } from './memory-storage.js';
+import { ensureDirectoryStructure, loadGlobalConfig } from './memory-storage.js';
 import { summarizeAndIntegrate, summarizeAndIntegrateWithTiers } from './summarizer.js';
 import { acquireSessionLock, OperationType } from './memory-lock.js';
+import { throwIfCancelled } from './llm-providers.js';
+import { openCheckpointRun, getCheckpointReport, clearCheckpointRun } from './chunk-checkpoints.js';
+import { openAuditTrail, saveAuditTrail, removeAuditTrail, getAuditPath } from './llm-audit.js';
+import { measureFactRetention } from './fact-retention.js';
+import { compressToBudget, resolveBaseTiers, DEFAULT_BUDGET_ATTEMPTS } from './compression-budget.js';
+import { extractAndIntegrate } from './extractive.js';
+import { DEFAULT_EXTRACTIVE_SETTINGS } from './memory-versions-config.js';
 import {
   saveVersionFiles,
   countOutputTokens,
   getHighestPartNumber,
   getCompressionsByPart,
   getLastCompressionEndTimestamp,
-  migrateCompressionRecord
+  migrateCompressionRecord,
+  resolveManifestProvider,
+  resolveManifestPromptTemplate,
+  resolveTierPreset,
+  removeVersionFiles,
+  toCompressionError
 } from './memory-versions-helpers.js';
 
 // Re-export from config module
@@ -29,6 +41,7 @@ export { validateCompressionSettings } from './memory-versions-validation.js';
 export {
   generateVersionFilename,
   generatePartVersionFilename,
+  generateRollupFilename,
   parsePartVersionFilename,
   parseVersionIdFromFilename,
   getNextVersionId,
@@ -40,19 +53,26 @@ export {
 export { getVersionContent } from './memory-versions-content.js';
 
 // Re-export from read module
-export { listCompressionVersions, getCompressionVersion } from './memory-versions-read.js';
+export { listCompressionVersions, getCompressionVersion, getVersionAudit } from './memory-versions-read.js';
 
 // Re-export helper functions for external use
 export {
   getHighestPartNumber,
   getCompressionsByPart,
   getLastCompressionEndTimestamp,
-  migrateCompressionRecord
+  migrateCompressionRecord,
+  resolveTierPreset
 } from './memory-versions-helpers.js';
 
 // Re-export delta compression functions
 export { createDeltaCompression, recompressPart } from './memory-versions-delta.js';
 
+// Re-export part rollups
+export { rollupParts } from './memory-versions-rollup.js';
+
+// Re-export pre-flight estimate
+export { estimateCompressionVersion } from './memory-versions-estimate.js';
+
 // Import for local use
 import { validateCompressionSettings } from './memory-versions-validation.js';
 import {
@@ -65,8 +85,16 @@ import {
 /**
  * Create a compression version
  * Main entry point for compression
+ * With `settings.targetTokens` (tiered mode) the tier settings are solved for
+ * that budget and overshooting runs are repeated (see compression-budget.js)
+ * Extractive mode keeps top-ranked messages without any LLM (see extractive.js)
+ * @param {Object} options - { onProgress, signal }
+ *   onProgress: progress callback for background jobs
+ *   signal: AbortSignal to cancel the run (cancelSessionOperation also aborts it)
  */
-export async function createCompressionVersion(projectId, sessionId, settings) {
+export async function createCompressionVersion(projectId, sessionId, settings, options = {}) {
+  const { onProgress = null } = options;
+
   const validation = validateCompressionSettings(settings);
   if (!validation.valid) {
     const error = new Error(`Invalid compression settings: ${validation.errors.join('; ')}`);
@@ -126,15 +154,62 @@ export async function createCompressionVersion(projectId, sessionId, settings) {
     }
 
     const versionId = await getNextVersionId(projectId, sessionId);
+    // Extractive mode runs without an LLM, so there is no provider, template or checkpoint run
+    const extractive = settings.mode === 'extractive';
+    const provider = extractive ? null : await resolveManifestProvider(manifest);
+    const promptTemplate = extractive ? null : await resolveManifestPromptTemplate(manifest, settings.promptTemplate);
+    const signal = options.signal ? AbortSignal.any([lock.signal, options.signal]) : lock.signal;
+    const checkpoint = extractive ? null : await openCheckpointRun(`${projectId}/${sessionId}`);
+    const audit = extractive ? null : openAuditTrail((await loadGlobalConfig()).audit);
     let result;
+    let budget = null;
+    let budgetTiers = null;  // Tiers solved for settings.targetTokens
     const startTime = Date.now();
 
     try {
-      if (settings.mode === 'tiered') {
+      if (extractive) {
+        result = extractAndIntegrate(parsed, allUuids, {
+          keepPercent: settings.keepPercent || DEFAULT_EXTRACTIVE_SETTINGS.keepPercent,
+          targetTokens: settings.targetTokens || null,
+          toolMode: settings.toolMode || 'drop',
+          onProgress,
+          removeNonConversation: true,
+          skipFirstMessages: settings.skipFirstMessages || 0
+        });
+      } else if (settings.mode === 'tiered' && settings.targetTokens) {
+        const budgetRun = await compressToBudget(parsed, allUuids, {
+          targetTokens: settings.targetTokens,
+          maxAttempts: settings.maxBudgetAttempts || DEFAULT_BUDGET_ATTEMPTS,
+          baseTiers: resolveBaseTiers(settings)
+        }, {
+          model: settings.model || 'opus',
+          provider,
+          promptTemplate,
+          toolMode: settings.toolMode || 'drop',
+          chunkStrategy: settings.chunkStrategy || 'fixed',
+          signal,
+          checkpoint,
+          audit,
+          onProgress,
+          removeNonConversation: true,
+          skipFirstMessages: settings.skipFirstMessages || 0
+        });
+        result = budgetRun.result;
+        budgetTiers = budgetRun.tiers;
+        budget = budgetRun.budget;
+      } else if (settings.mode === 'tiered') {
         result = await summarizeAndIntegrateWithTiers(parsed, allUuids, {
           tiers: settings.customTiers || undefined,
-          tierPreset: settings.tierPreset || 'standard',
+          tierPreset: resolveTierPreset(settings),
           model: settings.model || 'opus',
+          provider,
+          promptTemplate,
+          toolMode: settings.toolMode || 'drop',
+          chunkStrategy: settings.chunkStrategy || 'fixed',
+          signal,
+          checkpoint,
+          audit,
+          onProgress,
           removeNonConversation: true,
           skipFirstMessages: settings.skipFirstMessages || 0
         });
@@ -143,25 +218,34 @@ export async function createCompressionVersion(projectId, sessionId, settings) {
           compactionRatio: settings.compactionRatio || 10,
           aggressiveness: settings.aggressiveness || 'moderate',
           model: settings.model || 'opus',
+          provider,
+          promptTemplate,
+          toolMode: settings.toolMode || 'drop',
+          chunkStrategy: settings.chunkStrategy || 'fixed',
+          signal,
+          checkpoint,
+          audit,
+          onProgress,
           removeNonConversation: true,
           skipFirstMessages: settings.skipFirstMessages || 0
         });
       }
+      // The last LLM call may have finished just as the run was cancelled
+      throwIfCancelled(signal);
     } catch (summarizeError) {
-      const error = new Error(`Compression failed: ${summarizeError.message}`);
-      error.code = 'COMPRESSION_FAILED';
-      error.status = 500;
-      throw error;
+      throw toCompressionError(summarizeError, getCheckpointReport(checkpoint));
     }
 
     const processingTime = Date.now() - startTime;
     const outputTokens = countOutputTokens(result.messages);
     const outputMessages = result.messages.length;
     const compressionRatio = outputTokens > 0 ? session.originalTokens / outputTokens : 1;
+    const retention = measureFactRetention(parsed.messages, result.messages);
 
     const versionsDir = await ensureVersionsDir(projectId, sessionId);
     const filename = generateVersionFilename(versionId, settings, outputTokens);
     const savedFiles = await saveVersionFiles(versionsDir, filename, result);
+    const auditInfo = await saveAuditTrail(versionsDir, filename, versionId, audit);
 
     const compressionRecord = {
       versionId,
@@ -172,13 +256,22 @@ export async function createCompressionVersion(projectId, sessionId, settings) {
         ...(settings.mode === 'uniform' ? {
           compactionRatio: settings.compactionRatio || 10,
           aggressiveness: settings.aggressiveness || 'moderate'
+        } : extractive ? {
+          keepPercent: settings.keepPercent || DEFAULT_EXTRACTIVE_SETTINGS.keepPercent,
+          targetTokens: settings.targetTokens || null
         } : {
-          tierPreset: settings.tierPreset || 'standard',
-          customTiers: settings.customTiers || null
+          tierPreset: resolveTierPreset(settings),
+          customTiers: budgetTiers || settings.customTiers || null,
+          targetTokens: settings.targetTokens || null
         }),
-        model: settings.model || 'opus',
+        model: extractive ? null : (settings.model || 'opus'),
+        llmProvider: extractive ? 'none' : provider.type,
+        promptTemplate: promptTemplate?.name || null,
+        promptTemplateHash: promptTemplate?.hash || null,
         skipFirstMessages: settings.skipFirstMessages || 0,
         keepitMode: settings.keepitMode || 'ignore',
+        toolMode: settings.toolMode || 'drop',
+        chunkStrategy: settings.chunkStrategy || 'fixed',
         sessionDistance: settings.sessionDistance || null
       },
       inputTokens: session.originalTokens,
@@ -188,17 +281,33 @@ export async function createCompressionVersion(projectId, sessionId, settings) {
       compressionRatio: Number(compressionRatio.toFixed(2)),
       processingTimeMs: processingTime,
       keepitStats: { preserved: 0, summarized: 0, weights: {} },
+      retention,
       fileSizes: { md: savedFiles.mdSize, jsonl: savedFiles.jsonlSize },
-      tierResults: result.tierResults || null
+      tierResults: result.tierResults || null,
+      outputStats: result.outputStats || null,
+      extractiveStats: result.extractiveStats || null,
+      audit: auditInfo,
+      budget
     };
 
     session.compressions = session.compressions || [];
     session.compressions.push(compressionRecord);
     session.lastAccessed = new Date().toISOString();
     manifest.sessions[sessionId] = session;
-    await saveManifest(projectId, manifest);
 
-    return compressionRecord;
+    try {
+      await saveManifest(projectId, manifest);
+    } catch (saveError) {
+      await removeVersionFiles(versionsDir, filename);
+      await removeAuditTrail(versionsDir, filename);
+      throw saveError;
+    }
+
+    // The version is saved, so its chunk checkpoints are no longer needed
+    const checkpoints = getCheckpointReport(checkpoint);
+    await clearCheckpointRun(checkpoint);
+
+    return { ...compressionRecord, checkpoints };
 
   } finally {
     if (lock) {
@@ -281,6 +390,11 @@ export async function deleteCompressionVersion(projectId, sessionId, versionId,
       await fs.remove(jsonlPath);
       deletedFiles.push(jsonlPath);
     }
+    const auditPath = getAuditPath(versionsDir, compression.file);
+    if (await fs.pathExists(auditPath)) {
+      await fs.remove(auditPath);
+      deletedFiles.push(auditPath);
+    }
   } catch (deleteError) {
     console.error(`Failed to delete version files: ${deleteError.message}`);
   }
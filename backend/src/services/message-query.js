@@ -0,0 +1,583 @@
+/**
+ * Message Query Language
+ *
+ * Small filter expressions evaluated over enhanced messages from
+ * jsonl-parser.js, used as a sanitization criterion (`criteria.query`), in
+ * the sanitization preview and to select messages in the editor.
+ *
+ *   tool:Bash AND result.size > 20kb AND position < 70%
+ *   type:thinking AND tokens > 2000
+ *   file:"src/legacy/**" OR (is:error NOT tool:Read)
+ *
+ * Syntax:
+ *   - Terms are combined with AND, OR and NOT (or a leading "-"), with
+ *     parentheses for grouping. Adjacent terms without an operator are ANDed
+ *   - field:value matches; values with spaces or special characters are quoted
+ *   - field op number compares, op is one of > >= < <= = !=
+ *   - a bare word or quoted string searches the message text
+ *
+ * Match fields:
+ *   type:   tool | tool-result | thinking | assistant | you (as the messageTypes
+ *           criterion), or user | system (the record's role)
+ *   role:   user | assistant | system
+ *   tool:   tool name of a tool call in the message, or of the call a tool
+ *           result answers (case-insensitive, * wildcards)
+ *   file:   glob over the files the message references (** spans directories,
+ *           relative globs match anywhere in the path)
+ *   text:   case-insensitive substring of text, thinking, tool input and result
+ *   uuid:   uuid prefix
+ *   is:     error | sidechain
+ *   has:    thinking | tool | result | image | file
+ *
+ * Numeric fields (sizes take b/kb/mb, tokens take k/m):
+ *   tokens, size (all text), result.size, input.size,
+ *   position (percent through the conversation), index (0-based)
+ */
+
+import { getMessageType } from './sanitizer.js';
+
+export const MATCH_FIELDS = ['type', 'role', 'tool', 'file', 'text', 'uuid', 'is', 'has'];
+export const NUMERIC_FIELDS = ['tokens', 'size', 'result.size', 'input.size', 'position', 'index'];
+
+const COMPARISON_OPERATORS = ['>=', '<=', '!=', '>', '<', '='];
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+const COUNT_UNITS = { k: 1000, m: 1000000 };
+
+// ============================================
+// Errors
+// ============================================
+
+function queryError(message, position = null) {
+  const error = new Error(`Invalid query: ${message}${position !== null ? ` (at position ${position})` : ''}`);
+  error.code = 'INVALID_QUERY';
+  error.status = 400;
+  return error;
+}
+
+// ============================================
+// Tokenizer
+// ============================================
+
+/**
+ * Split a query into tokens
+ * Token types: lparen, rparen, colon, op, string (quoted), word
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position: i });
+      i++;
+      continue;
+    }
+
+    if (char === ':') {
+      tokens.push({ type: 'colon', position: i });
+      i++;
+      continue;
+    }
+
+    const op = COMPARISON_OPERATORS.find(o => query.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op, position: i });
+      i += op.length;
+      continue;
+    }
+
+    if (char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < query.length && query[j] !== '"') {
+        if (query[j] === '\\' && j + 1 < query.length) {
+          j++;
+        }
+        value += query[j];
+        j++;
+      }
+      if (j >= query.length) {
+        throw queryError('unterminated quoted string', i);
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    // A leading "-" negates the following term
+    if (char === '-' && i + 1 < query.length && /[A-Za-z"(]/.test(query[i + 1]) &&
+        (tokens.length === 0 || tokens[tokens.length - 1].type !== 'colon')) {
+      tokens.push({ type: 'word', value: 'NOT', keyword: true, position: i });
+      i++;
+      continue;
+    }
+
+    let j = i;
+    while (j < query.length && !/[\s():"<>=!]/.test(query[j])) {
+      j++;
+    }
+    if (j === i) {
+      throw queryError(`unexpected character "${char}"`, i);
+    }
+
+    const value = query.slice(i, j);
+    const upper = value.toUpperCase();
+    tokens.push({
+      type: 'word',
+      value: ['AND', 'OR', 'NOT'].includes(upper) ? upper : value,
+      keyword: ['AND', 'OR', 'NOT'].includes(upper),
+      position: i
+    });
+    i = j;
+  }
+
+  return tokens;
+}
+
+// ============================================
+// Parser
+// ============================================
+
+/**
+ * Parse a query into an expression tree
+ * Nodes: { op: 'and'|'or', left, right } | { op: 'not', operand }
+ *      | { op: 'match', field, value } | { op: 'compare', field, operator, value }
+ *
+ * @param {string} query - Query text
+ * @returns {Object} Expression tree
+ * @throws {Error} INVALID_QUERY
+ */
+export function parseMessageQuery(query) {
+  if (typeof query !== 'string' || !query.trim()) {
+    throw queryError('query is empty');
+  }
+
+  const tokens = tokenize(query);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isKeyword = (token, keyword) => token?.type === 'word' && token.keyword && token.value === keyword;
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isKeyword(peek(), 'OR')) {
+      index++;
+      left = { op: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseUnary();
+    for (;;) {
+      const token = peek();
+      if (isKeyword(token, 'AND')) {
+        index++;
+      } else if (!token || token.type === 'rparen' || isKeyword(token, 'OR')) {
+        break;
+      }
+      // Adjacent terms without an operator are ANDed
+      left = { op: 'and', left, right: parseUnary() };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isKeyword(peek(), 'NOT')) {
+      index++;
+      return { op: 'not', operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw queryError('unexpected end of query', query.length);
+    }
+
+    if (token.type === 'lparen') {
+      index++;
+      const expression = parseOr();
+      if (peek()?.type !== 'rparen') {
+        throw queryError('missing ")"', peek()?.position ?? query.length);
+      }
+      index++;
+      return expression;
+    }
+
+    if (token.type === 'string') {
+      index++;
+      return { op: 'match', field: 'text', value: token.value };
+    }
+
+    if (token.type !== 'word' || token.keyword) {
+      throw queryError(`unexpected "${token.value ?? token.type}"`, token.position);
+    }
+    index++;
+
+    const next = peek();
+    if (next?.type === 'colon') {
+      index++;
+      return parseMatch(token, next);
+    }
+    if (next?.type === 'op') {
+      index++;
+      return parseCompare(token, next);
+    }
+
+    // Bare word: text search
+    return { op: 'match', field: 'text', value: token.value };
+  }
+
+  function parseMatch(fieldToken, colonToken) {
+    const field = fieldToken.value.toLowerCase();
+    if (!MATCH_FIELDS.includes(field)) {
+      throw queryError(`unknown field "${fieldToken.value}" (match fields: ${MATCH_FIELDS.join(', ')})`, fieldToken.position);
+    }
+
+    const valueToken = peek();
+    if (!valueToken || (valueToken.type !== 'word' && valueToken.type !== 'string')) {
+      throw queryError(`missing value for "${field}:"`, valueToken?.position ?? colonToken.position + 1);
+    }
+    index++;
+
+    const value = valueToken.value;
+    if (field === 'is' && !['error', 'sidechain'].includes(value.toLowerCase())) {
+      throw queryError(`unknown value "is:${value}" (error, sidechain)`, valueToken.position);
+    }
+    if (field === 'has' && !['thinking', 'tool', 'result', 'image', 'file'].includes(value.toLowerCase())) {
+      throw queryError(`unknown value "has:${value}" (thinking, tool, result, image, file)`, valueToken.position);
+    }
+
+    return { op: 'match', field, value };
+  }
+
+  function parseCompare(fieldToken, opToken) {
+    const field = fieldToken.value.toLowerCase();
+    if (!NUMERIC_FIELDS.includes(field)) {
+      throw queryError(`"${fieldToken.value}" can't be compared (numeric fields: ${NUMERIC_FIELDS.join(', ')})`, fieldToken.position);
+    }
+
+    const valueToken = peek();
+    if (!valueToken || valueToken.type !== 'word') {
+      throw queryError(`missing number after "${opToken.value}"`, valueToken?.position ?? opToken.position + 1);
+    }
+    index++;
+
+    return { op: 'compare', field, operator: opToken.value, value: parseNumber(field, valueToken) };
+  }
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw queryError(`unexpected "${token.value ?? (token.type === 'rparen' ? ')' : token.type)}"`, token.position);
+  }
+
+  return tree;
+}
+
+/**
+ * Parse a number with the units its field allows
+ */
+function parseNumber(field, token) {
+  const match = /^(\d+(?:\.\d+)?)([a-z%]*)$/i.exec(token.value);
+  if (!match) {
+    throw queryError(`"${token.value}" is not a number`, token.position);
+  }
+
+  const number = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  if (!unit) return number;
+
+  const sizeField = field.endsWith('size');
+  if (sizeField && SIZE_UNITS[unit]) return number * SIZE_UNITS[unit];
+  if (field === 'tokens' && COUNT_UNITS[unit]) return number * COUNT_UNITS[unit];
+  if (field === 'position' && unit === '%') return number;
+
+  throw queryError(`unit "${match[2]}" doesn't apply to ${field}`, token.position);
+}
+
+// ============================================
+// Evaluation
+// ============================================
+
+/**
+ * Build the session-wide context a query is evaluated in
+ * @param {Array} messages - Messages in conversation order
+ */
+export function createQueryContext(messages) {
+  const toolNames = new Map();
+  for (const message of messages) {
+    for (const toolUse of message.toolUses || []) {
+      toolNames.set(toolUse.id, toolUse.name);
+    }
+  }
+
+  return {
+    total: messages.length,
+    indexOf: new Map(messages.map((m, i) => [m.uuid, i])),
+    toolNames,
+    // Per-message derived values, computed on first use
+    cache: new WeakMap()
+  };
+}
+
+function resultText(block) {
+  if (typeof block.content === 'string') return block.content;
+  if (Array.isArray(block.content)) {
+    return block.content.map(c => (typeof c === 'string' ? c : c?.text || '')).join('\n');
+  }
+  return '';
+}
+
+/**
+ * Text, sizes and tool names of a message (cached per context)
+ */
+function describe(message, context) {
+  let info = context.cache.get(message);
+  if (info) return info;
+
+  const content = Array.isArray(message.content) ? message.content : [];
+  const texts = [];
+  const inputs = [];
+  const results = [];
+  const tools = new Set();
+
+  for (const block of content) {
+    if (!block) continue;
+    if (block.type === 'text') texts.push(block.text || '');
+    else if (block.type === 'thinking') texts.push(block.thinking || '');
+    else if (block.type === 'tool_use') {
+      inputs.push(JSON.stringify(block.input ?? {}));
+      if (block.name) tools.add(block.name.toLowerCase());
+    } else if (block.type === 'tool_result') {
+      results.push(resultText(block));
+      const name = context.toolNames.get(block.tool_use_id);
+      if (name) tools.add(name.toLowerCase());
+    }
+  }
+
+  const joinedInputs = inputs.join('\n');
+  const joinedResults = results.join('\n');
+  const allText = [...texts, joinedInputs, joinedResults].filter(Boolean).join('\n');
+
+  info = {
+    text: allText.toLowerCase(),
+    tools,
+    size: Buffer.byteLength(allText, 'utf-8'),
+    inputSize: Buffer.byteLength(joinedInputs, 'utf-8'),
+    resultSize: Buffer.byteLength(joinedResults, 'utf-8'),
+    content
+  };
+  context.cache.set(message, info);
+  return info;
+}
+
+/**
+ * Convert a glob to an anchored regex
+ * `**` spans directories, `*` and `?` stay within one path segment
+ */
+function globToRegex(glob, { anchorAnywhere = false } = {}) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+      if (glob[i + 1] === '/') i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const prefix = anchorAnywhere && !glob.startsWith('/') ? '(?:^|/)' : '^';
+  return new RegExp(`${prefix}${source}$`, 'i');
+}
+
+function matchField(message, field, value, context) {
+  const lower = value.toLowerCase();
+
+  switch (field) {
+    case 'type':
+      if (lower === 'user' || lower === 'system') return message.type === lower;
+      return getMessageType(message) === lower;
+    case 'role':
+      return message.type === lower;
+    case 'tool': {
+      const pattern = globToRegex(lower);
+      return [...describe(message, context).tools].some(name => pattern.test(name));
+    }
+    case 'file': {
+      const pattern = globToRegex(value, { anchorAnywhere: true });
+      return (message.filesReferenced || []).some(file => pattern.test(file));
+    }
+    case 'text':
+      return describe(message, context).text.includes(lower);
+    case 'uuid':
+      return typeof message.uuid === 'string' && message.uuid.startsWith(value);
+    case 'is':
+      if (lower === 'error') return describe(message, context).content.some(b => b?.type === 'tool_result' && b.is_error);
+      return message.isSidechain === true;
+    case 'has': {
+      const { content } = describe(message, context);
+      if (lower === 'thinking') return content.some(b => b?.type === 'thinking');
+      if (lower === 'tool') return content.some(b => b?.type === 'tool_use');
+      if (lower === 'result') return content.some(b => b?.type === 'tool_result');
+      if (lower === 'image') {
+        return content.some(b => b?.type === 'image' ||
+          (b?.type === 'tool_result' && Array.isArray(b.content) && b.content.some(c => c?.type === 'image')));
+      }
+      return (message.filesReferenced || []).length > 0;
+    }
+    default:
+      return false;
+  }
+}
+
+function numericField(message, field, context) {
+  switch (field) {
+    case 'tokens':
+      return message.tokens?.total || 0;
+    case 'size':
+      return describe(message, context).size;
+    case 'result.size':
+      return describe(message, context).resultSize;
+    case 'input.size':
+      return describe(message, context).inputSize;
+    case 'index':
+      return context.indexOf.get(message.uuid) ?? -1;
+    case 'position': {
+      const index = context.indexOf.get(message.uuid);
+      if (index === undefined || context.total === 0) return -1;
+      return (index / context.total) * 100;
+    }
+    default:
+      return 0;
+  }
+}
+
+function compare(left, operator, right) {
+  switch (operator) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '=': return left === right;
+    case '!=': return left !== right;
+    default: return false;
+  }
+}
+
+function evaluate(node, message, context) {
+  switch (node.op) {
+    case 'and':
+      return evaluate(node.left, message, context) && evaluate(node.right, message, context);
+    case 'or':
+      return evaluate(node.left, message, context) || evaluate(node.right, message, context);
+    case 'not':
+      return !evaluate(node.operand, message, context);
+    case 'match':
+      return matchField(message, node.field, node.value, context);
+    case 'compare':
+      return compare(numericField(message, node.field, context), node.operator, node.value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Compile a query into a predicate
+ *
+ * @param {string} query - Query text
+ * @returns {Function} (message, context) => boolean, context from createQueryContext
+ * @throws {Error} INVALID_QUERY
+ */
+export function compileMessageQuery(query) {
+  const tree = parseMessageQuery(query);
+  return (message, context) => evaluate(tree, message, context);
+}
+
+/**
+ * Messages matching a query
+ *
+ * @param {Array} messages - Messages in conversation order (positions are relative to this list)
+ * @param {string} query - Query text
+ * @returns {Array} Matching messages, in order
+ * @throws {Error} INVALID_QUERY
+ */
+export function selectMessages(messages, query) {
+  const predicate = compileMessageQuery(query);
+  const context = createQueryContext(messages);
+  return messages.filter(message => predicate(message, context));
+}
+
+// ============================================
+// Tool pairs
+// ============================================
+
+/**
+ * Add the other half of every tool call / tool result pair to a set of messages
+ * A query can match one half only (`tool:Bash AND result.size > 10kb` matches
+ * the results, `file:"src/**"` the calls); removing that half alone would
+ * leave a call without its result or a result without its call. Pairs are
+ * followed transitively, as one message can hold several parallel calls.
+ *
+ * @param {Set} uuids - Matched message uuids
+ * @param {Array} messages - Messages to look the other halves up in
+ * @param {Function} [keep] - message => true for messages that must stay (not added)
+ * @returns {Set} uuids plus the uuids of their paired messages
+ */
+export function expandToolPairs(uuids, messages, keep = null) {
+  const byUuid = new Map(messages.map(m => [m.uuid, m]));
+  const toolIdsOf = message => [
+    ...(message.toolUses || []).map(toolUse => toolUse.id),
+    ...(message.toolResults || []).map(toolResult => toolResult.tool_use_id)
+  ].filter(Boolean);
+
+  const holders = new Map();
+  for (const message of messages) {
+    for (const toolId of toolIdsOf(message)) {
+      if (!holders.has(toolId)) holders.set(toolId, []);
+      holders.get(toolId).push(message.uuid);
+    }
+  }
+
+  const expanded = new Set(uuids);
+  const pending = [...uuids];
+  while (pending.length > 0) {
+    const message = byUuid.get(pending.pop());
+    if (!message) continue;
+    for (const toolId of toolIdsOf(message)) {
+      for (const uuid of holders.get(toolId)) {
+        if (expanded.has(uuid) || (keep && keep(byUuid.get(uuid)))) continue;
+        expanded.add(uuid);
+        pending.push(uuid);
+      }
+    }
+  }
+
+  return expanded;
+}
+
+export default {
+  MATCH_FIELDS,
+  NUMERIC_FIELDS,
+  parseMessageQuery,
+  compileMessageQuery,
+  createQueryContext,
+  selectMessages,
+  expandToolPairs
+};
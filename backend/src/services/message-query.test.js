@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseJsonlFile, getMessageOrder } from './jsonl-parser.js';
+import { parseMessageQuery, selectMessages, expandToolPairs } from './message-query.js';
+import { sanitizeSession } from './sanitizer.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'message-query-'));
+let parsed;
+
+function toolUse(id, name, input) {
+  return { type: 'tool_use', id, name, input };
+}
+
+function toolResult(id, content) {
+  return { type: 'tool_result', tool_use_id: id, content };
+}
+
+before(async () => {
+  const turns = [
+    ['u0', 'user', 'Look at the project'],
+    ['a1', 'assistant', [toolUse('t1', 'Bash', { command: 'find . -type f' })]],
+    ['u2', 'user', [toolResult('t1', 'x'.repeat(12 * 1024))]],
+    ['a3', 'assistant', [toolUse('t2', 'Read', { file_path: '/repo/src/app.js' })]],
+    ['u4', 'user', [toolResult('t2', 'export default {}')]],
+    ['a5', 'assistant', [{ type: 'text', text: 'The project has one module.' }]],
+    ['u6', 'user', 'Thanks'],
+    ['a7', 'assistant', [{ type: 'text', text: 'Anything else?' }]]
+  ];
+
+  let parentUuid = null;
+  const lines = turns.map(([uuid, type, content], i) => {
+    const line = JSON.stringify({
+      type,
+      uuid,
+      parentUuid,
+      sessionId: 'query-test',
+      timestamp: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+      message: { role: type, content }
+    });
+    parentUuid = uuid;
+    return line;
+  });
+
+  const file = path.join(dir, 'session.jsonl');
+  fs.writeFileSync(file, `${lines.join('\n')}\n`);
+  parsed = await parseJsonlFile(file);
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function uuidsOf(messages) {
+  return messages.map(m => m.uuid);
+}
+
+test('parses operators, fields and units', () => {
+  assert.deepEqual(parseMessageQuery('tool:Bash AND result.size > 10kb'), {
+    op: 'and',
+    left: { op: 'match', field: 'tool', value: 'Bash' },
+    right: { op: 'compare', field: 'result.size', operator: '>', value: 10 * 1024 }
+  });
+
+  const tree = parseMessageQuery('file:"src/**" OR -is:error');
+  assert.equal(tree.op, 'or');
+  assert.deepEqual(tree.left, { op: 'match', field: 'file', value: 'src/**' });
+  assert.equal(tree.right.op, 'not');
+});
+
+test('rejects malformed queries', () => {
+  for (const query of ['(tool:Bash', 'tool:', 'colour:red', 'tokens > lots', 'AND']) {
+    assert.throws(() => parseMessageQuery(query), { code: 'INVALID_QUERY' }, query);
+  }
+});
+
+test('a result query matches only the tool result half', () => {
+  const matches = selectMessages(getMessageOrder(parsed), 'tool:Bash AND result.size > 10kb');
+  assert.deepEqual(uuidsOf(matches), ['u2']);
+});
+
+test('expandToolPairs adds the other half of each pair', () => {
+  const messages = getMessageOrder(parsed);
+  assert.deepEqual([...expandToolPairs(new Set(['u2']), messages)].sort(), ['a1', 'u2']);
+  assert.deepEqual([...expandToolPairs(new Set(['a3']), messages)].sort(), ['a3', 'u4']);
+  assert.deepEqual([...expandToolPairs(new Set(['u2']), messages, m => m.uuid === 'a1')], ['u2']);
+});
+
+test('sanitizing with a query removes whole tool pairs', () => {
+  for (const query of ['tool:Bash AND result.size > 10kb', 'file:"src/**"']) {
+    const { messages } = sanitizeSession(parsed, { removeCriteria: { query } });
+    const kept = uuidsOf(messages);
+
+    assert.equal(kept.includes('a1'), kept.includes('u2'), `${query}: Bash pair split`);
+    assert.equal(kept.includes('a3'), kept.includes('u4'), `${query}: Read pair split`);
+  }
+});
+
+test('a pair half outside the percentage range goes with its match', () => {
+  // The oldest 50% (4 of 8 messages) ends at the Read call a3: its result u4
+  // is out of range but must still go with it
+  const { messages } = sanitizeSession(parsed, {
+    removeCriteria: { query: 'tool:Read', percentageRange: 50 }
+  });
+  const kept = uuidsOf(messages);
+
+  assert.ok(!kept.includes('a3'));
+  assert.ok(!kept.includes('u4'));
+});
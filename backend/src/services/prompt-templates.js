@@ -0,0 +1,184 @@
+/**
+ * Prompt Templates
+ *
+ * Named templates for the summarizer's LLM prompts. The built-in "default"
+ * template holds the stock prompts; teams add their own under
+ * `promptTemplates` in the memory config (~/.claude-memory/config.json) or in
+ * a project's settings, and pick one with the `promptTemplate` compression
+ * setting. Project templates override global ones with the same name.
+ *
+ * A template may define any of:
+ *   - summarize:      chunk summarization prompt
+ *   - select:         hybrid-mode "messages to keep verbatim" prompt
+ *   - aggressiveness: { minimal, moderate, aggressive } rule text
+ * Fields it leaves out fall back to the default template.
+ *
+ * Placeholders use {{name}} syntax and are filled in a single pass, so
+ * message text that happens to contain {{...}} is never expanded.
+ */
+
+import { createHash } from 'crypto';
+
+export const DEFAULT_PROMPT_TEMPLATE = 'default';
+
+// Placeholders each prompt may use; `required` ones must appear in custom templates
+export const SUMMARIZE_PLACEHOLDERS = [
+  'messages',              // Numbered, formatted messages of the chunk
+  'messageCount',          // Number of input messages
+  'targetCount',           // Requested number of summaries
+  'compactionRatio',       // Compaction ratio (N:1)
+  'aggressiveness',        // Aggressiveness rule text for the tier
+  'keepitInstructions',    // Keepit preservation section (empty when unused)
+  'linkInstructions',      // Link preservation section (empty when disabled)
+  'askUserInstructions',   // AskUserQuestion preservation section (empty when disabled)
+  'verbosityInstructions'  // 1:1 verbosity reduction section (empty unless ratio is 1)
+];
+export const SUMMARIZE_REQUIRED_PLACEHOLDERS = ['messages'];
+
+export const SELECT_PLACEHOLDERS = ['messages', 'messageCount', 'keepCount'];
+export const SELECT_REQUIRED_PLACEHOLDERS = ['messages', 'keepCount'];
+
+const DEFAULT_SUMMARIZE_PROMPT = `You are summarizing a conversation between a user and Claude assistant. Your goal is to reduce context size while maintaining session continuity and the "soul" of the interaction.
+{{keepitInstructions}}{{linkInstructions}}{{askUserInstructions}}{{verbosityInstructions}}
+## Summarization Rules:
+1. Preserve the USER's original intent, questions, and explicit requests
+2. Preserve ASSISTANT's key findings, decisions, and important explanations
+3. Maintain alternating user/assistant structure (the output must have proper back-and-forth flow)
+4. Keep specific technical details: file paths, function names, error messages, code snippets that are referenced
+5. Keep any decisions or conclusions that affect later conversation
+6. {{aggressiveness}}
+
+## Critical Constraints:
+- Output MUST be a raw JSON array (no markdown code blocks, no explanation, ONLY the JSON)
+- Each object MUST have "role" (user/assistant) and "summary" fields
+- Summaries should be complete sentences, not fragments
+- Do NOT lose critical context that would make later messages confusing
+- The first message in output should be from the same role as the first input message
+- The last message should preserve enough context for conversation to continue naturally
+- IMPORTANT: Return ONLY the JSON array, nothing else
+
+## Input: {{messageCount}} messages to summarize into approximately {{targetCount}} message pairs
+
+{{messages}}
+
+---
+
+Output a JSON array with approximately {{targetCount}} summarized exchanges. Ensure the flow remains coherent.`;
+
+const DEFAULT_SELECT_PROMPT = `You are analyzing a conversation to identify the most important messages to preserve verbatim.
+
+Select exactly {{keepCount}} messages that should be kept EXACTLY as-is (not summarized). Choose messages that:
+- Contain critical decisions, conclusions, or final solutions
+- Include essential code snippets, commands, or technical configurations
+- Have key findings that are referenced later in the conversation
+- Represent important user requirements, specifications, or constraints
+- Contain file paths, URLs, or references that must be preserved exactly
+
+## Critical Constraints:
+- Output MUST be a raw JSON array of message indices (0-based), nothing else
+- Select EXACTLY {{keepCount}} indices
+- Return ONLY the JSON array, no explanation or markdown
+
+## Messages ({{messageCount}} total):
+
+{{messages}}
+
+---
+
+Return a JSON array of exactly {{keepCount}} indices (0-based) to keep verbatim:`;
+
+/**
+ * Built-in templates (cannot be overridden)
+ */
+export const BUILTIN_PROMPT_TEMPLATES = {
+  [DEFAULT_PROMPT_TEMPLATE]: {
+    description: 'Built-in summarization and selection prompts',
+    summarize: DEFAULT_SUMMARIZE_PROMPT,
+    select: DEFAULT_SELECT_PROMPT,
+    aggressiveness: {}
+  }
+};
+
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+/**
+ * Fill a template's {{placeholders}}
+ * Unknown placeholders are left untouched
+ */
+export function renderPromptTemplate(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) =>
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : match
+  );
+}
+
+/**
+ * List the placeholders used in a template string
+ */
+export function getTemplatePlaceholders(template) {
+  return [...new Set([...template.matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]))];
+}
+
+/**
+ * Merge built-in, global and project templates into one name -> template map
+ * @param {Object} globalConfig - Memory config (uses config.promptTemplates)
+ * @param {Object} projectSettings - Manifest settings (uses settings.promptTemplates)
+ */
+export function getPromptTemplates(globalConfig = null, projectSettings = null) {
+  const templates = {};
+
+  for (const [name, template] of Object.entries(globalConfig?.promptTemplates || {})) {
+    templates[name] = { ...template, source: 'global' };
+  }
+  for (const [name, template] of Object.entries(projectSettings?.promptTemplates || {})) {
+    templates[name] = { ...template, source: 'project' };
+  }
+  for (const [name, template] of Object.entries(BUILTIN_PROMPT_TEMPLATES)) {
+    templates[name] = { ...template, source: 'builtin' };
+  }
+
+  return templates;
+}
+
+/**
+ * Resolve a template by name, filling missing prompts from the default
+ * @param {string|null} name - Template name (null = default)
+ * @param {Object} templates - Map from getPromptTemplates
+ * @returns {Object} { name, hash, summarize, select, aggressiveness }
+ * @throws {Error} PROMPT_TEMPLATE_NOT_FOUND (400) for unknown names
+ */
+export function resolvePromptTemplate(name, templates) {
+  const templateName = name || DEFAULT_PROMPT_TEMPLATE;
+  const template = templates[templateName];
+
+  if (!template) {
+    const error = new Error(`Prompt template not found: ${templateName}. Available: ${Object.keys(templates).join(', ')}`);
+    error.code = 'PROMPT_TEMPLATE_NOT_FOUND';
+    error.status = 400;
+    throw error;
+  }
+
+  const fallback = BUILTIN_PROMPT_TEMPLATES[DEFAULT_PROMPT_TEMPLATE];
+  const resolved = {
+    summarize: template.summarize || fallback.summarize,
+    select: template.select || fallback.select,
+    aggressiveness: { ...fallback.aggressiveness, ...(template.aggressiveness || {}) }
+  };
+
+  return {
+    name: templateName,
+    // Identifies the exact prompt text, since named templates can be edited later
+    hash: createHash('sha256').update(JSON.stringify(resolved)).digest('hex').slice(0, 12),
+    ...resolved
+  };
+}
+
+export default {
+  DEFAULT_PROMPT_TEMPLATE,
+  BUILTIN_PROMPT_TEMPLATES,
+  SUMMARIZE_PLACEHOLDERS,
+  SELECT_PLACEHOLDERS,
+  renderPromptTemplate,
+  getTemplatePlaceholders,
+  getPromptTemplates,
+  resolvePromptTemplate
+};
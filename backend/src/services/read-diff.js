@@ -0,0 +1,367 @@
+/**
+ * Read Diffs
+ *
+ * Rewrites repeated Read results of the same file as unified diffs against
+ * the previous read, so a file re-read five times costs one full copy plus
+ * its changes. A re-read with no changes becomes an "unchanged since" marker.
+ *
+ * Reads are compared only with earlier reads of the same view (path, offset
+ * and limit); a re-read is kept in full when its diff wouldn't be smaller.
+ * The line numbers Read prefixes to each line are stripped before diffing,
+ * so an inserted line doesn't show up as a change to every line below it.
+ *
+ * Options (the `diffRepeatedReads` sanitization criterion):
+ *   true                          - all files, 3 lines of context
+ *   { paths, contextLines }       - only these file paths
+ */
+
+import { estimateTokensByCharCount } from './token-calculator.js';
+
+export const DEFAULT_CONTEXT_LINES = 3;
+
+// Beyond this many changed lines a diff is no longer worth computing
+const MAX_EDIT_DISTANCE = 1000;
+
+const LINE_NUMBER_PREFIX = /^\s*\d+(?:→|\t)/;
+
+// ============================================
+// Options
+// ============================================
+
+/**
+ * Validate the diffRepeatedReads criterion
+ *
+ * @param {Object|boolean} options - `true` or { paths, contextLines }
+ * @returns {Object} { paths: Set|null, contextLines }
+ * @throws {Error} INVALID_READ_DIFFS
+ */
+export function resolveReadDiffOptions(options) {
+  const problems = [];
+  const input = options === true ? {} : options;
+
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    problems.push('must be true or an options object');
+  } else {
+    const { paths, contextLines, ...rest } = input;
+    if (paths !== undefined && (!Array.isArray(paths) || paths.some(p => typeof p !== 'string'))) {
+      problems.push('paths must be an array of file paths');
+    }
+    if (contextLines !== undefined && (!Number.isInteger(contextLines) || contextLines < 0)) {
+      problems.push('contextLines must be an integer >= 0');
+    }
+    if (Object.keys(rest).length > 0) {
+      problems.push(`unknown setting(s): ${Object.keys(rest).join(', ')}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid read diffs: ${problems.join('; ')}`);
+    error.code = 'INVALID_READ_DIFFS';
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    paths: input.paths ? new Set(input.paths) : null,
+    contextLines: input.contextLines ?? DEFAULT_CONTEXT_LINES
+  };
+}
+
+// ============================================
+// Line diff
+// ============================================
+
+/**
+ * Shortest edit script between two line arrays (Myers)
+ * Common prefix and suffix are trimmed first
+ *
+ * @returns {Array|null} [{ op: ' '|'-'|'+', line }], null when over maxEdits
+ */
+export function diffLines(oldLines, newLines, maxEdits = MAX_EDIT_DISTANCE) {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const middle = myers(a, b, maxEdits);
+  if (!middle) return null;
+
+  return [
+    ...oldLines.slice(0, prefix).map(line => ({ op: ' ', line })),
+    ...middle,
+    ...oldLines.slice(oldLines.length - suffix).map(line => ({ op: ' ', line }))
+  ];
+}
+
+function myers(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, maxEdits);
+  if (n + m > 0 && limit === 0) return null;
+
+  const offset = limit + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace, offset, d);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(a, b, trace, offset, editDistance) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = editDistance; d > 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ op: ' ', line: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ op: '+', line: b[--y] });
+    } else {
+      ops.push({ op: '-', line: a[--x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ op: ' ', line: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Format an edit script as unified diff hunks
+ * @returns {Object} { text, added, removed }
+ */
+export function formatUnifiedDiff(ops, { contextLines = DEFAULT_CONTEXT_LINES, oldName = 'a', newName = 'b' } = {}) {
+  const changed = ops.map((o, i) => (o.op !== ' ' ? i : -1)).filter(i => i >= 0);
+  const lines = [`--- ${oldName}`, `+++ ${newName}`];
+  let added = 0;
+  let removed = 0;
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= contextLines * 2 + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  // Line numbers at each op, 1-based
+  let oldLine = 1;
+  let newLine = 1;
+  const positions = ops.map(o => {
+    const position = { oldLine, newLine };
+    if (o.op !== '+') oldLine++;
+    if (o.op !== '-') newLine++;
+    return position;
+  });
+
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - contextLines);
+    const to = Math.min(ops.length - 1, hunk.end + contextLines);
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter(o => o.op !== '+').length;
+    const newCount = slice.filter(o => o.op !== '-').length;
+    const oldStart = oldCount > 0 ? positions[from].oldLine : positions[from].oldLine - 1;
+    const newStart = newCount > 0 ? positions[from].newLine : positions[from].newLine - 1;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const o of slice) {
+      lines.push(`${o.op}${o.line}`);
+      if (o.op === '+') added++;
+      if (o.op === '-') removed++;
+    }
+  }
+
+  return { text: lines.join('\n'), added, removed };
+}
+
+// ============================================
+// Repeated reads
+// ============================================
+
+/**
+ * Text of a Read result, or null for results that can't be diffed (images)
+ */
+function readResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return null;
+  if (content.some(block => block?.type !== 'text')) return null;
+  return content.map(block => block.text || '').join('\n');
+}
+
+/**
+ * File lines without the line numbers Read prefixes them with
+ */
+function fileLines(text) {
+  const lines = text.split('\n');
+  if (!LINE_NUMBER_PREFIX.test(lines[0] || '')) return lines;
+  return lines.map(line => line.replace(LINE_NUMBER_PREFIX, ''));
+}
+
+/**
+ * Plan the rewrite of repeated reads
+ * The first read of each view is kept in full; each later read becomes a
+ * marker or a diff against the read before it. Only the messages passed in
+ * take part, so plan on what survives any removals: a diff must never point
+ * at a read that is gone.
+ *
+ * @param {Array} messages - Messages in conversation order
+ * @param {Object|boolean} options - `true` or { paths, contextLines }
+ * @param {Set} excludeToolIds - Reads replaced by something else (e.g. stale read stubs); they restart the chain
+ * @param {Function} [isCut] - (toolId, text) => true when that result text would be cut later
+ *   (truncation); a read kept in full but cut restarts the chain, a cut diff is not planned
+ * @returns {Array} [{ path, toolId, readMessageUuid, resultMessageUuid, kind: 'unchanged'|'diff',
+ *                     baseMessageUuid, replacement, added, removed, originalChars, tokensSaved }]
+ */
+export function planReadDiffs(messages, options = true, excludeToolIds = new Set(), isCut = null) {
+  const { paths, contextLines } = resolveReadDiffOptions(options);
+
+  // Read calls by id, in conversation order
+  const reads = new Map();
+  for (const message of messages) {
+    for (const toolUse of message.toolUses || []) {
+      const filePath = toolUse.name === 'Read' ? toolUse.input?.file_path : null;
+      if (filePath && (!paths || paths.has(filePath))) {
+        reads.set(toolUse.id, { toolUse, message });
+      }
+    }
+  }
+
+  // view key -> { text, messageUuid, unchangedSince }
+  const previous = new Map();
+  const plan = [];
+
+  for (const message of messages) {
+    for (const block of Array.isArray(message.content) ? message.content : []) {
+      const read = block?.type === 'tool_result' ? reads.get(block.tool_use_id) : null;
+      if (!read) continue;
+
+      const { toolUse } = read;
+      const filePath = toolUse.input.file_path;
+      const view = `${filePath}\0${toolUse.input.offset ?? ''}\0${toolUse.input.limit ?? ''}`;
+      const text = block.is_error ? null : readResultText(block.content);
+
+      if (text === null || excludeToolIds.has(toolUse.id)) {
+        previous.delete(view);
+        continue;
+      }
+
+      const base = previous.get(view);
+      const current = { text, messageUuid: read.message.uuid, unchangedSince: read.message.uuid };
+      previous.set(view, current);
+
+      let entry = null;
+      if (base && text === base.text) {
+        current.unchangedSince = base.unchangedSince;
+        entry = {
+          kind: 'unchanged',
+          baseMessageUuid: base.unchangedSince,
+          replacement: `[Re-read of ${filePath}: (unchanged since message ${base.unchangedSince})]`,
+          added: 0,
+          removed: 0
+        };
+      } else if (base) {
+        const ops = diffLines(fileLines(base.text), fileLines(text));
+        if (ops) {
+          // An unchanged re-read is only a marker; point at the read it matches
+          const baseUuid = base.unchangedSince;
+          const diff = formatUnifiedDiff(ops, { contextLines, oldName: `${filePath} (message ${baseUuid})`, newName: filePath });
+          entry = {
+            kind: 'diff',
+            baseMessageUuid: baseUuid,
+            replacement: `[Re-read of ${filePath}: diff against the read at message ${baseUuid}]\n${diff.text}`,
+            added: diff.added,
+            removed: diff.removed
+          };
+        }
+      }
+
+      // A diff cut short can't be followed
+      if (entry && isCut && isCut(toolUse.id, entry.replacement)) entry = null;
+      const tokensSaved = entry ? estimateTokensByCharCount(text) - estimateTokensByCharCount(entry.replacement) : 0;
+
+      // Kept in full (first read, or a diff not worth it): only a complete copy can be a base
+      if (tokensSaved <= 0) {
+        if (isCut && isCut(toolUse.id, text)) previous.delete(view);
+        continue;
+      }
+
+      plan.push({
+        path: filePath,
+        toolId: toolUse.id,
+        readMessageUuid: read.message.uuid,
+        resultMessageUuid: message.uuid,
+        ...entry,
+        originalChars: text.length,
+        tokensSaved
+      });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Per-file savings of a plan, for the Files tab
+ * @returns {Object} { files: { [path]: { diffed, unchanged, tokensSaved } }, totalTokensSaved }
+ */
+export function summarizeReadDiffs(plan) {
+  const files = {};
+  for (const entry of plan) {
+    const file = files[entry.path] || (files[entry.path] = { diffed: 0, unchanged: 0, tokensSaved: 0 });
+    if (entry.kind === 'unchanged') file.unchanged++;
+    else file.diffed++;
+    file.tokensSaved += entry.tokensSaved;
+  }
+
+  return {
+    files,
+    totalTokensSaved: plan.reduce((sum, entry) => sum + entry.tokensSaved, 0)
+  };
+}
+
+export default {
+  DEFAULT_CONTEXT_LINES,
+  resolveReadDiffOptions,
+  diffLines,
+  formatUnifiedDiff,
+  planReadDiffs,
+  summarizeReadDiffs
+};
@@ -0,0 +1,133 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseJsonlFile, getMessageOrder } from './jsonl-parser.js';
+import { diffLines, formatUnifiedDiff, planReadDiffs } from './read-diff.js';
+import { sanitizeSession } from './sanitizer.js';
+
+const FILE = '/repo/src/app.js';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'read-diff-'));
+let parsed;
+
+function fileVersion(changedLine) {
+  return Array.from({ length: 100 }, (_, i) => (i === changedLine ? `  changed line ${i}` : `  const value${i} = compute(${i});`));
+}
+
+// Read output: line numbers, then the file line
+function readOutput(lines) {
+  return lines.map((line, i) => `${String(i + 1).padStart(6)}→${line}`).join('\n');
+}
+
+before(async () => {
+  // Three reads of the same file, each after an edit
+  const turns = [
+    ['u0', 'user', 'Refactor the app'],
+    ['a1', 'assistant', [{ type: 'tool_use', id: 't1', name: 'Read', input: { file_path: FILE } }]],
+    ['u2', 'user', [{ type: 'tool_result', tool_use_id: 't1', content: readOutput(fileVersion(-1)) }]],
+    ['a3', 'assistant', [{ type: 'tool_use', id: 't2', name: 'Read', input: { file_path: FILE } }]],
+    ['u4', 'user', [{ type: 'tool_result', tool_use_id: 't2', content: readOutput(fileVersion(10)) }]],
+    ['a5', 'assistant', [{ type: 'tool_use', id: 't3', name: 'Read', input: { file_path: FILE } }]],
+    ['u6', 'user', [{ type: 'tool_result', tool_use_id: 't3', content: readOutput(fileVersion(50)) }]],
+    ['a7', 'assistant', [{ type: 'text', text: 'Done.' }]]
+  ];
+
+  let parentUuid = null;
+  const lines = turns.map(([uuid, type, content], i) => {
+    const line = JSON.stringify({
+      type,
+      uuid,
+      parentUuid,
+      sessionId: 'read-diff-test',
+      timestamp: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+      message: { role: type, content }
+    });
+    parentUuid = uuid;
+    return line;
+  });
+
+  const file = path.join(dir, 'session.jsonl');
+  fs.writeFileSync(file, `${lines.join('\n')}\n`);
+  parsed = await parseJsonlFile(file);
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('diffLines finds the shortest edit script', () => {
+  assert.deepEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c']), [
+    { op: ' ', line: 'a' },
+    { op: '-', line: 'b' },
+    { op: '+', line: 'x' },
+    { op: ' ', line: 'c' }
+  ]);
+  assert.deepEqual(diffLines(['a', 'b'], ['a', 'b', 'c']).map(o => o.op).join(''), '  +');
+  assert.deepEqual(diffLines([], ['a']), [{ op: '+', line: 'a' }]);
+  assert.deepEqual(diffLines(['a', 'b'], ['a', 'b']).map(o => o.op).join(''), '  ');
+});
+
+test('diffLines gives up beyond maxEdits', () => {
+  assert.equal(diffLines(['a', 'b', 'c'], ['x', 'y', 'z'], 2), null);
+  assert.ok(diffLines(['a', 'b', 'c'], ['x', 'y', 'z'], 6));
+});
+
+test('formatUnifiedDiff writes hunks with context', () => {
+  const oldLines = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+  const newLines = ['1', '2', 'three', '4', '5', '6', '7', '8', '9', '10', '11'];
+  const diff = formatUnifiedDiff(diffLines(oldLines, newLines), { contextLines: 1, oldName: 'old', newName: 'new' });
+
+  assert.equal(diff.text, [
+    '--- old',
+    '+++ new',
+    '@@ -2,3 +2,3 @@',
+    ' 2',
+    '-3',
+    '+three',
+    ' 4',
+    '@@ -10,1 +10,2 @@',
+    ' 10',
+    '+11'
+  ].join('\n'));
+  assert.equal(diff.added, 2);
+  assert.equal(diff.removed, 1);
+});
+
+test('each re-read is diffed against the read before it', () => {
+  const plan = planReadDiffs(getMessageOrder(parsed), true);
+
+  assert.deepEqual(plan.map(p => [p.toolId, p.kind, p.baseMessageUuid]), [
+    ['t2', 'diff', 'a1'],
+    ['t3', 'diff', 'a3']
+  ]);
+  assert.match(plan[0].replacement, /^\[Re-read of \/repo\/src\/app\.js: diff against the read at message a1\]/);
+  assert.match(plan[0].replacement, /\n\+  changed line 10\n/);
+});
+
+test('a removed base restarts the chain at the next surviving read', () => {
+  // Removed by a query (with its tool call): the second read becomes the first
+  const queried = sanitizeSession(parsed, { removeCriteria: { diffRepeatedReads: true, query: 'uuid:u2' } });
+  const kept = new Set(queried.messages.map(m => m.uuid));
+
+  assert.ok(!kept.has('a1') && !kept.has('u2'));
+  assert.deepEqual(queried.readDiffs.reads.map(r => [r.toolId, r.baseMessageUuid]), [['t3', 'a3']]);
+
+  // Removed before the criteria run (removeMessages): the next read diffs against the one before
+  const { readDiffs } = sanitizeSession(parsed, {
+    removeMessages: ['a3', 'u4'],
+    removeCriteria: { diffRepeatedReads: true }
+  });
+  assert.deepEqual(readDiffs.reads.map(r => [r.toolId, r.baseMessageUuid]), [['t3', 'a1']]);
+});
+
+test('a read the truncator cuts is no base for a diff', () => {
+  const truncateToolResults = { tools: { Read: { maxBytes: 2048, headLines: 10, tailLines: 5 } } };
+  const { messages, readDiffs, truncation } = sanitizeSession(parsed, {
+    removeCriteria: { diffRepeatedReads: true, truncateToolResults }
+  });
+
+  assert.equal(readDiffs.count, 0);
+  assert.equal(truncation.count, 3);
+  assert.ok(messages.every(m => !JSON.stringify(m.content).includes('Re-read of')));
+});
@@ -0,0 +1,282 @@
+/**
+ * Sanitization Profiles
+ *
+ * Named, reusable sanitization settings (the full `removeCriteria` plus the
+ * dedup, image and redaction options), so a cleanup routine can be applied
+ * to any session - or a batch of them - without re-ticking the same boxes.
+ *
+ * Stored in ~/.claude-memory/sanitization-profiles.json:
+ *   { version, profiles: { [name]: { name, description, criteria, deduplicate,
+ *                                    extractImages, redact, createdAt, updatedAt } } }
+ *
+ * Session-specific selections (removeMessages, removeFiles, manuallySelected)
+ * are not part of a profile.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { getMemoryRoot, ensureMemoryRoot } from './memory-storage.js';
+import { createRedactor } from './secret-redactor.js';
+import { parseMessageQuery } from './message-query.js';
+import { resolveTruncationOptions } from './tool-result-truncation.js';
+import { resolveStaleReadOptions } from './file-tracker.js';
+import { resolveReadDiffOptions } from './read-diff.js';
+
+const PROFILES_VERSION = '1.0.0';
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+export const MESSAGE_TYPES = ['tool', 'tool-result', 'thinking', 'assistant', 'you'];
+
+// removeCriteria keys a profile may set, with their checks
+const CRITERIA_FIELDS = {
+  removeErrors: 'boolean',
+  removeVerbose: 'boolean',
+  removeDuplicateFileReads: 'boolean',
+  preserveAskUserQuestion: 'boolean',
+  verboseThreshold: 'threshold',
+  percentageRange: 'percent',
+  messageTypes: 'messageTypes',
+  query: 'query',
+  truncateToolResults: 'truncation',
+  removeStaleReads: 'staleReads',
+  diffRepeatedReads: 'readDiffs'
+};
+
+/**
+ * Path of the profiles file
+ */
+export function getProfilesPath() {
+  return path.join(getMemoryRoot(), 'sanitization-profiles.json');
+}
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Validate a profile definition
+ * @param {Object} profile - { criteria, deduplicate, extractImages, redact, description }
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return { valid: false, errors: ['profile must be an object'] };
+  }
+
+  if (profile.description !== undefined && typeof profile.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  for (const key of ['deduplicate', 'extractImages']) {
+    if (profile[key] !== undefined && typeof profile[key] !== 'boolean') {
+      errors.push(`${key} must be a boolean`);
+    }
+  }
+
+  const criteria = profile.criteria ?? {};
+  if (typeof criteria !== 'object' || Array.isArray(criteria)) {
+    errors.push('criteria must be an object');
+  } else {
+    for (const [key, value] of Object.entries(criteria)) {
+      const check = CRITERIA_FIELDS[key];
+      if (!check) {
+        errors.push(`criteria.${key} is not a profile setting`);
+      } else if (check === 'boolean' && typeof value !== 'boolean') {
+        errors.push(`criteria.${key} must be a boolean`);
+      } else if (check === 'threshold' && (!Number.isInteger(value) || value < 1)) {
+        errors.push(`criteria.${key} must be a positive integer`);
+      } else if (check === 'percent' && (typeof value !== 'number' || value < 0 || value > 100)) {
+        errors.push(`criteria.${key} must be a number between 0 and 100`);
+      } else if (check === 'messageTypes') {
+        if (!Array.isArray(value) || value.some(t => !MESSAGE_TYPES.includes(t))) {
+          errors.push(`criteria.messageTypes must be an array of: ${MESSAGE_TYPES.join(', ')}`);
+        }
+      } else if (check === 'query') {
+        try {
+          parseMessageQuery(value);
+        } catch (error) {
+          errors.push(`criteria.query: ${error.message}`);
+        }
+      } else if (check === 'truncation' && value !== false) {
+        try {
+          resolveTruncationOptions(value);
+        } catch (error) {
+          errors.push(`criteria.${key}: ${error.message}`);
+        }
+      } else if (check === 'staleReads' && value !== false) {
+        try {
+          resolveStaleReadOptions(value);
+        } catch (error) {
+          errors.push(`criteria.${key}: ${error.message}`);
+        }
+      } else if (check === 'readDiffs' && value !== false) {
+        try {
+          resolveReadDiffOptions(value);
+        } catch (error) {
+          errors.push(`criteria.${key}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  if (profile.redact !== undefined && typeof profile.redact !== 'boolean') {
+    if (typeof profile.redact !== 'object' || profile.redact === null) {
+      errors.push('redact must be a boolean or redaction options');
+    } else {
+      try {
+        createRedactor(profile.redact);
+      } catch (error) {
+        errors.push(`redact: ${error.message}`);
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+function validateNameOrThrow(name) {
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    const error = new Error('Profile name must be 1-64 letters, digits, "-" or "_", starting with a letter or digit');
+    error.code = 'INVALID_PROFILE';
+    error.status = 400;
+    throw error;
+  }
+}
+
+// ============================================
+// Storage
+// ============================================
+
+async function loadProfilesFile() {
+  const profilesPath = getProfilesPath();
+  if (!await fs.pathExists(profilesPath)) {
+    return { version: PROFILES_VERSION, profiles: {} };
+  }
+
+  try {
+    const content = await fs.readFile(profilesPath, 'utf-8');
+    const data = JSON.parse(content);
+    return { version: data.version || PROFILES_VERSION, profiles: data.profiles || {} };
+  } catch (error) {
+    throw new Error(`Failed to load sanitization profiles: ${error.message}`);
+  }
+}
+
+async function saveProfilesFile(data) {
+  await ensureMemoryRoot();
+  const profilesPath = getProfilesPath();
+
+  // Write atomically using temp file
+  const tempPath = `${profilesPath}.tmp`;
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+    await fs.rename(tempPath, profilesPath);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw new Error(`Failed to save sanitization profiles: ${error.message}`);
+  }
+}
+
+/**
+ * List all profiles, sorted by name
+ */
+export async function listProfiles() {
+  const { profiles } = await loadProfilesFile();
+  return Object.values(profiles).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get one profile
+ * @throws {Error} PROFILE_NOT_FOUND
+ */
+export async function getProfile(name) {
+  const { profiles } = await loadProfilesFile();
+  const profile = profiles[name];
+
+  if (!profile) {
+    const error = new Error(`Sanitization profile "${name}" not found`);
+    error.code = 'PROFILE_NOT_FOUND';
+    error.status = 404;
+    throw error;
+  }
+
+  return profile;
+}
+
+/**
+ * Create or replace a profile
+ *
+ * @param {string} name - Profile name
+ * @param {Object} definition - { description, criteria, deduplicate, extractImages, redact }
+ * @returns {Promise<Object>} The saved profile
+ * @throws {Error} INVALID_PROFILE
+ */
+export async function saveProfile(name, definition) {
+  validateNameOrThrow(name);
+
+  const validation = validateProfile(definition);
+  if (!validation.valid) {
+    const error = new Error(`Invalid sanitization profile: ${validation.errors.join('; ')}`);
+    error.code = 'INVALID_PROFILE';
+    error.status = 400;
+    throw error;
+  }
+
+  const data = await loadProfilesFile();
+  const existing = data.profiles[name];
+  const now = new Date().toISOString();
+
+  const profile = {
+    name,
+    description: definition.description || '',
+    criteria: definition.criteria || {},
+    deduplicate: definition.deduplicate === true,
+    extractImages: definition.extractImages !== false,
+    redact: definition.redact || false,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  data.profiles[name] = profile;
+  await saveProfilesFile(data);
+
+  return profile;
+}
+
+/**
+ * Delete a profile
+ * @returns {Promise<Object>} The removed profile
+ * @throws {Error} PROFILE_NOT_FOUND
+ */
+export async function deleteProfile(name) {
+  const data = await loadProfilesFile();
+  const profile = data.profiles[name];
+
+  if (!profile) {
+    const error = new Error(`Sanitization profile "${name}" not found`);
+    error.code = 'PROFILE_NOT_FOUND';
+    error.status = 404;
+    throw error;
+  }
+
+  delete data.profiles[name];
+  await saveProfilesFile(data);
+
+  return profile;
+}
+
+export default {
+  MESSAGE_TYPES,
+  getProfilesPath,
+  validateProfile,
+  listProfiles,
+  getProfile,
+  saveProfile,
+  deleteProfile
+};
@@ -1,15 +1,49 @@
 import { getMessageOrder } from './jsonl-parser.js';
+import { createRedactor, redactMessage, getRedactionSummary } from './secret-redactor.js';
+import { compileMessageQuery, createQueryContext, expandToolPairs } from './message-query.js';
+import {
+  createTruncator,
+  registerToolUses,
+  getToolSettings,
+  truncateText,
+  truncateMessageToolResults,
+  getTruncationSummary
+} from './tool-result-truncation.js';
+import { findStaleReads, staleReadStub } from './file-tracker.js';
+import { planReadDiffs, summarizeReadDiffs, resolveReadDiffOptions } from './read-diff.js';
 
 /**
  * Sanitize a session by removing messages and/or files
+ *
+ * options.redact (true or redaction options, see secret-redactor.js) replaces
+ * secrets in the kept messages with typed placeholders; the findings are
+ * returned as `redaction`
+ *
+ * removeCriteria.truncateToolResults (true or truncation options, see
+ * tool-result-truncation.js) caps oversized tool results to their first and
+ * last lines; what was cut is returned as `truncation`
+ *
+ * removeCriteria.removeStaleReads (true or { editThreshold }) replaces Read
+ * results of files later rewritten or repeatedly edited with a stub; the
+ * replaced reads are returned as `staleReads`
+ *
+ * removeCriteria.diffRepeatedReads (true or { paths, contextLines }) keeps
+ * the first read of a file in full and rewrites later reads as diffs against
+ * the read before them; the rewritten reads are returned as `readDiffs`
  */
 export function sanitizeSession(parsed, options = {}) {
   const {
     removeMessages = [],
     removeFiles = [],
-    removeCriteria = {}
+    removeCriteria = {},
+    redact = null
   } = options;
 
+  // Compile patterns up front so a bad custom pattern fails before any work
+  const redactor = redact ? createRedactor(redact) : null;
+  const truncator = removeCriteria.truncateToolResults ? createTruncator(removeCriteria.truncateToolResults) : null;
+  if (removeCriteria.diffRepeatedReads) resolveReadDiffOptions(removeCriteria.diffRepeatedReads);
+
   // Create a working copy of messages in CONVERSATION ORDER (not file order)
   // This is critical for percentage range filtering to work correctly,
   // as messages in the JSONL file may not be in conversation order due to
@@ -57,17 +91,56 @@ export function sanitizeSession(parsed, options = {}) {
     ...deduplicatedMessages,
     ...(parsed.progressRecords || []).map(p => ({ uuid: p.uuid, parentUuid: p.parentUuid, type: 'progress' }))
   ];
+  if (truncator) {
+    // Results are attributed through their tool_use, which may itself be removed
+    registerToolUses(truncator, deduplicatedMessages);
+  }
+  // Staleness comes from the whole timeline: a later Write still happened even if its message is removed
+  const staleReads = removeCriteria.removeStaleReads
+    ? { reads: new Map(findStaleReads(deduplicatedMessages, removeCriteria.removeStaleReads).map(r => [r.toolId, r])), replaced: [] }
+    : null;
+  // Diffs are planned once the removals are known (see applySanitizationCriteria)
+  const readDiffs = removeCriteria.diffRepeatedReads ? { reads: new Map(), replaced: [] } : null;
   if (Object.keys(removeCriteria).length > 0) {
-    messages = applySanitizationCriteria(messages, removeCriteria, allRecordsForChainWalk);
+    messages = applySanitizationCriteria(messages, removeCriteria, allRecordsForChainWalk, { truncator, staleReads, readDiffs });
   }
 
+  // Phase 4: Redact secrets in text, tool inputs and tool results
+  if (redactor) {
+    messages = messages.map(message => redactMessage(redactor, message));
+  }
+  const redaction = redactor ? getRedactionSummary(redactor) : null;
+  const truncation = truncator ? getTruncationSummary(truncator) : null;
+  const staleReadSummary = staleReads
+    ? {
+      count: staleReads.replaced.length,
+      tokensSaved: staleReads.replaced.reduce((sum, r) => sum + r.tokensSaved, 0),
+      reads: staleReads.replaced
+    }
+    : null;
+  const readDiffSummary = readDiffs
+    ? {
+      count: readDiffs.replaced.length,
+      ...summarizeReadDiffs(readDiffs.replaced),
+      reads: readDiffs.replaced.map(({ replacement, ...read }) => read)
+    }
+    : null;
+
   return {
     messages,
     changes: {
       removedMessages: removeMessages.length,
       filesWithContentRemoved: removeFiles.length,
-      criteriaApplied: Object.keys(removeCriteria).filter(k => removeCriteria[k]).length
-    }
+      criteriaApplied: Object.keys(removeCriteria).filter(k => removeCriteria[k]).length,
+      secretsRedacted: redaction?.total || 0,
+      toolResultsTruncated: truncation?.count || 0,
+      staleReadsReplaced: staleReadSummary?.count || 0,
+      readsDiffed: readDiffSummary?.count || 0
+    },
+    redaction,
+    truncation,
+    staleReads: staleReadSummary,
+    readDiffs: readDiffSummary
   };
 }
 
@@ -308,7 +381,11 @@ export function hasAskUserQuestion(message) {
   return false;
 }
 
-function getMessageType(message) {
+/**
+ * Message category used by the messageTypes criterion and the editor filters
+ * @returns {string|null} 'tool', 'tool-result', 'thinking', 'assistant', 'you' or null
+ */
+export function getMessageType(message) {
   const content = Array.isArray(message.content) ? message.content : [];
 
   // Priority order matches SessionEditor.vue logic
@@ -355,13 +432,23 @@ function getMessageType(message) {
 
 /**
  * Apply additional sanitization criteria with priority system
- * Priority: Manual selections > Percentage range + Message type filter (REMOVE) > Content criteria
+ * Priority: Manual selections > Percentage range + Message type / query filter (REMOVE) > Content criteria
+ * criteria.query is a message query (see message-query.js); matching messages are removed like selected types,
+ * together with the other half of their tool call / tool result pairs
  * @param {Array} messages - Current working set of messages
  * @param {Object} criteria - Sanitization criteria to apply
  * @param {Array} allOriginalRecords - All records with parentUuid (messages + progress) for chain walking
+ * @param {Object} helpers - Per-run state built by sanitizeSession
+ * @param {Object} helpers.truncator - Truncator for criteria.truncateToolResults (see tool-result-truncation.js)
+ * @param {Object} helpers.staleReads - { reads: Map(toolId -> stale read), replaced: [] } for criteria.removeStaleReads
+ * @param {Object} helpers.readDiffs - { reads: Map(toolId -> planned diff), replaced: [] } for criteria.diffRepeatedReads;
+ *   reads is planned here, on the messages left after the removals
  */
-function applySanitizationCriteria(messages, criteria, allOriginalRecords = null) {
+function applySanitizationCriteria(messages, criteria, allOriginalRecords = null, helpers = {}) {
+  const { truncator = null, staleReads = null, readDiffs = null } = helpers;
   let workingSet = [...messages];
+  // Compile first so an invalid query fails before anything is filtered
+  const queryPredicate = criteria.query ? compileMessageQuery(criteria.query) : null;
   // Use allOriginalRecords for parent chain walking (includes progress records)
   const recordsForChainWalk = allOriginalRecords || messages;
 
@@ -401,21 +488,33 @@ function applySanitizationCriteria(messages, criteria, allOriginalRecords = null
   // If no range specified at all, apply to all messages
   const hasRangeFilter = inRangeSet.size > 0;
 
-  // PRIORITY 2: Message type filter - REMOVE messages of selected types (within range)
-  if (criteria.messageTypes && criteria.messageTypes.length > 0) {
-    const typesSet = new Set(criteria.messageTypes);
+  // PRIORITY 2: Message type / query filter - REMOVE messages of selected types or matching the query (within range)
+  if ((criteria.messageTypes && criteria.messageTypes.length > 0) || queryPredicate) {
+    const typesSet = new Set(criteria.messageTypes || []);
+    // Query positions are relative to the working set in conversation order
+    const queryContext = queryPredicate ? createQueryContext(workingSet) : null;
     const beforeFilter = workingSet.length;
     const preserveAskUserQuestion = criteria.preserveAskUserQuestion !== false;
+    const keepAskUserQuestion = preserveAskUserQuestion ? hasAskUserQuestion : null;
+
+    // Query matches in range, plus the other half of their tool pairs wherever it is
+    const queryMatches = queryPredicate
+      ? expandToolPairs(new Set(workingSet
+        .filter(m => (!hasRangeFilter || inRangeSet.has(m.uuid)) && queryPredicate(m, queryContext))
+        .filter(m => !(keepAskUserQuestion && keepAskUserQuestion(m)))
+        .map(m => m.uuid)), workingSet, keepAskUserQuestion)
+      : new Set();
 
     workingSet = workingSet.filter(m => {
       // If a range filter is active (manual selection or percentage) and message is not in range, keep it
-      if (hasRangeFilter && !inRangeSet.has(m.uuid)) {
+      // (unless it pairs with a query match in range)
+      if (hasRangeFilter && !inRangeSet.has(m.uuid) && !queryMatches.has(m.uuid)) {
         return true; // Keep messages outside the range
       }
 
       // Check message type - REMOVE if it matches selected types
       const messageType = getMessageType(m);
-      let shouldRemove = typesSet.has(messageType);
+      let shouldRemove = typesSet.has(messageType) || queryMatches.has(m.uuid);
 
       // Preserve AskUserQuestion tool calls even when removing other tools
       if (shouldRemove && preserveAskUserQuestion && (messageType === 'tool' || messageType === 'tool-result')) {
@@ -433,6 +532,7 @@ function applySanitizationCriteria(messages, criteria, allOriginalRecords = null
           messageType,
           inRange: inRangeSet.has(m.uuid),
           selectedTypes: Array.from(typesSet),
+          query: criteria.query || null,
           shouldRemove,
           action: shouldRemove ? 'REMOVE' : 'KEEP'
         });
@@ -496,6 +596,19 @@ function applySanitizationCriteria(messages, criteria, allOriginalRecords = null
     }
   }
 
+  // Plan read diffs on the survivors, so no diff points at a removed read; stale
+  // reads are stubbed instead and reads the truncator cuts can't serve as a base
+  if (readDiffs) {
+    const isCut = truncator
+      ? (toolId, text) => {
+        const settings = getToolSettings(truncator, truncator.toolNames.get(toolId) || null);
+        return settings !== null && truncateText(text, settings) !== null;
+      }
+      : null;
+    readDiffs.reads = new Map(planReadDiffs(workingSet, criteria.diffRepeatedReads, new Set(staleReads?.reads.keys()), isCut)
+      .map(r => [r.toolId, r]));
+  }
+
   // PRIORITY 3: Apply content-based criteria to remaining messages
   return workingSet.map((message, index) => {
     let updated = { ...message };
@@ -520,6 +633,21 @@ function applySanitizationCriteria(messages, criteria, allOriginalRecords = null
       });
     }
 
+    // Replace reads of files that were later rewritten or heavily edited
+    if (staleReads) {
+      updated = replaceReadResults(updated, staleReads, staleReadStub);
+    }
+
+    // Rewrite repeated reads of a file as diffs against the previous read
+    if (readDiffs) {
+      updated = replaceReadResults(updated, readDiffs, read => read.replacement);
+    }
+
+    // Cap oversized tool results to their first and last lines
+    if (truncator) {
+      updated = truncateMessageToolResults(truncator, updated);
+    }
+
     // Remove verbose assistant text with configurable threshold
     if (criteria.removeVerbose && message.type === 'assistant') {
       const threshold = criteria.verboseThreshold || 500;
@@ -582,6 +710,53 @@ function applySanitizationCriteria(messages, criteria, allOriginalRecords = null
   });
 }
 
+/**
+ * Replace planned Read results in a message (stale read stubs, read diffs)
+ * The tool_result block is kept, so tool_use/tool_result pairing stays valid
+ *
+ * @param {Object} message - Message to update
+ * @param {Object} run - { reads: Map(toolId -> read), replaced: [] }; replaced reads are appended
+ * @param {Function} textFor - read => replacement text
+ */
+function replaceReadResults(message, run, textFor) {
+  const content = Array.isArray(message.content) ? message.content : [];
+  const replaced = new Map();
+
+  const updatedContent = content.map(block => {
+    const read = block?.type === 'tool_result' ? run.reads.get(block.tool_use_id) : null;
+    if (!read) return block;
+
+    const updatedBlock = { ...block, content: textFor(read) };
+    replaced.set(block.tool_use_id, updatedBlock);
+    run.replaced.push(read);
+    return updatedBlock;
+  });
+
+  if (replaced.size === 0) {
+    return message;
+  }
+
+  const updated = {
+    ...message,
+    content: updatedContent,
+    toolResults: (message.toolResults || []).map(r => replaced.get(r.tool_use_id) || r)
+  };
+
+  // Claude Code keeps its own copy of the file content next to the result
+  if (typeof message.raw?.toolUseResult?.file?.content === 'string') {
+    const stub = replaced.values().next().value.content;
+    updated.raw = {
+      ...message.raw,
+      toolUseResult: {
+        ...message.raw.toolUseResult,
+        file: { ...message.raw.toolUseResult.file, content: stub }
+      }
+    };
+  }
+
+  return updated;
+}
+
 /**
  * Convert sanitized messages back to JSONL format
  */
@@ -732,7 +907,11 @@ export function calculateSanitizationImpact(parsed, options) {
       tokens: originalTokens - sanitizedTokens,
       percentage: ((originalTokens - sanitizedTokens) / originalTokens) * 100
     },
-    changes: sanitized.changes
+    changes: sanitized.changes,
+    redaction: sanitized.redaction,
+    truncation: sanitized.truncation,
+    staleReads: sanitized.staleReads,
+    readDiffs: sanitized.readDiffs
   };
 }
 
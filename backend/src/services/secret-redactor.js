@@ -0,0 +1,453 @@
+/**
+ * Secret Redactor
+ *
+ * Finds credentials that ended up in a session (API keys, tokens, `.env`
+ * lines and private keys printed by Bash or Read) and replaces them with
+ * typed placeholders such as `[REDACTED:github-token]`.
+ *
+ * Used by sanitizeSession (the `redact` option), markdown export and memory
+ * registration. Findings never contain the secret itself, only a masked
+ * preview and where it was found.
+ *
+ * Options (the `redact` option, `true` for the defaults):
+ *   detectors:        names of the built-in detectors to run (default: all)
+ *   customPatterns:   [{ name, pattern, flags }] user regexes; a named group
+ *                     `secret` limits the replacement to that group
+ *   entropyThreshold: bits per character for the high-entropy detector (default 4)
+ *
+ * Custom patterns can also be set for every run in ~/.claude-memory/config.json
+ * (`redaction.customPatterns`).
+ */
+
+export const DEFAULT_ENTROPY_THRESHOLD = 4;
+
+// Shortest string the high-entropy detector considers
+const MIN_ENTROPY_LENGTH = 32;
+
+// Share of neighbouring characters that switch between lower case, upper case
+// and digit in a letters-and-digits candidate. Random tokens switch on about
+// 60% of them, CamelCase identifiers only at word boundaries (about 30%).
+const MIN_CLASS_SWITCH_RATE = 0.4;
+
+// Values an `.env`-style key is assigned in code rather than in a secret:
+// type annotations and literals
+const NON_SECRET_VALUES = new Set([
+  'string', 'number', 'boolean', 'bigint', 'symbol', 'object', 'any', 'unknown',
+  'never', 'void', 'null', 'undefined', 'true', 'false', 'none', 'str', 'int',
+  'bool', 'float', 'bytes'
+]);
+
+// Findings kept per run (totals are always complete)
+const MAX_FINDINGS = 500;
+
+// ============================================
+// Detectors
+// ============================================
+
+/**
+ * Built-in detectors, run in this order
+ * A named group `secret` limits the replacement to that part of the match
+ */
+export const BUILTIN_DETECTORS = [
+  {
+    type: 'private-key',
+    pattern: /-----BEGIN ([A-Z0-9 ]*)PRIVATE KEY-----[\s\S]*?-----END \1PRIVATE KEY-----/g
+  },
+  {
+    type: 'aws-access-key',
+    pattern: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g
+  },
+  {
+    type: 'aws-secret-key',
+    pattern: /aws_?secret(?:_access)?_?key["']?\s*[=:]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi
+  },
+  {
+    type: 'github-token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g
+  },
+  {
+    type: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g
+  },
+  {
+    type: 'api-key',
+    pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})/g
+  },
+  {
+    type: 'bearer-token',
+    pattern: /\bBearer\s+(?<secret>[A-Za-z0-9._~+/-]{16,}=*)/g
+  },
+  {
+    type: 'env-secret',
+    pattern: /^[ \t]*(?:export[ \t]+)?[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_?KEY|PRIVATE_KEY|ACCESS_KEY)[A-Z0-9_]*[ \t]*[=:][ \t]*["']?(?<secret>[^\s"'#]{6,})/gm,
+    accept: value => !isCodeValue(value)
+  },
+  {
+    type: 'high-entropy',
+    pattern: /[A-Za-z0-9+_-]{32,}={0,2}/g,
+    accept: (value, redactor) => isHighEntropy(value, redactor.entropyThreshold)
+  }
+];
+
+export const BUILTIN_DETECTOR_TYPES = BUILTIN_DETECTORS.map(d => d.type);
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+export function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Share of neighbouring characters that differ in class (lower, upper, digit, other)
+ */
+function classSwitchRate(value) {
+  const classOf = char => (/[a-z]/.test(char) ? 0 : /[A-Z]/.test(char) ? 1 : /[0-9]/.test(char) ? 2 : 3);
+  let switches = 0;
+  for (let i = 1; i < value.length; i++) {
+    if (classOf(value[i]) !== classOf(value[i - 1])) switches++;
+  }
+  return switches / (value.length - 1);
+}
+
+/**
+ * Whether a candidate looks like a random token rather than an identifier
+ * Requires upper and lower case letters and digits, so hex digests
+ * (git SHAs, checksums) are left alone. A run of only letters and digits
+ * must also switch case and digits as often as a random token does, which
+ * long CamelCase names with a digit (`FactoryBean2Impl`) don't.
+ */
+function isHighEntropy(value, threshold) {
+  if (value.length < MIN_ENTROPY_LENGTH) return false;
+  if (!/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/[0-9]/.test(value)) return false;
+  if (/^[A-Za-z0-9]+$/.test(value) && classSwitchRate(value) < MIN_CLASS_SWITCH_RATE) return false;
+  return shannonEntropy(value) >= threshold;
+}
+
+/**
+ * Whether an `.env`-style value is code rather than a secret: a type name
+ * (`TOKEN: string`), a variable reference (`$TOKEN`, `${TOKEN}`,
+ * `process.env.TOKEN`), a call, or another constant (`TOKEN = DEFAULT_TOKEN`)
+ */
+function isCodeValue(value) {
+  const bare = value.replace(/[,;)]+$/, '');
+  return NON_SECRET_VALUES.has(bare.toLowerCase()) ||
+    /^\$\{?[A-Za-z_][A-Za-z0-9_]*\}?$/.test(bare) ||
+    /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+$/.test(bare) ||
+    /^[A-Za-z_$][\w$.]*\(/.test(bare) ||
+    /^[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+$/.test(bare);
+}
+
+/**
+ * Compile a user-defined pattern
+ * @throws {Error} INVALID_REDACTION_PATTERN
+ */
+function compileCustomPattern(custom, index) {
+  const name = typeof custom?.name === 'string' && custom.name.trim() ? custom.name.trim() : `custom-${index + 1}`;
+
+  let pattern;
+  try {
+    if (typeof custom?.pattern !== 'string' || custom.pattern.length === 0) {
+      throw new Error('pattern must be a non-empty string');
+    }
+    const flags = new Set(`${custom.flags || ''}g`);
+    pattern = new RegExp(custom.pattern, [...flags].join(''));
+    if (pattern.test('')) {
+      throw new Error('pattern matches the empty string');
+    }
+  } catch (error) {
+    const patternError = new Error(`Invalid redaction pattern "${name}": ${error.message}`);
+    patternError.code = 'INVALID_REDACTION_PATTERN';
+    patternError.status = 400;
+    throw patternError;
+  }
+
+  return { type: name, pattern };
+}
+
+// ============================================
+// Redactor
+// ============================================
+
+/**
+ * Create a redactor for one run
+ * The redactor collects findings across every value it redacts
+ *
+ * @param {Object|boolean} options - Redaction options (see module header), `true` for defaults
+ * @returns {Object} Redactor to pass to redactText / redactValue / redactMessage
+ * @throws {Error} INVALID_REDACTION_PATTERN, UNKNOWN_DETECTOR
+ */
+export function createRedactor(options = {}) {
+  const {
+    detectors = BUILTIN_DETECTOR_TYPES,
+    customPatterns = [],
+    entropyThreshold = DEFAULT_ENTROPY_THRESHOLD
+  } = options === true ? {} : (options || {});
+
+  const unknown = detectors.filter(type => !BUILTIN_DETECTOR_TYPES.includes(type));
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown redaction detector(s): ${unknown.join(', ')}`);
+    error.code = 'UNKNOWN_DETECTOR';
+    error.status = 400;
+    throw error;
+  }
+
+  const builtins = BUILTIN_DETECTORS.filter(d => detectors.includes(d.type));
+  const custom = (customPatterns || []).map(compileCustomPattern);
+
+  return {
+    // Custom patterns run before the catch-all high-entropy detector
+    detectors: [
+      ...builtins.filter(d => d.type !== 'high-entropy'),
+      ...custom,
+      ...builtins.filter(d => d.type === 'high-entropy')
+    ],
+    entropyThreshold,
+    total: 0,
+    byType: {},
+    findings: [],
+    // "messageUuid\0secret" pairs already reported
+    reported: new Set(),
+    // tool_use id -> tool name, so results can name their tool
+    toolNames: new Map()
+  };
+}
+
+/**
+ * Masked preview of a secret: a short prefix and the length
+ */
+function maskSecret(secret) {
+  const prefix = secret.length >= 16 ? secret.slice(0, 4) : '';
+  return `${prefix}… (${secret.length} chars)`;
+}
+
+/**
+ * Record a hit (one finding per secret per message)
+ */
+function recordFinding(redactor, type, secret, where) {
+  // The same secret usually shows up in a message's content and raw record
+  const key = `${where.messageUuid || ''}\0${secret}`;
+  if (redactor.reported.has(key)) return;
+  redactor.reported.add(key);
+
+  redactor.total++;
+  redactor.byType[type] = (redactor.byType[type] || 0) + 1;
+
+  if (redactor.findings.length < MAX_FINDINGS) {
+    redactor.findings.push({
+      type,
+      messageUuid: where.messageUuid || null,
+      location: where.location || 'text',
+      ...(where.toolName && { toolName: where.toolName }),
+      preview: maskSecret(secret),
+      placeholder: placeholderFor(type)
+    });
+  }
+}
+
+/**
+ * Placeholder written in place of a secret
+ */
+export function placeholderFor(type) {
+  return `[REDACTED:${type}]`;
+}
+
+/**
+ * Redact one string
+ *
+ * @param {Object} redactor - Redactor from createRedactor
+ * @param {string} text - Text to scan
+ * @param {Object} where - { messageUuid, location, toolName } recorded with findings
+ * @returns {string} Text with secrets replaced
+ */
+export function redactText(redactor, text, where = {}) {
+  if (typeof text !== 'string' || text.length < 6) return text;
+
+  let result = text;
+  for (const detector of redactor.detectors) {
+    detector.pattern.lastIndex = 0;
+    result = result.replace(detector.pattern, (...args) => {
+      const match = args[0];
+      const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+      const secret = groups?.secret ?? match;
+
+      if (!secret || secret.includes('[REDACTED:')) return match;
+      if (detector.accept && !detector.accept(secret, redactor)) return match;
+
+      recordFinding(redactor, detector.type, secret, where);
+      const placeholder = placeholderFor(detector.type);
+      if (secret === match) return placeholder;
+
+      const offset = match.lastIndexOf(secret);
+      return match.slice(0, offset) + placeholder + match.slice(offset + secret.length);
+    });
+  }
+
+  return result;
+}
+
+// Keys holding identifiers, hashes and timestamps rather than content
+const SKIP_KEYS = new Set([
+  'uuid', 'parentUuid', 'leafUuid', 'logicalParentUuid', 'sessionId', 'messageId',
+  'requestId', 'agentId', 'id', 'tool_use_id', 'signature', 'timestamp', 'type',
+  'model', 'version', 'gitBranch', 'cwd', 'userType', 'media_type'
+]);
+
+const BLOCK_LOCATIONS = {
+  text: 'text',
+  thinking: 'thinking',
+  tool_use: 'tool_input',
+  tool_result: 'tool_result'
+};
+
+/**
+ * Redact every string in a JSON value
+ * Content blocks set the finding location; identifiers and base64 image
+ * data are skipped
+ *
+ * @param {Object} redactor - Redactor from createRedactor
+ * @param {*} value - Value to redact (not modified)
+ * @param {Object} where - { messageUuid, location, toolName }
+ * @returns {*} Redacted copy
+ */
+export function redactValue(redactor, value, where = {}) {
+  if (typeof value === 'string') {
+    return redactText(redactor, value, where);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(redactor, item, where));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  // Image source blocks hold base64 data, not text
+  if (value.type === 'base64') {
+    return value;
+  }
+
+  // Blocks nested in a tool result (its text blocks) keep the tool's location
+  let context = where;
+  const insideTool = where.location === 'tool_result' || where.location === 'tool_input';
+  if (BLOCK_LOCATIONS[value.type] && !(insideTool && (value.type === 'text' || value.type === 'thinking'))) {
+    context = { ...where, location: BLOCK_LOCATIONS[value.type] };
+    if (value.type === 'tool_use') {
+      redactor.toolNames.set(value.id, value.name);
+      context.toolName = value.name;
+    } else if (value.type === 'tool_result') {
+      context.toolName = redactor.toolNames.get(value.tool_use_id);
+    }
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SKIP_KEYS.has(key) || key === 'name') {
+      result[key] = item;
+    } else if (key === 'toolUseResult') {
+      result[key] = redactValue(redactor, item, { ...context, location: 'tool_use_result' });
+    } else {
+      result[key] = redactValue(redactor, item, context);
+    }
+  }
+  return result;
+}
+
+/**
+ * Redact a parsed (enhanced) message
+ * Covers content blocks, the derived toolUses/toolResults arrays and the raw
+ * record (including `toolUseResult`, which reconstructRawRecord keeps as is)
+ *
+ * @param {Object} redactor - Redactor from createRedactor
+ * @param {Object} message - Message from jsonl-parser
+ * @returns {Object} Redacted copy
+ */
+export function redactMessage(redactor, message) {
+  const where = { messageUuid: message.uuid, location: 'text' };
+
+  return {
+    ...message,
+    content: redactValue(redactor, message.content, where),
+    ...(message.toolUses && { toolUses: redactValue(redactor, message.toolUses, where) }),
+    ...(message.toolResults && { toolResults: redactValue(redactor, message.toolResults, where) }),
+    ...(message.raw && { raw: redactValue(redactor, message.raw, where) })
+  };
+}
+
+/**
+ * Redact raw JSONL content line by line
+ * Lines that aren't valid JSON are redacted as plain text
+ *
+ * @param {Object} redactor - Redactor from createRedactor
+ * @param {string} content - JSONL content
+ * @returns {string} Redacted JSONL content
+ */
+export function redactJsonl(redactor, content) {
+  return content.split('\n').map(line => {
+    if (!line.trim()) return line;
+    try {
+      const record = JSON.parse(line);
+      return JSON.stringify(redactValue(redactor, record, { messageUuid: record.uuid, location: 'text' }));
+    } catch {
+      return redactText(redactor, line, { location: 'text' });
+    }
+  }).join('\n');
+}
+
+/**
+ * Summary of a redactor's findings
+ * `total` counts secrets per message, so a key printed in two messages counts twice
+ *
+ * @returns {Object} { total, byType, findings, truncated }
+ */
+export function getRedactionSummary(redactor) {
+  return {
+    total: redactor.total,
+    byType: { ...redactor.byType },
+    findings: redactor.findings,
+    truncated: redactor.total > redactor.findings.length
+  };
+}
+
+/**
+ * Resolve a request's `redact` option against the global config
+ * Adds the configured custom patterns to the ones in the request
+ *
+ * @param {Object|boolean} redact - Request option (falsy disables redaction)
+ * @param {Object} globalConfig - Global config (for `redaction.customPatterns`)
+ * @returns {Object|null} Redaction options, or null when disabled
+ */
+export function resolveRedactionOptions(redact, globalConfig = {}) {
+  if (!redact) return null;
+
+  const requested = redact === true ? {} : redact;
+  const configured = globalConfig?.redaction?.customPatterns || [];
+
+  return {
+    ...requested,
+    customPatterns: [...configured, ...(requested.customPatterns || [])]
+  };
+}
+
+export default {
+  BUILTIN_DETECTORS,
+  BUILTIN_DETECTOR_TYPES,
+  DEFAULT_ENTROPY_THRESHOLD,
+  shannonEntropy,
+  createRedactor,
+  placeholderFor,
+  redactText,
+  redactValue,
+  redactMessage,
+  redactJsonl,
+  getRedactionSummary,
+  resolveRedactionOptions
+};
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRedactor, redactText } from './secret-redactor.js';
+
+function redact(text) {
+  const redactor = createRedactor(true);
+  return { text: redactText(redactor, text), byType: redactor.byType };
+}
+
+test('env-style keys are redacted', () => {
+  const { text } = redact('export GITHUB_TOKEN=s3cr3t-value\nDB_PASSWORD: "hunter22"\nAPI_KEY = abcdef123');
+
+  assert.equal(text, 'export GITHUB_TOKEN=[REDACTED:env-secret]\nDB_PASSWORD: "[REDACTED:env-secret]"\nAPI_KEY = [REDACTED:env-secret]');
+});
+
+test('code that names a token or password is left alone', () => {
+  const code = [
+    'interface Session {',
+    '  token: string;',
+    '  tokens: number;',
+    '}',
+    'password: String',
+    'const accessToken = getAccessToken();',
+    'AUTH_TOKEN: string',
+    'export SESSION_SECRET=$SESSION_SECRET',
+    'API_KEY = process.env.API_KEY',
+    'REFRESH_TOKEN = DEFAULT_REFRESH_TOKEN'
+  ].join('\n');
+  const { text, byType } = redact(code);
+
+  assert.equal(text, code);
+  assert.deepEqual(byType, {});
+});
+
+test('random tokens are redacted as high entropy', () => {
+  const { text } = redact('key Zx9kQ2mP7vL4nR8tY3wB6cF1hJ5gD0sA in config');
+
+  assert.equal(text, 'key [REDACTED:high-entropy] in config');
+});
+
+test('long identifiers are not high entropy', () => {
+  const code = 'class AbstractSingletonProxyFactoryBean2Impl extends XMLHttpRequestEventTargetFactory2Builder {}';
+
+  assert.equal(redact(code).text, code);
+});
@@ -0,0 +1,556 @@
+/**
+ * Session Validator
+ *
+ * Structural checks for session files, and a repair for what can be fixed
+ * without guessing. Hand edits and sanitization can leave sessions Claude
+ * Code refuses to resume; the validator reports each problem with the uuid
+ * (and file line) of the record it concerns.
+ *
+ * Errors (Claude Code may refuse to resume):
+ *   INVALID_JSON           - unparseable line
+ *   MISSING_UUID           - user/assistant/system record without a uuid
+ *   DUPLICATE_UUID         - uuid used by more than one record
+ *   DANGLING_PARENT        - parentUuid names no record in the session
+ *   PARENT_CYCLE           - parentUuid chain loops back on itself
+ *   ORPHAN_TOOL_RESULT     - tool_result whose tool_use isn't earlier on its chain
+ *   EMPTY_CONTENT          - user/assistant message with no content blocks
+ *
+ * Warnings (resumable, but worth knowing):
+ *   CONTINUATION_PARENT    - first message points into another session
+ *   DANGLING_LOGICAL_PARENT - compact boundary's logicalParentUuid names no record
+ *   UNANSWERED_TOOL_USE    - tool_use with no tool_result anywhere
+ *   PARENT_AFTER_CHILD     - parent written later in the file than its child
+ *   LEAF_NOT_FOUND         - summary.leafUuid names no message
+ *
+ * Repair re-parents dangling and looping chains onto the previous message in
+ * the file (never onto one of their own descendants), drops orphan
+ * tool_result blocks, drops empty messages (their children move up to the
+ * dropped message's parent), writes parents before children and points a
+ * missing summary.leafUuid at the active leaf. Duplicate uuids keep their
+ * first record and invalid lines are dropped, as jsonl-parser.js already
+ * does when reading. The result is validated again so a repair that makes
+ * things worse is never written.
+ */
+
+import fs from 'fs-extra';
+import readline from 'readline';
+import { findActiveLeaf } from './branch-pruning.js';
+
+const MESSAGE_TYPES = new Set(['user', 'assistant', 'system']);
+
+// ============================================
+// Record nodes
+// ============================================
+
+function contentBlocks(content) {
+  if (Array.isArray(content)) return content.filter(block => block != null);
+  if (typeof content === 'string') return content ? [{ type: 'text', text: content }] : [];
+  return content ? [content] : [];
+}
+
+/**
+ * Common shape for raw records and parsed messages
+ */
+function nodeFromRecord(record, line) {
+  return {
+    uuid: record.uuid || null,
+    parentUuid: record.parentUuid || null,
+    logicalParentUuid: record.logicalParentUuid || null,
+    type: record.type,
+    isSidechain: record.isSidechain || false,
+    content: contentBlocks(record.message?.content),
+    line
+  };
+}
+
+function nodeFromMessage(message) {
+  return {
+    uuid: message.uuid || null,
+    parentUuid: message.parentUuid || null,
+    logicalParentUuid: message.raw?.logicalParentUuid || null,
+    type: message.type,
+    isSidechain: message.isSidechain || false,
+    content: contentBlocks(message.content),
+    line: null
+  };
+}
+
+function problem(code, severity, message, details = {}) {
+  return { code, severity, message, uuid: null, line: null, ...details };
+}
+
+// ============================================
+// Chain checks (shared with repair)
+// ============================================
+
+/**
+ * Whether a message's parentUuid may point outside the session
+ * Only the first main-chain message of a file continues another session
+ */
+function isContinuationRoot(node, firstMainUuid) {
+  return node.uuid === firstMainUuid;
+}
+
+/**
+ * Messages whose parentUuid chain loops back on itself
+ * @returns {Array} One array of uuids per cycle, in chain order
+ */
+function findParentCycles(nodes, parentOf) {
+  const state = new Map(); // uuid -> 'active' | 'done'
+  const cycles = [];
+
+  for (const node of nodes) {
+    if (!node.uuid || state.has(node.uuid)) continue;
+    const chain = [];
+    let uuid = node.uuid;
+    while (uuid && !state.has(uuid) && parentOf.has(uuid)) {
+      state.set(uuid, 'active');
+      chain.push(uuid);
+      uuid = parentOf.get(uuid);
+    }
+    if (uuid && state.get(uuid) === 'active') {
+      cycles.push(chain.slice(chain.indexOf(uuid)));
+    }
+    for (const member of chain) state.set(member, 'done');
+  }
+
+  return cycles;
+}
+
+/**
+ * tool_result blocks whose tool_use isn't on an ancestor of their message
+ * (Claude Code sends the chain to the API, which rejects such results)
+ *
+ * @param {Array} nodes - Message nodes
+ * @param {Map} parentOf - uuid -> parentUuid for every record (messages and progress)
+ * @returns {Array} [{ uuid, toolUseId, reason: 'missing'|'other-branch' }]
+ */
+function findOrphanToolResults(nodes, parentOf) {
+  const owners = new Map();
+  for (const node of nodes) {
+    for (const block of node.content) {
+      if (block.type === 'tool_use' && block.id) {
+        if (!owners.has(block.id)) owners.set(block.id, new Set());
+        owners.get(block.id).add(node.uuid);
+      }
+    }
+  }
+
+  const orphans = [];
+  for (const node of nodes) {
+    for (const block of node.content) {
+      if (block.type !== 'tool_result') continue;
+      const owner = owners.get(block.tool_use_id);
+      if (!owner) {
+        orphans.push({ uuid: node.uuid, toolUseId: block.tool_use_id, reason: 'missing' });
+        continue;
+      }
+
+      let found = false;
+      const seen = new Set();
+      for (let uuid = parentOf.get(node.uuid); uuid && !seen.has(uuid); uuid = parentOf.get(uuid)) {
+        seen.add(uuid);
+        if (owner.has(uuid)) {
+          found = true;
+          break;
+        }
+      }
+      if (!found) {
+        orphans.push({ uuid: node.uuid, toolUseId: block.tool_use_id, reason: 'other-branch' });
+      }
+    }
+  }
+
+  return orphans;
+}
+
+function isEmptyMessage(node) {
+  return (node.type === 'user' || node.type === 'assistant') && node.content.length === 0;
+}
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Validate session records
+ *
+ * @param {Array} nodes - Message nodes in file order
+ * @param {Object} options
+ * @param {Array} options.others - { uuid, parentUuid } of non-message records on the chain (progress records)
+ * @param {string} options.leafUuid - summary.leafUuid, if any
+ * @param {Array} options.problems - Problems already found while reading (invalid lines)
+ * @returns {Object} { valid, errors, warnings, byCode, problems, messageCount }
+ */
+function validateNodes(nodes, { others = [], leafUuid = null, problems = [] } = {}) {
+  const found = [...problems];
+  const firstByUuid = new Map();
+  const known = new Set(others.map(o => o.uuid));
+  const unique = [];
+
+  for (const node of nodes) {
+    if (!node.uuid) {
+      found.push(problem('MISSING_UUID', 'error', `${node.type} record has no uuid`, { line: node.line }));
+      continue;
+    }
+    const first = firstByUuid.get(node.uuid);
+    if (first) {
+      found.push(problem('DUPLICATE_UUID', 'error', `uuid ${node.uuid} is already used by an earlier record`, {
+        uuid: node.uuid,
+        line: node.line,
+        firstLine: first.line,
+        identical: JSON.stringify(first.content) === JSON.stringify(node.content) && first.parentUuid === node.parentUuid
+      }));
+      continue;
+    }
+    firstByUuid.set(node.uuid, node);
+    known.add(node.uuid);
+    unique.push(node);
+  }
+
+  const parentOf = new Map();
+  for (const record of [...others, ...unique]) {
+    if (record.parentUuid) parentOf.set(record.uuid, record.parentUuid);
+  }
+
+  const firstMainUuid = unique.find(node => !node.isSidechain)?.uuid;
+  const position = new Map(unique.map((node, i) => [node.uuid, i]));
+
+  for (const node of unique) {
+    const details = { uuid: node.uuid, line: node.line };
+
+    if (node.parentUuid && !known.has(node.parentUuid)) {
+      if (isContinuationRoot(node, firstMainUuid)) {
+        found.push(problem('CONTINUATION_PARENT', 'warning',
+          `First message's parent ${node.parentUuid} is not in this session (continued session)`,
+          { ...details, parentUuid: node.parentUuid }));
+      } else {
+        found.push(problem('DANGLING_PARENT', 'error', `Parent ${node.parentUuid} does not exist`,
+          { ...details, parentUuid: node.parentUuid }));
+      }
+    } else if (node.parentUuid && position.get(node.parentUuid) > position.get(node.uuid)) {
+      found.push(problem('PARENT_AFTER_CHILD', 'warning', `Parent ${node.parentUuid} is written after this message`,
+        { ...details, parentUuid: node.parentUuid }));
+    }
+
+    if (node.logicalParentUuid && !known.has(node.logicalParentUuid)) {
+      found.push(problem('DANGLING_LOGICAL_PARENT', 'warning', `Logical parent ${node.logicalParentUuid} does not exist`,
+        { ...details, logicalParentUuid: node.logicalParentUuid }));
+    }
+
+    if (isEmptyMessage(node)) {
+      found.push(problem('EMPTY_CONTENT', 'error', `${node.type} message has no content`, details));
+    }
+  }
+
+  for (const cycle of findParentCycles(unique, parentOf)) {
+    found.push(problem('PARENT_CYCLE', 'error', `Parent chain loops through ${cycle.length} messages`, {
+      uuid: cycle[0],
+      line: firstByUuid.get(cycle[0])?.line ?? null,
+      cycle
+    }));
+  }
+
+  for (const orphan of findOrphanToolResults(unique, parentOf)) {
+    found.push(problem('ORPHAN_TOOL_RESULT', 'error', orphan.reason === 'missing'
+      ? `tool_result for ${orphan.toolUseId} has no matching tool_use`
+      : `tool_result for ${orphan.toolUseId} answers a tool_use on another branch`,
+    { uuid: orphan.uuid, line: firstByUuid.get(orphan.uuid)?.line ?? null, toolUseId: orphan.toolUseId }));
+  }
+
+  const answered = new Set(unique.flatMap(node => node.content
+    .filter(block => block.type === 'tool_result')
+    .map(block => block.tool_use_id)));
+  for (const node of unique) {
+    for (const block of node.content) {
+      if (block.type === 'tool_use' && !answered.has(block.id)) {
+        found.push(problem('UNANSWERED_TOOL_USE', 'warning', `tool_use ${block.id} (${block.name}) has no tool_result`,
+          { uuid: node.uuid, line: node.line, toolUseId: block.id }));
+      }
+    }
+  }
+
+  if (leafUuid && !firstByUuid.has(leafUuid)) {
+    found.push(problem('LEAF_NOT_FOUND', 'warning', `summary.leafUuid ${leafUuid} does not exist`, { uuid: leafUuid }));
+  }
+
+  const byCode = {};
+  for (const p of found) {
+    byCode[p.code] = (byCode[p.code] || 0) + 1;
+  }
+  const errors = found.filter(p => p.severity === 'error').length;
+
+  return {
+    valid: errors === 0,
+    errors,
+    warnings: found.length - errors,
+    byCode,
+    problems: found,
+    messageCount: unique.length
+  };
+}
+
+/**
+ * Validate a session file, line by line
+ * Reads the raw lines so duplicates and invalid JSON (which the parser drops) are reported
+ *
+ * @param {string} filePath - Session .jsonl path
+ * @returns {Promise<Object>} Validation report (see validateNodes)
+ */
+export async function validateSessionFile(filePath) {
+  const rl = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+
+  const nodes = [];
+  const problems = [];
+  const others = [];
+  let leafUuid = null;
+  let lineNumber = 0;
+
+  for await (const line of rl) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      problems.push(problem('INVALID_JSON', 'error', `Invalid JSON: ${error.message}`, { line: lineNumber }));
+      continue;
+    }
+
+    if (record.type === 'summary') {
+      leafUuid = record.leafUuid || leafUuid;
+    } else if (MESSAGE_TYPES.has(record.type)) {
+      nodes.push(nodeFromRecord(record, lineNumber));
+    } else if (record.uuid) {
+      // Progress and other records can sit on a parent chain
+      others.push({ uuid: record.uuid, parentUuid: record.parentUuid || null });
+    }
+  }
+
+  return validateNodes(nodes, { others, leafUuid, problems });
+}
+
+/**
+ * Validate parsed messages (e.g. a sanitization result before it is written)
+ *
+ * @param {Array} messages - Enhanced messages
+ * @param {Object} options - { progressRecords, leafUuid }
+ * @returns {Object} Validation report (see validateNodes)
+ */
+export function validateMessages(messages, { progressRecords = [], leafUuid = null } = {}) {
+  const others = progressRecords.filter(p => p.uuid).map(p => ({ uuid: p.uuid, parentUuid: p.parentUuid || null }));
+  return validateNodes(messages.map(nodeFromMessage), { others, leafUuid });
+}
+
+// ============================================
+// Repair
+// ============================================
+
+function withParent(message, parentUuid) {
+  return { ...message, parentUuid, raw: message.raw ? { ...message.raw, parentUuid } : message.raw };
+}
+
+/**
+ * Messages in file order with each parent ahead of its children
+ */
+function orderParentsFirst(messages) {
+  const byUuid = new Map(messages.map(m => [m.uuid, m]));
+  const childrenOf = new Map();
+  for (const message of messages) {
+    if (message.parentUuid && byUuid.has(message.parentUuid)) {
+      if (!childrenOf.has(message.parentUuid)) childrenOf.set(message.parentUuid, []);
+      childrenOf.get(message.parentUuid).push(message);
+    }
+  }
+
+  const ordered = [];
+  const placed = new Set();
+  const place = (root) => {
+    const stack = [root];
+    while (stack.length > 0) {
+      const message = stack.pop();
+      if (placed.has(message.uuid)) continue;
+      placed.add(message.uuid);
+      ordered.push(message);
+      stack.push(...(childrenOf.get(message.uuid) || []).slice().reverse());
+    }
+  };
+
+  for (const message of messages) {
+    if (!message.parentUuid || !byUuid.has(message.parentUuid)) place(message);
+  }
+  // Anything left hangs off a cycle the repair couldn't break; keep file order
+  for (const message of messages) {
+    if (!placed.has(message.uuid)) place(message);
+  }
+
+  return ordered;
+}
+
+/**
+ * Repair a parsed session
+ * parseJsonlFile has already dropped invalid lines and later duplicates.
+ *
+ * @param {Object} parsed - Output of parseJsonlFile
+ * @returns {Object} { messages, progressRecords, summary, repairs: [{ code, uuid, action }], validation }
+ *   summary: parsed.summary with leafUuid on an existing message (null without a summary)
+ *   validation: validateMessages report of the repaired messages
+ */
+export function repairSession(parsed) {
+  const repairs = [];
+  let messages = parsed.messages.filter(m => {
+    if (m.uuid) return true;
+    repairs.push({ code: 'MISSING_UUID', uuid: null, action: `Dropped ${m.type} record without a uuid` });
+    return false;
+  });
+  let progressRecords = [...(parsed.progressRecords || [])];
+
+  const progressUuids = new Set(progressRecords.map(p => p.uuid).filter(Boolean));
+  const firstMainUuid = messages.find(m => !m.isSidechain)?.uuid;
+
+  // Current parent of every record, updated as messages are re-parented
+  const parents = new Map([
+    ...progressRecords.filter(p => p.uuid && p.parentUuid).map(p => [p.uuid, p.parentUuid]),
+    ...messages.filter(m => m.parentUuid).map(m => [m.uuid, m.parentUuid])
+  ]);
+  const descendsFrom = (uuid, ancestorUuid) => {
+    const seen = new Set();
+    for (let current = uuid; current && !seen.has(current); current = parents.get(current)) {
+      if (current === ancestorUuid) return true;
+      seen.add(current);
+    }
+    return false;
+  };
+
+  // The message written before this one on the same chain kind (main or sidechain),
+  // skipping its descendants: re-parenting onto one of them would close a loop
+  const previousMessage = (index) => {
+    for (let i = index - 1; i >= 0; i--) {
+      if (messages[i].isSidechain === messages[index].isSidechain && !descendsFrom(messages[i].uuid, messages[index].uuid)) {
+        return messages[i];
+      }
+    }
+    return null;
+  };
+  const reparent = (message, previous) => {
+    if (previous) parents.set(message.uuid, previous.uuid);
+    else parents.delete(message.uuid);
+    return withParent(message, previous?.uuid || null);
+  };
+
+  // 1. Stitch dangling parents onto the previous message
+  let known = new Set([...messages.map(m => m.uuid), ...progressUuids]);
+  messages = messages.map((message, index) => {
+    if (!message.parentUuid || known.has(message.parentUuid) || isContinuationRoot(message, firstMainUuid)) {
+      return message;
+    }
+    const previous = previousMessage(index);
+    repairs.push({
+      code: 'DANGLING_PARENT',
+      uuid: message.uuid,
+      action: previous ? `Re-parented from ${message.parentUuid} to ${previous.uuid}` : `Cleared parent ${message.parentUuid}`
+    });
+    return reparent(message, previous);
+  });
+
+  // 2. Break cycles at the message written first
+  const parentOf = () => new Map([
+    ...messages.filter(m => m.parentUuid).map(m => [m.uuid, m.parentUuid]),
+    ...progressRecords.filter(p => p.uuid && p.parentUuid).map(p => [p.uuid, p.parentUuid])
+  ]);
+  const indexOf = new Map(messages.map((m, i) => [m.uuid, i]));
+  for (const cycle of findParentCycles(messages.map(nodeFromMessage), parentOf())) {
+    const index = Math.min(...cycle.filter(uuid => indexOf.has(uuid)).map(uuid => indexOf.get(uuid)));
+    const message = messages[index];
+    const previous = previousMessage(index);
+    repairs.push({
+      code: 'PARENT_CYCLE',
+      uuid: message.uuid,
+      action: previous ? `Re-parented from ${message.parentUuid} to ${previous.uuid}` : `Cleared parent ${message.parentUuid}`
+    });
+    messages[index] = reparent(message, previous);
+  }
+
+  // 3. Drop orphan tool_result blocks
+  const orphansByMessage = new Map();
+  for (const orphan of findOrphanToolResults(messages.map(nodeFromMessage), parentOf())) {
+    if (!orphansByMessage.has(orphan.uuid)) orphansByMessage.set(orphan.uuid, new Set());
+    orphansByMessage.get(orphan.uuid).add(orphan.toolUseId);
+  }
+  messages = messages.map(message => {
+    const orphanIds = orphansByMessage.get(message.uuid);
+    if (!orphanIds) return message;
+
+    const isOrphan = block => block?.type === 'tool_result' && orphanIds.has(block.tool_use_id);
+    for (const toolUseId of orphanIds) {
+      repairs.push({ code: 'ORPHAN_TOOL_RESULT', uuid: message.uuid, action: `Dropped tool_result for ${toolUseId}` });
+    }
+    const content = message.content.filter(block => !isOrphan(block));
+    const updated = { ...message, content, toolResults: (message.toolResults || []).filter(r => !isOrphan(r)) };
+    // Claude Code's copy of the output belongs to the dropped result
+    if (updated.toolResults.length === 0 && message.raw?.toolUseResult != null) {
+      const { toolUseResult, ...raw } = message.raw;
+      updated.raw = raw;
+    }
+    return updated;
+  });
+
+  // 4. Drop empty messages, moving their children up
+  const droppedParent = new Map();
+  messages = messages.filter(message => {
+    if (!isEmptyMessage(nodeFromMessage(message))) return true;
+    droppedParent.set(message.uuid, message.parentUuid);
+    repairs.push({ code: 'EMPTY_CONTENT', uuid: message.uuid, action: 'Dropped empty message' });
+    return false;
+  });
+  if (droppedParent.size > 0) {
+    const liveParent = (uuid) => {
+      const seen = new Set();
+      while (uuid && droppedParent.has(uuid) && !seen.has(uuid)) {
+        seen.add(uuid);
+        uuid = droppedParent.get(uuid);
+      }
+      return uuid || null;
+    };
+    messages = messages.map(message => (droppedParent.has(message.parentUuid)
+      ? withParent(message, liveParent(message.parentUuid))
+      : message));
+    progressRecords = progressRecords.map(record => (droppedParent.has(record.parentUuid)
+      ? { ...record, parentUuid: liveParent(record.parentUuid) }
+      : record));
+  }
+
+  // 5. Parents before children
+  const ordered = orderParentsFirst(messages);
+  const moved = ordered.filter((message, i) => messages[i] !== message).length;
+  if (moved > 0) {
+    repairs.push({ code: 'PARENT_AFTER_CHILD', uuid: null, action: `Reordered ${moved} messages so parents come first` });
+  }
+
+  // 6. Point a lost leaf at the one Claude Code would resume from
+  let summary = parsed.summary || null;
+  known = new Set(ordered.map(m => m.uuid));
+  if (summary?.leafUuid && !known.has(summary.leafUuid)) {
+    const leaf = findActiveLeaf({ summary, messages: ordered });
+    repairs.push({
+      code: 'LEAF_NOT_FOUND',
+      uuid: summary.leafUuid,
+      leafUuid: leaf.uuid,
+      action: leaf.uuid ? `Leaf moved to ${leaf.uuid}` : 'Leaf cleared (no messages left)'
+    });
+    summary = { ...summary, leafUuid: leaf.uuid };
+  }
+
+  const validation = validateMessages(ordered, { progressRecords, leafUuid: summary?.leafUuid || null });
+  return { messages: ordered, progressRecords, summary, repairs, validation };
+}
+
+export default {
+  validateSessionFile,
+  validateMessages,
+  repairSession
+};
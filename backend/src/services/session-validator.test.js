@@ -0,0 +1,99 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseJsonlFile } from './jsonl-parser.js';
+import { validateSessionFile, repairSession } from './session-validator.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-validator-'));
+let fileCount = 0;
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// records: [uuid, parentUuid, text] in file order, or raw records
+async function writeSession(records) {
+  const lines = records.map((record, i) => {
+    if (!Array.isArray(record)) return JSON.stringify(record);
+    const [uuid, parentUuid, text = `message ${uuid}`] = record;
+    const type = i % 2 === 0 ? 'user' : 'assistant';
+    return JSON.stringify({
+      type,
+      uuid,
+      parentUuid,
+      sessionId: 'validator-test',
+      timestamp: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+      message: { role: type, content: text === null ? [] : [{ type: 'text', text }] }
+    });
+  });
+
+  const file = path.join(dir, `session-${++fileCount}.jsonl`);
+  fs.writeFileSync(file, `${lines.join('\n')}\n`);
+  return { file, parsed: await parseJsonlFile(file) };
+}
+
+function parentsOf(messages) {
+  return Object.fromEntries(messages.map(m => [m.uuid, m.parentUuid]));
+}
+
+test('reports dangling parents and cycles', async () => {
+  const { file } = await writeSession([['a', null], ['b', 'missing'], ['c', 'd'], ['d', 'c']]);
+  const report = await validateSessionFile(file);
+
+  assert.equal(report.valid, false);
+  assert.ok(report.byCode.DANGLING_PARENT >= 1);
+  assert.ok(report.byCode.PARENT_CYCLE >= 1);
+});
+
+test('repair stitches a dangling parent onto the previous message', async () => {
+  const { file, parsed } = await writeSession([['a', null], ['b', 'missing'], ['c', 'b']]);
+  const before = await validateSessionFile(file);
+  const { messages, repairs, validation } = repairSession(parsed);
+
+  assert.ok(before.errors > 0);
+  assert.deepEqual(parentsOf(messages), { a: null, b: 'a', c: 'b' });
+  assert.deepEqual(repairs.map(r => r.code), ['DANGLING_PARENT']);
+  assert.equal(validation.errors, 0);
+});
+
+test('repair breaks a cycle at the message written first', async () => {
+  const { parsed } = await writeSession([['a', null], ['b', 'c'], ['c', 'b']]);
+  const { messages, repairs, validation } = repairSession(parsed);
+
+  assert.deepEqual(parentsOf(messages), { a: null, b: 'a', c: 'b' });
+  assert.equal(repairs.filter(r => r.code === 'PARENT_CYCLE').length, 1);
+  assert.equal(validation.errors, 0);
+});
+
+test('repair never re-parents a cycle onto its own descendant', async () => {
+  // x hangs off the cycle but is written before it: using x as the new parent would close a new loop
+  const { parsed } = await writeSession([['x', 'c'], ['c', 'b'], ['b', 'c']]);
+  const { messages, validation } = repairSession(parsed);
+
+  assert.equal(parentsOf(messages).c, null);
+  assert.deepEqual(messages.map(m => m.uuid), ['c', 'x', 'b']);
+  assert.equal(validation.errors, 0);
+});
+
+test('a lost leaf moves to the active leaf and is returned', async () => {
+  const { parsed } = await writeSession([
+    { type: 'summary', summary: 'Earlier work', leafUuid: 'd' },
+    ['a', null],
+    ['b', 'a'],
+    ['c', 'b'],
+    ['d', 'c', null]
+  ]);
+  const { summary, repairs, validation } = repairSession(parsed);
+
+  assert.equal(summary.leafUuid, 'c');
+  assert.equal(summary.summary, 'Earlier work');
+  assert.deepEqual(repairs.find(r => r.code === 'LEAF_NOT_FOUND'), {
+    code: 'LEAF_NOT_FOUND',
+    uuid: 'd',
+    leafUuid: 'c',
+    action: 'Leaf moved to c'
+  });
+  assert.equal(validation.warnings, 0);
+});
@@ -0,0 +1,426 @@
+/**
+ * Summarization Estimate
+ *
+ * Dry-run planner that predicts how many LLM calls a summarization or
+ * compression run will make, how many tokens it will send and receive, and
+ * what it would cost per model. No LLM is called.
+ *
+ * It replays the planning of the summarizer:
+ *   - uniform mode: one call for the whole range (summarizeAndIntegrate)
+ *   - tiered mode:  splitIntoTiers, then per tier the same passthrough /
+ *                   hybrid selection / AskUserQuestion interval / chunking
+ *                   branches as summarizeWithTiers
+ *   - extractive:   no calls; the selection is run for real (extractive.js),
+ *                   so the output is exact
+ * Prompts are built with the real prompt builders (including the selected
+ * prompt template), so input tokens include the instructions, not just the
+ * messages.
+ *
+ * Two things are only known after a run and are approximated:
+ *   - which messages the selection step keeps (assumed evenly spread)
+ *   - how long summaries are (input text divided by the compaction ratio)
+ */
+
+import {
+  extractTextContent,
+  buildSummarizationPrompt,
+  buildSelectionPrompt,
+  getTargetCount,
+  splitIntoTiers,
+  DEFAULT_TIERS,
+  TIER_PRESETS,
+  MAX_REPAIR_ATTEMPTS
+} from './summarizer.js';
+import { hasAskUserQuestion } from './sanitizer.js';
+import { estimateTokensByCharCount } from './token-calculator.js';
+import { withActionLog, DEFAULT_TOOL_MODE } from './action-log.js';
+import { DEFAULT_CHUNK_STRATEGY, analyzeTurns, planChunks, describeChunks } from './chunking.js';
+import { extractMessages, DEFAULT_EXTRACTIVE_KEEP_PERCENT } from './extractive.js';
+
+/**
+ * USD per million tokens for the model aliases (see ANTHROPIC_MODEL_IDS in llm-providers.js)
+ * Override with `llm.pricing` in the memory config
+ */
+export const DEFAULT_MODEL_PRICING = {
+  opus: { input: 15, output: 75 },
+  sonnet: { input: 3, output: 15 },
+  haiku: { input: 1, output: 5 }
+};
+
+// JSON wrapping of each summary object: {"role":"assistant","summary":"..."},
+const SUMMARY_OVERHEAD_TOKENS = 12;
+
+// Tokens per selected index in a selection response ("12, ")
+const SELECTION_TOKENS_PER_INDEX = 3;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Estimate the text tokens of a list of messages
+ */
+function countMessageTokens(messages) {
+  return messages.reduce((sum, m) => sum + estimateTokensByCharCount(extractTextContent(m)), 0);
+}
+
+/**
+ * Build the keep/summarize intervals around kept indices, as summarizeWithTiers does
+ */
+function buildIntervals(messages, keptIndices) {
+  const intervals = [];
+  let prevEnd = 0;
+
+  for (const keptIdx of [...keptIndices].sort((a, b) => a - b)) {
+    if (keptIdx > prevEnd) {
+      intervals.push({ type: 'summarize', messages: messages.slice(prevEnd, keptIdx) });
+    }
+    intervals.push({ type: 'keep', message: messages[keptIdx] });
+    prevEnd = keptIdx + 1;
+  }
+
+  if (prevEnd < messages.length) {
+    intervals.push({ type: 'summarize', messages: messages.slice(prevEnd) });
+  }
+
+  return intervals;
+}
+
+/**
+ * Indices the selection step is assumed to keep: spread evenly over the tier
+ */
+function assumeKeptIndices(messageCount, keepCount) {
+  const indices = new Set();
+  for (let k = 0; k < keepCount; k++) {
+    indices.add(Math.min(messageCount - 1, Math.floor((k + 0.5) * messageCount / keepCount)));
+  }
+  return indices;
+}
+
+/**
+ * Estimate one summarization call for a chunk
+ * @returns {Object} { inputTokens, outputTokens, outputMessages }
+ */
+function estimateChunkCall(chunk, promptOptions) {
+  const prompt = buildSummarizationPrompt(chunk, promptOptions);
+  const targetCount = getTargetCount(chunk.length, promptOptions.compactionRatio);
+  const summaryTokens = Math.ceil(countMessageTokens(chunk) / promptOptions.compactionRatio);
+
+  return {
+    inputTokens: estimateTokensByCharCount(prompt),
+    outputTokens: summaryTokens + targetCount * SUMMARY_OVERHEAD_TOKENS,
+    outputMessages: targetCount
+  };
+}
+
+/**
+ * Add the summarization calls for a list of messages (chunked) to a tier estimate
+ */
+function addChunkCalls(tierEstimate, messages, promptOptions, chunkOptions) {
+  const chunks = planChunks(messages, chunkOptions);
+  tierEstimate.chunks.push(...describeChunks(chunks));
+
+  for (const chunk of chunks) {
+    const call = estimateChunkCall(chunk.messages, promptOptions);
+    tierEstimate.summarizeCalls++;
+    tierEstimate.inputTokens += call.inputTokens;
+    tierEstimate.outputTokens += call.outputTokens;
+    tierEstimate.estimatedOutputMessages += call.outputMessages;
+  }
+}
+
+/**
+ * Estimate the LLM work of one tier, mirroring the branches of summarizeWithTiers
+ */
+function estimateTier(tier, options) {
+  const { preserveLinks, preserveAskUserQuestion, promptTemplate, chunkOptions } = options;
+  const promptOptions = {
+    compactionRatio: tier.compactionRatio,
+    aggressiveness: tier.aggressiveness,
+    preserveLinks,
+    preserveAskUserQuestion,
+    promptTemplate
+  };
+
+  const estimate = {
+    range: tier.range,
+    inputMessages: tier.messages.length,
+    compactionRatio: tier.compactionRatio,
+    aggressiveness: tier.aggressiveness,
+    selectionCalls: 0,
+    summarizeCalls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    estimatedOutputMessages: 0,
+    chunks: []
+  };
+
+  // Single message tiers are kept as-is
+  if (tier.messages.length < 2) {
+    estimate.estimatedOutputMessages = tier.messages.length;
+    return estimate;
+  }
+
+  // Hybrid: one selection call, then the intervals between kept messages
+  if (tier.keepPercent > 0) {
+    const keepCount = Math.max(1, Math.floor(tier.messages.length * tier.keepPercent / 100));
+    estimate.keepPercent = tier.keepPercent;
+    estimate.hybrid = true;
+
+    let keptIndices;
+    if (keepCount >= tier.messages.length) {
+      keptIndices = new Set(tier.messages.map((_, i) => i));
+    } else {
+      const prompt = buildSelectionPrompt(tier.messages, keepCount, promptTemplate);
+      estimate.selectionCalls = 1;
+      estimate.inputTokens += estimateTokensByCharCount(prompt);
+      estimate.outputTokens += keepCount * SELECTION_TOKENS_PER_INDEX;
+      keptIndices = assumeKeptIndices(tier.messages.length, keepCount);
+    }
+
+    if (preserveAskUserQuestion) {
+      tier.messages.forEach((msg, idx) => {
+        if (hasAskUserQuestion(msg)) keptIndices.add(idx);
+      });
+    }
+
+    estimate.estimatedOutputMessages += keptIndices.size;
+
+    // Ratio 0 discards the non-selected messages
+    if (tier.compactionRatio > 0) {
+      for (const interval of buildIntervals(tier.messages, keptIndices)) {
+        if (interval.type === 'summarize') {
+          addChunkCalls(estimate, interval.messages, promptOptions, chunkOptions);
+        }
+      }
+    }
+    return estimate;
+  }
+
+  // Passthrough: no LLM processing
+  if (tier.compactionRatio === 0) {
+    estimate.passthrough = true;
+    estimate.estimatedOutputMessages = tier.messages.length;
+    return estimate;
+  }
+
+  // AskUserQuestion messages split the tier into intervals
+  const askUserIndices = preserveAskUserQuestion
+    ? tier.messages.map((msg, idx) => (hasAskUserQuestion(msg) ? idx : -1)).filter(idx => idx >= 0)
+    : [];
+
+  if (askUserIndices.length > 0) {
+    estimate.estimatedOutputMessages += askUserIndices.length;
+    for (const interval of buildIntervals(tier.messages, askUserIndices)) {
+      if (interval.type === 'summarize') {
+        addChunkCalls(estimate, interval.messages, promptOptions, chunkOptions);
+      }
+    }
+    return estimate;
+  }
+
+  addChunkCalls(estimate, tier.messages, promptOptions, chunkOptions);
+  return estimate;
+}
+
+/**
+ * Price token counts for every model in the pricing table
+ * @returns {Object} model -> { input, output, total } in USD
+ */
+function priceTokens(inputTokens, outputTokens, pricing) {
+  const costs = {};
+  for (const [model, price] of Object.entries(pricing)) {
+    const input = inputTokens * price.input / 1e6;
+    const output = outputTokens * price.output / 1e6;
+    costs[model] = {
+      input: Number(input.toFixed(4)),
+      output: Number(output.toFixed(4)),
+      total: Number((input + output).toFixed(4))
+    };
+  }
+  return costs;
+}
+
+/**
+ * Merge `llm.pricing` from the memory config over the default prices
+ */
+export function resolveModelPricing(llmConfig = null) {
+  const pricing = structuredClone(DEFAULT_MODEL_PRICING);
+  for (const [model, price] of Object.entries(llmConfig?.pricing || {})) {
+    pricing[model] = { ...pricing[model], ...price };
+  }
+  return pricing;
+}
+
+// ============================================
+// Estimate
+// ============================================
+
+/**
+ * Estimate the LLM calls, tokens and cost of summarizing a message range
+ *
+ * @param {Array} messages - Messages in the range (all types; filtered like the summarizer)
+ * @param {Object} options
+ *   mode: 'uniform' | 'tiered' | 'extractive'
+ *   compactionRatio, aggressiveness: uniform mode settings
+ *   tiers, tierPreset: tiered mode settings (preset wins, as in summarizeWithTiers)
+ *   keepPercent, targetTokens: extractive mode settings
+ *   model: model alias the run would use
+ *   skipFirstMessages: messages kept as-is at the start of the range
+ *   preserveLinks, preserveAskUserQuestion, promptTemplate: prompt options
+ *   toolMode: 'action-log' adds tool actions to the prompts (see action-log.js)
+ *   chunkStrategy: 'fixed' or 'topic'; tiers report their planned `chunks` (see chunking.js)
+ *   pricing: USD per million tokens per model (see resolveModelPricing)
+ * @returns {Object} { mode, model, chunking, inputMessages, calls, tokens, cost, tiers, extractive, assumptions }
+ *   extractive: { kept, stubs, omitted, signals, outputTextTokens } in extractive mode, else null
+ */
+export function estimateSummarization(messages, options = {}) {
+  const {
+    mode = 'uniform',
+    compactionRatio = 10,
+    aggressiveness = 'moderate',
+    tiers = DEFAULT_TIERS,
+    tierPreset = null,
+    model = 'opus',
+    skipFirstMessages = 0,
+    preserveLinks = true,
+    preserveAskUserQuestion = true,
+    promptTemplate = null,
+    toolMode = DEFAULT_TOOL_MODE,
+    chunkStrategy = DEFAULT_CHUNK_STRATEGY,
+    keepPercent = DEFAULT_EXTRACTIVE_KEEP_PERCENT,
+    targetTokens = null,
+    pricing = DEFAULT_MODEL_PRICING
+  } = options;
+
+  // Same filtering as summarizeAndIntegrate / summarizeAndIntegrateWithTiers
+  const sourceMessages = toolMode === 'action-log' ? withActionLog(messages) : messages;
+  const allConversationMessages = sourceMessages
+    .filter(m => (m.type === 'user' || m.type === 'assistant') && extractTextContent(m).trim())
+    .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+  const conversationMessages = allConversationMessages.slice(skipFirstMessages);
+
+  const chunkOptions = {
+    strategy: chunkStrategy,
+    turns: chunkStrategy === 'topic' ? analyzeTurns(sourceMessages) : null
+  };
+
+  let tierEstimates;
+  let extractive = null;
+  if (mode === 'extractive') {
+    // Skipped messages count against the budget, as in extractAndIntegrate
+    const skippedTokens = countMessageTokens(allConversationMessages.slice(0, skipFirstMessages));
+    const { summaries, stats } = extractMessages(conversationMessages, {
+      keepPercent,
+      targetTokens: targetTokens ? Math.max(0, targetTokens - skippedTokens) : null
+    });
+    extractive = {
+      ...stats,
+      outputTextTokens: summaries.reduce((sum, s) => sum + estimateTokensByCharCount(s.summary), 0)
+    };
+    tierEstimates = [{
+      range: '0-100%',
+      inputMessages: conversationMessages.length,
+      keepPercent: targetTokens ? null : keepPercent,
+      targetTokens,
+      selectionCalls: 0,
+      summarizeCalls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      estimatedOutputMessages: summaries.length,
+      chunks: []
+    }];
+  } else if (mode === 'tiered') {
+    const effectiveTiers = tierPreset && TIER_PRESETS[tierPreset] ? TIER_PRESETS[tierPreset] : tiers;
+    tierEstimates = splitIntoTiers(conversationMessages, effectiveTiers)
+      .map(tier => estimateTier(tier, { preserveLinks, preserveAskUserQuestion, promptTemplate, chunkOptions }));
+  } else {
+    const uniformEstimate = {
+      range: '0-100%',
+      inputMessages: conversationMessages.length,
+      compactionRatio,
+      aggressiveness,
+      selectionCalls: 0,
+      summarizeCalls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      estimatedOutputMessages: 0,
+      chunks: []
+    };
+    const promptOptions = { compactionRatio, aggressiveness, preserveLinks, preserveAskUserQuestion, promptTemplate };
+
+    if (conversationMessages.length < 2) {
+      uniformEstimate.estimatedOutputMessages = conversationMessages.length;
+    } else if (chunkStrategy === 'topic') {
+      addChunkCalls(uniformEstimate, conversationMessages, promptOptions, chunkOptions);
+    } else {
+      // Fixed strategy sends the whole range in a single call
+      const call = estimateChunkCall(conversationMessages, promptOptions);
+      uniformEstimate.summarizeCalls = 1;
+      uniformEstimate.inputTokens = call.inputTokens;
+      uniformEstimate.outputTokens = call.outputTokens;
+      uniformEstimate.estimatedOutputMessages = call.outputMessages;
+      uniformEstimate.chunks = describeChunks([{ messages: conversationMessages, reason: 'start' }]);
+    }
+    tierEstimates = [uniformEstimate];
+  }
+
+  const sum = (field) => tierEstimates.reduce((total, t) => total + t[field], 0);
+  const selectionCalls = sum('selectionCalls');
+  const summarizeCalls = sum('summarizeCalls');
+  const inputTokens = sum('inputTokens');
+  const outputTokens = sum('outputTokens');
+  const costs = priceTokens(inputTokens, outputTokens, pricing);
+
+  // Why each chunk starts where it does, across all tiers
+  const chunkReasons = {};
+  for (const chunk of tierEstimates.flatMap(t => t.chunks)) {
+    chunkReasons[chunk.reason] = (chunkReasons[chunk.reason] || 0) + 1;
+  }
+
+  return {
+    mode,
+    model,
+    chunking: {
+      strategy: chunkStrategy,
+      chunks: tierEstimates.reduce((total, t) => total + t.chunks.length, 0),
+      byReason: chunkReasons
+    },
+    inputMessages: conversationMessages.length,
+    inputTextTokens: countMessageTokens(conversationMessages),
+    estimatedOutputMessages: sum('estimatedOutputMessages'),
+    calls: {
+      selection: selectionCalls,
+      summarize: summarizeCalls,
+      total: selectionCalls + summarizeCalls,
+      // Every call may be re-prompted when its output fails validation
+      maxWithRepairs: (selectionCalls + summarizeCalls) * (1 + MAX_REPAIR_ATTEMPTS)
+    },
+    tokens: {
+      input: inputTokens,
+      output: outputTokens,
+      total: inputTokens + outputTokens
+    },
+    cost: {
+      currency: 'USD',
+      model: costs[model] || null,
+      byModel: costs
+    },
+    tiers: tierEstimates,
+    extractive,
+    assumptions: extractive ? [
+      'Tokens are estimated at ~4 characters per token',
+      'Extractive mode makes no LLM calls; kept messages and stubs are computed exactly'
+    ] : [
+      'Tokens are estimated at ~4 characters per token',
+      'Summary length is estimated as input text divided by the compaction ratio',
+      ...(selectionCalls > 0 ? ['Messages kept by the selection step are assumed to be evenly spread'] : [])
+    ]
+  };
+}
+
+export default {
+  DEFAULT_MODEL_PRICING,
+  resolveModelPricing,
+  estimateSummarization
+};
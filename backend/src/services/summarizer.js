@@ -1,11 +1,28 @@
-import { spawn } from 'child_process';
 import { extractKeepitMarkers, stripKeepitMarkers } from './keepit-parser.js';
 import { shouldKeepitSurvive, previewDecay } from './keepit-decay.js';
 import { verifyKeepitPreservation, generateVerificationReport } from './keepit-verifier.js';
 import { hasAskUserQuestion } from './sanitizer.js';
+import { completePrompt, throwIfCancelled, getProviderType } from './llm-providers.js';
+import { runCheckpointed } from './chunk-checkpoints.js';
+import { runAudited, recordAttempt } from './llm-audit.js';
+import { runCached } from './summary-cache.js';
+import { withActionLog, DEFAULT_TOOL_MODE } from './action-log.js';
+import {
+  MAX_MESSAGES_PER_CHUNK,
+  DEFAULT_CHUNK_STRATEGY,
+  analyzeTurns,
+  planChunks,
+  describeChunks
+} from './chunking.js';
+import {
+  BUILTIN_PROMPT_TEMPLATES,
+  DEFAULT_PROMPT_TEMPLATE,
+  renderPromptTemplate,
+  resolvePromptTemplate
+} from './prompt-templates.js';
 
 /**
- * AI-powered conversation summarizer using Claude CLI
+ * AI-powered conversation summarizer using a pluggable LLM provider (Claude CLI by default)
  * Summarizes user/assistant exchanges while preserving the "interaction soul"
  * Now with keepit marker preservation support
  */
@@ -30,12 +47,15 @@ const AGGRESSIVENESS_PROMPTS = {
   aggressive: `Maximum compression. Extract only: (1) user's explicit requests/goals, (2) critical decisions made, (3) final outcomes/solutions. Remove all exploratory discussion, intermediate reasoning, and verbose explanations.`
 };
 
+// Prompts used when no template is selected
+const DEFAULT_TEMPLATE = resolvePromptTemplate(DEFAULT_PROMPT_TEMPLATE, BUILTIN_PROMPT_TEMPLATES);
+
 // Available compaction ratios
 // 0 = passthrough (no LLM processing), 1 = verbosity reduction only
 const COMPACTION_RATIOS = [0, 1, 2, 3, 4, 5, 10, 15, 20, 25, 35, 50];
 
-// Maximum messages per chunk to avoid timeout
-const MAX_MESSAGES_PER_CHUNK = 30;
+// Repair re-prompts allowed for one chunk before its summarization fails
+const MAX_REPAIR_ATTEMPTS = 2;
 
 // Available keep ratios for hybrid mode
 // 0 = none (don't keep any, just summarize)
@@ -141,6 +161,16 @@ ${summarized.map(m => `- (weight ${m.weight.toFixed(2)}): "${m.content.substring
   return '';
 }
 
+/**
+ * Number of summaries requested for a group of messages
+ * Never more than the messages themselves, so getOutputCountBounds can accept the answer
+ */
+function getTargetCount(messageCount, compactionRatio = 10) {
+  return compactionRatio === 1
+    ? messageCount  // Keep same count for 1:1
+    : Math.min(messageCount, Math.max(2, Math.ceil(messageCount / compactionRatio)));
+}
+
 /**
  * Build the summarization prompt for Claude
  */
@@ -151,14 +181,15 @@ function buildSummarizationPrompt(messages, options) {
     keepitMarkers = [],
     keepitMode = 'decay',  // 'preserve-all', 'decay', or 'ignore'
     preserveLinks = true,   // Preserve URLs and file paths
-    preserveAskUserQuestion = true  // Preserve user interaction questions
+    preserveAskUserQuestion = true,  // Preserve user interaction questions
+    promptTemplate = null  // Resolved template from prompt-templates.js (null = default)
   } = options;
 
+  const template = promptTemplate || DEFAULT_TEMPLATE;
+
   // Handle 1:1 ratio (verbosity reduction only)
   const isVerbosityReduction = compactionRatio === 1;
-  const targetCount = isVerbosityReduction
-    ? messages.length  // Keep same count for 1:1
-    : Math.max(2, Math.ceil(messages.length / compactionRatio));
+  const targetCount = getTargetCount(messages.length, compactionRatio);
 
   // Build keepit preservation instructions
   const keepitInstructions = buildKeepitInstructions(keepitMarkers, keepitMode);
@@ -205,32 +236,19 @@ When you encounter messages where Claude asked the user questions (AskUserQuesti
     return `[${idx + 1}] ${role} (${timestamp}):\n${text}`;
   }).join('\n\n---\n\n');
 
-  return `You are summarizing a conversation between a user and Claude assistant. Your goal is to reduce context size while maintaining session continuity and the "soul" of the interaction.
-${keepitInstructions}${linkPreservationInstructions}${askUserQuestionInstructions}${verbosityReductionInstructions}
-## Summarization Rules:
-1. Preserve the USER's original intent, questions, and explicit requests
-2. Preserve ASSISTANT's key findings, decisions, and important explanations
-3. Maintain alternating user/assistant structure (the output must have proper back-and-forth flow)
-4. Keep specific technical details: file paths, function names, error messages, code snippets that are referenced
-5. Keep any decisions or conclusions that affect later conversation
-6. ${AGGRESSIVENESS_PROMPTS[aggressiveness] || AGGRESSIVENESS_PROMPTS.moderate}
-
-## Critical Constraints:
-- Output MUST be a raw JSON array (no markdown code blocks, no explanation, ONLY the JSON)
-- Each object MUST have "role" (user/assistant) and "summary" fields
-- Summaries should be complete sentences, not fragments
-- Do NOT lose critical context that would make later messages confusing
-- The first message in output should be from the same role as the first input message
-- The last message should preserve enough context for conversation to continue naturally
-- IMPORTANT: Return ONLY the JSON array, nothing else
-
-## Input: ${messages.length} messages to summarize into approximately ${targetCount} message pairs
-
-${formattedMessages}
-
----
+  const aggressivenessPrompts = { ...AGGRESSIVENESS_PROMPTS, ...template.aggressiveness };
 
-Output a JSON array with approximately ${targetCount} summarized exchanges. Ensure the flow remains coherent.`;
+  return renderPromptTemplate(template.summarize, {
+    keepitInstructions,
+    linkInstructions: linkPreservationInstructions,
+    askUserInstructions: askUserQuestionInstructions,
+    verbosityInstructions: verbosityReductionInstructions,
+    aggressiveness: aggressivenessPrompts[aggressiveness] || aggressivenessPrompts.moderate,
+    compactionRatio,
+    messageCount: messages.length,
+    targetCount,
+    messages: formattedMessages
+  });
 }
 
 /**
@@ -254,127 +272,282 @@ function extractTextContent(message) {
 }
 
 /**
- * Call Claude CLI to summarize messages
+ * Extract a JSON array from an LLM response
+ * Models sometimes wrap the array in a code fence or add explanatory text
  */
-async function callClaude(prompt, options = {}) {
-  const { model = 'opus', timeout = 300000 } = options;  // 5 minutes default
-
-  return new Promise((resolve, reject) => {
-    const args = [
-      '-p',
-      '--dangerously-skip-permissions',
-      '--model', model,
-      '--output-format', 'json'
-      // Note: --json-schema removed as it causes CLI to hang
-    ];
-
-    // Use standard ~/.claude config dir (can override with CLAUDE_CONFIG_DIR env var)
-    const configDir = process.env.CLAUDE_CONFIG_DIR || `${process.env.HOME}/.claude`;
-
-    console.log(`[Summarizer] Spawning Claude CLI with model: ${model}`);
-    console.log(`[Summarizer] Config dir: ${configDir}`);
-    console.log(`[Summarizer] Prompt length: ${prompt.length} chars`);
-
-    const claude = spawn('claude', args, {
-      stdio: ['pipe', 'pipe', 'pipe'],
-      env: { ...process.env, CLAUDE_CONFIG_DIR: configDir }
-    });
+function parseJsonArray(text) {
+  let resultText = text.trim();
 
-    console.log(`[Summarizer] Claude CLI process started (PID: ${claude.pid})`);
+  // Try to find JSON array in markdown code block first
+  const jsonBlockMatch = resultText.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (jsonBlockMatch) {
+    resultText = jsonBlockMatch[1].trim();
+  }
 
-    let stdout = '';
-    let stderr = '';
+  // If still not valid JSON, try to find the array directly
+  if (!resultText.startsWith('[')) {
+    const arrayStart = resultText.indexOf('[');
+    const arrayEnd = resultText.lastIndexOf(']');
+    if (arrayStart !== -1 && arrayEnd !== -1 && arrayEnd > arrayStart) {
+      resultText = resultText.slice(arrayStart, arrayEnd + 1);
+    }
+  }
 
-    claude.stdout.on('data', (data) => {
-      stdout += data.toString();
-      console.log(`[Summarizer] stdout chunk: ${data.toString().slice(0, 200)}...`);
-    });
+  const parsed = JSON.parse(resultText);
 
-    claude.stderr.on('data', (data) => {
-      stderr += data.toString();
-      console.log(`[Summarizer] stderr: ${data.toString()}`);
-    });
+  if (!Array.isArray(parsed)) {
+    throw new Error('Expected JSON array from LLM response');
+  }
 
-    // Set timeout
-    const timer = setTimeout(() => {
-      console.log(`[Summarizer] TIMEOUT after ${timeout}ms - killing process`);
-      claude.kill('SIGTERM');
-      reject(new Error(`Claude CLI timed out after ${timeout}ms`));
-    }, timeout);
-
-    claude.on('close', (code) => {
-      clearTimeout(timer);
-      console.log(`[Summarizer] Claude CLI exited with code: ${code}`);
-
-      if (code !== 0) {
-        console.error(`[Summarizer] ERROR - exit code ${code}, stderr: ${stderr}`);
-        reject(new Error(`Claude CLI exited with code ${code}: ${stderr}`));
-        return;
-      }
+  return parsed;
+}
 
-      try {
-        // Parse the JSON response from Claude CLI
-        const response = JSON.parse(stdout);
-        console.log(`[Summarizer] Response received, parsing result...`);
+// ============================================
+// Output Validation and Repair
+// ============================================
 
-        // Extract the result text
-        let resultText = response.result;
-        if (!resultText) {
-          reject(new Error('No result field in Claude response'));
-          return;
-        }
+/**
+ * Range of summary counts accepted for a group of messages
+ * 1:1 mode must keep the message count; otherwise the prompt asks for
+ * "approximately" the target, so anything from half to double is accepted
+ * (never more summaries than input messages)
+ */
+function getOutputCountBounds(messageCount, compactionRatio = 10) {
+  if (compactionRatio === 1) {
+    return { min: messageCount, max: messageCount };
+  }
 
-        // Extract JSON array from response - Claude sometimes adds explanatory text
-        resultText = resultText.trim();
+  const target = getTargetCount(messageCount, compactionRatio);
+  return {
+    min: Math.min(messageCount, Math.max(1, Math.floor(target / 2))),
+    max: Math.min(target * 2, messageCount)
+  };
+}
 
-        // Try to find JSON array in markdown code block first
-        const jsonBlockMatch = resultText.match(/```(?:json)?\s*([\s\S]*?)```/);
-        if (jsonBlockMatch) {
-          resultText = jsonBlockMatch[1].trim();
-        }
+/**
+ * Check parsed summaries against OUTPUT_SCHEMA and the expected count
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateSummaries(summaries, bounds = null) {
+  const problems = [];
+  const validRoles = OUTPUT_SCHEMA.items.properties.role.enum;
+
+  summaries.forEach((item, idx) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      problems.push(`Item ${idx} is not an object`);
+      return;
+    }
+    if (!validRoles.includes(item.role)) {
+      problems.push(`Item ${idx} has invalid role ${JSON.stringify(item.role)} (must be "user" or "assistant")`);
+    }
+    if (typeof item.summary !== 'string' || !item.summary.trim()) {
+      problems.push(`Item ${idx} is missing a non-empty "summary" string`);
+    }
+  });
 
-        // If still not valid JSON, try to find the array directly
-        if (!resultText.startsWith('[')) {
-          const arrayStart = resultText.indexOf('[');
-          const arrayEnd = resultText.lastIndexOf(']');
-          if (arrayStart !== -1 && arrayEnd !== -1 && arrayEnd > arrayStart) {
-            resultText = resultText.slice(arrayStart, arrayEnd + 1);
-          }
-        }
+  if (bounds && (summaries.length < bounds.min || summaries.length > bounds.max)) {
+    const expected = bounds.min === bounds.max ? `exactly ${bounds.min}` : `${bounds.min}-${bounds.max}`;
+    problems.push(`Returned ${summaries.length} summaries, expected ${expected}`);
+  }
 
-        // Parse the JSON array
-        const summaries = JSON.parse(resultText);
+  return problems;
+}
 
-        if (!Array.isArray(summaries)) {
-          reject(new Error('Expected JSON array from Claude response'));
-          return;
-        }
+/**
+ * Build a follow-up prompt asking the model to fix an invalid response
+ * The original prompt is repeated so the model still has the messages
+ */
+function buildRepairPrompt(prompt, responseText, problems, bounds) {
+  const countInstruction = bounds
+    ? (bounds.min === bounds.max
+      ? `- The array MUST contain exactly ${bounds.min} objects`
+      : `- The array MUST contain between ${bounds.min} and ${bounds.max} objects`)
+    : '';
+
+  return `${prompt}
+
+---
+
+## REPAIR REQUIRED
+Your previous response to this task was rejected:
+${problems.map(p => `- ${p}`).join('\n')}
 
-        console.log(`[Summarizer] Parsed ${summaries.length} summaries`);
-        resolve(summaries);
-      } catch (parseError) {
-        reject(new Error(`Failed to parse Claude response: ${parseError.message}\nResponse: ${stdout.slice(0, 500)}`));
+Previous response (truncated):
+${responseText.slice(0, 2000)}
+
+Return a corrected response that fixes every problem above:
+- A raw JSON array only (no markdown code blocks, no explanation)
+- Every object has "role" ("user" or "assistant") and a non-empty "summary" string
+${countInstruction}`;
+}
+
+/**
+ * Create the counters that record validation and repairs for one run
+ * Passed to the summarizer as the `outputStats` call option and returned
+ * with the result; checkpoint-reused chunks are not counted
+ */
+function createOutputStats() {
+  return {
+    responses: 0,       // LLM responses that passed validation
+    repaired: 0,        // ...of which needed at least one repair re-prompt
+    repairAttempts: 0,  // Total repair re-prompts sent
+    problems: []        // Problems that triggered repairs (capped)
+  };
+}
+
+/**
+ * Send a summarization prompt through the configured LLM provider
+ * Responses are validated against OUTPUT_SCHEMA and the expected count;
+ * an invalid response is re-prompted with a repair instruction up to
+ * MAX_REPAIR_ATTEMPTS times before the call fails. Every attempt is
+ * recorded on `auditExchange` (see llm-audit.js) when one is given
+ */
+async function callClaude(prompt, options = {}) {
+  const {
+    model = 'opus',
+    timeout = 300000,  // 5 minutes default
+    provider = null,
+    task = 'summarize',
+    taskContext = {},
+    signal = null,
+    expectedCount = null,  // { min, max } accepted number of summaries
+    maxRepairAttempts = MAX_REPAIR_ATTEMPTS,
+    outputStats = null,
+    auditExchange = null
+  } = options;
+
+  let currentPrompt = prompt;
+
+  for (let attempt = 0; ; attempt++) {
+    const attemptStart = Date.now();
+    let resultText;
+    try {
+      resultText = await completePrompt(currentPrompt, {
+        provider,
+        model,
+        timeout,
+        task,
+        taskContext,
+        signal,
+        logPrefix: '[Summarizer]'
+      });
+    } catch (callError) {
+      recordAttempt(auditExchange, { prompt: currentPrompt, durationMs: Date.now() - attemptStart, error: callError.message });
+      throw callError;
+    }
+    const durationMs = Date.now() - attemptStart;
+
+    console.log(`[Summarizer] Response received, parsing result...`);
+
+    let summaries = null;
+    let problems;
+    try {
+      summaries = parseJsonArray(resultText);
+      problems = validateSummaries(summaries, expectedCount);
+    } catch (parseError) {
+      problems = [`Response is not a valid JSON array: ${parseError.message}`];
+    }
+
+    recordAttempt(auditExchange, { prompt: currentPrompt, response: resultText, problems, durationMs });
+
+    if (problems.length === 0) {
+      if (outputStats) {
+        outputStats.responses++;
+        if (attempt > 0) outputStats.repaired++;
       }
-    });
+      console.log(`[Summarizer] Parsed ${summaries.length} summaries${attempt > 0 ? ` after ${attempt} repair(s)` : ''}`);
+      return summaries;
+    }
 
-    claude.on('error', (err) => {
-      clearTimeout(timer);
-      console.error(`[Summarizer] Failed to spawn Claude CLI: ${err.message}`);
-      reject(new Error(`Failed to spawn Claude CLI: ${err.message}`));
-    });
+    if (attempt >= maxRepairAttempts) {
+      const error = new Error(`LLM response failed validation after ${attempt} repair attempt(s): ${problems.join('; ')}\nResponse: ${resultText.slice(0, 500)}`);
+      error.code = 'INVALID_LLM_OUTPUT';
+      error.problems = problems;
+      throw error;
+    }
 
-    // Write prompt to stdin
-    console.log(`[Summarizer] Writing prompt to stdin...`);
-    claude.stdin.write(prompt);
-    claude.stdin.end();
-    console.log(`[Summarizer] Prompt sent, waiting for response...`);
-  });
+    console.warn(`[Summarizer] Invalid response (${problems.join('; ')}), requesting repair ${attempt + 1}/${maxRepairAttempts}`);
+    if (outputStats) {
+      outputStats.repairAttempts++;
+      if (outputStats.problems.length < 20) {
+        outputStats.problems.push(...problems.slice(0, 20 - outputStats.problems.length));
+      }
+    }
+
+    throwIfCancelled(signal);
+    currentPrompt = buildRepairPrompt(prompt, resultText, problems, expectedCount);
+  }
+}
+
+/**
+ * Message content as used in summary cache keys
+ * Timestamps and uuids are left out so identical content hits across sessions
+ */
+function toCacheMessages(messages) {
+  return messages.map(m => [m.type, extractTextContent(m)]);
+}
+
+/**
+ * Build the prompt for a group of messages and summarize it
+ * With callOptions.checkpoint set, a chunk that already succeeded in an
+ * earlier attempt is reused instead of being sent again; identical chunks
+ * summarized before with the same settings come from the summary cache.
+ * With callOptions.audit set, the exchange is recorded (see llm-audit.js);
+ * callOptions.auditContext adds fields to it, e.g. the tier
+ */
+async function summarizeChunk(messages, promptOptions, callOptions = {}) {
+  // Stop before starting another chunk once the run has been cancelled
+  throwIfCancelled(callOptions.signal);
+
+  const { checkpoint = null, audit = null, auditContext = null, ...llmOptions } = callOptions;
+  const prompt = buildSummarizationPrompt(messages, promptOptions);
+  const expectedCount = getOutputCountBounds(messages.length, promptOptions.compactionRatio);
+
+  const cacheKey = {
+    kind: 'summarize',
+    messages: toCacheMessages(messages),
+    template: (promptOptions.promptTemplate || DEFAULT_TEMPLATE).hash,
+    model: llmOptions.model || 'opus',
+    provider: getProviderType(llmOptions.provider),
+    compactionRatio: promptOptions.compactionRatio ?? 10,
+    aggressiveness: promptOptions.aggressiveness || 'moderate',
+    keepitInstructions: buildKeepitInstructions(promptOptions.keepitMarkers || [], promptOptions.keepitMode || 'decay'),
+    preserveLinks: promptOptions.preserveLinks !== false,
+    preserveAskUserQuestion: promptOptions.preserveAskUserQuestion !== false
+  };
+
+  return runAudited(audit, {
+    kind: 'summarize',
+    model: llmOptions.model || 'opus',
+    provider: llmOptions.provider,
+    messages,
+    context: {
+      ...auditContext,
+      compactionRatio: promptOptions.compactionRatio ?? 10,
+      aggressiveness: promptOptions.aggressiveness || 'moderate'
+    }
+  }, (auditExchange) => runCheckpointed(checkpoint, {
+    kind: 'summarize',
+    prompt,
+    model: llmOptions.model,
+    provider: llmOptions.provider,
+    messages
+  }, () => runCached(cacheKey, () => callClaude(prompt, {
+    ...llmOptions,
+    expectedCount,
+    auditExchange,
+    task: 'summarize',
+    taskContext: {
+      messages: messages.map(m => ({ role: m.type, text: extractTextContent(m) })),
+      targetCount: getTargetCount(messages.length, promptOptions.compactionRatio)
+    }
+  }))));
 }
 
 /**
  * Build prompt for selecting important messages to keep verbatim
  */
-function buildSelectionPrompt(messages, keepCount) {
+function buildSelectionPrompt(messages, keepCount, promptTemplate = null) {
   // Format messages with indices
   const formattedMessages = messages.map((msg, idx) => {
     const role = msg.type === 'user' ? 'USER' : 'ASSISTANT';
@@ -385,34 +558,27 @@ function buildSelectionPrompt(messages, keepCount) {
     return `[${idx}] ${role} (${timestamp}):\n${truncatedText}`;
   }).join('\n\n---\n\n');
 
-  return `You are analyzing a conversation to identify the most important messages to preserve verbatim.
-
-Select exactly ${keepCount} messages that should be kept EXACTLY as-is (not summarized). Choose messages that:
-- Contain critical decisions, conclusions, or final solutions
-- Include essential code snippets, commands, or technical configurations
-- Have key findings that are referenced later in the conversation
-- Represent important user requirements, specifications, or constraints
-- Contain file paths, URLs, or references that must be preserved exactly
-
-## Critical Constraints:
-- Output MUST be a raw JSON array of message indices (0-based), nothing else
-- Select EXACTLY ${keepCount} indices
-- Return ONLY the JSON array, no explanation or markdown
-
-## Messages (${messages.length} total):
-
-${formattedMessages}
-
----
-
-Return a JSON array of exactly ${keepCount} indices (0-based) to keep verbatim:`;
+  return renderPromptTemplate((promptTemplate || DEFAULT_TEMPLATE).select, {
+    keepCount,
+    messageCount: messages.length,
+    messages: formattedMessages
+  });
 }
 
 /**
  * Select the most important messages to keep verbatim using LLM
  */
 async function selectImportantMessages(messages, keepPercent, options = {}) {
-  const { model = 'opus', timeout = 120000 } = options;
+  const {
+    model = 'opus',
+    timeout = 120000,
+    provider = null,
+    signal = null,
+    checkpoint = null,
+    audit = null,
+    auditContext = null,
+    promptTemplate = null
+  } = options;
 
   // Calculate how many messages to keep (exact percentage, no rounding errors)
   const keepCount = Math.max(1, Math.floor(messages.length * keepPercent / 100));
@@ -431,127 +597,94 @@ async function selectImportantMessages(messages, keepPercent, options = {}) {
   }
 
   // Build and send prompt to LLM
-  const prompt = buildSelectionPrompt(messages, keepCount);
-
-  return new Promise((resolve, reject) => {
-    const args = [
-      '-p',
-      '--dangerously-skip-permissions',
-      '--model', model,
-      '--output-format', 'json'
-    ];
-
-    const configDir = process.env.CLAUDE_CONFIG_DIR || `${process.env.HOME}/.claude`;
-
-    console.log(`[Summarizer] Calling Claude for message selection...`);
-
-    const claude = spawn('claude', args, {
-      stdio: ['pipe', 'pipe', 'pipe'],
-      env: { ...process.env, CLAUDE_CONFIG_DIR: configDir }
-    });
+  const prompt = buildSelectionPrompt(messages, keepCount, promptTemplate);
 
-    let stdout = '';
-    let stderr = '';
-
-    claude.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
-
-    claude.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
-
-    const timer = setTimeout(() => {
-      claude.kill('SIGTERM');
-      reject(new Error(`Selection timed out after ${timeout}ms`));
-    }, timeout);
-
-    claude.on('close', (code) => {
-      clearTimeout(timer);
-
-      if (code !== 0) {
-        reject(new Error(`Claude CLI exited with code ${code}: ${stderr}`));
-        return;
-      }
-
-      try {
-        const response = JSON.parse(stdout);
-        let resultText = response.result;
-
-        if (!resultText) {
-          reject(new Error('No result field in Claude response'));
-          return;
-        }
-
-        resultText = resultText.trim();
-
-        // Try to find JSON array in markdown code block first
-        const jsonBlockMatch = resultText.match(/```(?:json)?\s*([\s\S]*?)```/);
-        if (jsonBlockMatch) {
-          resultText = jsonBlockMatch[1].trim();
-        }
+  console.log(`[Summarizer] Calling LLM for message selection...`);
 
-        // If still not valid JSON, try to find the array directly
-        if (!resultText.startsWith('[')) {
-          const arrayStart = resultText.indexOf('[');
-          const arrayEnd = resultText.lastIndexOf(']');
-          if (arrayStart !== -1 && arrayEnd !== -1 && arrayEnd > arrayStart) {
-            resultText = resultText.slice(arrayStart, arrayEnd + 1);
-          }
-        }
-
-        const keptIndices = JSON.parse(resultText);
-
-        if (!Array.isArray(keptIndices)) {
-          reject(new Error('Expected JSON array of indices'));
-          return;
-        }
-
-        // Validate and filter indices
-        const validIndices = keptIndices
-          .filter(i => typeof i === 'number' && i >= 0 && i < messages.length)
-          .map(i => Math.floor(i));
-
-        // Remove duplicates and sort
-        const uniqueIndices = [...new Set(validIndices)].sort((a, b) => a - b);
-
-        console.log(`[Summarizer] LLM selected ${uniqueIndices.length} messages to keep: [${uniqueIndices.join(', ')}]`);
-
-        // Split messages into kept and remaining
-        const keptSet = new Set(uniqueIndices);
-        const keptMessages = [];
-        const remainingMessages = [];
-        const remainingIndices = [];
-
-        messages.forEach((msg, idx) => {
-          if (keptSet.has(idx)) {
-            keptMessages.push(msg);
-          } else {
-            remainingMessages.push(msg);
-            remainingIndices.push(idx);
-          }
-        });
-
-        resolve({
-          keptMessages,
-          keptIndices: uniqueIndices,
-          remainingMessages,
-          remainingIndices
-        });
-
-      } catch (parseError) {
-        reject(new Error(`Failed to parse selection response: ${parseError.message}`));
-      }
-    });
+  const cacheKey = {
+    kind: 'select',
+    messages: toCacheMessages(messages),
+    template: (promptTemplate || DEFAULT_TEMPLATE).hash,
+    model,
+    provider: getProviderType(provider),
+    keepCount
+  };
 
-    claude.on('error', (err) => {
-      clearTimeout(timer);
-      reject(new Error(`Failed to spawn Claude CLI: ${err.message}`));
-    });
+  const keptIndices = await runAudited(audit, {
+    kind: 'select',
+    model,
+    provider,
+    messages,
+    context: { ...auditContext, keepCount }
+  }, (auditExchange) => runCheckpointed(checkpoint, {
+    kind: 'select',
+    prompt,
+    model,
+    provider,
+    messages
+  }, () => runCached(cacheKey, async () => {
+    const callStart = Date.now();
+    let resultText;
+    try {
+      resultText = await completePrompt(prompt, {
+        provider,
+        model,
+        timeout,
+        task: 'select',
+        taskContext: {
+          keepCount,
+          lengths: messages.map(m => extractTextContent(m).length)
+        },
+        signal,
+        logPrefix: '[Summarizer]'
+      });
+    } catch (callError) {
+      recordAttempt(auditExchange, { prompt, durationMs: Date.now() - callStart, error: callError.message });
+      throw callError;
+    }
 
-    claude.stdin.write(prompt);
-    claude.stdin.end();
+    try {
+      const indices = parseJsonArray(resultText);
+      recordAttempt(auditExchange, { prompt, response: resultText, durationMs: Date.now() - callStart });
+      return indices;
+    } catch (parseError) {
+      const problem = `Failed to parse selection response: ${parseError.message}`;
+      recordAttempt(auditExchange, { prompt, response: resultText, problems: [problem], durationMs: Date.now() - callStart });
+      throw new Error(problem);
+    }
+  })));
+
+  // Validate and filter indices
+  const validIndices = keptIndices
+    .filter(i => typeof i === 'number' && i >= 0 && i < messages.length)
+    .map(i => Math.floor(i));
+
+  // Remove duplicates and sort
+  const uniqueIndices = [...new Set(validIndices)].sort((a, b) => a - b);
+
+  console.log(`[Summarizer] LLM selected ${uniqueIndices.length} messages to keep: [${uniqueIndices.join(', ')}]`);
+
+  // Split messages into kept and remaining
+  const keptSet = new Set(uniqueIndices);
+  const keptMessages = [];
+  const remainingMessages = [];
+  const remainingIndices = [];
+
+  messages.forEach((msg, idx) => {
+    if (keptSet.has(idx)) {
+      keptMessages.push(msg);
+    } else {
+      remainingMessages.push(msg);
+      remainingIndices.push(idx);
+    }
   });
+
+  return {
+    keptMessages,
+    keptIndices: uniqueIndices,
+    remainingMessages,
+    remainingIndices
+  };
 }
 
 /**
@@ -607,15 +740,19 @@ function integrateSummaries(originalMessages, summaries, messageGraph) {
       : newMessages[index - 1].uuid;
 
     // Calculate which original messages this summary represents
+    // (extractive summaries name their sources, see extractive.js)
     const startIdx = Math.floor(index * originalMessages.length / summaries.length);
     const endIdx = Math.floor((index + 1) * originalMessages.length / summaries.length);
-    const summarizedMessages = originalMessages.slice(startIdx, endIdx);
+    const summarizedMessages = summary._sourceMessages || originalMessages.slice(startIdx, endIdx);
 
     // Use timestamp from the first message in this summary's range
     const timestamp = summarizedMessages.length > 0
       ? summarizedMessages[0].timestamp
       : firstOriginal.timestamp;
 
+    // Tool actions of the summarized range (set when toolMode is 'action-log')
+    const actionLog = summarizedMessages.flatMap(m => m.actionLog || []);
+
     newMessages.push({
       uuid,
       parentUuid,
@@ -627,6 +764,7 @@ function integrateSummaries(originalMessages, summaries, messageGraph) {
       isSummarized: true,
       summarizedCount: summarizedMessages.length,
       summarizedFrom: summarizedMessages.map(m => m.uuid),
+      ...(actionLog.length > 0 ? { actionLog } : {}),
       content: [{ type: 'text', text: summary.summary }],
       message: {
         role: summary.role,
@@ -646,6 +784,83 @@ function integrateSummaries(originalMessages, summaries, messageGraph) {
   };
 }
 
+/**
+ * Replace a summarized range of the session with its summaries
+ * Skipped messages stay in place; the summaries are inserted at the first
+ * removed message and the parent chain is re-linked around them.
+ *
+ * @param {Object} parsed - Parsed session
+ * @param {Array} messageUuids - Selected range
+ * @param {Object} range - { targetMessages, conversationMessages, skippedMessages, summaries, removeNonConversation }
+ * @returns {Object} { messages, changes }
+ */
+function replaceRangeWithSummaries(parsed, messageUuids, range) {
+  const { targetMessages, conversationMessages, skippedMessages, summaries, removeNonConversation } = range;
+
+  // Determine which messages to remove:
+  // - Always remove conversation messages (they're being summarized)
+  // - Optionally remove non-conversation messages in range (tools, thinking)
+  // - NEVER remove skipped messages (they're kept as-is)
+  const skippedUuids = new Set(skippedMessages.map(m => m.uuid));
+
+  let allRemovedUuids;
+  if (removeNonConversation) {
+    // Remove ALL messages in the selected range EXCEPT skipped messages
+    allRemovedUuids = new Set([...messageUuids].filter(uuid => !skippedUuids.has(uuid)));
+  } else {
+    // Only remove conversation messages that were summarized (not skipped)
+    allRemovedUuids = new Set(conversationMessages.map(m => m.uuid));
+  }
+
+  // Integrate summaries back into message list
+  const integration = integrateSummaries(
+    conversationMessages,
+    summaries,
+    parsed.messageGraph
+  );
+
+  // Override removedUuids with our expanded set if removing non-conversation
+  const removedSet = removeNonConversation ? allRemovedUuids : new Set(integration.removedUuids);
+
+  // Track additional removed messages for reporting
+  const nonConversationRemoved = removeNonConversation
+    ? targetMessages.filter(m => !conversationMessages.some(c => c.uuid === m.uuid)).length
+    : 0;
+
+  // Build new message list
+  const newMessageList = [];
+  let summariesInserted = false;
+
+  for (const msg of parsed.messages) {
+    if (removedSet.has(msg.uuid)) {
+      // Insert summaries at position of first removed message
+      if (!summariesInserted) {
+        newMessageList.push(...integration.newMessages);
+        summariesInserted = true;
+      }
+      // Skip removed messages
+      continue;
+    }
+
+    // Update parentUuid if this message's parent was removed
+    if (integration.childrenToUpdate.includes(msg.uuid) || removedSet.has(msg.parentUuid)) {
+      msg.parentUuid = integration.lastSummaryUuid;
+    }
+
+    newMessageList.push(msg);
+  }
+
+  return {
+    messages: newMessageList,
+    changes: {
+      removed: removedSet.size,
+      added: integration.newMessages.length,
+      compaction: `${conversationMessages.length} -> ${summaries.length}`,
+      nonConversationRemoved
+    }
+  };
+}
+
 /**
  * Extract keepit markers from messages and apply decay decisions
  */
@@ -711,17 +926,27 @@ export async function summarizeMessages(messages, options = {}) {
     compactionRatio = 10,
     aggressiveness = 'moderate',
     model = 'opus',
+    provider = null,             // LLM provider config or name (defaults to Claude CLI)
+    signal = null,               // AbortSignal to cancel the LLM call
+    checkpoint = null,           // Checkpoint run (see chunk-checkpoints.js) to resume failed runs
+    audit = null,                // Audit trail (see llm-audit.js) recording every LLM exchange
     dryRun = false,
     keepitMode = 'decay',        // 'preserve-all', 'decay', or 'ignore'
     sessionDistance = 0,
     verifyKeepits = true,        // Whether to verify keepit preservation after summarization
     preserveLinks = true,        // Ask LLM to preserve URLs and file paths
-    preserveAskUserQuestion = true  // Preserve user interaction questions
+    preserveAskUserQuestion = true,  // Preserve user interaction questions
+    promptTemplate = null,       // Resolved prompt template (see prompt-templates.js)
+    toolMode = DEFAULT_TOOL_MODE, // 'drop' or 'action-log' (see action-log.js)
+    chunkStrategy = DEFAULT_CHUNK_STRATEGY  // 'fixed' (one call) or 'topic' (see chunking.js)
   } = options;
 
+  // In action-log mode tool calls become structured entries the LLM can see
+  const sourceMessages = toolMode === 'action-log' ? withActionLog(messages) : messages;
+
   // Filter to conversation messages and sort by timestamp
   // Include AskUserQuestion tool calls if preserveAskUserQuestion is enabled
-  const conversationMessages = messages
+  const conversationMessages = sourceMessages
     .filter(m => {
       // Always include user/assistant messages with text
       if ((m.type === 'user' || m.type === 'assistant') && extractTextContent(m).trim()) {
@@ -747,19 +972,22 @@ export async function summarizeMessages(messages, options = {}) {
     keepitMode
   });
 
-  // Build prompt with keepit instructions
-  const prompt = buildSummarizationPrompt(conversationMessages, {
+  // Prompt options with keepit instructions
+  const promptOptions = {
     compactionRatio,
     aggressiveness,
     keepitMarkers,
     keepitMode,
     preserveLinks,
-    preserveAskUserQuestion
-  });
+    preserveAskUserQuestion,
+    promptTemplate
+  };
 
   if (dryRun) {
+    const prompt = buildSummarizationPrompt(conversationMessages, promptOptions);
+
     // Return preview info without calling Claude
-    const targetCount = Math.max(2, Math.ceil(conversationMessages.length / compactionRatio));
+    const targetCount = getTargetCount(conversationMessages.length, compactionRatio);
     return {
       dryRun: true,
       inputMessageCount: conversationMessages.length,
@@ -767,6 +995,9 @@ export async function summarizeMessages(messages, options = {}) {
       compactionRatio,
       aggressiveness,
       promptLength: prompt.length,
+      chunks: chunkStrategy === 'topic'
+        ? describeChunks(planChunks(conversationMessages, { strategy: chunkStrategy, turns: analyzeTurns(sourceMessages) }))
+        : null,
       keepitStats: decayPreview ? {
         total: decayPreview.stats.total,
         surviving: decayPreview.stats.survivingCount,
@@ -777,8 +1008,14 @@ export async function summarizeMessages(messages, options = {}) {
     };
   }
 
-  // Call Claude CLI
-  const summaries = await callClaude(prompt, { model });
+  // Call the LLM provider
+  const outputStats = createOutputStats();
+  const summaries = await summarizeUniform(conversationMessages, promptOptions, {
+    model, provider, signal, checkpoint, audit, outputStats
+  }, {
+    strategy: chunkStrategy,
+    turns: chunkStrategy === 'topic' ? analyzeTurns(sourceMessages) : null
+  });
 
   // Build result
   const result = {
@@ -786,6 +1023,7 @@ export async function summarizeMessages(messages, options = {}) {
     inputMessageCount: conversationMessages.length,
     outputMessageCount: summaries.length,
     actualCompaction: (conversationMessages.length / summaries.length).toFixed(1),
+    outputStats,
     keepitStats: decayPreview ? {
       total: decayPreview.stats.total,
       surviving: decayPreview.stats.survivingCount,
@@ -834,13 +1072,21 @@ export async function summarizeAndIntegrate(parsed, messageUuids, options = {})
     compactionRatio = 10,
     aggressiveness = 'moderate',
     model = 'opus',
+    provider = null,               // LLM provider config or name (defaults to Claude CLI)
+    signal = null,                 // AbortSignal to cancel the LLM call
+    checkpoint = null,             // Checkpoint run (see chunk-checkpoints.js) to resume failed runs
+    audit = null,                  // Audit trail (see llm-audit.js) recording every LLM exchange
     removeNonConversation = true,  // Auto-cleanup tools/thinking from range
     skipFirstMessages = 0,  // Skip first N messages from summarization (keep as-is)
     keepitMode = 'decay',         // 'preserve-all', 'decay', or 'ignore'
     sessionDistance = 0,
     verifyKeepits = true,
     preserveLinks = true,          // Ask LLM to preserve URLs and file paths
-    preserveAskUserQuestion = true  // Preserve user interaction questions
+    preserveAskUserQuestion = true,  // Preserve user interaction questions
+    promptTemplate = null,         // Resolved prompt template (see prompt-templates.js)
+    toolMode = DEFAULT_TOOL_MODE,  // 'drop' or 'action-log' (see action-log.js)
+    chunkStrategy = DEFAULT_CHUNK_STRATEGY,  // 'fixed' (one call) or 'topic' (see chunking.js)
+    onProgress = null              // Progress callback (single step for uniform mode)
   } = options;
 
   // Get messages in the specified range
@@ -851,8 +1097,13 @@ export async function summarizeAndIntegrate(parsed, messageUuids, options = {})
     throw new Error('Need at least 2 messages to summarize');
   }
 
+  // Results may sit outside the range, so pair tool calls against the whole session
+  const sourceMessages = toolMode === 'action-log'
+    ? withActionLog(targetMessages, { resultMessages: parsed.messages })
+    : targetMessages;
+
   // Filter to conversation messages only and sort by timestamp
-  const allConversationMessages = targetMessages
+  const allConversationMessages = sourceMessages
     .filter(m => (m.type === 'user' || m.type === 'assistant') && extractTextContent(m).trim())
     .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
 
@@ -878,17 +1129,39 @@ export async function summarizeAndIntegrate(parsed, messageUuids, options = {})
     keepitMode
   });
 
-  // Get summaries from Claude
-  const prompt = buildSummarizationPrompt(conversationMessages, {
+  reportProgress(onProgress, {
+    stage: 'tier-start',
+    tier: 1,
+    tierCount: 1,
+    percent: 0,
+    inputMessages: conversationMessages.length,
+    message: `Summarizing ${conversationMessages.length} messages`
+  });
+
+  // Get summaries from the LLM provider
+  const outputStats = createOutputStats();
+  const summaries = await summarizeUniform(conversationMessages, {
     compactionRatio,
     aggressiveness,
     keepitMarkers,
     keepitMode,
     preserveLinks,
-    preserveAskUserQuestion
+    preserveAskUserQuestion,
+    promptTemplate
+  }, { model, provider, signal, checkpoint, audit, outputStats }, {
+    strategy: chunkStrategy,
+    turns: chunkStrategy === 'topic' ? analyzeTurns(sourceMessages) : null
   });
 
-  const summaries = await callClaude(prompt, { model });
+  reportProgress(onProgress, {
+    stage: 'tier-complete',
+    tier: 1,
+    tierCount: 1,
+    percent: 100,
+    inputMessages: conversationMessages.length,
+    outputMessages: summaries.length,
+    message: `Summarized ${conversationMessages.length} -> ${summaries.length} messages`
+  });
 
   // Verify keepit preservation if requested
   let keepitVerification = null;
@@ -916,68 +1189,19 @@ export async function summarizeAndIntegrate(parsed, messageUuids, options = {})
     }
   }
 
-  // Determine which messages to remove:
-  // - Always remove conversation messages (they're being summarized)
-  // - Optionally remove non-conversation messages in range (tools, thinking)
-  // - NEVER remove skipped messages (they're kept as-is)
-  const skippedUuids = new Set(skippedMessages.map(m => m.uuid));
-
-  let allRemovedUuids;
-  if (removeNonConversation) {
-    // Remove ALL messages in the selected range EXCEPT skipped messages
-    allRemovedUuids = new Set([...messageUuids].filter(uuid => !skippedUuids.has(uuid)));
-  } else {
-    // Only remove conversation messages that were summarized (not skipped)
-    allRemovedUuids = new Set(conversationMessages.map(m => m.uuid));
-  }
-
-  // Integrate summaries back into message list
-  const integration = integrateSummaries(
+  const integrated = replaceRangeWithSummaries(parsed, messageUuids, {
+    targetMessages,
     conversationMessages,
+    skippedMessages,
     summaries,
-    parsed.messageGraph
-  );
-
-  // Override removedUuids with our expanded set if removing non-conversation
-  const removedSet = removeNonConversation ? allRemovedUuids : new Set(integration.removedUuids);
-
-  // Track additional removed messages for reporting
-  const nonConversationRemoved = removeNonConversation
-    ? targetMessages.filter(m => !conversationMessages.some(c => c.uuid === m.uuid)).length
-    : 0;
-
-  // Build new message list
-  const newMessageList = [];
-  let summariesInserted = false;
-
-  for (const msg of parsed.messages) {
-    if (removedSet.has(msg.uuid)) {
-      // Insert summaries at position of first removed message
-      if (!summariesInserted) {
-        newMessageList.push(...integration.newMessages);
-        summariesInserted = true;
-      }
-      // Skip removed messages
-      continue;
-    }
-
-    // Update parentUuid if this message's parent was removed
-    if (integration.childrenToUpdate.includes(msg.uuid) || removedSet.has(msg.parentUuid)) {
-      msg.parentUuid = integration.lastSummaryUuid;
-    }
-
-    newMessageList.push(msg);
-  }
+    removeNonConversation
+  });
 
   return {
-    messages: newMessageList,
-    changes: {
-      removed: removedSet.size,
-      added: integration.newMessages.length,
-      compaction: `${conversationMessages.length} -> ${summaries.length}`,
-      nonConversationRemoved
-    },
+    messages: integrated.messages,
+    changes: integrated.changes,
     summaries,
+    outputStats,
     keepitStats: decayPreview ? {
       total: decayPreview.stats.total,
       surviving: decayPreview.stats.survivingCount,
@@ -990,27 +1214,161 @@ export async function summarizeAndIntegrate(parsed, messageUuids, options = {})
 }
 
 /**
- * Split an array into chunks of specified size
+ * Summarize a uniform-mode range
+ * The 'fixed' strategy sends the whole range in one call; 'topic' summarizes
+ * each topic chunk separately (see chunking.js)
  */
-function chunkArray(array, chunkSize) {
-  const chunks = [];
-  for (let i = 0; i < array.length; i += chunkSize) {
-    chunks.push(array.slice(i, i + chunkSize));
+async function summarizeUniform(messages, promptOptions, callOptions, chunkOptions) {
+  if (chunkOptions.strategy !== 'topic') {
+    return summarizeChunk(messages, promptOptions, callOptions);
   }
-  return chunks;
+
+  const chunks = planChunks(messages, chunkOptions);
+  console.log(`[Summarizer] Topic chunking: ${messages.length} messages in ${chunks.length} chunks (${chunks.map(c => c.reason).join(', ')})`);
+
+  const runController = new AbortController();
+  const signal = callOptions.signal ? AbortSignal.any([callOptions.signal, runController.signal]) : runController.signal;
+  const chunkSummaries = await mapConcurrently(chunks, runController, chunk =>
+    summarizeChunk(chunk.messages, promptOptions, { ...callOptions, signal })
+  );
+  return chunkSummaries.flat();
+}
+
+/**
+ * Split messages into summarization chunks (see chunking.js)
+ */
+function chunkMessages(messages, chunkOptions) {
+  return planChunks(messages, chunkOptions).map(chunk => chunk.messages);
 }
 
 /**
- * Split messages into tiers based on percentage ranges
+ * Number of LLM chunks needed for the summarize intervals of a tier
+ */
+function countIntervalChunks(intervals, chunkOptions) {
+  return intervals
+    .filter(i => i.type === 'summarize' && i.messages.length > 0)
+    .reduce((sum, i) => sum + planChunks(i.messages, chunkOptions).length, 0);
+}
+
+/**
+ * Run `task(item, index)` for every item concurrently, keeping results in item order
+ * The first failure aborts `controller` so sibling tasks stop instead of
+ * finishing LLM calls whose output would be thrown away
+ */
+async function mapConcurrently(items, controller, task) {
+  try {
+    return await Promise.all(items.map((item, idx) => task(item, idx)));
+  } catch (error) {
+    controller.abort(error);
+    throw error;
+  }
+}
+
+/**
+ * Forward a progress event to the caller's onProgress callback
+ * Callback errors are logged and never interrupt summarization
+ */
+function reportProgress(onProgress, event) {
+  if (!onProgress) return;
+  try {
+    onProgress(event);
+  } catch (err) {
+    console.warn(`[Summarizer] Progress callback failed: ${err.message}`);
+  }
+}
+
+/**
+ * Check if tiers are defined by message age (olderThanHours) instead of position
+ */
+function isAgeTiers(tiers) {
+  return Array.isArray(tiers) && tiers.some(tier => tier.olderThanHours !== undefined);
+}
+
+/**
+ * Format an age in hours for tier labels (e.g. 6 -> "6h", 72 -> "3d")
+ */
+function formatAge(hours) {
+  return hours >= 24 && hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`;
+}
+
+/**
+ * Label of a tier definition, e.g. "25-50%" or for age tiers ">3d", "6h-1d", "<6h"
+ */
+function getTierRange(tiers, index) {
+  const tier = tiers[index];
+
+  if (tier.olderThanHours === undefined) {
+    return `${index > 0 ? tiers[index - 1].endPercent : 0}-${tier.endPercent}%`;
+  }
+
+  const newerThan = index > 0 ? tiers[index - 1].olderThanHours : null;
+  if (newerThan === null) return `>${formatAge(tier.olderThanHours)}`;
+  if (tier.olderThanHours === 0) return `<${formatAge(newerThan)}`;
+  return `${formatAge(tier.olderThanHours)}-${formatAge(newerThan)}`;
+}
+
+/**
+ * Message index where each tier ends, aligned with `tiers`
+ * Percent tiers end at `endPercent` of the messages. Age tiers (oldest first,
+ * `olderThanHours` decreasing to 0) end at the first message younger than
+ * their threshold, measured back from the newest message. Messages without
+ * timestamps fall back to the percentage split, using each age tier's
+ * `endPercent` or an even split.
+ *
+ * @param {Array} messages - Messages in chronological order
+ * @param {Array} tiers - Tier definitions
+ * @returns {Object} { endIndices, byAge }
+ */
+function planTierEnds(messages, tiers) {
+  const total = messages.length;
+  const times = messages.map(m => new Date(m.timestamp || NaN).getTime());
+  const byAge = isAgeTiers(tiers) && total > 0 && times.every(Number.isFinite);
+
+  if (!byAge) {
+    return {
+      byAge: false,
+      endIndices: tiers.map((tier, i) => {
+        const endPercent = tier.endPercent ?? Math.round(100 * (i + 1) / tiers.length);
+        return i === tiers.length - 1 && tier.olderThanHours !== undefined
+          ? total
+          : Math.floor(total * (endPercent / 100));
+      })
+    };
+  }
+
+  const newest = times[total - 1];
+  const endIndices = tiers.map((tier, i) => {
+    if (i === tiers.length - 1) return total;
+    const cutoff = newest - tier.olderThanHours * 60 * 60 * 1000;
+    const firstYounger = times.findIndex(time => time > cutoff);
+    return firstYounger === -1 ? total : firstYounger;
+  });
+
+  // Keep boundaries monotonic if thresholds are out of order
+  for (let i = 1; i < endIndices.length; i++) {
+    endIndices[i] = Math.max(endIndices[i], endIndices[i - 1]);
+  }
+
+  return { byAge: true, endIndices };
+}
+
+/**
+ * Split messages into tiers based on percentage ranges or message age
+ * Each tier carries a `range` label ("0-25%" or ">3d") and the share of
+ * messages it covers (startPercent / endPercent); empty tiers are skipped
  */
 function splitIntoTiers(messages, tiers) {
   const total = messages.length;
+  const { byAge, endIndices } = planTierEnds(messages, tiers);
   const result = [];
+  let startIdx = 0;
   let startPercent = 0;
 
-  for (const tier of tiers) {
-    const startIdx = Math.floor(total * (startPercent / 100));
-    const endIdx = Math.floor(total * (tier.endPercent / 100));
+  tiers.forEach((tier, i) => {
+    const endIdx = endIndices[i];
+    const endPercent = byAge || tier.endPercent === undefined
+      ? (total > 0 ? Math.round(100 * endIdx / total) : 100)
+      : tier.endPercent;
 
     if (endIdx > startIdx) {
       result.push({
@@ -1018,15 +1376,18 @@ function splitIntoTiers(messages, tiers) {
         startIdx,
         endIdx,
         startPercent,
-        endPercent: tier.endPercent,
+        endPercent,
+        range: byAge ? getTierRange(tiers, i) : `${startPercent}-${endPercent}%`,
+        ...(tier.olderThanHours !== undefined && { olderThanHours: tier.olderThanHours }),
         compactionRatio: tier.compactionRatio,
         aggressiveness: tier.aggressiveness,
         keepPercent: tier.keepPercent || 0  // Include keepPercent for hybrid mode
       });
     }
 
-    startPercent = tier.endPercent;
-  }
+    startIdx = Math.max(startIdx, endIdx);
+    startPercent = endPercent;
+  });
 
   return result;
 }
@@ -1040,9 +1401,18 @@ export async function summarizeWithTiers(messages, options = {}) {
     tiers = DEFAULT_TIERS,
     tierPreset = null,
     model = 'opus',
+    provider = null,  // LLM provider config or name (defaults to Claude CLI)
+    signal = null,  // AbortSignal; remaining tiers and chunks are skipped once aborted
+    checkpoint = null,  // Checkpoint run; chunks that succeeded in an earlier attempt are reused
+    audit = null,  // Audit trail (see llm-audit.js); exchanges record their tier
     dryRun = false,
     preserveLinks = true,  // Ask LLM to preserve URLs and file paths
-    preserveAskUserQuestion = true  // Preserve user interaction questions
+    preserveAskUserQuestion = true,  // Preserve user interaction questions
+    promptTemplate = null,  // Resolved prompt template (see prompt-templates.js)
+    toolMode = DEFAULT_TOOL_MODE,  // 'drop' or 'action-log' (see action-log.js)
+    chunkStrategy = DEFAULT_CHUNK_STRATEGY,  // 'fixed' or 'topic' (see chunking.js)
+    turns = null,  // Turn analysis for topic chunking (computed from `messages` when null)
+    onProgress = null  // Called with { stage, tier, tierCount, chunk, chunkCount, percent, message }
   } = options;
 
   // Use preset if specified
@@ -1050,9 +1420,12 @@ export async function summarizeWithTiers(messages, options = {}) {
     ? TIER_PRESETS[tierPreset]
     : tiers;
 
+  // In action-log mode tool calls become structured entries the LLM can see
+  const sourceMessages = toolMode === 'action-log' ? withActionLog(messages) : messages;
+
   // Filter to conversation messages and sort by timestamp
   // Include AskUserQuestion tool calls if preserveAskUserQuestion is enabled
-  const conversationMessages = messages
+  const conversationMessages = sourceMessages
     .filter(m => {
       // Always include user/assistant messages with text
       if ((m.type === 'user' || m.type === 'assistant') && extractTextContent(m).trim()) {
@@ -1073,11 +1446,17 @@ export async function summarizeWithTiers(messages, options = {}) {
   // Split messages into tiers (now in chronological order)
   const tierData = splitIntoTiers(conversationMessages, effectiveTiers);
 
+  // Tool calls live in messages filtered out above, so analyze turns before filtering
+  const chunkOptions = {
+    strategy: chunkStrategy,
+    turns: chunkStrategy === 'topic' ? (turns || analyzeTurns(sourceMessages)) : null
+  };
+
   if (dryRun) {
     // Return preview info without calling Claude
     const tierPreviews = tierData.map(tier => {
       const preview = {
-        range: `${tier.startPercent}-${tier.endPercent}%`,
+        range: tier.range,
         inputMessages: tier.messages.length,
         compactionRatio: tier.compactionRatio,
         aggressiveness: tier.aggressiveness
@@ -1102,6 +1481,7 @@ export async function summarizeWithTiers(messages, options = {}) {
       } else {
         // Standard summarization
         preview.estimatedOutputMessages = Math.max(1, Math.ceil(tier.messages.length / tier.compactionRatio));
+        preview.chunks = describeChunks(planChunks(tier.messages, chunkOptions));
       }
 
       return preview;
@@ -1120,24 +1500,77 @@ export async function summarizeWithTiers(messages, options = {}) {
     };
   }
 
-  // Summarize each tier separately, processing in chunks to avoid timeout
-  const allSummaries = [];
-  const tierResults = [];
+  // Tiers and the chunks inside them are summarized concurrently; the LLM
+  // provider layer caps how many calls actually run at once. The first
+  // failure aborts the run so queued chunks are not sent to the LLM.
+  const runController = new AbortController();
+  const runSignal = signal ? AbortSignal.any([signal, runController.signal]) : runController.signal;
+  const outputStats = createOutputStats();
+  const callOptions = { model, provider, signal: runSignal, checkpoint, audit, outputStats };
+
+  // Share of each tier already done (0..1), used for overall progress
+  const tierFractions = tierData.map(() => 0);
+
+  const summarizeTierChunk = async (tier, chunk) => {
+    return summarizeChunk(chunk, {
+      compactionRatio: tier.compactionRatio,
+      aggressiveness: tier.aggressiveness,
+      preserveLinks,
+      preserveAskUserQuestion,
+      promptTemplate
+    }, { ...callOptions, auditContext: { tier: tier.range } });
+  };
+
+  /**
+   * Summarize one tier
+   * @returns {Promise<Object>} { summaries, tierResult }
+   */
+  const processTier = async (tier, tierIdx) => {
+    throwIfCancelled(runSignal);
+
+    const tierRange = tier.range;
+    const tierLabel = `Tier ${tierIdx + 1}/${tierData.length} (${tierRange})`;
+
+    // fraction = share of this tier already done (0..1)
+    const emitTierProgress = (stage, fraction, details = {}) => {
+      tierFractions[tierIdx] = fraction;
+      const doneFraction = tierFractions.reduce((sum, f) => sum + f, 0);
+      reportProgress(onProgress, {
+        stage,
+        tier: tierIdx + 1,
+        tierCount: tierData.length,
+        range: tierRange,
+        percent: (doneFraction / tierData.length) * 100,
+        ...details
+      });
+    };
+
+    const completeTier = (summaries, tierResult) => {
+      emitTierProgress('tier-complete', 1, {
+        inputMessages: tierResult.inputMessages,
+        outputMessages: tierResult.outputMessages,
+        message: `${tierLabel}: ${tierResult.inputMessages} -> ${tierResult.outputMessages} messages`
+      });
+      return { summaries, tierResult };
+    };
+
+    emitTierProgress('tier-start', 0, {
+      inputMessages: tier.messages.length,
+      message: `${tierLabel}: processing ${tier.messages.length} messages`
+    });
 
-  for (const tier of tierData) {
     if (tier.messages.length < 2) {
       // If tier has only 1 message, keep it as-is (convert to summary format)
       const msg = tier.messages[0];
-      allSummaries.push({
+      return completeTier([{
         role: msg.type,
         summary: extractTextContent(msg),
         _tierInfo: {
-          range: `${tier.startPercent}-${tier.endPercent}%`,
+          range: tier.range,
           compactionRatio: tier.compactionRatio
         }
-      });
-      tierResults.push({
-        range: `${tier.startPercent}-${tier.endPercent}%`,
+      }], {
+        range: tier.range,
         inputMessages: 1,
         outputMessages: 1,
         compactionRatio: tier.compactionRatio,
@@ -1146,16 +1579,19 @@ export async function summarizeWithTiers(messages, options = {}) {
         summarizedFrom: 0,
         summarizedTo: 0
       });
-      continue;
     }
 
     // Handle hybrid mode (keepPercent > 0) - LLM selects important messages to keep
     // Check this BEFORE passthrough since user may want LLM selection + discard (not summarize) the rest
     if (tier.keepPercent && tier.keepPercent > 0) {
-      console.log(`[Summarizer] Tier ${tier.startPercent}-${tier.endPercent}%: HYBRID MODE (keepPercent: ${tier.keepPercent}%, summarizeRatio: ${tier.compactionRatio})`);
+      console.log(`[Summarizer] Tier ${tier.range}: HYBRID MODE (keepPercent: ${tier.keepPercent}%, summarizeRatio: ${tier.compactionRatio})`);
 
       // Phase 1: Select important messages to keep verbatim
-      const selection = await selectImportantMessages(tier.messages, tier.keepPercent, { model });
+      const selection = await selectImportantMessages(tier.messages, tier.keepPercent, {
+        ...callOptions,
+        promptTemplate,
+        auditContext: { tier: tier.range }
+      });
 
       console.log(`[Summarizer]   Selected ${selection.keptMessages.length} important messages to keep verbatim`);
 
@@ -1212,88 +1648,97 @@ export async function summarizeWithTiers(messages, options = {}) {
 
       console.log(`[Summarizer]   Built ${intervals.length} intervals (${sortedKeptIndices.length} keeps, ${intervals.filter(i => i.type === 'summarize').length} summarize segments)`);
 
-      // Process each interval in order
-      const combinedSummaries = [];
-      let totalSummarizedFrom = 0;
-      let totalSummarizedTo = 0;
-
-      for (let intervalIdx = 0; intervalIdx < intervals.length; intervalIdx++) {
-        const interval = intervals[intervalIdx];
+      // Selection counts as one step alongside the summarization chunks
+      const hybridSteps = 1 + (tier.compactionRatio >= 1 ? countIntervalChunks(intervals, chunkOptions) : 0);
+      let hybridStepsDone = 1;
+      emitTierProgress('selection', hybridStepsDone / hybridSteps, {
+        kept: selection.keptMessages.length,
+        message: `${tierLabel}: kept ${selection.keptMessages.length} messages verbatim`
+      });
 
+      // Process all intervals concurrently; results are reassembled in interval order
+      const intervalSummaries = await mapConcurrently(intervals, runController, async (interval, intervalIdx) => {
         if (interval.type === 'keep') {
           // Add kept message as-is
-          combinedSummaries.push({
+          return [{
             role: interval.message.type,
             summary: extractTextContent(interval.message),
             _tierInfo: {
-              range: `${tier.startPercent}-${tier.endPercent}%`,
+              range: tier.range,
               compactionRatio: tier.compactionRatio,
               keepPercent: tier.keepPercent,
               kept: true
             },
             _originalTimestamp: interval.message.timestamp
+          }];
+        }
+
+        if (interval.messages.length === 0) {
+          return [];
+        }
+
+        if (tier.compactionRatio === 0) {
+          // Discard non-selected messages (user chose "Remove" option)
+          console.log(`[Summarizer]     Interval ${intervalIdx + 1}: discarding ${interval.messages.length} non-selected messages`);
+          return [];
+        }
+
+        // Summarize this interval (ratio 1 = verbosity reduction, ratio 2+ = summarization)
+        console.log(`[Summarizer]     Interval ${intervalIdx + 1}: summarizing ${interval.messages.length} messages (indices ${interval.startIdx}-${interval.endIdx - 1})`);
+
+        // Split interval into chunks if needed
+        const chunks = chunkMessages(interval.messages, chunkOptions);
+
+        const chunkSummaries = await mapConcurrently(chunks, runController, async (chunk, i) => {
+          if (chunks.length > 1) {
+            console.log(`[Summarizer]       Chunk ${i + 1}/${chunks.length}: ${chunk.length} messages`);
+          }
+
+          const summaries = await summarizeTierChunk(tier, chunk);
+
+          summaries.forEach((s) => {
+            s._tierInfo = {
+              range: tier.range,
+              compactionRatio: tier.compactionRatio,
+              keepPercent: tier.keepPercent,
+              interval: intervalIdx + 1,
+              summarized: true
+            };
+            s._originalTimestamp = chunk[0]?.timestamp;
+          });
+
+          hybridStepsDone++;
+          emitTierProgress('chunk', hybridStepsDone / hybridSteps, {
+            chunk: hybridStepsDone - 1,
+            chunkCount: hybridSteps - 1,
+            inputMessages: chunk.length,
+            outputMessages: summaries.length,
+            message: `${tierLabel}: chunk ${hybridStepsDone - 1}/${hybridSteps - 1} done`
           });
-        } else if (interval.type === 'summarize' && interval.messages.length > 0) {
-          totalSummarizedFrom += interval.messages.length;
-
-          if (tier.compactionRatio === 0) {
-            // Discard non-selected messages (user chose "Remove" option)
-            console.log(`[Summarizer]     Interval ${intervalIdx + 1}: discarding ${interval.messages.length} non-selected messages`);
-            // Don't add anything - these messages are removed
-          } else if (tier.compactionRatio >= 1) {
-            // Summarize this interval (ratio 1 = verbosity reduction, ratio 2+ = summarization)
-            console.log(`[Summarizer]     Interval ${intervalIdx + 1}: summarizing ${interval.messages.length} messages (indices ${interval.startIdx}-${interval.endIdx - 1})`);
-
-            // Split interval into chunks if needed
-            const chunks = chunkArray(interval.messages, MAX_MESSAGES_PER_CHUNK);
-
-            for (let i = 0; i < chunks.length; i++) {
-              const chunk = chunks[i];
-              if (chunks.length > 1) {
-                console.log(`[Summarizer]       Chunk ${i + 1}/${chunks.length}: ${chunk.length} messages`);
-              }
-
-              const prompt = buildSummarizationPrompt(chunk, {
-                compactionRatio: tier.compactionRatio,
-                aggressiveness: tier.aggressiveness,
-                preserveLinks,
-                preserveAskUserQuestion
-              });
-
-              const summaries = await callClaude(prompt, { model });
-
-              summaries.forEach((s) => {
-                s._tierInfo = {
-                  range: `${tier.startPercent}-${tier.endPercent}%`,
-                  compactionRatio: tier.compactionRatio,
-                  keepPercent: tier.keepPercent,
-                  interval: intervalIdx + 1,
-                  summarized: true
-                };
-                s._originalTimestamp = chunk[0]?.timestamp;
-              });
-
-              combinedSummaries.push(...summaries);
-              totalSummarizedTo += summaries.length;
-
-              if (chunks.length > 1) {
-                console.log(`[Summarizer]       Chunk ${i + 1} complete: ${chunk.length} -> ${summaries.length} messages`);
-              }
-            }
-
-            console.log(`[Summarizer]     Interval ${intervalIdx + 1} complete: ${interval.messages.length} -> ${chunks.reduce((acc, c) => acc, 0)} messages`);
+
+          if (chunks.length > 1) {
+            console.log(`[Summarizer]       Chunk ${i + 1} complete: ${chunk.length} -> ${summaries.length} messages`);
           }
-          // Note: compactionRatio === 0 case already handled above (discard)
-        }
-      }
+          return summaries;
+        });
+
+        const summaries = chunkSummaries.flat();
+        console.log(`[Summarizer]     Interval ${intervalIdx + 1} complete: ${interval.messages.length} -> ${summaries.length} messages`);
+        return summaries;
+      });
 
-      allSummaries.push(...combinedSummaries);
+      const combinedSummaries = intervalSummaries.flat();
+      const summarizeIntervals = intervals.filter(i => i.type === 'summarize');
+      const totalSummarizedFrom = summarizeIntervals.reduce((sum, i) => sum + i.messages.length, 0);
+      const totalSummarizedTo = combinedSummaries.filter(s => s._tierInfo.summarized).length;
 
       // Calculate deleted count (messages that were discarded with Remove option)
       const deletedCount = tier.compactionRatio === 0 ? totalSummarizedFrom : 0;
 
-      tierResults.push({
-        range: `${tier.startPercent}-${tier.endPercent}%`,
+      console.log(`[Summarizer] Tier ${tier.range} HYBRID complete: ${tier.messages.length} -> ${combinedSummaries.length} (kept: ${selection.keptMessages.length}, deleted: ${deletedCount}, summarized: ${totalSummarizedFrom} -> ${totalSummarizedTo})`);
+
+      return completeTier(combinedSummaries, {
+        range: tier.range,
         inputMessages: tier.messages.length,
         outputMessages: combinedSummaries.length,
         compactionRatio: tier.compactionRatio,
@@ -1306,30 +1751,25 @@ export async function summarizeWithTiers(messages, options = {}) {
         aggressiveness: tier.aggressiveness,
         hybrid: true
       });
-
-      console.log(`[Summarizer] Tier ${tier.startPercent}-${tier.endPercent}% HYBRID complete: ${tier.messages.length} -> ${combinedSummaries.length} (kept: ${selection.keptMessages.length}, deleted: ${deletedCount}, summarized: ${totalSummarizedFrom} -> ${totalSummarizedTo})`);
-      continue;
     }
 
     // Handle passthrough (ratio 0, no keepPercent) - no LLM processing, keep messages as-is
     if (tier.compactionRatio === 0) {
-      console.log(`[Summarizer] Tier ${tier.startPercent}-${tier.endPercent}%: PASSTHROUGH (${tier.messages.length} messages kept as-is)`);
-
-      for (const msg of tier.messages) {
-        allSummaries.push({
-          role: msg.type,
-          summary: extractTextContent(msg),
-          _tierInfo: {
-            range: `${tier.startPercent}-${tier.endPercent}%`,
-            compactionRatio: 0,
-            passthrough: true
-          },
-          _originalTimestamp: msg.timestamp
-        });
-      }
+      console.log(`[Summarizer] Tier ${tier.range}: PASSTHROUGH (${tier.messages.length} messages kept as-is)`);
 
-      tierResults.push({
-        range: `${tier.startPercent}-${tier.endPercent}%`,
+      const passthroughSummaries = tier.messages.map(msg => ({
+        role: msg.type,
+        summary: extractTextContent(msg),
+        _tierInfo: {
+          range: tier.range,
+          compactionRatio: 0,
+          passthrough: true
+        },
+        _originalTimestamp: msg.timestamp
+      }));
+
+      return completeTier(passthroughSummaries, {
+        range: tier.range,
         inputMessages: tier.messages.length,
         outputMessages: tier.messages.length,
         compactionRatio: 0,
@@ -1339,7 +1779,6 @@ export async function summarizeWithTiers(messages, options = {}) {
         summarizedTo: 0,
         passthrough: true
       });
-      continue;
     }
 
     // Standard summarization (no keepPercent)
@@ -1355,7 +1794,7 @@ export async function summarizeWithTiers(messages, options = {}) {
 
     // If there are AskUserQuestion messages, use interval-based processing
     if (askUserIndices.length > 0) {
-      console.log(`[Summarizer] Tier ${tier.startPercent}-${tier.endPercent}%: ${tier.messages.length} messages with ${askUserIndices.length} AskUserQuestion to preserve`);
+      console.log(`[Summarizer] Tier ${tier.range}: ${tier.messages.length} messages with ${askUserIndices.length} AskUserQuestion to preserve`);
 
       // Build intervals around AskUserQuestion messages
       const intervals = [];
@@ -1388,45 +1827,56 @@ export async function summarizeWithTiers(messages, options = {}) {
         });
       }
 
-      const tierSummaries = [];
-      for (const interval of intervals) {
+      const chunkCount = countIntervalChunks(intervals, chunkOptions);
+      let chunksDone = 0;
+      const intervalSummaries = await mapConcurrently(intervals, runController, async (interval) => {
         if (interval.type === 'keep') {
-          tierSummaries.push({
+          return [{
             role: interval.message.type,
             summary: extractTextContent(interval.message),
             _tierInfo: {
-              range: `${tier.startPercent}-${tier.endPercent}%`,
+              range: tier.range,
               compactionRatio: tier.compactionRatio,
               kept: true,
               askUserQuestion: true
             },
             _originalTimestamp: interval.message.timestamp
-          });
-        } else if (interval.messages.length > 0) {
-          const chunks = chunkArray(interval.messages, MAX_MESSAGES_PER_CHUNK);
-          for (const chunk of chunks) {
-            const prompt = buildSummarizationPrompt(chunk, {
-              compactionRatio: tier.compactionRatio,
-              aggressiveness: tier.aggressiveness,
-              preserveLinks,
-              preserveAskUserQuestion
-            });
-            const summaries = await callClaude(prompt, { model });
-            summaries.forEach(s => {
-              s._tierInfo = {
-                range: `${tier.startPercent}-${tier.endPercent}%`,
-                compactionRatio: tier.compactionRatio
-              };
-              s._originalTimestamp = chunk[0]?.timestamp;
-            });
-            tierSummaries.push(...summaries);
-          }
+          }];
+        }
+
+        if (interval.messages.length === 0) {
+          return [];
         }
-      }
 
-      allSummaries.push(...tierSummaries);
-      tierResults.push({
-        range: `${tier.startPercent}-${tier.endPercent}%`,
+        const chunks = chunkMessages(interval.messages, chunkOptions);
+        const chunkSummaries = await mapConcurrently(chunks, runController, async (chunk) => {
+          const summaries = await summarizeTierChunk(tier, chunk);
+          summaries.forEach(s => {
+            s._tierInfo = {
+              range: tier.range,
+              compactionRatio: tier.compactionRatio
+            };
+            s._originalTimestamp = chunk[0]?.timestamp;
+          });
+
+          chunksDone++;
+          emitTierProgress('chunk', chunksDone / chunkCount, {
+            chunk: chunksDone,
+            chunkCount,
+            inputMessages: chunk.length,
+            outputMessages: summaries.length,
+            message: `${tierLabel}: chunk ${chunksDone}/${chunkCount} done`
+          });
+          return summaries;
+        });
+        return chunkSummaries.flat();
+      });
+
+      const tierSummaries = intervalSummaries.flat();
+      console.log(`[Summarizer] Tier ${tier.range} complete: ${tier.messages.length} -> ${tierSummaries.length} (preserved ${askUserIndices.length} AskUserQuestion)`);
+
+      return completeTier(tierSummaries, {
+        range: tier.range,
         inputMessages: tier.messages.length,
         outputMessages: tierSummaries.length,
         compactionRatio: tier.compactionRatio,
@@ -1437,46 +1887,46 @@ export async function summarizeWithTiers(messages, options = {}) {
         summarizedTo: tierSummaries.length - askUserIndices.length,
         askUserQuestionsPreserved: askUserIndices.length
       });
-
-      console.log(`[Summarizer] Tier ${tier.startPercent}-${tier.endPercent}% complete: ${tier.messages.length} -> ${tierSummaries.length} (preserved ${askUserIndices.length} AskUserQuestion)`);
-      continue;
     }
 
     // No AskUserQuestion to preserve - use simple chunking
-    const chunks = chunkArray(tier.messages, MAX_MESSAGES_PER_CHUNK);
-    const tierSummaries = [];
+    const chunks = chunkMessages(tier.messages, chunkOptions);
+    let chunksDone = 0;
 
-    console.log(`[Summarizer] Tier ${tier.startPercent}-${tier.endPercent}%: ${tier.messages.length} messages in ${chunks.length} chunks`);
+    console.log(`[Summarizer] Tier ${tier.range}: ${tier.messages.length} messages in ${chunks.length} chunks`);
 
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
+    const chunkSummaries = await mapConcurrently(chunks, runController, async (chunk, i) => {
       console.log(`[Summarizer]   Chunk ${i + 1}/${chunks.length}: ${chunk.length} messages`);
 
-      const prompt = buildSummarizationPrompt(chunk, {
-        compactionRatio: tier.compactionRatio,
-        aggressiveness: tier.aggressiveness,
-        preserveLinks,
-        preserveAskUserQuestion
-      });
-
-      const summaries = await callClaude(prompt, { model });
+      const summaries = await summarizeTierChunk(tier, chunk);
 
       // Add tier info to each summary
       summaries.forEach(s => {
         s._tierInfo = {
-          range: `${tier.startPercent}-${tier.endPercent}%`,
+          range: tier.range,
           compactionRatio: tier.compactionRatio,
           chunk: i + 1
         };
       });
 
-      tierSummaries.push(...summaries);
       console.log(`[Summarizer]   Chunk ${i + 1} complete: ${chunk.length} -> ${summaries.length} messages`);
-    }
 
-    allSummaries.push(...tierSummaries);
-    tierResults.push({
-      range: `${tier.startPercent}-${tier.endPercent}%`,
+      chunksDone++;
+      emitTierProgress('chunk', chunksDone / chunks.length, {
+        chunk: chunksDone,
+        chunkCount: chunks.length,
+        inputMessages: chunk.length,
+        outputMessages: summaries.length,
+        message: `${tierLabel}: chunk ${chunksDone}/${chunks.length} done`
+      });
+      return summaries;
+    });
+
+    const tierSummaries = chunkSummaries.flat();
+    console.log(`[Summarizer] Tier ${tier.range} complete: ${tier.messages.length} -> ${tierSummaries.length} messages`);
+
+    return completeTier(tierSummaries, {
+      range: tier.range,
       inputMessages: tier.messages.length,
       outputMessages: tierSummaries.length,
       compactionRatio: tier.compactionRatio,
@@ -1487,9 +1937,12 @@ export async function summarizeWithTiers(messages, options = {}) {
       summarizedTo: tierSummaries.length,
       chunks: chunks.length
     });
+  };
 
-    console.log(`[Summarizer] Tier ${tier.startPercent}-${tier.endPercent}% complete: ${tier.messages.length} -> ${tierSummaries.length} messages`);
-  }
+  // Reassemble tiers in chronological order regardless of completion order
+  const processedTiers = await mapConcurrently(tierData, runController, processTier);
+  const allSummaries = processedTiers.flatMap(t => t.summaries);
+  const tierResults = processedTiers.map(t => t.tierResult);
 
   // Print summary table
   console.log(`\n[Summarizer] ==================== SUMMARIZATION SUMMARY ====================`);
@@ -1521,13 +1974,18 @@ export async function summarizeWithTiers(messages, options = {}) {
   console.log(`[Summarizer] ${'TOTAL'.padEnd(12)} | ${String(totalInput).padEnd(6)} | ${String(totalKept).padEnd(6)} | ${String(totalDeleted).padEnd(8)} | ${totalSummarizedStr.padEnd(12)} | ${String(totalOutput).padEnd(6)}`);
   console.log(`[Summarizer] =====================================================================\n`);
 
+  if (outputStats.repairAttempts > 0) {
+    console.log(`[Summarizer] Output repairs: ${outputStats.repairAttempts} re-prompt(s), ${outputStats.repaired}/${outputStats.responses} responses repaired`);
+  }
+
   return {
     summaries: allSummaries,
     tiered: true,
     inputMessageCount: conversationMessages.length,
     outputMessageCount: allSummaries.length,
     actualCompaction: (conversationMessages.length / allSummaries.length).toFixed(1),
-    tierResults
+    tierResults,
+    outputStats
   };
 }
 
@@ -1539,10 +1997,18 @@ export async function summarizeAndIntegrateWithTiers(parsed, messageUuids, optio
     tiers = DEFAULT_TIERS,
     tierPreset = null,
     model = 'opus',
+    provider = null,  // LLM provider config or name (defaults to Claude CLI)
+    signal = null,  // AbortSignal to cancel the run (see summarizeWithTiers)
+    checkpoint = null,  // Checkpoint run (see summarizeWithTiers)
+    audit = null,  // Audit trail (see summarizeWithTiers)
     removeNonConversation = true,  // Auto-cleanup tools/thinking from range
     skipFirstMessages = 0,  // Skip first N messages from summarization (keep as-is)
     preserveLinks = true,    // Ask LLM to preserve URLs and file paths
-    preserveAskUserQuestion = true  // Preserve user interaction questions
+    preserveAskUserQuestion = true,  // Preserve user interaction questions
+    promptTemplate = null,  // Resolved prompt template (see prompt-templates.js)
+    toolMode = DEFAULT_TOOL_MODE,  // 'drop' or 'action-log' (see action-log.js)
+    chunkStrategy = DEFAULT_CHUNK_STRATEGY,  // 'fixed' or 'topic' (see chunking.js)
+    onProgress = null  // Progress callback (see summarizeWithTiers)
   } = options;
 
   // Get messages in the specified range
@@ -1553,8 +2019,13 @@ export async function summarizeAndIntegrateWithTiers(parsed, messageUuids, optio
     throw new Error('Need at least 2 messages to summarize');
   }
 
+  // Results may sit outside the range, so pair tool calls against the whole session
+  const sourceMessages = toolMode === 'action-log'
+    ? withActionLog(targetMessages, { resultMessages: parsed.messages })
+    : targetMessages;
+
   // Filter to conversation messages only and sort by timestamp
-  const allConversationMessages = targetMessages
+  const allConversationMessages = sourceMessages
     .filter(m => (m.type === 'user' || m.type === 'assistant') && extractTextContent(m).trim())
     .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
 
@@ -1577,84 +2048,52 @@ export async function summarizeAndIntegrateWithTiers(parsed, messageUuids, optio
     tiers,
     tierPreset,
     model,
+    provider,
+    signal,
+    checkpoint,
+    audit,
     preserveLinks,
-    preserveAskUserQuestion
+    preserveAskUserQuestion,
+    promptTemplate,
+    toolMode,
+    chunkStrategy,
+    turns: chunkStrategy === 'topic' ? analyzeTurns(sourceMessages) : null,
+    onProgress
   });
 
-  // Determine which messages to remove:
-  // - Always remove conversation messages (they're being summarized)
-  // - Optionally remove non-conversation messages in range (tools, thinking)
-  // - NEVER remove skipped messages (they're kept as-is)
-  const skippedUuids = new Set(skippedMessages.map(m => m.uuid));
-
-  let allRemovedUuids;
-  if (removeNonConversation) {
-    // Remove ALL messages in the selected range EXCEPT skipped messages
-    allRemovedUuids = new Set([...messageUuids].filter(uuid => !skippedUuids.has(uuid)));
-  } else {
-    // Only remove conversation messages that were summarized (not skipped)
-    allRemovedUuids = new Set(conversationMessages.map(m => m.uuid));
-  }
-
-  // Integrate summaries back into message list
-  const integration = integrateSummaries(
+  const integrated = replaceRangeWithSummaries(parsed, messageUuids, {
+    targetMessages,
     conversationMessages,
-    result.summaries,
-    parsed.messageGraph
-  );
-
-  // Override removedUuids with our expanded set if removing non-conversation
-  const removedSet = removeNonConversation ? allRemovedUuids : new Set(integration.removedUuids);
-
-  // Track additional removed messages for reporting
-  const nonConversationRemoved = removeNonConversation
-    ? targetMessages.filter(m => !conversationMessages.some(c => c.uuid === m.uuid)).length
-    : 0;
-
-  // Build new message list
-  const newMessageList = [];
-  let summariesInserted = false;
-
-  for (const msg of parsed.messages) {
-    if (removedSet.has(msg.uuid)) {
-      // Insert summaries at position of first removed message
-      if (!summariesInserted) {
-        newMessageList.push(...integration.newMessages);
-        summariesInserted = true;
-      }
-      // Skip removed messages
-      continue;
-    }
-
-    // Update parentUuid if this message's parent was removed
-    if (integration.childrenToUpdate.includes(msg.uuid) || removedSet.has(msg.parentUuid)) {
-      msg.parentUuid = integration.lastSummaryUuid;
-    }
-
-    newMessageList.push(msg);
-  }
+    skippedMessages,
+    summaries: result.summaries,
+    removeNonConversation
+  });
 
   return {
-    messages: newMessageList,
-    changes: {
-      removed: removedSet.size,
-      added: integration.newMessages.length,
-      compaction: `${conversationMessages.length} -> ${result.summaries.length}`,
-      nonConversationRemoved
-    },
+    messages: integrated.messages,
+    changes: integrated.changes,
     summaries: result.summaries,
-    tierResults: result.tierResults
+    tierResults: result.tierResults,
+    outputStats: result.outputStats
   };
 }
 
 export {
   extractTextContent,
   buildSummarizationPrompt,
+  buildSelectionPrompt,
+  getTargetCount,
+  MAX_MESSAGES_PER_CHUNK,
+  MAX_REPAIR_ATTEMPTS,
   AGGRESSIVENESS_PROMPTS,
   COMPACTION_RATIOS,
   KEEP_RATIOS,
   DEFAULT_TIERS,
   TIER_PRESETS,
+  isAgeTiers,
+  getTierRange,
+  planTierEnds,
   splitIntoTiers,
-  selectImportantMessages
+  selectImportantMessages,
+  replaceRangeWithSummaries
 };
@@ -0,0 +1,152 @@
+/**
+ * Summary Cache
+ *
+ * Content-addressed cache of LLM results (chunk summaries and hybrid-mode
+ * selections), so summarizing the same messages with the same settings
+ * again - e.g. recompressing a part or rebuilding a composition - does not
+ * pay for identical LLM calls.
+ *
+ * Layout: ~/.claude-memory/cache/summaries/{key[0..1]}/{key}.json
+ *   - key: sha256 of the step's inputs: message roles and text, prompt
+ *          template hash, model, provider, compaction ratio, aggressiveness
+ *          and keepit instructions (see summarizer.js)
+ *
+ * Unlike chunk checkpoints, entries are not tied to a session or run: the
+ * same messages in another session hit the same entry. Entries expire
+ * after 30 days; `POST /api/memory/cache/clear` removes them all.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { createHash } from 'crypto';
+import { getCacheDir } from './memory-storage.js';
+
+// Bump to invalidate every entry when the cached result format changes
+const CACHE_FORMAT_VERSION = 1;
+
+const CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Lookups since the server started (reset by clearing the cache)
+const counters = {
+  since: new Date().toISOString(),
+  hits: 0,
+  misses: 0,
+  writes: 0,
+  byKind: {}
+};
+
+// ============================================
+// Paths and Keys
+// ============================================
+
+/**
+ * Get the summary cache directory
+ */
+export function getSummaryCacheDir() {
+  return path.join(getCacheDir(), 'summaries');
+}
+
+/**
+ * Compute the cache key for an LLM step
+ * @param {Object} parts - Everything that shapes the step's output
+ * @returns {string} Hex sha256 digest
+ */
+export function computeSummaryCacheKey(parts) {
+  return createHash('sha256')
+    .update(JSON.stringify({ version: CACHE_FORMAT_VERSION, ...parts }))
+    .digest('hex');
+}
+
+function getEntryPath(key) {
+  return path.join(getSummaryCacheDir(), key.slice(0, 2), `${key}.json`);
+}
+
+function count(kind, field) {
+  counters[field]++;
+  counters.byKind[kind] = counters.byKind[kind] || { hits: 0, misses: 0 };
+  if (field !== 'writes') counters.byKind[kind][field]++;
+}
+
+// ============================================
+// Lookup
+// ============================================
+
+/**
+ * Return the cached result of an LLM step, or run `produce` and cache its result
+ *
+ * @param {Object} parts - Key parts; must include `kind` ('summarize' | 'select')
+ * @param {Function} produce - async () => result (must be JSON-serializable)
+ */
+export async function runCached(parts, produce) {
+  const key = computeSummaryCacheKey(parts);
+  const file = getEntryPath(key);
+
+  try {
+    const stat = await fs.stat(file);
+    if (Date.now() - stat.mtimeMs <= CACHE_TTL_MS) {
+      const entry = await fs.readJson(file);
+      if (entry.key === key && entry.result !== undefined) {
+        count(parts.kind, 'hits');
+        console.log(`[SummaryCache] Hit for ${parts.kind} step (${key.slice(0, 12)})`);
+        return entry.result;
+      }
+    }
+  } catch (error) {
+    // Missing or unreadable entry: fall through to a fresh call
+  }
+
+  count(parts.kind, 'misses');
+  const result = await produce();
+
+  try {
+    await fs.ensureDir(path.dirname(file));
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeJson(tmpFile, { key, kind: parts.kind, createdAt: new Date().toISOString(), result });
+    await fs.rename(tmpFile, file);
+    count(parts.kind, 'writes');
+  } catch (error) {
+    // A missing entry only costs another LLM call next time
+    console.warn(`[SummaryCache] Failed to save ${parts.kind} step: ${error.message}`);
+  }
+
+  return result;
+}
+
+// ============================================
+// Statistics
+// ============================================
+
+/**
+ * Hit/miss counters since the server started or the cache was last cleared
+ * @returns {Object} { since, hits, misses, writes, hitRate, byKind }
+ */
+export function getSummaryCacheCounters() {
+  const lookups = counters.hits + counters.misses;
+  return {
+    since: counters.since,
+    hits: counters.hits,
+    misses: counters.misses,
+    writes: counters.writes,
+    hitRate: lookups > 0 ? Number((counters.hits / lookups).toFixed(3)) : null,
+    byKind: structuredClone(counters.byKind)
+  };
+}
+
+/**
+ * Reset the hit/miss counters (called when the cache is cleared)
+ */
+export function resetSummaryCacheCounters() {
+  counters.since = new Date().toISOString();
+  counters.hits = 0;
+  counters.misses = 0;
+  counters.writes = 0;
+  counters.byKind = {};
+}
+
+export default {
+  getSummaryCacheDir,
+  computeSummaryCacheKey,
+  runCached,
+  getSummaryCacheCounters,
+  resetSummaryCacheCounters
+};
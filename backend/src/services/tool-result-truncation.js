@@ -0,0 +1,376 @@
+/**
+ * Tool Result Truncation
+ *
+ * Caps oversized tool results instead of removing them: a result above its
+ * size threshold keeps its first and last lines with an elision marker
+ * recording what was cut. The tool_result block itself (tool_use_id,
+ * is_error) is kept, so tool_use/tool_result pairing stays valid.
+ *
+ * Options (the `truncateToolResults` sanitization criterion):
+ *   true                      - defaults below
+ *   { maxBytes, headLines, tailLines,
+ *     tools: { [toolName]: { maxBytes, headLines, tailLines } | false } }
+ *
+ * Each setting is taken from the tool's own options, then the general
+ * options, then the tool's built-in default, then the general default.
+ * `false` for a tool leaves its results alone.
+ */
+
+export const DEFAULT_TRUNCATION = {
+  maxBytes: 16 * 1024,
+  headLines: 40,
+  tailLines: 20
+};
+
+// Bash output ends with the errors and summaries worth keeping; Read and
+// WebFetch are most useful from the top
+export const DEFAULT_TOOL_TRUNCATION = {
+  Bash: { maxBytes: 8 * 1024, headLines: 30, tailLines: 30 },
+  Grep: { maxBytes: 8 * 1024, headLines: 50, tailLines: 10 },
+  WebFetch: { maxBytes: 16 * 1024, headLines: 60, tailLines: 10 },
+  Read: { maxBytes: 32 * 1024, headLines: 120, tailLines: 20 }
+};
+
+const SETTING_KEYS = ['maxBytes', 'headLines', 'tailLines'];
+
+// ============================================
+// Options
+// ============================================
+
+function invalidOptions(problems) {
+  const error = new Error(`Invalid tool result truncation: ${problems.join('; ')}`);
+  error.code = 'INVALID_TRUNCATION';
+  error.status = 400;
+  return error;
+}
+
+function checkSettings(settings, label, problems) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    problems.push(`${label} must be an object`);
+    return;
+  }
+  for (const key of SETTING_KEYS) {
+    const value = settings[key];
+    if (value === undefined) continue;
+    const min = key === 'maxBytes' ? 1 : 0;
+    if (!Number.isInteger(value) || value < min) {
+      problems.push(`${label}.${key} must be an integer >= ${min}`);
+    }
+  }
+}
+
+function pickSettings(settings = {}) {
+  return Object.fromEntries(SETTING_KEYS.filter(k => settings[k] !== undefined).map(k => [k, settings[k]]));
+}
+
+/**
+ * Validate and normalize truncation options
+ *
+ * @param {Object|boolean} options - `true` or options (see module header)
+ * @returns {Object} { defaults, tools: { [toolName]: settings | false } }
+ * @throws {Error} INVALID_TRUNCATION
+ */
+export function resolveTruncationOptions(options) {
+  const input = options === true ? {} : options;
+  const problems = [];
+
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    throw invalidOptions(['must be true or an options object']);
+  }
+
+  const { tools = {}, ...general } = input;
+  checkSettings(general, 'truncateToolResults', problems);
+  const unknown = Object.keys(general).filter(k => !SETTING_KEYS.includes(k));
+  if (unknown.length > 0) {
+    problems.push(`unknown setting(s): ${unknown.join(', ')}`);
+  }
+
+  if (typeof tools !== 'object' || tools === null || Array.isArray(tools)) {
+    problems.push('tools must be an object keyed by tool name');
+  } else {
+    for (const [name, settings] of Object.entries(tools)) {
+      if (settings !== false) {
+        checkSettings(settings, `tools.${name}`, problems);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw invalidOptions(problems);
+  }
+
+  const defaults = { ...DEFAULT_TRUNCATION, ...pickSettings(general) };
+  const resolvedTools = {};
+  for (const name of new Set([...Object.keys(DEFAULT_TOOL_TRUNCATION), ...Object.keys(tools)])) {
+    if (tools[name] === false) {
+      resolvedTools[name] = false;
+    } else {
+      resolvedTools[name] = {
+        ...DEFAULT_TOOL_TRUNCATION[name],
+        ...pickSettings(general),
+        ...pickSettings(tools[name])
+      };
+    }
+  }
+
+  return { defaults, tools: resolvedTools };
+}
+
+// ============================================
+// Truncator
+// ============================================
+
+/**
+ * Create a truncator for one run
+ * The truncator collects a record of every result it truncates
+ *
+ * @param {Object|boolean} options - Truncation options, `true` for defaults
+ * @returns {Object} Truncator to pass to truncateMessageToolResults
+ * @throws {Error} INVALID_TRUNCATION
+ */
+export function createTruncator(options) {
+  return {
+    ...resolveTruncationOptions(options),
+    truncated: [],
+    // tool_use id -> tool name, so results can find their tool's settings
+    toolNames: new Map()
+  };
+}
+
+/**
+ * Settings for a tool, or null when its results are left alone
+ */
+export function getToolSettings(truncator, toolName) {
+  const own = toolName ? truncator.tools[toolName] : undefined;
+  if (own === false) return null;
+  return { ...truncator.defaults, ...own };
+}
+
+/**
+ * Register the tool calls of messages so later results can be attributed
+ */
+export function registerToolUses(truncator, messages) {
+  for (const message of messages) {
+    for (const toolUse of message.toolUses || []) {
+      truncator.toolNames.set(toolUse.id, toolUse.name);
+    }
+  }
+}
+
+function elisionMarker(removedLines, removedBytes) {
+  const lines = removedLines > 0 ? `${removedLines} line${removedLines === 1 ? '' : 's'}, ` : '';
+  return `[... ${lines}${removedBytes} bytes truncated ...]`;
+}
+
+/**
+ * Keep the first and last lines of text above the size threshold
+ * Text with too few lines to cut (e.g. one huge line) is cut by characters,
+ * keeping the head and tail in the same proportion.
+ *
+ * @param {string} text - Text to truncate
+ * @param {Object} settings - { maxBytes, headLines, tailLines }
+ * @returns {Object|null} { text, removedLines, removedBytes }, null when under the threshold
+ */
+export function truncateText(text, settings) {
+  if (typeof text !== 'string') return null;
+  const originalBytes = Buffer.byteLength(text, 'utf-8');
+  if (originalBytes <= settings.maxBytes) return null;
+
+  const { headLines, tailLines } = settings;
+  const lines = text.split('\n');
+
+  if (lines.length > headLines + tailLines + 1) {
+    const head = lines.slice(0, headLines);
+    const tail = tailLines > 0 ? lines.slice(-tailLines) : [];
+    const removed = lines.slice(headLines, lines.length - tail.length).join('\n');
+    const kept = [...head, '', ...tail].join('\n');
+
+    // Kept lines can still be oversized (minified output); cut those by characters below
+    if (Buffer.byteLength(kept, 'utf-8') <= settings.maxBytes) {
+      const removedBytes = Buffer.byteLength(removed, 'utf-8');
+      return {
+        text: [...head, elisionMarker(lines.length - head.length - tail.length, removedBytes), ...tail].join('\n'),
+        removedLines: lines.length - head.length - tail.length,
+        removedBytes
+      };
+    }
+  }
+
+  // Characters to keep, scaled so multi-byte text also lands near maxBytes
+  const budget = Math.floor(settings.maxBytes * (text.length / originalBytes));
+  const share = headLines + tailLines > 0 ? headLines / (headLines + tailLines) : 1;
+  const headChars = Math.floor(budget * share);
+  const tailChars = budget - headChars;
+  const head = text.slice(0, headChars);
+  const tail = tailChars > 0 ? text.slice(-tailChars) : '';
+  const removed = text.slice(headChars, text.length - tail.length);
+  const removedLines = removed.split('\n').length - 1;
+  const removedBytes = Buffer.byteLength(removed, 'utf-8');
+
+  return {
+    text: `${head}\n${elisionMarker(removedLines, removedBytes)}\n${tail}`,
+    removedLines,
+    removedBytes
+  };
+}
+
+/**
+ * Split a byte budget across blocks of the given sizes
+ * Blocks smaller than an even share are kept whole and leave the rest of
+ * their share to the larger blocks
+ *
+ * @returns {Array} Budget per block, in the order of sizes
+ */
+function shareBudget(sizes, maxBytes) {
+  const budgets = new Array(sizes.length);
+  const bySize = sizes.map((size, index) => ({ size, index })).sort((a, b) => a.size - b.size);
+
+  let remaining = maxBytes;
+  bySize.forEach(({ size, index }, i) => {
+    budgets[index] = Math.min(size, Math.floor(remaining / (bySize.length - i)));
+    remaining -= budgets[index];
+  });
+  return budgets;
+}
+
+/**
+ * Truncate a tool_result's content (a string or an array of blocks)
+ * maxBytes caps the whole result: text blocks share it (see shareBudget).
+ * Images and other non-text blocks are kept
+ */
+function truncateResultContent(content, settings) {
+  if (typeof content === 'string') {
+    const result = truncateText(content, settings);
+    return result && { content: result.text, removedLines: result.removedLines, removedBytes: result.removedBytes };
+  }
+  if (!Array.isArray(content)) return null;
+
+  const sizes = content.map(block => (block?.type === 'text' ? Buffer.byteLength(block.text || '', 'utf-8') : 0));
+  const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+  if (totalBytes <= settings.maxBytes) return null;
+
+  const budgets = shareBudget(sizes, settings.maxBytes);
+  let removedLines = 0;
+  let removedBytes = 0;
+  const updated = content.map((block, i) => {
+    if (block?.type !== 'text') return block;
+    const result = truncateText(block.text, { ...settings, maxBytes: budgets[i] });
+    if (!result) return block;
+    removedLines += result.removedLines;
+    removedBytes += result.removedBytes;
+    return { ...block, text: result.text };
+  });
+
+  return removedBytes > 0 ? { content: updated, removedLines, removedBytes } : null;
+}
+
+/**
+ * Truncate large strings in Claude Code's copy of the tool output
+ * (raw.toolUseResult: stdout/stderr, file.content, ...)
+ */
+function truncateToolUseResult(value, settings, depth = 0) {
+  if (typeof value === 'string') {
+    return truncateText(value, settings)?.text ?? value;
+  }
+  if (depth >= 2 || typeof value !== 'object' || value === null) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => truncateToolUseResult(item, settings, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, truncateToolUseResult(item, settings, depth + 1)]));
+}
+
+/**
+ * Truncate the oversized tool results of a message
+ *
+ * @param {Object} truncator - Truncator from createTruncator (tool uses registered)
+ * @param {Object} message - Enhanced message
+ * @returns {Object} The message, updated when anything was truncated
+ */
+export function truncateMessageToolResults(truncator, message) {
+  const content = Array.isArray(message.content) ? message.content : [];
+  if (!content.some(block => block?.type === 'tool_result')) {
+    return message;
+  }
+
+  const replaced = new Map();
+  let rawSettings = null;
+
+  const updatedContent = content.map(block => {
+    if (block?.type !== 'tool_result') return block;
+
+    const toolName = truncator.toolNames.get(block.tool_use_id) || null;
+    const settings = getToolSettings(truncator, toolName);
+    if (!settings) return block;
+
+    const result = truncateResultContent(block.content, settings);
+    if (!result) return block;
+
+    const updatedBlock = { ...block, content: result.content };
+    replaced.set(block.tool_use_id, updatedBlock);
+    rawSettings = settings;
+
+    truncator.truncated.push({
+      messageUuid: message.uuid,
+      toolUseId: block.tool_use_id,
+      toolName,
+      originalBytes: Buffer.byteLength(JSON.stringify(block.content), 'utf-8'),
+      removedLines: result.removedLines,
+      removedBytes: result.removedBytes
+    });
+
+    return updatedBlock;
+  });
+
+  if (replaced.size === 0) {
+    return message;
+  }
+
+  const updated = {
+    ...message,
+    content: updatedContent,
+    toolResults: (message.toolResults || []).map(r => replaced.get(r.tool_use_id) || r)
+  };
+
+  if (message.raw?.toolUseResult != null) {
+    updated.raw = {
+      ...message.raw,
+      toolUseResult: truncateToolUseResult(message.raw.toolUseResult, rawSettings)
+    };
+  }
+
+  return updated;
+}
+
+/**
+ * Summary of a truncator's work
+ * @returns {Object} { count, removedBytes, removedLines, byTool, results }
+ */
+export function getTruncationSummary(truncator) {
+  const byTool = {};
+  for (const entry of truncator.truncated) {
+    const key = entry.toolName || 'unknown';
+    byTool[key] = (byTool[key] || 0) + 1;
+  }
+
+  return {
+    count: truncator.truncated.length,
+    removedBytes: truncator.truncated.reduce((sum, t) => sum + t.removedBytes, 0),
+    removedLines: truncator.truncated.reduce((sum, t) => sum + t.removedLines, 0),
+    byTool,
+    results: truncator.truncated
+  };
+}
+
+export default {
+  DEFAULT_TRUNCATION,
+  DEFAULT_TOOL_TRUNCATION,
+  resolveTruncationOptions,
+  createTruncator,
+  getToolSettings,
+  registerToolUses,
+  truncateText,
+  truncateMessageToolResults,
+  getTruncationSummary
+};
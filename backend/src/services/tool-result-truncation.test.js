@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTruncator, registerToolUses, truncateMessageToolResults } from './tool-result-truncation.js';
+
+const MAX_BYTES = 4096;
+
+function resultMessage(content) {
+  return {
+    uuid: 'u1',
+    type: 'user',
+    content: [{ type: 'tool_result', tool_use_id: 't1', content }]
+  };
+}
+
+function truncate(content) {
+  const truncator = createTruncator({ maxBytes: MAX_BYTES, headLines: 5, tailLines: 5 });
+  registerToolUses(truncator, [{ toolUses: [{ id: 't1', name: 'mcp__docs__search' }] }]);
+  return { message: truncateMessageToolResults(truncator, resultMessage(content)), truncator };
+}
+
+function textBytes(blocks) {
+  return blocks.reduce((sum, block) => sum + (block.type === 'text' ? Buffer.byteLength(block.text) : 0), 0);
+}
+
+function lines(count, prefix) {
+  return Array.from({ length: count }, (_, i) => `${prefix} line ${i}`).join('\n');
+}
+
+test('many mid-sized text blocks are capped as one result', () => {
+  // Ten blocks of ~1.7 KB: each is under maxBytes, together they are over it
+  const blocks = Array.from({ length: 10 }, (_, i) => ({ type: 'text', text: lines(120, `block ${i}`) }));
+  assert.ok(blocks.every(block => Buffer.byteLength(block.text) < MAX_BYTES));
+
+  const { message, truncator } = truncate(blocks);
+  const content = message.content[0].content;
+
+  assert.equal(truncator.truncated.length, 1);
+  assert.equal(content.length, 10);
+  // Elision markers come on top of the budget
+  assert.ok(textBytes(content) < MAX_BYTES + 10 * 64, `${textBytes(content)} bytes kept`);
+});
+
+test('small blocks are kept whole while the large one is cut', () => {
+  const blocks = [
+    { type: 'text', text: 'Search results:' },
+    { type: 'text', text: lines(2000, 'result') },
+    { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } },
+    { type: 'text', text: 'End of results.' }
+  ];
+  const content = truncate(blocks).message.content[0].content;
+
+  assert.equal(content[0].text, 'Search results:');
+  assert.equal(content[3].text, 'End of results.');
+  assert.deepEqual(content[2], blocks[2]);
+  assert.match(content[1].text, /\[\.\.\. \d+ lines, \d+ bytes truncated \.\.\.\]/);
+});
+
+test('a result under maxBytes is left alone', () => {
+  const blocks = [{ type: 'text', text: 'a' }, { type: 'text', text: 'b' }];
+  const { message, truncator } = truncate(blocks);
+
+  assert.equal(truncator.truncated.length, 0);
+  assert.deepEqual(message.content[0].content, blocks);
+});
@@ -13,6 +13,7 @@
 import { defineStore } from 'pinia';
 import { ref, computed } from 'vue';
 import * as memoryApi from '../utils/memory-api.js';
+import { waitForJob } from '../utils/api.js';
 
 export const useMemoryStore = defineStore('memory', () => {
   // ============================================
@@ -43,6 +44,7 @@ export const useMemoryStore = defineStore('memory', () => {
   const versions = ref([]);
   const currentVersion = ref(null);
   const compressionPresets = ref(null);
+  const compressionJob = ref(null); // { jobId, progress } while a background compression runs
 
   // Keepit state
   const keepits = ref([]);
@@ -656,14 +658,44 @@ export const useMemoryStore = defineStore('memory', () => {
     }
   }
 
+  /**
+   * Track a background compression job until it finishes
+   * Exposes progress via compressionJob and resolves with the compression record
+   */
+  async function followCompressionJob(jobId, onProgress) {
+    compressionJob.value = { jobId, progress: null };
+    try {
+      return await waitForJob(jobId, (progress) => {
+        compressionJob.value = { jobId, progress };
+        if (onProgress) onProgress(progress);
+      });
+    } finally {
+      compressionJob.value = null;
+    }
+  }
+
+  /**
+   * Cancel the running compression for a session
+   * The pending compressDelta/createCompressionVersion call rejects with code CANCELLED
+   */
+  async function cancelCompression(projectId, sessionId) {
+    try {
+      return await memoryApi.cancelCompression(projectId, sessionId);
+    } catch (err) {
+      setError(err);
+      throw err;
+    }
+  }
+
   /**
    * Create a delta compression (compress new messages only)
    */
-  async function compressDelta(projectId, sessionId, settings) {
+  async function compressDelta(projectId, sessionId, settings, options = {}) {
     loading.value.compression = true;
     clearError();
     try {
-      const version = await memoryApi.createDeltaCompression(projectId, sessionId, settings);
+      const { jobId } = await memoryApi.startDeltaCompressionJob(projectId, sessionId, settings);
+      const version = await followCompressionJob(jobId, options.onProgress);
 
       // Add to local versions list
       versions.value.push(version);
@@ -679,7 +711,8 @@ export const useMemoryStore = defineStore('memory', () => {
 
       return version;
     } catch (err) {
-      setError(err);
+      // A cancelled run is not an error worth surfacing
+      if (err.code !== 'CANCELLED') setError(err);
       throw err;
     } finally {
       loading.value.compression = false;
@@ -780,11 +813,12 @@ export const useMemoryStore = defineStore('memory', () => {
   /**
    * Create a new compression version
    */
-  async function createCompressionVersion(projectId, sessionId, settings) {
+  async function createCompressionVersion(projectId, sessionId, settings, options = {}) {
     loading.value.compression = true;
     clearError();
     try {
-      const version = await memoryApi.createCompressionVersion(projectId, sessionId, settings);
+      const { jobId } = await memoryApi.startCompressionJob(projectId, sessionId, settings);
+      const version = await followCompressionJob(jobId, options.onProgress);
 
       // Add to local versions list
       versions.value.push(version);
@@ -797,7 +831,8 @@ export const useMemoryStore = defineStore('memory', () => {
 
       return version;
     } catch (err) {
-      setError(err);
+      // A cancelled run is not an error worth surfacing
+      if (err.code !== 'CANCELLED') setError(err);
       throw err;
     } finally {
       loading.value.compression = false;
@@ -872,10 +907,10 @@ export const useMemoryStore = defineStore('memory', () => {
   /**
    * Validate compression settings
    */
-  async function validateCompressionSettings(projectId, sessionId, settings) {
+  async function validateCompressionSettings(projectId, sessionId, settings, options = {}) {
     clearError();
     try {
-      return await memoryApi.validateCompressionSettings(projectId, sessionId, settings);
+      return await memoryApi.validateCompressionSettings(projectId, sessionId, settings, options);
     } catch (err) {
       setError(err);
       throw err;
@@ -1298,6 +1333,7 @@ export const useMemoryStore = defineStore('memory', () => {
     versions,
     currentVersion,
     compressionPresets,
+    compressionJob,
     keepits,
     keepitPresets,
     decayPreview,
@@ -1359,6 +1395,7 @@ export const useMemoryStore = defineStore('memory', () => {
     // Delta compression actions
     checkDeltaStatus,
     compressDelta,
+    cancelCompression,
     recompressPart,
     loadSessionParts,
     clearDeltaStatus,
@@ -30,7 +30,11 @@ export async function previewSanitization(sessionId, projectId, options) {
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(options)
   });
-  if (!response.ok) throw new Error('Failed to preview sanitization');
+  if (!response.ok) {
+    // Surface the server's reason, e.g. an invalid criteria.query
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || 'Failed to preview sanitization');
+  }
   return response.json();
 }
 
@@ -64,6 +68,23 @@ export async function findDuplicates(sessionId, projectId) {
   return response.json();
 }
 
+// Tokens saved by rewriting repeated file reads as diffs; returns { count, files, totalTokensSaved }
+export async function getReadDiffSavings(sessionId, projectId) {
+  const response = await fetch(`${API_BASE}/sessions/${sessionId}/read-diffs?projectId=${encodeURIComponent(projectId)}`);
+  if (!response.ok) throw new Error('Failed to fetch read diff savings');
+  return response.json();
+}
+
+// Messages matching a message query; returns { count, tokens, uuids }
+export async function queryMessages(sessionId, projectId, query) {
+  const response = await fetch(`${API_BASE}/sessions/${sessionId}/query?projectId=${encodeURIComponent(projectId)}&q=${encodeURIComponent(query)}`);
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || 'Failed to query messages');
+  }
+  return response.json();
+}
+
 export async function removeDuplicates(sessionId, projectId, options = {}) {
   const response = await fetch(`${API_BASE}/sanitize/${sessionId}/deduplicate?projectId=${projectId}`, {
     method: 'POST',
@@ -74,15 +95,62 @@ export async function removeDuplicates(sessionId, projectId, options = {}) {
   return response.json();
 }
 
-export async function exportSessionToMarkdown(sessionId, projectId, format = 'markdown', full = false, sanitizeTypes = []) {
-  const sanitizeParam = sanitizeTypes.length > 0 ? `&sanitize=${sanitizeTypes.join(',')}` : '';
+// Branch points and the abandoned branches pruning would remove; depth keeps branches forking deeper than it
+export async function findBranches(sessionId, projectId, depth = null) {
+  const depthParam = depth !== null && depth !== '' ? `&depth=${encodeURIComponent(depth)}` : '';
+  const response = await fetch(`${API_BASE}/sessions/${sessionId}/branches?projectId=${encodeURIComponent(projectId)}${depthParam}`);
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || 'Failed to find branches');
+  }
+  return response.json();
+}
+
+export async function pruneBranches(sessionId, projectId, options = {}) {
+  const response = await fetch(`${API_BASE}/sanitize/${sessionId}/prune-branches?projectId=${encodeURIComponent(projectId)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(options)
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || 'Failed to prune branches');
+  }
+  return response.json();
+}
+
+// Structural problems that can stop Claude Code from resuming; returns { valid, errors, warnings, byCode, problems }
+export async function validateSession(sessionId, projectId) {
+  const response = await fetch(`${API_BASE}/sessions/${sessionId}/validate?projectId=${encodeURIComponent(projectId)}`);
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || 'Failed to validate session');
+  }
+  return response.json();
+}
+
+export async function repairSession(sessionId, projectId, options = {}) {
+  const response = await fetch(`${API_BASE}/sanitize/${sessionId}/repair?projectId=${encodeURIComponent(projectId)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(options)
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || 'Failed to repair session');
+  }
+  return response.json();
+}
+
+export async function exportSessionToMarkdown(sessionId, projectId, format = 'markdown', full = false, sanitizeTypes = [], redact = false) {
+  const sanitizeParam = (sanitizeTypes.length > 0 ? `&sanitize=${sanitizeTypes.join(',')}` : '') + (redact ? '&redact=true' : '');
   const response = await fetch(`${API_BASE}/export/${sessionId}/markdown?projectId=${encodeURIComponent(projectId)}&format=${format}&full=${full}${sanitizeParam}`);
   if (!response.ok) throw new Error('Failed to export session');
   return response.json();
 }
 
-export async function exportBackupToMarkdown(sessionId, projectId, version, format = 'markdown', full = false, sanitizeTypes = []) {
-  const sanitizeParam = sanitizeTypes.length > 0 ? `&sanitize=${sanitizeTypes.join(',')}` : '';
+export async function exportBackupToMarkdown(sessionId, projectId, version, format = 'markdown', full = false, sanitizeTypes = [], redact = false) {
+  const sanitizeParam = (sanitizeTypes.length > 0 ? `&sanitize=${sanitizeTypes.join(',')}` : '') + (redact ? '&redact=true' : '');
   const response = await fetch(`${API_BASE}/export/${sessionId}/backup/${version}/markdown?projectId=${encodeURIComponent(projectId)}&format=${format}&full=${full}${sanitizeParam}`);
   if (!response.ok) throw new Error('Failed to export backup');
   return response.json();
@@ -143,6 +211,103 @@ export async function applySummarization(sessionId, projectId, options) {
   return response.json();
 }
 
+// Start summarization as a background job; returns { jobId, job }
+export async function startSummarizationJob(sessionId, projectId, options) {
+  const response = await fetch(`${API_BASE}/summarize/${sessionId}/apply?projectId=${encodeURIComponent(projectId)}&background=true`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(options)
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: 'Failed to start summarization' }));
+    const error = new Error(errorData.error || 'Failed to start summarization');
+    error.response = errorData;
+    throw error;
+  }
+  return response.json();
+}
+
+// Background job API functions
+
+export async function getJob(jobId) {
+  const response = await fetch(`${API_BASE}/jobs/${encodeURIComponent(jobId)}`);
+  if (!response.ok) throw new Error('Failed to fetch job');
+  return response.json();
+}
+
+export async function listJobs(filters = {}) {
+  const params = new URLSearchParams(Object.entries(filters).filter(([, v]) => v));
+  const response = await fetch(`${API_BASE}/jobs?${params}`);
+  if (!response.ok) throw new Error('Failed to list jobs');
+  return response.json();
+}
+
+export async function cancelJob(jobId) {
+  const response = await fetch(`${API_BASE}/jobs/${encodeURIComponent(jobId)}/cancel`, {
+    method: 'POST'
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: 'Failed to cancel job' }));
+    throw new Error(errorData.error || 'Failed to cancel job');
+  }
+  return response.json();
+}
+
+function jobError(jobErrorData) {
+  const error = new Error(jobErrorData?.message || 'Job failed');
+  error.code = jobErrorData?.code || 'JOB_FAILED';
+  error.details = jobErrorData?.details;
+  return error;
+}
+
+function jobCancelledError(jobId) {
+  const error = new Error('Cancelled');
+  error.code = 'CANCELLED';
+  error.jobId = jobId;
+  return error;
+}
+
+// Follow a job's progress over SSE; resolves with the job result, rejects with the job error
+// (error.code === 'CANCELLED' when the job was cancelled)
+export function waitForJob(jobId, onProgress) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_BASE}/jobs/${encodeURIComponent(jobId)}/events`);
+
+    source.addEventListener('progress', (e) => {
+      if (onProgress) onProgress(JSON.parse(e.data));
+    });
+
+    source.addEventListener('completed', (e) => {
+      source.close();
+      resolve(JSON.parse(e.data).result);
+    });
+
+    source.addEventListener('failed', (e) => {
+      source.close();
+      reject(jobError(JSON.parse(e.data).error));
+    });
+
+    source.addEventListener('cancelled', () => {
+      source.close();
+      reject(jobCancelledError(jobId));
+    });
+
+    // The browser reconnects on its own unless the stream was closed for good;
+    // in that case fall back to reading the final job state
+    source.onerror = async () => {
+      if (source.readyState !== EventSource.CLOSED) return;
+      try {
+        const job = await getJob(jobId);
+        if (job.status === 'completed') resolve(job.result);
+        else if (job.status === 'cancelled') reject(jobCancelledError(jobId));
+        else reject(jobError(job.error || { message: `Lost connection to job ${jobId}` }));
+      } catch (err) {
+        reject(err);
+      }
+    };
+  });
+}
+
 // Image extraction API function
 
 export async function extractImages(sessionId, projectId) {
@@ -156,3 +321,42 @@ export async function extractImages(sessionId, projectId) {
   }
   return response.json();
 }
+
+// Sanitization profile API functions
+
+async function profileRequest(url, options, fallbackMessage) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: fallbackMessage }));
+    throw new Error(errorData.error?.message || errorData.error || fallbackMessage);
+  }
+  return response.json();
+}
+
+export async function listSanitizationProfiles() {
+  const data = await profileRequest(`${API_BASE}/sanitize/profiles`, {}, 'Failed to fetch sanitization profiles');
+  return data.profiles;
+}
+
+export async function saveSanitizationProfile(name, profile) {
+  return profileRequest(`${API_BASE}/sanitize/profiles/${encodeURIComponent(name)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(profile)
+  }, 'Failed to save sanitization profile');
+}
+
+export async function deleteSanitizationProfile(name) {
+  return profileRequest(`${API_BASE}/sanitize/profiles/${encodeURIComponent(name)}`, {
+    method: 'DELETE'
+  }, 'Failed to delete sanitization profile');
+}
+
+// Apply a profile to one or more sessions; returns { successful, failed, totals }
+export async function applySanitizationProfile(name, projectId, sessionIds, { dryRun = false } = {}) {
+  return profileRequest(`${API_BASE}/sanitize/profiles/${encodeURIComponent(name)}/apply?projectId=${encodeURIComponent(projectId)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionIds, dryRun })
+  }, 'Failed to apply sanitization profile');
+}
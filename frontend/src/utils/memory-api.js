@@ -181,6 +181,7 @@ export async function getProjectSessions(projectId) {
  * @param {string} sessionId - The session ID
  * @param {object} options - Optional registration options
  * @param {string} [options.originalFilePath] - Original file path
+ * @param {boolean|object} [options.redact] - Store the memory copy with secrets redacted
  * @returns {Promise<object>}
  */
 export async function registerSession(projectId, sessionId, options = {}) {
@@ -266,15 +267,17 @@ export async function getSessionStatus(projectId, sessionId) {
  * Batch register multiple sessions
  * @param {string} projectId - The project ID
  * @param {string[]} sessionIds - Array of session IDs
+ * @param {object} options - Optional registration options
+ * @param {boolean|object} [options.redact] - Store the memory copies with secrets redacted
  * @returns {Promise<{successful: Array, failed: Array}>}
  */
-export async function batchRegisterSessions(projectId, sessionIds) {
+export async function batchRegisterSessions(projectId, sessionIds, options = {}) {
   const response = await fetch(
     `${API_BASE}/projects/${encodeURIComponent(projectId)}/sessions/batch-register`,
     {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ sessionIds })
+      body: JSON.stringify({ sessionIds, ...(options.redact && { redact: options.redact }) })
     }
   );
   return handleResponse(response, 'Failed to batch register sessions');
@@ -345,6 +348,17 @@ export async function getCompressionPresets() {
   return handleResponse(response, 'Failed to fetch compression presets');
 }
 
+/**
+ * List the prompt templates available for compression
+ * @param {string} [projectId] - Include this project's own templates
+ * @returns {Promise<object>} { defaultTemplate, placeholders, templates }
+ */
+export async function getPromptTemplates(projectId = null) {
+  const query = projectId ? `?projectId=${encodeURIComponent(projectId)}` : '';
+  const response = await fetch(`${API_BASE}/prompt-templates${query}`);
+  return handleResponse(response, 'Failed to fetch prompt templates');
+}
+
 /**
  * List compression versions for a session
  * @param {string} projectId - The project ID
@@ -383,6 +397,40 @@ export async function createCompressionVersion(projectId, sessionId, settings) {
   return handleResponse(response, 'Failed to create compression version');
 }
 
+/**
+ * Start a compression as a background job
+ * Follow progress with waitForJob() from api.js
+ * @param {string} projectId - The project ID
+ * @param {string} sessionId - The session ID
+ * @param {object} settings - Compression settings
+ * @returns {Promise<{jobId: string, job: object}>}
+ */
+export async function startCompressionJob(projectId, sessionId, settings) {
+  const response = await fetch(
+    `${API_BASE}/projects/${encodeURIComponent(projectId)}/sessions/${encodeURIComponent(sessionId)}/versions?background=true`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(settings)
+    }
+  );
+  return handleResponse(response, 'Failed to start compression');
+}
+
+/**
+ * Cancel the session's in-flight compression (background job or direct request)
+ * @param {string} projectId - The project ID
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<{cancelled: boolean, sessionId: string, jobsCancelled: string[]}>}
+ */
+export async function cancelCompression(projectId, sessionId) {
+  const response = await fetch(
+    `${API_BASE}/projects/${encodeURIComponent(projectId)}/sessions/${encodeURIComponent(sessionId)}/compression/cancel`,
+    { method: 'POST' }
+  );
+  return handleResponse(response, 'Failed to cancel compression');
+}
+
 /**
  * Get a specific compression version
  * @param {string} projectId - The project ID
@@ -418,6 +466,21 @@ export async function getVersionContent(projectId, sessionId, versionId, format
   return response.text();
 }
 
+/**
+ * Get the audit trail of LLM exchanges recorded for a compression version
+ * @param {string} projectId - The project ID
+ * @param {string} sessionId - The session ID
+ * @param {string} versionId - The version ID
+ * @param {number|null} [exchange=null] - Index of one exchange to fetch in full
+ * @returns {Promise<object>} { exchanges } list, or { exchange } with prompts and responses
+ */
+export async function getVersionAudit(projectId, sessionId, versionId, exchange = null) {
+  const response = await fetch(
+    `${API_BASE}/projects/${encodeURIComponent(projectId)}/sessions/${encodeURIComponent(sessionId)}/versions/${encodeURIComponent(versionId)}/audit${exchange !== null ? `/${exchange}` : ''}`
+  );
+  return handleResponse(response, 'Failed to fetch version audit trail');
+}
+
 /**
  * Delete a compression version
  * @param {string} projectId - The project ID
@@ -444,11 +507,13 @@ export async function deleteCompressionVersion(projectId, sessionId, versionId,
  * @param {string} projectId - The project ID
  * @param {string} sessionId - The session ID
  * @param {object} settings - Compression settings to validate
- * @returns {Promise<{valid: boolean, errors?: Array, settings?: object}>}
+ * @param {object} options - { delta } estimate only the uncompressed messages
+ * @returns {Promise<{valid: boolean, errors?: Array, settings?: object, estimate?: object}>}
  */
-export async function validateCompressionSettings(projectId, sessionId, settings) {
+export async function validateCompressionSettings(projectId, sessionId, settings, options = {}) {
+  const query = options.delta ? '?delta=true' : '';
   const response = await fetch(
-    `${API_BASE}/projects/${encodeURIComponent(projectId)}/sessions/${encodeURIComponent(sessionId)}/versions/validate`,
+    `${API_BASE}/projects/${encodeURIComponent(projectId)}/sessions/${encodeURIComponent(sessionId)}/versions/validate${query}`,
     {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -923,6 +988,25 @@ export async function createDeltaCompression(projectId, sessionId, settings) {
   return handleResponse(response, 'Failed to create delta compression');
 }
 
+/**
+ * Start a delta compression as a background job
+ * @param {string} projectId - The project ID
+ * @param {string} sessionId - The session ID
+ * @param {object} settings - Compression settings
+ * @returns {Promise<{jobId: string, job: object}>}
+ */
+export async function startDeltaCompressionJob(projectId, sessionId, settings) {
+  const response = await fetch(
+    `${API_BASE}/projects/${encodeURIComponent(projectId)}/sessions/${encodeURIComponent(sessionId)}/delta/compress?background=true`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(settings)
+    }
+  );
+  return handleResponse(response, 'Failed to start delta compression');
+}
+
 /**
  * Re-compress an existing part at a different compression level
  * @param {string} projectId - The project ID
@@ -943,11 +1027,31 @@ export async function recompressPart(projectId, sessionId, partNumber, settings)
   return handleResponse(response, 'Failed to re-compress part');
 }
 
+/**
+ * Roll up parts fromPart..toPart into one consolidated version
+ * @param {string} projectId - The project ID
+ * @param {string} sessionId - The session ID
+ * @param {object} request - { fromPart, toPart, versions: { [partNumber]: versionId }, compactionRatio, aggressiveness, model }
+ * @param {object} options - { background: true } to run as a background job
+ * @returns {Promise<object>} Rollup record, or { jobId, job } in background mode
+ */
+export async function rollupParts(projectId, sessionId, request, { background = false } = {}) {
+  const response = await fetch(
+    `${API_BASE}/projects/${encodeURIComponent(projectId)}/sessions/${encodeURIComponent(sessionId)}/parts/rollup${background ? '?background=true' : ''}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    }
+  );
+  return handleResponse(response, 'Failed to roll up parts');
+}
+
 /**
  * List all parts for a session (organized by part number)
  * @param {string} projectId - The project ID
  * @param {string} sessionId - The session ID
- * @returns {Promise<{sessionId: string, totalParts: number, parts: Array}>}
+ * @returns {Promise<{sessionId: string, totalParts: number, parts: Array, rollups: Array}>}
  */
 export async function listParts(projectId, sessionId) {
   const response = await fetch(